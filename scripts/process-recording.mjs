@@ -0,0 +1,201 @@
+/**
+ * Runs the pose processing core headless against a recorded landmark stream, so angle
+ * thresholds, stationary tracking and rep counting can be checked without a browser or camera.
+ * Reps are counted by the exercise's own logicConfig.pipeline, exactly as in the app.
+ *
+ * Usage:
+ *   node scripts/process-recording.mjs <recording.json> <exerciseId> [options]
+ *
+ * Options:
+ *   --filter=<type>      Landmark filter: none (default), movingAverage, oneEuro or kalman
+ *   --visibility=<pct>   Only count reps while the rep landmarks are at least this visible
+ *   --stationary         Enable stationary landmark tracking (reps only count while stable)
+ *   --no-start-position  Count from the first frame instead of waiting for the start position
+ *   --tempo=<c-p-e>      Tempo prescription to check reps against, e.g. 3-1-2 (overrides the exercise's)
+ *   --verbose            Print every rep as it is counted (with its form check violations), partial or rejected,
+ *                        every rep attempt's quality score with its no-rep reasons and left/right asymmetry warnings
+ *   --calibrate          Treat the recording as calibration reps and print the personal thresholds it proposes
+ *   --thresholds=<id>:<min>-<max>[,...]  Personal thresholds to count with, by angle id (as saved by calibration)
+ *   --recognize          Compare the movement against every exercise and print which one it looks like
+ *
+ * The recording is JSON: { "frames": [{ "timestamp": <ms>, "landmarks": [{ x, y, z, visibility }, ...33] }, ...] }
+ * (optionally with "worldLandmarks" per frame, used by angles with mode: '3d')
+ * or a bare array of frames (see PoseRecording in src/types/poseTypes.js).
+ */
+import { readFile } from 'node:fs/promises';
+import * as exercises from '../src/exercises/index.js';
+import { createPoseProcessor, DEFAULT_PROCESSOR_SETTINGS } from '../src/logic/poseProcessor.js';
+import { LANDMARK_FILTERS } from '../src/logic/landmarkFilters.js';
+import { formatTempo, parseTempo } from '../src/logic/tempo.js';
+import { proposeThresholds, getCalibrationAngles, withThresholdOverrides } from '../src/logic/thresholdCalibration.js';
+import { createRecordedPoseSource } from '../src/services/poseSources/recordedPoseSource.js';
+
+const args = process.argv.slice(2);
+const positional = args.filter(arg => !arg.startsWith('--'));
+const flags = new Set(args.filter(arg => arg.startsWith('--') && !arg.includes('=')));
+const options = Object.fromEntries(args.filter(arg => arg.startsWith('--') && arg.includes('=')).map(arg => arg.slice(2).split('=')));
+const [recordingPath, exerciseId] = positional;
+
+if (!recordingPath || !exerciseId) {
+  console.error('Usage: node scripts/process-recording.mjs <recording.json> <exerciseId> [--filter=<type>] [--visibility=<pct>] [--stationary] [--no-start-position] [--tempo=<c-p-e>] [--verbose] [--calibrate] [--thresholds=<id>:<min>-<max>,...] [--recognize]');
+  console.error(`Exercises: ${Object.values(exercises).map(exercise => exercise.id).join(', ')}`);
+  process.exit(1);
+}
+
+const configuredExercise = Object.values(exercises).find(candidate => candidate.id === exerciseId);
+if (!configuredExercise) {
+  console.error(`[process-recording] Unknown exercise "${exerciseId}"`);
+  process.exit(1);
+}
+if (options.tempo && !parseTempo(options.tempo)) {
+  console.error(`[process-recording] Invalid tempo "${options.tempo}". Expected concentric-peak-eccentric seconds, e.g. 3-1-2`);
+  process.exit(1);
+}
+const thresholdOverrides = {};
+for (const entry of options.thresholds ? options.thresholds.split(',') : []) {
+  const match = /^([^:]+):(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(entry);
+  if (!match || !configuredExercise.logicConfig.anglesToTrack?.some(angleConfig => angleConfig.id === match[1])) {
+    console.error(`[process-recording] Invalid thresholds "${entry}". Expected <angle id>:<min>-<max> for an angle of ${exerciseId}`);
+    process.exit(1);
+  }
+  thresholdOverrides[match[1]] = { minThreshold: Number(match[2]), maxThreshold: Number(match[3]) };
+}
+const exercise = withThresholdOverrides(
+  options.tempo ? { ...configuredExercise, tempo: options.tempo } : configuredExercise,
+  thresholdOverrides,
+);
+
+const landmarkFilter = options.filter || DEFAULT_PROCESSOR_SETTINGS.landmarkFilter;
+if (!LANDMARK_FILTERS[landmarkFilter]) {
+  console.error(`[process-recording] Unknown filter "${landmarkFilter}". Expected one of: ${Object.keys(LANDMARK_FILTERS).join(', ')}`);
+  process.exit(1);
+}
+
+const settings = {
+  ...DEFAULT_PROCESSOR_SETTINGS,
+  landmarkFilter,
+  requireAllLandmarks: options.visibility !== undefined,
+  minimumVisibilityThreshold: Number(options.visibility ?? DEFAULT_PROCESSOR_SETTINGS.minimumVisibilityThreshold),
+  enableStationaryTracking: flags.has('--stationary'),
+  requireStartPosition: !flags.has('--no-start-position'),
+  enableExerciseRecognition: flags.has('--recognize'),
+};
+const recognizableExercises = Object.values(exercises);
+
+const recording = JSON.parse(await readFile(recordingPath, 'utf8'));
+const source = createRecordedPoseSource(recording);
+const processor = createPoseProcessor({
+  getExercise: () => exercise,
+  getSettings: () => settings,
+  getRecognizableExercises: () => recognizableExercises,
+});
+
+await source.start();
+let frameCount = 0;
+let framesWithPose = 0;
+let lastResult = null;
+const calibrationSamples = {}; // Calibrated angle values by angle id (--calibrate)
+const attemptScores = {}; // Quality scores of every rep attempt by side
+while (!source.isFinished()) {
+  const frame = source.readFrame();
+  if (!frame) continue;
+  const result = processor.processFrame(frame);
+  frameCount += 1;
+  if (result.landmarks) framesWithPose += 1;
+  if (flags.has('--calibrate')) {
+    for (const { id } of getCalibrationAngles(exercise)) {
+      if (result.angles[id] != null) (calibrationSamples[id] = calibrationSamples[id] || []).push(result.angles[id]);
+    }
+  }
+
+  for (const { side, score } of result.repState.attemptEvents) {
+    (attemptScores[side] = attemptScores[side] || []).push(score);
+  }
+
+  if (flags.has('--verbose')) {
+    if (result.trackingState.state !== lastResult?.trackingState.state) {
+      console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s tracking: ${result.trackingState.state}`);
+    }
+    if (result.recognition?.isMismatch && !lastResult?.recognition?.isMismatch) {
+      const { exerciseId: matchId, score } = result.recognition.bestMatch;
+      console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s looks like ${matchId} (${score}), not ${exercise.id} (${result.recognition.selectedScore})`);
+    }
+    for (const { side, repCount, formViolations, outOfOrder } of result.repState.repEvents) {
+      const tempo = result.repState.sides[side]?.lastRepTempo;
+      const tempoLabel = tempo ? ` (tempo ${formatTempo(tempo)}${tempo.isOnTempo === false ? `, off ${tempo.target}` : ''})` : '';
+      const formLabel = formViolations.length > 0 ? ` form: ${formViolations.map(violation => violation.id).join(', ')}` : '';
+      const orderLabel = outOfOrder ? ' OUT OF ORDER' : '';
+      const path = result.repState.sides[side]?.lastRepTrajectory;
+      const pathLabel = path ? ` (peak ${path.peak}, travel ${path.travel})` : '';
+      console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s ${side}: rep ${repCount}${orderLabel}${pathLabel}${tempoLabel}${formLabel}`);
+    }
+    for (const { side, partialRepCount } of result.repState.partialRepEvents) {
+      const { lastRepRom: rom, lastRepTrajectory: path } = result.repState.sides[side] || {};
+      const detail = path ? `peak ${path.peak}, travel ${path.travel}` : `${rom.romPercent}% ROM, ${rom.extremeAngle}°`;
+      console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s ${side}: partial rep ${partialRepCount} (${detail})`);
+    }
+    for (const { side, message } of result.repState.rejectionEvents) {
+      console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s ${side}: rep rejected, ${message}`);
+    }
+    const asymmetry = result.repState.asymmetry;
+    if (asymmetry && asymmetry !== lastResult?.repState.asymmetry) {
+      const previousWarnings = lastResult?.repState.asymmetry?.warnings || [];
+      for (const warning of asymmetry.warnings.filter(w => !previousWarnings.some(p => p.message === w.message))) {
+        console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s asymmetry: ${warning.message}`);
+      }
+    }
+    for (const { side, outcome, score, reasons } of result.repState.attemptEvents) {
+      const reasonLabel = reasons.length > 0 ? `: ${reasons.map(reason => reason.message).join(', ')}` : '';
+      console.log(`[process-recording] ${(frame.timestamp / 1000).toFixed(2)}s ${side}: ${outcome} attempt scored ${score}${reasonLabel}`);
+    }
+  }
+  lastResult = result;
+}
+source.stop();
+
+console.log(`[process-recording] ${exercise.name}: ${frameCount} frames, ${framesWithPose} with a pose`);
+console.log(`  final tracking state: ${lastResult?.trackingState.state ?? 'IDLE'}`);
+for (const [side, sideState] of Object.entries(lastResult?.repState.sides || {})) {
+  if (sideState.holdMs !== undefined) {
+    const breaks = sideState.holdBreakCount ? `, ${sideState.holdBreakCount} breaks` : '';
+    console.log(`  ${side}: held ${(sideState.holdMs / 1000).toFixed(1)} s, longest ${(sideState.longestHoldMs / 1000).toFixed(1)} s${breaks} (phase: ${sideState.phase})`);
+    continue;
+  }
+  const rejected = sideState.rejectedRepCount ? `, ${sideState.rejectedRepCount} rejected` : '';
+  const partial = sideState.partialRepCount ? `, ${sideState.partialRepCount} partial` : '';
+  const offTempo = exercise.tempo ? `, ${sideState.offTempoRepCount || 0} off tempo` : '';
+  const lastPath = sideState.lastRepTrajectory
+    ? `, last attempt peak ${sideState.lastRepTrajectory.peak} travel ${sideState.lastRepTrajectory.travel}`
+    : '';
+  const scores = attemptScores[side] || [];
+  const quality = scores.length > 0
+    ? `, ${scores.length} attempts scoring ${Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)} on average`
+    : '';
+  console.log(`  ${side}: ${sideState.repCount} reps${partial}${rejected}${offTempo}${lastPath}${quality} (phase: ${sideState.phase})`);
+}
+if (lastResult?.repState.alternating) {
+  const { combinedRepCount, outOfOrderRepCount } = lastResult.repState.alternating;
+  console.log(`  combined: ${combinedRepCount} reps, ${outOfOrderRepCount} out of order`);
+}
+if (lastResult?.repState.asymmetry) {
+  const { set } = lastResult.repState.asymmetry;
+  const metrics = ['repCount', 'rom', 'peakAngle', 'tempo'].filter(metric => set[metric])
+    .map(metric => `${metric} ${set[metric].left}/${set[metric].right} (${set[metric].index}%)`);
+  console.log(`  asymmetry: ${set.index}% (left/right ${metrics.join(', ')})`);
+}
+if (flags.has('--calibrate')) {
+  for (const [angleId, proposal] of Object.entries(proposeThresholds(exercise, calibrationSamples))) {
+    const angleConfig = exercise.logicConfig.anglesToTrack.find(candidate => candidate.id === angleId);
+    console.log(proposal.error
+      ? `  calibration ${angleId}: ${proposal.error}`
+      : `  calibration ${angleId}: ${proposal.minThreshold}°-${proposal.maxThreshold}° (config ${angleConfig.minThreshold}°-${angleConfig.maxThreshold}°, range ${proposal.peakAngle}° to ${proposal.relaxedAngle}° over ${proposal.repCount} reps)`);
+  }
+}
+if (lastResult?.recognition) {
+  const { scores, bestMatch } = lastResult.recognition;
+  const top = scores.slice(0, 3).map(({ exerciseId: id, score }) => `${id} ${score}`).join(', ');
+  console.log(`  recognized: ${bestMatch ? bestMatch.exerciseId : 'nothing'} (last window: ${top})`);
+}
+if (settings.enableStationaryTracking) {
+  console.log(`  final stability: ${lastResult?.stabilityState ?? 'idle'}`);
+}
@@ -0,0 +1,75 @@
+/**
+ * Copies the MediaPipe WASM runtime (and the classic bundle the pose worker loads) out of node_modules and downloads the pose
+ * model files into /public, so the app can run without network access.
+ *
+ * Usage:
+ *   node scripts/setup-mediapipe-assets.mjs               # copy WASM + download missing models
+ *   node scripts/setup-mediapipe-assets.mjs --no-download # copy WASM only, warn about missing models
+ */
+import { copyFile, mkdir, readdir, readFile, writeFile, access } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const wasmSourceDir = path.join(rootDir, 'node_modules', '@mediapipe', 'tasks-vision', 'wasm');
+const wasmTargetDir = path.join(rootDir, 'public', 'wasm');
+const modelTargetDir = path.join(rootDir, 'public', 'models');
+
+// Keep in sync with config.mediapipe.models in src/config.js
+const MODELS = ['lite', 'full', 'heavy'].map((variant) => ({
+  file: `pose_landmarker_${variant}.task`,
+  url: `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`,
+}));
+
+const exists = async (filePath) => {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const copyWasm = async () => {
+  const pkg = JSON.parse(await readFile(path.join(wasmSourceDir, '..', 'package.json'), 'utf8'));
+  await mkdir(wasmTargetDir, { recursive: true });
+  const files = await readdir(wasmSourceDir);
+  for (const file of files) {
+    await copyFile(path.join(wasmSourceDir, file), path.join(wasmTargetDir, file));
+  }
+  // The pose worker is a classic script and loads tasks-vision with importScripts
+  // (see config.mediapipe.workerBundle); .js so every static server sends a JavaScript MIME type
+  await copyFile(path.join(wasmSourceDir, '..', 'vision_bundle.cjs'), path.join(wasmTargetDir, 'vision_bundle.js'));
+  console.log(`[setup-mediapipe-assets] Copied ${files.length} WASM files and the worker bundle (tasks-vision ${pkg.version}) to public/wasm`);
+};
+
+const downloadModels = async (allowDownload) => {
+  await mkdir(modelTargetDir, { recursive: true });
+  for (const model of MODELS) {
+    const target = path.join(modelTargetDir, model.file);
+    if (await exists(target)) {
+      continue;
+    }
+    if (!allowDownload) {
+      console.warn(`[setup-mediapipe-assets] ${model.file} is missing; the app will use the remote model. Run "npm run setup:assets" to bundle it.`);
+      continue;
+    }
+    console.log(`[setup-mediapipe-assets] Downloading ${model.file}...`);
+    const response = await fetch(model.url);
+    if (!response.ok) {
+      throw new Error(`Failed to download ${model.url}: ${response.status} ${response.statusText}`);
+    }
+    await writeFile(target, Buffer.from(await response.arrayBuffer()));
+  }
+};
+
+const main = async () => {
+  const allowDownload = !process.argv.includes('--no-download');
+  await copyWasm();
+  await downloadModels(allowDownload);
+};
+
+main().catch((error) => {
+  console.error('[setup-mediapipe-assets]', error.message);
+  process.exit(1);
+});
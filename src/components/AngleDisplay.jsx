@@ -3,8 +3,11 @@ import AngleIndicator from './AngleIndicator';
 import './AngleDisplay.css';
 import { Paper } from '@mantine/core';
 import { useAppSettings } from '../hooks/useAppSettings';
+import { resolveAngleThresholds } from '../logic/thresholdCalibration.js';
 
-const AngleDisplay = ({ selectedExercise, trackedAngles, rawAngles, smoothingEnabled, displaySide, cameraStarted, hasLandmarksData, landmarkVisibility }) => {
+// angles2D / angles3D hold both variants of every angle so they can be compared; the main value
+// follows the angle config's mode ('2d' by default, '3d' for worldLandmarks-based angles)
+const AngleDisplay = ({ selectedExercise, trackedAngles, rawAngles, angles2D, angles3D, smoothingEnabled, displaySide, cameraStarted, hasLandmarksData, landmarkVisibility }) => {
   // Get app settings to use the visibility threshold value
   const [appSettings] = useAppSettings();
 
@@ -39,20 +42,24 @@ const AngleDisplay = ({ selectedExercise, trackedAngles, rawAngles, smoothingEna
       return null;
     }
     const { anglesToTrack } = selectedExercise.logicConfig;
+    let config = null;
     if (displaySide === 'left') {
-      return anglesToTrack.find(a => a.id.toLowerCase().includes('left'));
+      config = anglesToTrack.find(a => a.id.toLowerCase().includes('left'));
     } else if (displaySide === 'right') {
-      let config = anglesToTrack.find(a => a.id.toLowerCase().includes('right'));
+      config = anglesToTrack.find(a => a.id.toLowerCase().includes('right'));
       if (!config) {
         config = anglesToTrack.find(a => !a.id.toLowerCase().includes('left'));
       }
-      return config;
     }
-    return null;
+    // Personal thresholds (calibration) are the ones the rep logic uses
+    return config ? resolveAngleThresholds(selectedExercise, config) : null;
   }, [selectedExercise, displaySide]);
 
   const angle = angleConfigToShow && trackedAngles ? trackedAngles[angleConfigToShow.id] : null;
   const raw = angleConfigToShow && rawAngles ? rawAngles[angleConfigToShow.id] : null;
+  const angle2D = angleConfigToShow && angles2D ? angles2D[angleConfigToShow.id] : null;
+  const angle3D = angleConfigToShow && angles3D ? angles3D[angleConfigToShow.id] : null;
+  const angleMode = angleConfigToShow?.mode === '3d' ? '3d' : '2d';
 
   // Determine indicator color based on side
   const indicatorColor = displaySide === 'left' ? '#45a29e' : '#e84545';
@@ -98,6 +105,12 @@ const AngleDisplay = ({ selectedExercise, trackedAngles, rawAngles, smoothingEna
                   {angleConfigToShow.name || angleConfigToShow.id}:
                 </span>
                 <span style={{color: indicatorColor}}> {displayValue}°</span>
+                {/* Both variants side by side, the one driving rep counting in bold */}
+                <div style={{ fontSize: '12px', color: 'rgba(255, 255, 255, 0.7)' }}>
+                  <span style={{ fontWeight: angleMode === '2d' ? 700 : 400 }}>2D {angle2D != null ? `${angle2D}°` : '–'}</span>
+                  {' · '}
+                  <span style={{ fontWeight: angleMode === '3d' ? 700 : 400 }}>3D {angle3D != null ? `${angle3D}°` : '–'}</span>
+                </div>
               </div>
             )}
             {/* Add a placeholder if angle value is null but config is valid */}
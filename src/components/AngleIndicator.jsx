@@ -97,6 +97,19 @@ const AngleIndicator = ({
           </g>
         )}
         
+        {/* Personal thresholds from calibration */}
+        {angleConfig?.calibrated && angleConfig.showThresholds !== false && (
+          <text
+            x={effectiveSize / 2}
+            y={effectiveSize / 2 - 8}
+            fill="rgba(255, 255, 255, 0.7)"
+            fontSize="9px"
+            textAnchor="middle"
+          >
+            calibrated
+          </text>
+        )}
+
         {/* Indicator line - Conditionally render based on showIndicatorLine */}
         {showIndicatorLine && (
           <line 
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Paper, Group, Badge, Text, Table } from '@mantine/core';
+
+const METRIC_ROWS = [
+  { metric: 'repCount', label: 'Reps', format: (value) => value },
+  { metric: 'rom', label: 'ROM', format: (value) => `${value}°` },
+  { metric: 'peakAngle', label: 'Peak', format: (value) => `${value}°` },
+  { metric: 'tempo', label: 'Tempo', format: (value) => `${(value / 1000).toFixed(1)} s` },
+];
+
+/**
+ * Left/right comparison of a two-sided exercise (logic/sideAsymmetry): reps, range of motion, peak
+ * angle and tempo of each side with their asymmetry index.
+ * While a set is under way it compares the recent reps and lists the warnings; before the next set's
+ * first rep it shows the whole last set instead (the post-set comparison).
+ *
+ * @param {Object} props
+ * @param {import('../types/poseTypes.js').SideAsymmetry|null} props.asymmetry - Current set, from RepCounterContext
+ * @param {import('../types/poseTypes.js').SideAsymmetry|null} props.lastSetAsymmetry - Last finished set, from RepCounterContext
+ * @param {number} props.warningPercent - Index above which a metric of the last set is highlighted
+ * @param {Array<Object>} props.exercises - Exercise configs, to name the last set's exercise
+ */
+const AsymmetryDisplay = ({ asymmetry, lastSetAsymmetry, warningPercent, exercises }) => {
+  const setReps = asymmetry?.set.repCount;
+  const isSetUnderWay = !!setReps && setReps.left + setReps.right > 0;
+  const shown = isSetUnderWay ? asymmetry : lastSetAsymmetry;
+  if (!shown) return null;
+
+  const metrics = isSetUnderWay ? shown.live : shown.set;
+  const exerciseName = exercises.find(exercise => exercise.id === shown.exerciseId)?.name ?? shown.exerciseId;
+  // Live: the engine's warnings; last set: every metric past the warning threshold
+  const isBehind = (metric, side) => (isSetUnderWay
+    ? shown.warnings.some(warning => warning.metric === metric && warning.laggingSide === side)
+    : metrics[metric].laggingSide === side && metrics[metric].index > warningPercent);
+  const indexColor = (isSetUnderWay ? shown.warnings.length > 0 : metrics.index > warningPercent) ? 'red' : 'green';
+
+  return (
+    <div className="minimal-tracker-asymmetry">
+      <Paper>
+        <Group gap="xs" justify="space-between" wrap="nowrap">
+          <Text size="sm" fw={600}>{isSetUnderWay ? 'Left / right' : `Last set: ${exerciseName}`}</Text>
+          <Badge color={indexColor} variant="filled">Asymmetry {metrics.index}%</Badge>
+        </Group>
+        <Table withRowBorders={false} verticalSpacing={2} horizontalSpacing="xs" fz="xs" mt={4}>
+          <Table.Thead>
+            <Table.Tr>
+              <Table.Th />
+              <Table.Th>Left</Table.Th>
+              <Table.Th>Right</Table.Th>
+              <Table.Th>Index</Table.Th>
+            </Table.Tr>
+          </Table.Thead>
+          <Table.Tbody>
+            {METRIC_ROWS.filter(({ metric }) => metrics[metric]).map(({ metric, label, format }) => {
+              const comparison = metrics[metric];
+              return (
+                <Table.Tr key={metric}>
+                  <Table.Td>{label}</Table.Td>
+                  <Table.Td c={isBehind(metric, 'left') ? 'red' : undefined}>{format(comparison.left)}</Table.Td>
+                  <Table.Td c={isBehind(metric, 'right') ? 'red' : undefined}>{format(comparison.right)}</Table.Td>
+                  <Table.Td>{comparison.index}%</Table.Td>
+                </Table.Tr>
+              );
+            })}
+          </Table.Tbody>
+        </Table>
+        {isSetUnderWay && shown.warnings.map(warning => (
+          <Text key={warning.metric} size="xs" c="red" fw={500}>{warning.message}</Text>
+        ))}
+      </Paper>
+    </div>
+  );
+};
+
+export default AsymmetryDisplay;
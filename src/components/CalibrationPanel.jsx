@@ -0,0 +1,89 @@
+import React from 'react';
+import { Paper, Group, Badge, Text, Progress, Button } from '@mantine/core';
+import { MIN_CALIBRATION_REPS, MAX_CALIBRATION_REPS, getCalibrationAngles, resolveAngleThresholds } from '../logic/thresholdCalibration.js';
+
+/**
+ * Threshold calibration flow (hooks/useThresholdCalibration), shown in place of the tracking state:
+ * the reps recorded per calibrated angle while recording, then the proposed personal thresholds
+ * next to the exercise's own for the user to save or discard.
+ *
+ * @param {Object} props
+ * @param {Object} props.exercise - Exercise being calibrated, with its current threshold overrides
+ * @param {'recording'|'review'} props.status - Calibration step
+ * @param {Object<string, number>} props.repProgress - Reps recorded so far by angle id
+ * @param {Object|null} props.proposal - Proposed thresholds by angle id (review)
+ * @param {Function} props.onFinish - Ends recording early
+ * @param {Function} props.onSave - Saves the proposed thresholds
+ * @param {Function} props.onRestart - Records the reps again
+ * @param {Function} props.onCancel - Leaves calibration without saving
+ */
+const CalibrationPanel = ({ exercise, status, repProgress, proposal, onFinish, onSave, onRestart, onCancel }) => {
+  const angles = getCalibrationAngles(exercise);
+  const canFinish = angles.some(angleConfig => (repProgress[angleConfig.id] || 0) >= MIN_CALIBRATION_REPS);
+  const canSave = Object.values(proposal || {}).some(angleProposal => !angleProposal.error);
+
+  return (
+    <div className="minimal-tracker-calibration">
+      <Paper>
+        <Group gap="xs" wrap="nowrap">
+          <Badge color="grape" variant="filled">Calibration</Badge>
+          <Text size="sm">{exercise.name}</Text>
+        </Group>
+
+        {status === 'recording' && (
+          <>
+            <Text size="xs" c="dimmed" mt={4}>
+              Do {MIN_CALIBRATION_REPS}-{MAX_CALIBRATION_REPS} slow reps through your full comfortable range. Reps don't count while calibrating.
+            </Text>
+            {angles.map(angleConfig => (
+              <div key={angleConfig.id}>
+                <Text size="xs" mt={4}>
+                  {angleConfig.name || angleConfig.id}: {repProgress[angleConfig.id] || 0} reps
+                </Text>
+                <Progress value={Math.min((repProgress[angleConfig.id] || 0) / MAX_CALIBRATION_REPS, 1) * 100} color="grape" size="sm" />
+              </div>
+            ))}
+            <Group gap="xs" mt="xs">
+              <Button size="xs" onClick={onFinish} disabled={!canFinish}>Done</Button>
+              <Button size="xs" variant="subtle" onClick={onCancel}>Cancel</Button>
+            </Group>
+          </>
+        )}
+
+        {status === 'review' && (
+          <>
+            {angles.map(angleConfig => {
+              const angleProposal = proposal?.[angleConfig.id];
+              if (!angleProposal || angleProposal.error) {
+                return (
+                  <Text key={angleConfig.id} size="xs" c="red" mt={4}>
+                    {angleConfig.name || angleConfig.id}: {angleProposal?.error || 'no reps recorded'}, keeps its thresholds
+                  </Text>
+                );
+              }
+              const current = resolveAngleThresholds(exercise, angleConfig);
+              return (
+                <div key={angleConfig.id}>
+                  <Text size="xs" mt={4}>
+                    {angleConfig.name || angleConfig.id}: {angleProposal.minThreshold}°–{angleProposal.maxThreshold}°
+                    {' '}(now {current.minThreshold}°–{current.maxThreshold}°)
+                  </Text>
+                  <Text size="xs" c="dimmed">
+                    Your range: {angleProposal.peakAngle}° to {angleProposal.relaxedAngle}° over {angleProposal.repCount} reps
+                  </Text>
+                </div>
+              );
+            })}
+            <Group gap="xs" mt="xs">
+              <Button size="xs" onClick={onSave} disabled={!canSave}>Save</Button>
+              <Button size="xs" variant="default" onClick={onRestart}>Redo</Button>
+              <Button size="xs" variant="subtle" onClick={onCancel}>Cancel</Button>
+            </Group>
+          </>
+        )}
+      </Paper>
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Paper, Group, Badge, Text, Button } from '@mantine/core';
+
+/**
+ * Exercise recognition warning (logic/exerciseRecognition): shown while the movement has looked like
+ * another exercise than the expected one, with a button to switch to it where switching is allowed.
+ *
+ * @param {Object} props
+ * @param {import('../types/poseTypes.js').ExerciseRecognition|null} props.recognition - From usePoseTracker
+ * @param {Object|null} props.expectedExercise - Exercise the movement should match
+ * @param {Array<Object>} props.exercises - Exercise configs, to name the recognized one
+ * @param {Function|null} props.onSwitch - (exercise) => void, null where the exercise can't be changed (e.g. a running session)
+ */
+const ExerciseRecognitionDisplay = ({ recognition, expectedExercise, exercises, onSwitch }) => {
+  if (!recognition?.isMismatch || !expectedExercise) return null;
+  const recognized = exercises.find(exercise => exercise.id === recognition.bestMatch.exerciseId);
+  if (!recognized) return null;
+
+  return (
+    <div className="minimal-tracker-recognition">
+      <Paper>
+        <Group gap="xs" wrap="nowrap">
+          <Badge color="orange" variant="filled">Check exercise</Badge>
+          <Text size="sm">Looks like {recognized.name}, not {expectedExercise.name}</Text>
+        </Group>
+        {onSwitch && (
+          <Button size="xs" mt="xs" onClick={() => onSwitch(recognized)}>
+            Switch to {recognized.name}
+          </Button>
+        )}
+      </Paper>
+    </div>
+  );
+};
+
+export default ExerciseRecognitionDisplay;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Paper, Group, Badge, Text } from '@mantine/core';
+
+const FORM_SEVERITY_COLORS = {
+  info: 'blue',
+  warning: 'orange',
+  error: 'red',
+};
+
+/**
+ * Live form warnings: the exercise's formChecks (logic/formChecks) violated on the current frame,
+ * most severe first. The offending joints are highlighted on the canvas by VideoCanvas.
+ *
+ * @param {Object} props
+ * @param {import('../types/poseTypes.js').FormCheckState|null} props.formCheckState - From usePoseTracker
+ */
+const FormCheckDisplay = ({ formCheckState }) => {
+  const violations = formCheckState?.violations || [];
+  if (violations.length === 0) return null;
+
+  return (
+    <div className="minimal-tracker-form-checks">
+      <Paper>
+        {violations.map(violation => (
+          <Group key={violation.id} gap="xs" wrap="nowrap" mt={2}>
+            <Badge color={FORM_SEVERITY_COLORS[violation.severity]} variant="filled" size="sm">
+              {violation.severity}
+            </Badge>
+            <Text size="sm">{violation.message}</Text>
+          </Group>
+        ))}
+      </Paper>
+    </div>
+  );
+};
+
+export default FormCheckDisplay;
@@ -1,15 +1,18 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Text, Box, Stack } from '@mantine/core';
 import { glassStyle } from '../styles/uiStyles';
+import DiagnosticsPanel from './common/DiagnosticsPanel';
 
 /**
  * FpsCounter component displays the current frames per second
  * @param {Object} props Component props
  * @param {string} props.position Position (e.g., 'top-left', 'top-center', 'bottom-right')
  * @param {boolean} props.showDetails Show additional timing details
+ * @param {Object|null} props.diagnostics Diagnostics from usePoseTracker, shown with the details
+ * @param {Object|null} props.stats Stats from usePoseTracker; shows the worker's own inference and round-trip times
  * @returns {JSX.Element} FPS counter UI component
  */
-const FpsCounter = ({ position = 'bottom-left', showDetails = false }) => {
+const FpsCounter = ({ position = 'bottom-left', showDetails = false, diagnostics = null, stats = null }) => {
   const [fps, setFps] = useState(0);
   const [renderTime, setRenderTime] = useState(0);
   const [inferenceTime, setInferenceTime] = useState(0);
@@ -226,6 +229,11 @@ const FpsCounter = ({ position = 'bottom-left', showDetails = false }) => {
             <Text size="xs" c="dimmed">
               Inference time: {inferenceTime}ms
             </Text>
+            {diagnostics?.inferenceThread === 'worker' && stats && (
+              <Text size="xs" c="dimmed">
+                Worker: {stats.inferenceTime}ms inference / {stats.roundTripTime ?? '—'}ms round trip
+              </Text>
+            )}
             {window.performance && window.performance.memory && (
               <>
                 <Text size="xs" c="dimmed">
@@ -236,6 +244,7 @@ const FpsCounter = ({ position = 'bottom-left', showDetails = false }) => {
                 </Text>
               </>
             )}
+            <DiagnosticsPanel diagnostics={diagnostics} />
           </>
         )}
       </Stack>
@@ -2,6 +2,13 @@ import React, { useMemo, useEffect, useState } from 'react';
 import { LANDMARK_MAP } from '../logic/landmarkUtils';
 import { Paper } from '@mantine/core';
 
+// Angle-based exercises list their angles, position-based ones their positions
+const hasTrackedMetrics = (exercise) => {
+  const logicConfig = exercise?.logicConfig;
+  return (logicConfig?.type === 'angle' && Array.isArray(logicConfig.anglesToTrack)) ||
+    (logicConfig?.type === 'position' && Array.isArray(logicConfig.positionsToTrack));
+};
+
 const LandmarkMetricsDisplay2 = (props) => {
   // Use state to track the most recent valid landmarks - Keep these at the top
   const [lastValidSelectedExercise, setLastValidSelectedExercise] = useState(null);
@@ -9,10 +16,7 @@ const LandmarkMetricsDisplay2 = (props) => {
   
   // Update last valid selected exercise when available - Keep these hooks at the top
   useEffect(() => {
-    if (props.selectedExercise && 
-        props.selectedExercise.logicConfig && 
-        props.selectedExercise.logicConfig.type === 'angle' && 
-        Array.isArray(props.selectedExercise.logicConfig.anglesToTrack)) {
+    if (hasTrackedMetrics(props.selectedExercise)) {
       setLastValidSelectedExercise(props.selectedExercise);
     }
   }, [props.selectedExercise]);
@@ -37,10 +41,7 @@ const LandmarkMetricsDisplay2 = (props) => {
 
     // Only proceed with landmark name derivation if we have a valid exercise config
     // This logic is inside the useMemo, so the hook is always called, but the expensive computation is conditional
-    if (selectedExercise && 
-        selectedExercise.logicConfig?.type === 'angle' && 
-        Array.isArray(selectedExercise.logicConfig.anglesToTrack) &&
-        selectedExercise.landmarks) {
+    if (hasTrackedMetrics(selectedExercise) && selectedExercise.landmarks) {
 
         if (selectedExercise.isTwoSided && selectedExercise.landmarks[sideForFiltering]) {
             const sideLmarks = selectedExercise.landmarks[sideForFiltering];
@@ -93,6 +94,14 @@ const LandmarkMetricsDisplay2 = (props) => {
         }
     }
 
+    // Position-based exercises are single-sided: all their points belong to the left display
+    if (selectedExercise?.logicConfig?.type === 'position' && displaySide === 'left' &&
+        Array.isArray(selectedExercise.logicConfig.positionsToTrack)) {
+        for (const positionConfig of selectedExercise.logicConfig.positionsToTrack) {
+            prim.push(...positionConfig.points);
+        }
+    }
+
     return { primaryLandmarkNames: [...new Set(prim)], secondaryLandmarkNames: [...new Set(sec)] };
   }, [selectedExercise, displaySide]); // Dependencies for the memoization
 
@@ -139,9 +148,7 @@ const LandmarkMetricsDisplay2 = (props) => {
   };
 
   // Determine if we have enough data AND it's the correct side for a single-sided exercise
-  const shouldRenderLandmarkLists = selectedExercise && 
-                                  selectedExercise.logicConfig?.type === 'angle' && 
-                                  Array.isArray(selectedExercise.logicConfig.anglesToTrack) &&
+  const shouldRenderLandmarkLists = hasTrackedMetrics(selectedExercise) &&
                                   landmarksData &&
                                   (selectedExercise.isTwoSided || displaySide === 'left' || 
                                    (displaySide === 'right' && selectedExercise.connections?.right?.length > 0));
@@ -197,7 +204,7 @@ const LandmarkMetricsDisplay2 = (props) => {
         ) : (
           // Render placeholder if not enough data or incorrect side for a single-sided exercise
           <div style={{ fontSize: '12px', color: 'rgba(255, 255, 255, 0.5)', textAlign: 'center', padding: '20px 0' }}>
-            {!selectedExercise || selectedExercise.logicConfig?.type !== 'angle' || !Array.isArray(selectedExercise.logicConfig.anglesToTrack)
+            {!hasTrackedMetrics(selectedExercise)
               ? 'Waiting for exercise configuration...'
               : !landmarksData
                 ? 'Waiting for landmark data...'
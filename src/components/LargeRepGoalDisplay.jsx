@@ -11,8 +11,11 @@ import { Text, RingProgress, Paper, Group, Stack, Box } from '@mantine/core';
  * @param {number} props.goalReps - Target repetition goal
  * @param {string} props.side - Optional side identifier ('left' or 'right')
  * @param {boolean} props.showCompleted - Show the display in "completed" mode
+ * @param {number} props.partialReps - Partial reps (short of the full range of motion), shown under the count
+ * @param {string} props.unit - Optional unit appended to the count and goal (e.g. 's' for seconds held)
+ * @param {string} props.detail - Optional line under the goal (e.g. the per-side counts of a combined count)
  */
-const LargeRepGoalDisplay = ({ currentReps = 0, goalReps = 10, side = null, showCompleted = false }) => {
+const LargeRepGoalDisplay = ({ currentReps = 0, goalReps = 10, side = null, showCompleted = false, partialReps = 0, unit = null, detail = null }) => {
   // Calculate target progress percentage
   const targetProgress = goalReps > 0 ? Math.min(100, (currentReps / goalReps) * 100) : 0;
   
@@ -102,9 +105,16 @@ const LargeRepGoalDisplay = ({ currentReps = 0, goalReps = 10, side = null, show
           roundCaps
           sections={[{ value: animatedProgress, color: getColor() }]}
           label={
-            <Text c="white" ta="center" size="h1">
-              {currentReps}
-            </Text>
+            <>
+              <Text c="white" ta="center" size="h1">
+                {currentReps}{unit}
+              </Text>
+              {partialReps > 0 && (
+                <Text c="#ffaa55" ta="center" size="xs" sx={{ lineHeight: 1, userSelect: 'none' }}>
+                  +{partialReps} partial
+                </Text>
+              )}
+            </>
           }
         />
         
@@ -114,8 +124,13 @@ const LargeRepGoalDisplay = ({ currentReps = 0, goalReps = 10, side = null, show
             {showCompleted ? 'DONE' : 'GOAL'}
           </Text>
           <Text c="white" ta="center" size="h1">
-            {goalReps}
+            {goalReps}{unit}
           </Text>
+          {detail && (
+            <Text c="white" ta="center" size="xs" sx={{ lineHeight: 1, userSelect: 'none' }}>
+              {detail}
+            </Text>
+          )}
           
           {/* Show complete indicator if goal reached or in completed mode */}
           {(targetProgress >= 100 || showCompleted) && (
@@ -6,6 +6,13 @@ import { useSessionLogic } from '../hooks/useSessionLogic'; // Timed session hoo
 import { useLadderSessionLogic } from '../hooks/useLadderSessionLogic'; // New ladder session hook
 import VideoCanvas, { setupCamera, waitForVideoReady } from './VideoCanvas'; // setupCamera, waitForVideoReady are used by the hook if not moved
 import AngleDisplay from './AngleDisplay';
+import PositionDisplay from './PositionDisplay';
+import TrackingStateDisplay from './TrackingStateDisplay';
+import FormCheckDisplay from './FormCheckDisplay';
+import CalibrationPanel from './CalibrationPanel';
+import ExerciseRecognitionDisplay from './ExerciseRecognitionDisplay';
+import RepQualityDisplay from './RepQualityDisplay';
+import AsymmetryDisplay from './AsymmetryDisplay';
 import PhaseTrackerDisplay from './PhaseTrackerDisplay';
 import LandmarkMetricsDisplay2 from './LandmarkMetricsDisplay2';
 import StartButton from './common/StartButton';
@@ -13,18 +20,25 @@ import LoadingDisplay from './common/LoadingDisplay';
 import ErrorDisplay from './common/ErrorDisplay';
 import TrackerControlsBar from './common/TrackerControlsBar';
 import BottomControls from './common/BottomControls';
-import { ActionIcon, Text, Group, Modal } from '@mantine/core';
+import { ActionIcon, Text, Group, Modal, FileButton } from '@mantine/core';
 import { Gear } from '@phosphor-icons/react';
 import { RulerIcon } from '@phosphor-icons/react';
 import { ChartBar } from '@phosphor-icons/react';
+import { FilmStrip } from '@phosphor-icons/react';
 import FpsDisplay from './common/FpsDisplay'; // Import FpsDisplay
+import VideoFileControls, { VIDEO_FILE_ACCEPT } from './common/VideoFileControls';
 import SettingsOverlay from './SettingsOverlay';
 import { RepCounterProvider, useRepCounter } from './RepCounterContext';
 import RepGoalDisplayContainer from './RepGoalDisplayContainer';
+import RaceView from './RaceView';
 import { usePoseTracker } from '../hooks/usePoseTracker'; // Import the new hook
+import { useCameraDevices } from '../hooks/useCameraDevices';
 import WorkoutBuilder from './WorkoutBuilder'; // Import the new workout builder component
 import useCircuitSessionLogic from '../hooks/useCircuitSessionLogic'; // Import the circuit session hook
 import SessionCompletionModal from './common/SessionCompletionModal'; // Import SessionCompletionModal
+import { DEFAULT_HOLD_GOAL_SECONDS } from '../logic/holdLogic.js';
+import { withThresholdOverrides, getCalibrationAngles } from '../logic/thresholdCalibration.js';
+import { useThresholdCalibration } from '../hooks/useThresholdCalibration';
 
 // Create a memoized selector for Z-depth data to avoid calculations when not visible
 const useZDepthData = (landmarksData, showZDepthDisplay) => {
@@ -229,6 +243,13 @@ const MinimalTrackerContent = () => {
 
   // Refs for selectedExercise (still needed here for UI logic)
   const selectedExerciseRef = useRef(); // selectedExerciseRef will be updated by selectedExercise state
+  // Rep pipeline refs: counting gate read by the pose processor, and the counts already published to the context
+  const isRepCountingAllowedRef = useRef(true);
+  // Exercise recognition refs: the exercises the movement is compared against and the one it should match
+  const recognizableExercisesRef = useRef(exerciseOptions);
+  const expectedExerciseRef = useRef(null);
+  const syncedRepCountsRef = useRef({});
+  const staleRepOutputRef = useRef(null);
 
   // State that remains in MinimalTrackerContent
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
@@ -278,20 +299,32 @@ const MinimalTrackerContent = () => {
   // Add state for showing/hiding the tracker controls
   const [showControls, setShowControls] = useState(true);
   
-  // Update selectedExerciseRef whenever selectedExercise changes
+  // Personal thresholds of the active profile (threshold calibration)
+  const calibration = useThresholdCalibration(selectedExercise, appSettings.calibrationProfile);
+  const { calibrations } = calibration;
+
+  // Update selectedExerciseRef whenever selectedExercise or its personal thresholds change
   useEffect(() => {
-    selectedExerciseRef.current = selectedExercise;
-  }, [selectedExercise]);
+    selectedExerciseRef.current = withThresholdOverrides(selectedExercise, calibrations[selectedExercise?.id]?.thresholds);
+  }, [selectedExercise, calibrations]);
 
   // Access the rep counter functionality
-  const { repCount, resetRepCounts } = useRepCounter();
+  const {
+    repCount, holdSeconds, repAttempts, asymmetry, lastSetAsymmetry,
+    resetRepCounts, updateRepCount, updatePartialRepCount, updateHoldSeconds, addRepAttempt, updateAsymmetry, resetToken,
+  } = useRepCounter();
   const repCountRef = useRef(repCount); // Create a ref to track the current rep count
+  const holdSecondsRef = useRef(holdSeconds);
 
-  // Update the ref whenever repCount changes
+  // Update the refs whenever repCount or holdSeconds changes
   useEffect(() => {
     repCountRef.current = repCount;
   }, [repCount]);
 
+  useEffect(() => {
+    holdSecondsRef.current = holdSeconds;
+  }, [holdSeconds]);
+
   // Initialize the structured workout logic
   const {
     initializeWorkout,
@@ -308,6 +341,11 @@ const MinimalTrackerContent = () => {
   // Current exercise details from circuit workout
   const [circuitSessionDetails, setCircuitSessionDetails] = useState(null);
   
+  // A requested model that fails to load is replaced by the previous one; the settings follow
+  const handleModelRestored = useCallback((model, maxPeople) => {
+    updateAppSettings({ poseModel: model, maxPeople });
+  }, [updateAppSettings]);
+
   // Use the new Pose Tracker Hook
   const {
     videoRef,
@@ -319,35 +357,61 @@ const MinimalTrackerContent = () => {
     landmarksData,
     trackedAngles,
     rawAngles,
+    angles2D,
+    angles3D,
+    trackedPositions,
     stats,
+    diagnostics,
+    repState,
+    resetRepState,
+    trackingState,
+    formCheckState,
+    recognition,
+    modelStats,
+    resetModelStats,
+    isSwappingModel,
+    sourceType,
+    videoFileName,
+    cameraInfo,
+    people,
     startTracking,
     canvasDimensions,
-    angleHistoryRef, // Passed from hook
-    ANGLE_SMOOTHING_WINDOW, // Passed from hook
     // Stationary tracking values from usePoseTracker
     stabilityState, 
     averageStationaryLandmarks,
-  } = usePoseTracker(selectedExerciseRef, appSettings);
+  } = usePoseTracker(selectedExerciseRef, appSettings, { isRepCountingAllowedRef, recognizableExercisesRef, expectedExerciseRef, onModelRestored: handleModelRestored });
+
+  // More than one person switches the side stacks for the race view
+  const isMultiPerson = appSettings.maxPeople > 1;
+
+  const { cameras } = useCameraDevices(cameraStarted);
+
+  // Forget a saved camera once it is no longer connected (usePoseTracker already reopened the default one)
+  useEffect(() => {
+    if (appSettings.cameraDeviceId && cameras.length > 0 && !cameras.some(camera => camera.deviceId === appSettings.cameraDeviceId)) {
+      console.warn('[MinimalTracker] Selected camera is no longer connected, using the default camera');
+      updateAppSettings({ cameraDeviceId: null });
+    }
+  }, [cameras, appSettings.cameraDeviceId, updateAppSettings]);
 
   // Calculate Z-depth data only when display is visible
   const zDepthData = useZDepthData(landmarksData, showZDepthDisplay);
 
-  // Determine if rep counting should be active based on stationary tracking state
-  const isRepCountingAllowed = useMemo(() => 
-    appSettings.enableStationaryTracking ? stabilityState === 'stable' : true,
-    [appSettings.enableStationaryTracking, stabilityState]
-  );
-
   // Functions for settings updates
-  const toggleSmoothingAndUpdateSettings = useCallback(() => {
+  // The pose processor rebuilds its landmark filters when these settings change
+  const handleLandmarkFilterChange = useCallback((value) => {
+    updateAppSettings({ landmarkFilter: value });
+  }, [updateAppSettings]);
+
+  const handleLandmarkFilterParamChange = useCallback((filterType, paramName, value) => {
     updateAppSettings(prev => ({
       ...prev,
-      isSmoothingEnabled: !prev.isSmoothingEnabled
+      landmarkFilterParams: {
+        ...prev.landmarkFilterParams,
+        [filterType]: { ...prev.landmarkFilterParams?.[filterType], [paramName]: value },
+      },
     }));
-    if (angleHistoryRef && angleHistoryRef.current) {
-      angleHistoryRef.current = {};
-    }
-  }, [updateAppSettings, angleHistoryRef]);
+  }, [updateAppSettings]);
 
   const togglePhaseModeAndUpdateSettings = useCallback((checked) => {
     const newValue = checked !== undefined ? checked : !appSettings.useThreePhases;
@@ -388,6 +452,28 @@ const MinimalTrackerContent = () => {
     updateAppSettings({ connectionHighlightColor: color });
   }, [updateAppSettings]);
 
+  const handleRequireStartPositionChange = useCallback((checked) => {
+    updateAppSettings({ requireStartPosition: checked });
+  }, [updateAppSettings]);
+
+  // Exercise recognition settings handlers
+  const handleEnableExerciseRecognitionChange = useCallback((checked) => {
+    updateAppSettings({ enableExerciseRecognition: checked });
+  }, [updateAppSettings]);
+
+  const handleAutoSelectRecognizedExerciseChange = useCallback((checked) => {
+    updateAppSettings({ autoSelectRecognizedExercise: checked });
+  }, [updateAppSettings]);
+
+  // Left/right asymmetry settings handlers
+  const handleShowAsymmetryChange = useCallback((checked) => {
+    updateAppSettings({ showAsymmetry: checked });
+  }, [updateAppSettings]);
+
+  const handleAsymmetryWarningPercentChange = useCallback((value) => {
+    updateAppSettings({ asymmetryWarningPercent: Number(value) });
+  }, [updateAppSettings]);
+
   // Stationary tracking settings handlers
   const handleEnableStationaryTrackingChange = useCallback((checked) => {
     updateAppSettings({ enableStationaryTracking: checked });
@@ -405,6 +491,31 @@ const MinimalTrackerContent = () => {
     updateAppSettings({ stationaryHoldDurationMs: Number(value) });
   }, [updateAppSettings]);
 
+  const handlePoseModelChange = useCallback((value) => {
+    updateAppSettings({ poseModel: value });
+  }, [updateAppSettings]);
+
+  const handleMaxPeopleChange = useCallback((value) => {
+    updateAppSettings({ maxPeople: Number(value) });
+    resetRepCounts();
+  }, [updateAppSettings, resetRepCounts]);
+
+  const handleCalibrationProfileChange = useCallback((profile) => {
+    updateAppSettings({ calibrationProfile: profile });
+  }, [updateAppSettings]);
+
+  const handleCameraDeviceChange = useCallback((deviceId) => {
+    updateAppSettings({ cameraDeviceId: deviceId || null });
+  }, [updateAppSettings]);
+
+  const handleCameraResolutionChange = useCallback((value) => {
+    updateAppSettings({ cameraResolution: value });
+  }, [updateAppSettings]);
+
+  const handleCameraFrameRateChange = useCallback((value) => {
+    updateAppSettings({ cameraFrameRate: Number(value) });
+  }, [updateAppSettings]);
+
   const handleWeightChange = useCallback((newWeight) => {
     setWeight(newWeight);
     updateAppSettings({ selectedWeights: newWeight });
@@ -494,6 +605,65 @@ const MinimalTrackerContent = () => {
     workoutMode === 'session' ? timedSessionPhase : 
     workoutMode === 'ladder' ? ladderSessionPhase : 'idle',
   [workoutMode, timedSessionPhase, ladderSessionPhase]);
+
+  // Read by the pose processor every frame: no reps count during a rest period or while calibrating
+  isRepCountingAllowedRef.current = sessionPhase !== 'resting' && !calibration.isCalibrating;
+
+  // Only a manual workout switches exercises on recognition; sessions prompt their own
+  const canSwitchToRecognizedExercise = workoutMode === 'manual' && !calibration.isCalibrating;
+
+  useEffect(() => {
+    if (!appSettings.autoSelectRecognizedExercise || !canSwitchToRecognizedExercise || !recognition?.isMismatch) return;
+    const recognizedExercise = exerciseOptions.find(ex => ex.id === recognition.bestMatch.exerciseId);
+    if (recognizedExercise && recognizedExercise.id !== selectedExercise?.id) {
+      console.log(`[MinimalTracker] Switching to recognized exercise: ${recognizedExercise.name}`);
+      handleExerciseChange(recognizedExercise);
+    }
+  }, [recognition, appSettings.autoSelectRecognizedExercise, canSwitchToRecognizedExercise, selectedExercise, handleExerciseChange]);
+
+  // The rep pipeline restarts from zero whenever the counts are reset. The output rendered
+  // alongside the reset still holds the old counts, so it must not be published again.
+  useEffect(() => {
+    resetRepState();
+    syncedRepCountsRef.current = {};
+    staleRepOutputRef.current = isMultiPerson ? people : repState;
+  }, [resetToken, resetRepState]);
+
+  // Publish the pipeline's rep and partial rep counts, whole seconds held, scored rep attempts and
+  // left/right comparison to RepCounterContext (per person in multi-person mode)
+  useEffect(() => {
+    if ((isMultiPerson ? people : repState) === staleRepOutputRef.current) return;
+    const syncCounts = (key, counts, personId, update) => {
+      const synced = syncedRepCountsRef.current[key] || {};
+      for (const [side, count] of Object.entries(counts)) {
+        if (count !== (synced[side] ?? 0)) {
+          update(side, count, personId);
+        }
+      }
+      syncedRepCountsRef.current[key] = counts;
+    };
+    const syncRepState = (key, state, personId) => {
+      syncCounts(key, state.repCounts, personId, updateRepCount);
+      syncCounts(`${key}-partial`, state.partialRepCounts, personId, updatePartialRepCount);
+      const seconds = Object.fromEntries(Object.entries(state.holdTimes || {}).map(([side, ms]) => [side, Math.floor(ms / 1000)]));
+      syncCounts(`${key}-hold`, seconds, personId, updateHoldSeconds);
+      // Attempts are told apart by the frame they ended in
+      const attemptTimes = Object.fromEntries(Object.entries(state.quality || {})
+        .map(([side, sideQuality]) => [side, sideQuality.lastAttempt?.timestamp ?? 0]));
+      syncCounts(`${key}-attempt`, attemptTimes, personId, (side) => addRepAttempt(side, state.quality[side].lastAttempt, personId));
+      // The comparison only changes when a side's reps do
+      const asymmetryKey = `${key}-asymmetry`;
+      if ((state.asymmetry ?? null) !== (syncedRepCountsRef.current[asymmetryKey] ?? null)) {
+        updateAsymmetry(state.asymmetry ?? null, personId);
+        syncedRepCountsRef.current[asymmetryKey] = state.asymmetry ?? null;
+      }
+    };
+    if (isMultiPerson) {
+      people.forEach(person => person.repState && syncRepState(`person-${person.id}`, person.repState, person.id));
+    } else if (repState) {
+      syncRepState('primary', repState, null);
+    }
+  }, [repState, people, isMultiPerson, updateRepCount, updatePartialRepCount, updateHoldSeconds, addRepAttempt, updateAsymmetry]);
   
   const currentTimerValue = useMemo(() => 
     workoutMode === 'session' ? timedSessionTimerValue : 
@@ -521,10 +691,6 @@ const MinimalTrackerContent = () => {
           if (result.success) {
             if (result.initialExerciseDetails) {
               // Reset data using initialExerciseDetails directly
-              if (angleHistoryRef && angleHistoryRef.current) {
-                console.log('[MinimalTracker] Resetting angle history for circuit restart');
-                angleHistoryRef.current = {}; // Reset angle history to avoid lingering data
-              }
               console.log('[MinimalTracker] Setting initial exercise details:', result.initialExerciseDetails);
               setCircuitSessionDetails(result.initialExerciseDetails);
               resetRepCounts();
@@ -541,10 +707,6 @@ const MinimalTrackerContent = () => {
           if (result.success) {
             if (result.initialExerciseDetails) {
               // Reset data using initialExerciseDetails directly
-              if (angleHistoryRef && angleHistoryRef.current) {
-                console.log('[MinimalTracker] Resetting angle history for circuit start');
-                angleHistoryRef.current = {}; // Reset angle history to avoid lingering data
-              }
               console.log('[MinimalTracker] Setting initial exercise details:', result.initialExerciseDetails);
               setCircuitSessionDetails(result.initialExerciseDetails);
               resetRepCounts();
@@ -574,7 +736,6 @@ const MinimalTrackerContent = () => {
     handleToggleLadderSession, 
     toggleWorkout, 
     getCurrentExerciseDetails, 
-    angleHistoryRef,
     resetRepCounts,
     setCircuitSessionDetails,
     isWorkoutComplete,
@@ -597,11 +758,15 @@ const MinimalTrackerContent = () => {
       // Find the exercise object from the ID in circuitSessionDetails
       const exerciseId = circuitSessionDetails.exerciseId;
       const exerciseObj = Object.values(exercises).find(ex => ex.id === exerciseId);
+      // A tempo prescribed on the set replaces the exercise's own
+      const circuitExercise = exerciseObj && circuitSessionDetails.tempo
+        ? { ...exerciseObj, tempo: circuitSessionDetails.tempo }
+        : exerciseObj;
       
       // Only update if we found the exercise and it's different from current
-      if (exerciseObj && selectedExercise?.id !== exerciseId) {
-        console.log(`[MinimalTracker] Updating selected exercise to match circuit: ${exerciseObj.name}`);
-        setSelectedExercise(exerciseObj);
+      if (circuitExercise && (selectedExercise?.id !== exerciseId || selectedExercise?.tempo !== circuitExercise.tempo)) {
+        console.log(`[MinimalTracker] Updating selected exercise to match circuit: ${circuitExercise.name}`);
+        setSelectedExercise(circuitExercise);
         // Don't need to call resetRepCounts here as the circuit workout has its own counter
       }
     }
@@ -752,16 +917,26 @@ const MinimalTrackerContent = () => {
       // Use the ref to get the current rep count
       const currentRepCount = repCountRef.current;
       
-      // Determine if rep goal was met (using the larger count for two-sided exercises)
-      const effectiveCount = Math.max(
-        currentRepCount.left || 0,
-        currentRepCount.right || 0
-      );
+      // Determine if rep goal was met (using the larger count for two-sided exercises, or both
+      // sides together when the set targets total reps)
+      const effectiveCount = currentDetails.targetRepsMode === 'total'
+        ? (currentRepCount.left || 0) + (currentRepCount.right || 0)
+        : Math.max(
+          currentRepCount.left || 0,
+          currentRepCount.right || 0
+        );
       
-      console.log(`[MinimalTracker] Completed set "${currentDetails.exerciseName}" with ${effectiveCount} reps (target: ${currentDetails.targetReps})`);
-      
-      // Advance to the next set with the completed reps count
-      const result = advanceToNextSet(effectiveCount);
+      let result;
+      if (currentDetails.targetHoldSeconds != null) {
+        // Hold sets add no reps to the workout total
+        const heldSeconds = Math.max(holdSecondsRef.current.left || 0, holdSecondsRef.current.right || 0);
+        console.log(`[MinimalTracker] Completed set "${currentDetails.exerciseName}" with a ${heldSeconds} s hold (target: ${currentDetails.targetHoldSeconds} s)`);
+        result = advanceToNextSet(0);
+      } else {
+        console.log(`[MinimalTracker] Completed set "${currentDetails.exerciseName}" with ${effectiveCount} reps (target: ${currentDetails.targetReps}, ${currentDetails.targetRepsMode})`);
+        // Advance to the next set with the completed reps count
+        result = advanceToNextSet(effectiveCount);
+      }
       console.log(`[MinimalTracker] advanceToNextSet result:`, result);
       
       // Reset rep counts after advancing to avoid counting reps from previous set
@@ -779,12 +954,7 @@ const MinimalTrackerContent = () => {
             overallSetNumber: newDetails.overallSetNumber,
             overallTotalSets: newDetails.overallTotalSets
           });
-          
-          // Check if exercise has changed and clear angle history if needed
-          if (newDetails.exerciseId !== currentDetails.exerciseId && angleHistoryRef && angleHistoryRef.current) {
-            console.log(`[MinimalTracker] Clearing angle history for exercise change from ${currentDetails.exerciseName} to ${newDetails.exerciseName}`);
-            angleHistoryRef.current = {}; // Reset angle history to avoid lingering data
-          }
+
           
           // Update the UI with the new exercise details
           setCircuitSessionDetails(newDetails);
@@ -827,7 +997,6 @@ const MinimalTrackerContent = () => {
     getCurrentExerciseDetails, 
     advanceToNextSet, 
     resetRepCounts, 
-    angleHistoryRef, 
     setCircuitSessionDetails,
     setCircuitStats,
     setShowCircuitCompletionModal,
@@ -845,43 +1014,84 @@ const MinimalTrackerContent = () => {
     startTracking();
   };
 
+  // Switch between a recorded video file and the live webcam. Reps counted on one source
+  // don't belong to the other, so the counters start fresh.
+  const handleVideoFileSelect = useCallback((file) => {
+    resetRepCounts();
+    startTracking({ videoFile: file });
+  }, [resetRepCounts, startTracking]);
+
+  const handleUseCamera = useCallback(() => {
+    resetRepCounts();
+    startTracking();
+  }, [resetRepCounts, startTracking]);
+
 
-  // Reset rep goal to 10 when exercise changes, or update based on circuit session
+  // Reset rep goal to 10 when exercise changes, or update based on circuit session.
+  // For hold exercises the goal is in seconds held.
   useEffect(() => {
+    const isHoldExercise = selectedExercise?.logicConfig?.type === 'hold';
     if (workoutMode === 'circuit' && circuitSessionDetails) {
       // Set rep goal from circuit session details
-      setRepGoal(circuitSessionDetails.targetReps);
+      setRepGoal(circuitSessionDetails.targetHoldSeconds ?? circuitSessionDetails.targetReps);
       
       // Update weight if applicable
       if (circuitSessionDetails.weight !== null) {
         setWeight(circuitSessionDetails.weight);
       }
+    } else if (isHoldExercise) {
+      setRepGoal(workoutMode === 'session'
+        ? (sessionSettings?.holdGoalSeconds ?? DEFAULT_HOLD_GOAL_SECONDS)
+        : DEFAULT_HOLD_GOAL_SECONDS);
     } else {
       // Default rep goal
       setRepGoal(10);
     }
-  }, [selectedExercise, workoutMode, circuitSessionDetails]); // Dependencies updated
+  }, [selectedExercise, workoutMode, circuitSessionDetails, sessionSettings?.holdGoalSeconds]); // Dependencies updated
 
   const getActiveExercise = useMemo(() => {
+    let activeExercise = selectedExercise;
     if (workoutMode === 'ladder' && isLadderSessionActive && ladderSessionCurrentExercise) {
-      return ladderSessionCurrentExercise;
+      activeExercise = ladderSessionCurrentExercise;
     } else if (workoutMode === 'circuit' && isCircuitSessionActive && circuitSessionDetails) {
       // Find the exercise by ID from the circuit session details
       const exerciseId = circuitSessionDetails.exerciseId;
       const circuitExercise = Object.values(exercises).find(ex => ex.id === exerciseId);
-      return circuitExercise || selectedExercise;
-    } else {
-      return selectedExercise;
+      if (circuitExercise && circuitSessionDetails.tempo) {
+        activeExercise = { ...circuitExercise, tempo: circuitSessionDetails.tempo };
+      } else {
+        activeExercise = circuitExercise || selectedExercise;
+      }
     }
+    // The displays show the personal thresholds the rep logic uses
+    return withThresholdOverrides(activeExercise, calibrations[activeExercise?.id]?.thresholds);
   }, [
     workoutMode, 
     isLadderSessionActive, 
     ladderSessionCurrentExercise, 
     isCircuitSessionActive,
     circuitSessionDetails,
-    selectedExercise
+    selectedExercise,
+    calibrations
   ]);
 
+  // Read by the pose processor: a timed session (with random exercises) prompts its own exercise
+  expectedExerciseRef.current = workoutMode === 'session' && isTimedSessionActive && timedSessionCurrentExercise
+    ? timedSessionCurrentExercise
+    : getActiveExercise;
+
+  // Calibration records the rep counter angles of every frame
+  useEffect(() => {
+    if (calibration.status === 'recording') {
+      calibration.addSample(trackedAngles);
+    }
+  }, [trackedAngles, calibration.status, calibration.addSample]);
+
+  const handleStartCalibration = useCallback(() => {
+    setIsSettingsOpen(false);
+    calibration.start();
+  }, [calibration.start]);
+
   // Handler to receive visibility updates from PhaseTrackerDisplay
   const handleVisibilityDataUpdate = useCallback((side, data) => {
     if (!data) return; // Skip if no data
@@ -917,8 +1127,7 @@ const MinimalTrackerContent = () => {
     cameraStarted: cameraStarted && !isLoading && !errorMessage,
     stats,
     landmarksData,
-    smoothingEnabled: appSettings.isSmoothingEnabled,
-    smoothingWindow: ANGLE_SMOOTHING_WINDOW,
+    landmarkFilter: appSettings.landmarkFilter,
     exerciseOptions,
     selectedExercise,
     onExerciseChange: handleExerciseChange,
@@ -1005,6 +1214,7 @@ const MinimalTrackerContent = () => {
     errorMessage, // Use hook's errorMessage
     repGoal,
     setRepGoal,
+    goalUnit: selectedExercise?.logicConfig?.type === 'hold' ? 'seconds' : 'reps',
     selectedExercise, // Use component's selectedExercise state for display/logic here
     weight,
     onWeightChange: handleWeightChange,
@@ -1041,8 +1251,20 @@ const MinimalTrackerContent = () => {
             <FpsDisplay 
               fps={stats.fps} 
               inferenceTime={stats.inferenceTime} 
+              diagnostics={diagnostics}
             />
 
+            {/* Analyze a recorded video file */}
+            {sourceType === 'webcam' && (
+              <FileButton onChange={(file) => file && handleVideoFileSelect(file)} accept={VIDEO_FILE_ACCEPT}>
+                {(props) => (
+                  <ActionIcon {...props} variant="filled" color="gray" size="lg" title="Analyze video file">
+                    <FilmStrip size={24} />
+                  </ActionIcon>
+                )}
+              </FileButton>
+            )}
+
             {/* Settings button */}
             <ActionIcon
               variant="filled"
@@ -1094,8 +1316,7 @@ const MinimalTrackerContent = () => {
         stats={stats}
         landmarksData={landmarksData}
         cameraStarted={cameraStarted}
-        smoothingEnabled={appSettings.isSmoothingEnabled}
-        smoothingWindow={ANGLE_SMOOTHING_WINDOW}
+        landmarkFilter={appSettings.landmarkFilter}
         exerciseOptions={exerciseOptions}
         selectedExercise={selectedExercise}
         onExerciseChange={handleExerciseChange}
@@ -1147,7 +1368,7 @@ const MinimalTrackerContent = () => {
       }
       
       {!cameraStarted && !errorMessage && (
-        <StartButton onClick={handleStartCamera} />
+        <StartButton onClick={handleStartCamera} onVideoFileSelect={handleVideoFileSelect} />
       )}
 
       <div className="video-canvas-container" style={{ 
@@ -1161,15 +1382,19 @@ const MinimalTrackerContent = () => {
           videoRef={videoRef} // From hook
           canvasRef={canvasRef} // From hook
           landmarks={landmarksData} // From hook
+          people={isMultiPerson ? people : null} // From hook
           width={canvasDimensions.width} // From hook
           height={canvasDimensions.height} // From hook
           cameraStarted={cameraStarted} // From hook
+          mirror={sourceType === 'webcam'}
           feedOpacity={appSettings.cameraOpacity / 100}
           minVisibilityForConnection={appSettings.minimumVisibilityThreshold / 100}
           overrideConnectionVisibility={appSettings.alwaysShowConnections}
           highlightExerciseConnections={appSettings.highlightExerciseConnections}
           connectionHighlightColor={appSettings.connectionHighlightColor}
           selectedExercise={getActiveExercise}
+          trackedPositions={trackedPositions}
+          formViolations={formCheckState?.violations}
           // Stationary landmark visualization props
           enableStationaryTracking={appSettings.enableStationaryTracking}
           stationaryDeviationThreshold={appSettings.stationaryDeviationThreshold}
@@ -1178,10 +1403,23 @@ const MinimalTrackerContent = () => {
           stationaryLandmarksConfiguration={getActiveExercise?.stationaryLandmarks}
         />
         
-                  {cameraStarted && !isLoading && !errorMessage && (
+        {cameraStarted && !isLoading && !errorMessage && sourceType === 'file' && (
+          <VideoFileControls
+            videoRef={videoRef}
+            fileName={videoFileName}
+            onOpenFile={handleVideoFileSelect}
+            onUseCamera={handleUseCamera}
+          />
+        )}
+
+                  {cameraStarted && !isLoading && !errorMessage && !isMultiPerson && (
           <RepGoalDisplayContainer 
             repGoal={repGoal}
             isTwoSided={getActiveExercise.isTwoSided} // Use getActiveExercise
+            isHold={getActiveExercise.logicConfig?.type === 'hold'}
+            goalMode={workoutMode === 'circuit' && circuitSessionDetails
+              ? circuitSessionDetails.targetRepsMode
+              : getActiveExercise.alternating ? 'total' : 'perSide'}
             ladderReps={workoutMode === 'ladder' && isLadderSessionActive ? currentReps : null}
             sessionPhase={sessionPhase}
             nextLadderReps={workoutMode === 'ladder' && sessionPhase === 'resting' ? calculateNextReps() : null}
@@ -1197,8 +1435,57 @@ const MinimalTrackerContent = () => {
         )}
         
         <div className="minimal-tracker-overlay">
+          {!isMultiPerson && cameraStarted && !isLoading && !errorMessage && !calibration.isCalibrating && (
+            <TrackingStateDisplay trackingState={trackingState} selectedExercise={getActiveExercise} />
+          )}
+          {!isMultiPerson && cameraStarted && !isLoading && !errorMessage && !calibration.isCalibrating && (
+            <FormCheckDisplay formCheckState={formCheckState} />
+          )}
+          {!isMultiPerson && cameraStarted && !isLoading && !errorMessage && !calibration.isCalibrating && (
+            <RepQualityDisplay repAttempts={repAttempts} />
+          )}
+          {!isMultiPerson && cameraStarted && !isLoading && !errorMessage && !calibration.isCalibrating && appSettings.showAsymmetry && (
+            <AsymmetryDisplay
+              asymmetry={asymmetry}
+              lastSetAsymmetry={lastSetAsymmetry}
+              warningPercent={appSettings.asymmetryWarningPercent}
+              exercises={exerciseOptions}
+            />
+          )}
+          {!isMultiPerson && cameraStarted && !isLoading && !errorMessage && !calibration.isCalibrating && sessionPhase !== 'resting' && (
+            <ExerciseRecognitionDisplay
+              recognition={recognition}
+              expectedExercise={expectedExerciseRef.current}
+              exercises={exerciseOptions}
+              onSwitch={canSwitchToRecognizedExercise ? handleExerciseChange : null}
+            />
+          )}
+          {cameraStarted && !isLoading && !errorMessage && calibration.isCalibrating && (
+            <CalibrationPanel
+              exercise={withThresholdOverrides(selectedExercise, calibrations[selectedExercise?.id]?.thresholds)}
+              status={calibration.status}
+              repProgress={calibration.repProgress}
+              proposal={calibration.proposal}
+              onFinish={calibration.finish}
+              onSave={calibration.save}
+              onRestart={calibration.start}
+              onCancel={calibration.cancel}
+            />
+          )}
+
+          {/* Multi-person: per-person counts side by side */}
+          {isMultiPerson && cameraStarted && !isLoading && !errorMessage && (
+            <RaceView
+              people={people}
+              selectedExercise={getActiveExercise}
+              workoutMode={workoutMode}
+              sessionPhase={sessionPhase}
+              cameraStarted={cameraStarted}
+            />
+          )}
+
           {/* Determine if the exercise has angles configured for each side */}
-          {(() => {
+          {!isMultiPerson && (() => {
             const hasLeftAngles = getActiveExercise?.logicConfig?.type === 'angle' &&
                                   Array.isArray(getActiveExercise.logicConfig.anglesToTrack) &&
                                   getActiveExercise.logicConfig.anglesToTrack.some(a => a.id.toLowerCase().includes('left'));
@@ -1207,8 +1494,63 @@ const MinimalTrackerContent = () => {
                                    Array.isArray(getActiveExercise.logicConfig.anglesToTrack) &&
                                    getActiveExercise.logicConfig.anglesToTrack.some(a => a.id.toLowerCase().includes('right') || !a.id.toLowerCase().includes('left'));
 
+            // Position-based exercises have one rep counter, shown in the left stack
+            const hasPositions = getActiveExercise?.logicConfig?.type === 'position' &&
+                                 Array.isArray(getActiveExercise.logicConfig.positionsToTrack);
+
+            // Hold exercises time a single hold and trajectory exercises have one rep counter,
+            // shown in the left stack
+            const isHoldOrTrajectory = ['hold', 'trajectory'].includes(getActiveExercise?.logicConfig?.type);
+
             return (
               <>
+                {isHoldOrTrajectory && showAngleUI && (
+                  <div className="minimal-tracker-stack left">
+                    <PhaseTrackerDisplay
+                      displaySide="left"
+                      selectedExercise={getActiveExercise}
+                      trackedAngles={trackedAngles} // From hook
+                      landmarksData={landmarksData} // From hook
+                      workoutMode={workoutMode}
+                      repState={repState} // From hook
+                      formCheckState={formCheckState} // From hook
+                      cameraStarted={cameraStarted}
+                      hasLandmarksData={!!landmarksData}
+                      sessionPhase={sessionPhase}
+                      onVisibilityDataUpdate={(data) => handleVisibilityDataUpdate('left', data)}
+                    />
+                  </div>
+                )}
+
+                {hasPositions && showAngleUI && (
+                  <div className="minimal-tracker-stack left">
+                    <PositionDisplay
+                      selectedExercise={getActiveExercise}
+                      trackedPositions={trackedPositions} // From hook
+                      hasLandmarksData={!!landmarksData}
+                    />
+                    <PhaseTrackerDisplay
+                      displaySide="left"
+                      selectedExercise={getActiveExercise}
+                      landmarksData={landmarksData} // From hook
+                      workoutMode={workoutMode}
+                      repState={repState} // From hook
+                      formCheckState={formCheckState} // From hook
+                      cameraStarted={cameraStarted}
+                      hasLandmarksData={!!landmarksData}
+                      sessionPhase={sessionPhase}
+                      onVisibilityDataUpdate={(data) => handleVisibilityDataUpdate('left', data)}
+                    />
+                    <LandmarkMetricsDisplay2
+                      displaySide="left"
+                      selectedExercise={getActiveExercise}
+                      landmarksData={landmarksData} // From hook
+                      cameraStarted={cameraStarted}
+                      hasLandmarksData={!!landmarksData}
+                    />
+                  </div>
+                )}
+
                 {hasLeftAngles && showAngleUI && (
                   <div className="minimal-tracker-stack left">
                     <AngleDisplay 
@@ -1216,7 +1558,9 @@ const MinimalTrackerContent = () => {
                       selectedExercise={getActiveExercise} // Use getActiveExercise
                       trackedAngles={trackedAngles} // From hook
                       rawAngles={rawAngles} // From hook
-                      smoothingEnabled={appSettings.isSmoothingEnabled} // Pass appSetting for display consistency
+                      angles2D={angles2D} // From hook
+                      angles3D={angles3D} // From hook
+                      smoothingEnabled={appSettings.landmarkFilter !== 'none'} // Filtered vs raw angle
                       cameraStarted={cameraStarted} // Pass camera status
                       hasLandmarksData={!!landmarksData} // Pass boolean indicating data presence
                       landmarkVisibility={landmarkVisibilityData.left} // Pass the actual landmark visibility data
@@ -1227,7 +1571,8 @@ const MinimalTrackerContent = () => {
                       trackedAngles={trackedAngles} // From hook
                       landmarksData={landmarksData} // From hook
                       workoutMode={workoutMode}
-                      isRepCountingAllowed={isRepCountingAllowed} // Pass to PhaseTrackerDisplay
+                      repState={repState} // From hook
+                      formCheckState={formCheckState} // From hook
                       cameraStarted={cameraStarted} // Pass camera status
                       hasLandmarksData={!!landmarksData} // Pass boolean indicating data presence
                       sessionPhase={sessionPhase} // Pass current session phase
@@ -1251,7 +1596,9 @@ const MinimalTrackerContent = () => {
                       selectedExercise={getActiveExercise} // Use getActiveExercise
                       trackedAngles={trackedAngles} // From hook
                       rawAngles={rawAngles} // From hook
-                      smoothingEnabled={appSettings.isSmoothingEnabled} // Pass appSetting for display consistency
+                      angles2D={angles2D} // From hook
+                      angles3D={angles3D} // From hook
+                      smoothingEnabled={appSettings.landmarkFilter !== 'none'} // Filtered vs raw angle
                       cameraStarted={cameraStarted} // Pass camera status
                       hasLandmarksData={!!landmarksData} // Pass boolean indicating data presence
                       landmarkVisibility={landmarkVisibilityData.right} // Pass the actual landmark visibility data
@@ -1262,7 +1609,8 @@ const MinimalTrackerContent = () => {
                       trackedAngles={trackedAngles} // From hook
                       landmarksData={landmarksData} // From hook
                       workoutMode={workoutMode}
-                      isRepCountingAllowed={isRepCountingAllowed} // Pass to PhaseTrackerDisplay
+                      repState={repState} // From hook
+                      formCheckState={formCheckState} // From hook
                       cameraStarted={cameraStarted} // Pass camera status
                       hasLandmarksData={!!landmarksData} // Pass boolean indicating data presence
                       sessionPhase={sessionPhase} // Pass current session phase
@@ -1289,8 +1637,10 @@ const MinimalTrackerContent = () => {
       <SettingsOverlay 
         isOpen={isSettingsOpen} 
         onClose={() => setIsSettingsOpen(false)}
-        smoothingEnabled={appSettings.isSmoothingEnabled}
-        onSmoothingChange={toggleSmoothingAndUpdateSettings}
+        landmarkFilter={appSettings.landmarkFilter}
+        onLandmarkFilterChange={handleLandmarkFilterChange}
+        landmarkFilterParams={appSettings.landmarkFilterParams}
+        onLandmarkFilterParamChange={handleLandmarkFilterParamChange}
         useThreePhases={appSettings.useThreePhases}
         onPhaseModeChange={togglePhaseModeAndUpdateSettings}
         requireAllLandmarks={appSettings.requireAllLandmarks}
@@ -1299,6 +1649,16 @@ const MinimalTrackerContent = () => {
         onMinimumVisibilityChange={updateMinimumVisibilityAndSettings}
         requireSecondaryLandmarks={appSettings.requireSecondaryLandmarks}
         onSecondaryLandmarksChange={toggleSecondaryLandmarksAndUpdateSettings}
+        requireStartPosition={appSettings.requireStartPosition}
+        onRequireStartPositionChange={handleRequireStartPositionChange}
+        enableExerciseRecognition={appSettings.enableExerciseRecognition}
+        onEnableExerciseRecognitionChange={handleEnableExerciseRecognitionChange}
+        autoSelectRecognizedExercise={appSettings.autoSelectRecognizedExercise}
+        onAutoSelectRecognizedExerciseChange={handleAutoSelectRecognizedExerciseChange}
+        showAsymmetry={appSettings.showAsymmetry}
+        onShowAsymmetryChange={handleShowAsymmetryChange}
+        asymmetryWarningPercent={appSettings.asymmetryWarningPercent}
+        onAsymmetryWarningPercentChange={handleAsymmetryWarningPercentChange}
         cameraOpacity={appSettings.cameraOpacity}
         onCameraOpacityChange={handleCameraOpacityChange}
         alwaysShowConnections={appSettings.alwaysShowConnections}
@@ -1316,6 +1676,31 @@ const MinimalTrackerContent = () => {
         onStationaryAveragingWindowMsChange={handleStationaryAveragingWindowMsChange}
         stationaryHoldDurationMs={appSettings.stationaryHoldDurationMs}
         onStationaryHoldDurationMsChange={handleStationaryHoldDurationMsChange}
+
+        poseModel={appSettings.poseModel}
+        onPoseModelChange={handlePoseModelChange}
+        maxPeople={appSettings.maxPeople}
+        onMaxPeopleChange={handleMaxPeopleChange}
+        isSwappingModel={isSwappingModel}
+        modelStats={modelStats}
+        onResetModelStats={resetModelStats}
+
+        cameras={cameras}
+        cameraDeviceId={appSettings.cameraDeviceId}
+        onCameraDeviceChange={handleCameraDeviceChange}
+        cameraResolution={appSettings.cameraResolution}
+        onCameraResolutionChange={handleCameraResolutionChange}
+        cameraFrameRate={appSettings.cameraFrameRate}
+        onCameraFrameRateChange={handleCameraFrameRateChange}
+        cameraInfo={sourceType === 'webcam' ? cameraInfo : null}
+
+        calibrationProfile={appSettings.calibrationProfile}
+        onCalibrationProfileChange={handleCalibrationProfileChange}
+        calibrationExerciseName={selectedExercise?.name}
+        canCalibrate={cameraStarted && !isMultiPerson && getCalibrationAngles(selectedExercise).length > 0}
+        isExerciseCalibrated={!!calibrations[selectedExercise?.id]}
+        onStartCalibration={handleStartCalibration}
+        onResetCalibration={calibration.reset}
       />
       
       {/* Workout Builder Modal */}
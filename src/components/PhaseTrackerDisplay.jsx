@@ -1,28 +1,13 @@
 import React, { useEffect, useMemo, useState, useRef } from 'react';
 import PhaseTracker from './PhaseTracker';
-import { LANDMARK_MAP } from '../logic/landmarkUtils.js';
+import { getRequiredLandmarkNames, evaluateLandmarkVisibility } from '../logic/landmarkVisibility.js';
+import { ANGLE_REP_PHASES } from '../logic/angleBasedRepLogic.js';
+import { POSITION_REP_PHASES } from '../logic/positionBasedRepLogic.js';
+import { HOLD_PHASES } from '../logic/holdLogic.js';
+import { TRAJECTORY_REP_PHASES } from '../logic/trajectoryBasedRepLogic.js';
 import { useAppSettings } from '../hooks/useAppSettings';
 import { Paper } from '@mantine/core';
 
-// This function is now a fallback only if the exercise doesn't define its own landmarks
-const getDefaultSecondaryLandmarks = (side) => {
-  // This is a basic set of landmarks that are important for pose stability
-  // but may not be directly part of the angle calculation
-  const baseLandmarks = [
-    'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
-    'left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'
-  ];
-  
-  // If a specific side is provided, prioritize landmarks on that side
-  if (side === 'Left') {
-    return ['left_shoulder', 'left_elbow', 'left_wrist', 'left_hip', 'left_knee', 'left_ankle'];
-  } else if (side === 'Right') {
-    return ['right_shoulder', 'right_elbow', 'right_wrist', 'right_hip', 'right_knee', 'right_ankle'];
-  }
-  
-  return baseLandmarks;
-};
-
 // Helper function to check if visibility data has meaningfully changed
 const hasVisibilityDataChanged = (prev, current) => {
   if (!prev || !current) return true;
@@ -48,17 +33,17 @@ const PhaseTrackerDisplay = ({
   displaySide, 
   landmarksData, 
   workoutMode, 
-  isRepCountingAllowed, 
+  repState = null, // Rep pipeline output from usePoseTracker (the phase and count shown come from here)
+  formCheckState = null, // Form check output from usePoseTracker (the last rep's violations are shown)
   cameraStarted, 
   hasLandmarksData, 
   sessionPhase = 'exercising',
-  onVisibilityDataUpdate = null // New prop to send visibility data to parent
+  onVisibilityDataUpdate = null, // New prop to send visibility data to parent
 }) => {
   const [settings] = useAppSettings();
   
   // Use a state to maintain the last valid angleConfigToShow to prevent flickering
   const [lastValidAngleConfig, setLastValidAngleConfig] = useState(null);
-  const [lastValidAngle, setLastValidAngle] = useState(null);
   
   // Reference to store previous visibility data to avoid unnecessary updates
   const prevVisibilityDataRef = useRef(null);
@@ -73,6 +58,16 @@ const PhaseTrackerDisplay = ({
     settings.useThreePhases
   ]);
   
+  // Position-based exercises have a single rep counter, reported on the left side
+  const isPositionTracking = selectedExercise?.logicConfig?.type === 'position' &&
+    Array.isArray(selectedExercise.logicConfig.positionsToTrack) &&
+    displaySide === 'left';
+  // Hold exercises time a single hold, also reported on the left side
+  const isHoldTracking = selectedExercise?.logicConfig?.type === 'hold' && displaySide === 'left';
+  // Trajectory exercises have a single rep counter too
+  const isTrajectoryTracking = selectedExercise?.logicConfig?.type === 'trajectory' && displaySide === 'left';
+  const isSingleCounter = isPositionTracking || isHoldTracking || isTrajectoryTracking;
+
   const angleConfigToShow = useMemo(() => {
     if (!selectedExercise || 
         !selectedExercise.logicConfig || 
@@ -101,14 +96,8 @@ const PhaseTrackerDisplay = ({
     }
   }, [angleConfigToShow]);
 
-  // Keep track of the last valid angle value when it's available
-  useEffect(() => {
-    if (angleConfigToShow && trackedAngles && trackedAngles[angleConfigToShow.id] != null) {
-      setLastValidAngle(trackedAngles[angleConfigToShow.id]);
-    }
-  }, [angleConfigToShow, trackedAngles]);
-
   const displayLabel = useMemo(() => {
+    if (isSingleCounter) return selectedExercise.name;
     const configToUse = angleConfigToShow || lastValidAngleConfig;
     if (!configToUse) return displaySide === 'left' ? 'Left' : 'Right'; // Default labels
     if (displaySide === 'left' && configToUse.id.toLowerCase().includes('left')) return 'Left';
@@ -117,83 +106,35 @@ const PhaseTrackerDisplay = ({
       return configToUse.name || configToUse.id;
     }
     return displaySide === 'left' ? 'Left' : 'Right'; // Fallback
-  }, [angleConfigToShow, lastValidAngleConfig, displaySide]);
+  }, [isSingleCounter, selectedExercise, angleConfigToShow, lastValidAngleConfig, displaySide]);
 
+  // Same landmarks and rules the pose processor uses to pause counting for this side
   const landmarkNamesToCheck = useMemo(() => {
+    if (isSingleCounter) {
+      return getRequiredLandmarkNames(selectedExercise, 'left', { includeSecondary: settings.requireSecondaryLandmarks });
+    }
     const configToUse = angleConfigToShow || lastValidAngleConfig;
-    if (!configToUse || !selectedExercise?.landmarks) {
+    if (!configToUse) {
       return { primary: [], secondary: [] };
     }
-    const { side, points } = configToUse;
-    const pointNames = points.map(pt => (side ? `${side}_${pt}` : pt));
-    
-    const primaryFromExercise = selectedExercise.landmarks?.primary || 
-                               (selectedExercise.landmarks?.[displayLabel.toLowerCase()]?.primary) ||
-                               [];
-    const secondaryFromExercise = selectedExercise.landmarks?.secondary || 
-                                 (selectedExercise.landmarks?.[displayLabel.toLowerCase()]?.secondary) ||
-                                 getDefaultSecondaryLandmarks(displayLabel);
-
-    return {
-      primary: [...new Set([...pointNames, ...primaryFromExercise])],
-      secondary: settings.requireSecondaryLandmarks ? [...new Set(secondaryFromExercise)] : []
-    };
-  }, [angleConfigToShow, lastValidAngleConfig, selectedExercise, displayLabel, settings.requireSecondaryLandmarks]);
+    return getRequiredLandmarkNames(selectedExercise, configToUse.side || displaySide, {
+      angleConfig: configToUse,
+      includeSecondary: settings.requireSecondaryLandmarks,
+    });
+  }, [isSingleCounter, angleConfigToShow, lastValidAngleConfig, selectedExercise, displaySide, settings.requireSecondaryLandmarks]);
 
   const landmarkVisibilityData = useMemo(() => {
-    let data = {
-      primaryLandmarks: { allVisible: true, minVisibility: 100 },
-      secondaryLandmarks: { allVisible: true, minVisibility: 100 }
-    };
-
     const configToUse = angleConfigToShow || lastValidAngleConfig;
-    if (landmarksData && configToUse) {
-      // Primary landmarks
-      let allPrimaryFound = true;
-      let minPrimaryVisibility = 100;
-      if (landmarkNamesToCheck.primary.length > 0) {
-        for (const pointName of landmarkNamesToCheck.primary) {
-          const index = LANDMARK_MAP[pointName];
-          if (index !== undefined && landmarksData[index]) {
-            const landmark = landmarksData[index];
-            const visibility = Number(landmark.visibility || 0) * 100;
-            minPrimaryVisibility = Math.min(minPrimaryVisibility, visibility);
-          } else {
-            allPrimaryFound = false;
-            minPrimaryVisibility = 0;
-            break;
-          }
-        }
-      } else if (settings.requireAllLandmarks) { // If primary landmarks are required but none are defined to check
-          allPrimaryFound = false;
-          minPrimaryVisibility = 0;
-      }
-      data.primaryLandmarks = { allVisible: allPrimaryFound, minVisibility: minPrimaryVisibility };
-
-      // Secondary landmarks (only if required by settings and names are provided)
-      if (settings.requireSecondaryLandmarks && landmarkNamesToCheck.secondary.length > 0) {
-        let allSecondaryFound = true;
-        let minSecondaryVisibility = 100;
-        for (const pointName of landmarkNamesToCheck.secondary) {
-          const index = LANDMARK_MAP[pointName];
-          if (index !== undefined && landmarksData[index]) {
-            const landmark = landmarksData[index];
-            const visibility = Number(landmark.visibility || 0) * 100;
-            minSecondaryVisibility = Math.min(minSecondaryVisibility, visibility);
-          } else {
-            allSecondaryFound = false;
-            minSecondaryVisibility = 0;
-            break;
-          }
-        }
-        data.secondaryLandmarks = { allVisible: allSecondaryFound, minVisibility: minSecondaryVisibility };
-      } else {
-        // If secondary aren't required or no names, assume they are fine
-        data.secondaryLandmarks = { allVisible: true, minVisibility: 100 };
-      }
+    if (!landmarksData || (!configToUse && !isSingleCounter)) {
+      return {
+        primaryLandmarks: { allVisible: true, minVisibility: 100 },
+        secondaryLandmarks: { allVisible: true, minVisibility: 100 },
+        isSufficient: true,
+        failureReason: null
+      };
     }
-    return data;
-  }, [landmarksData, angleConfigToShow, lastValidAngleConfig, landmarkNamesToCheck, settings.requireAllLandmarks, settings.requireSecondaryLandmarks]);
+    return evaluateLandmarkVisibility(landmarksData, landmarkNamesToCheck, settings);
+  }, [landmarksData, angleConfigToShow, lastValidAngleConfig, isSingleCounter, landmarkNamesToCheck, settings]);
 
   // Send visibility data to parent component ONLY when it meaningfully changes
   useEffect(() => {
@@ -209,16 +150,20 @@ const PhaseTrackerDisplay = ({
   // Determine if we have a valid angle config for this side and tracked angle data
   const hasValidAngleDataForDisplay = angleConfigToShow && trackedAngles && trackedAngles[angleConfigToShow.id] != null;
 
-  // Always render a container with a fixed or minimum height to prevent layout shifts
-  const phaseTrackerKey = `${settings.requireAllLandmarks}-${settings.minimumVisibilityThreshold}-${settings.requireSecondaryLandmarks}-${settings.useThreePhases}-${angleConfigToShow?.id || 'placeholder'}`;
-
   // Determine if we should show real data or a placeholder
   const configToUse = angleConfigToShow || lastValidAngleConfig;
-  const angleToUse = configToUse && trackedAngles && trackedAngles[configToUse.id] != null 
-                     ? trackedAngles[configToUse.id] 
-                     : lastValidAngle || 0;
-
-  const showPlaceholder = !configToUse || !hasValidAngleDataForDisplay;
+  // The pipeline reports rep counting angles by side (angles without a side count as 'left')
+  let repSide = configToUse ? configToUse.side || 'left' : null;
+  let phases = ANGLE_REP_PHASES;
+  let showPlaceholder = !configToUse || !hasValidAngleDataForDisplay;
+  if (isSingleCounter) {
+    repSide = 'left';
+    phases = isHoldTracking ? HOLD_PHASES : isTrajectoryTracking ? TRAJECTORY_REP_PHASES : POSITION_REP_PHASES;
+    showPlaceholder = !landmarksData;
+  }
+  const sideState = repSide ? repState?.sides?.[repSide] : null;
+  phases = sideState?.phases || phases;
+  const lastRepForm = repSide ? formCheckState?.sides?.[repSide]?.lastRep : null;
 
   return (
     <Paper>
@@ -234,18 +179,26 @@ const PhaseTrackerDisplay = ({
             // borderRadius: '8px',
             fontSize: '14px'
           }}>
-            {angleConfigToShow ? 'Waiting for movement data...' : `No phase tracking configuration for ${displaySide.toLowerCase()} side`}
+            {angleConfigToShow || isSingleCounter ? 'Waiting for movement data...' : `No phase tracking configuration for ${displaySide.toLowerCase()} side`}
           </div>
         ) : (
           <PhaseTracker 
-            key={phaseTrackerKey}
-            angle={angleToUse} 
-            angleConfig={configToUse} 
             side={displayLabel}
+            phase={sideState?.phase || phases[0]}
+            phases={phases}
+            repCount={sideState?.repCount || 0}
+            lastRejectedRep={sideState?.lastRejectedRep || null}
+            lastOutOfOrderRep={sideState?.lastOutOfOrderRep || null}
+            lastRepTempo={sideState?.lastRepTempo || null}
+            lastRepRom={sideState?.lastRepRom || null}
+            lastRepTrajectory={sideState?.lastRepTrajectory || null}
+            trajectoryUnit={selectedExercise?.logicConfig?.trajectory?.scale === 'none' ? '' : ' body heights'}
+            partialRepCount={sideState?.partialRepCount || 0}
+            lastRepFormViolations={lastRepForm?.violations || []}
+            hold={isHoldTracking ? sideState || null : null}
             useThreePhases={settings.useThreePhases}
             landmarkVisibility={landmarkVisibilityData}
             workoutMode={workoutMode}
-            isRepCountingAllowed={isRepCountingAllowed}
             sessionPhase={sessionPhase}
           />
         )}
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Paper } from '@mantine/core';
+
+const MET_COLOR = '#55ff55';
+const UNMET_COLOR = '#ff5555';
+
+// How each condition reads next to its live value (see logic/positionMetrics for the semantics)
+const CONDITIONS = [
+  { key: 'minDistance', metric: 'distance', label: 'Distance', operator: '≥' },
+  { key: 'maxDistance', metric: 'distance', label: 'Distance', operator: '≤' },
+  { key: 'minVertical', metric: 'vertical', label: 'Vertical', operator: '≤' },
+  { key: 'maxVertical', metric: 'vertical', label: 'Vertical', operator: '≥' },
+];
+
+const formatValue = (value) => (value != null ? value.toFixed(2) : '–');
+
+// Live distance / vertical readouts of a position-based exercise's positionsToTrack,
+// with the condition each one is checked against and whether it is currently met
+const PositionDisplay = ({ selectedExercise, trackedPositions, hasLandmarksData }) => {
+  const positionsToTrack = selectedExercise?.logicConfig?.type === 'position'
+    ? selectedExercise.logicConfig.positionsToTrack
+    : null;
+  if (!Array.isArray(positionsToTrack)) {
+    return null;
+  }
+
+  return (
+    <Paper>
+      <div style={{ padding: '10px', width: '250px' }}>
+        <div style={{ marginBottom: '8px', fontSize: '14px', fontWeight: 'bold' }}>Positions</div>
+        {positionsToTrack.map(positionConfig => {
+          const metric = hasLandmarksData ? trackedPositions?.[positionConfig.id] : null;
+          const conditions = CONDITIONS.filter(condition => typeof positionConfig[condition.key] === 'number');
+          return (
+            <div key={positionConfig.id} style={{ marginBottom: '6px', fontSize: '12px' }}>
+              <div style={{ fontWeight: 'bold', color: metric?.isMet ? MET_COLOR : 'white' }}>
+                {metric?.isMet ? '✓' : '✗'} {positionConfig.name || positionConfig.id}
+                {positionConfig.isRepCounter && <span style={{ fontWeight: 400, opacity: 0.6 }}> (rep)</span>}
+              </div>
+              <div style={{ opacity: 0.7 }}>{positionConfig.points.join(' → ')}</div>
+              {conditions.map(condition => (
+                <div
+                  key={condition.key}
+                  style={{ color: metric?.checks?.[condition.key] ? MET_COLOR : UNMET_COLOR }}
+                >
+                  {condition.label}: {formatValue(metric?.[condition.metric])} {condition.operator} {positionConfig[condition.key]}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </Paper>
+  );
+};
+
+export default PositionDisplay;
@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { Paper, Group, Text, Badge, Box } from '@mantine/core';
+import PhaseTrackerDisplay from './PhaseTrackerDisplay';
+import { useRepCounter } from './RepCounterContext';
+import { getPersonColor } from '../theme';
+import { TRACKING_STATES } from '../logic/trackingStateMachine.js';
+
+/**
+ * Race view for multi-person tracking
+ * Shows one card per tracked person, side by side, with their rep counts (personRepCounts in
+ * RepCounterContext, published from each person's rep pipeline), partial reps and their phases.
+ * For hold exercises the score is the seconds held (personHoldSeconds) instead of reps.
+ * People whose identity was dropped keep their card with the final count.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.people - Tracked people from usePoseTracker ({ id, landmarks, angles, positions, stabilityState, trackingState, repState, formCheckState })
+ * @param {Object} props.selectedExercise - Exercise being tracked
+ * @param {string} props.workoutMode - Current workout mode
+ * @param {string} props.sessionPhase - Current session phase
+ * @param {boolean} props.cameraStarted - Whether the camera is running
+ */
+const RaceView = ({
+  people = [],
+  selectedExercise,
+  workoutMode,
+  sessionPhase = 'exercising',
+  cameraStarted,
+}) => {
+  const { personRepCounts, personPartialRepCounts, personHoldSeconds } = useRepCounter();
+  const isHold = selectedExercise?.logicConfig?.type === 'hold';
+
+  // Same side detection as the single-person stacks in MinimalTracker
+  const sides = useMemo(() => {
+    // Position-based, hold and trajectory exercises count on the left side only
+    if (['position', 'hold', 'trajectory'].includes(selectedExercise?.logicConfig?.type)) return ['left'];
+    const anglesToTrack = selectedExercise?.logicConfig?.type === 'angle' && Array.isArray(selectedExercise.logicConfig.anglesToTrack)
+      ? selectedExercise.logicConfig.anglesToTrack
+      : [];
+    const result = [];
+    if (anglesToTrack.some(a => a.id.toLowerCase().includes('left'))) result.push('left');
+    if (anglesToTrack.some(a => a.id.toLowerCase().includes('right') || !a.id.toLowerCase().includes('left'))) result.push('right');
+    return result;
+  }, [selectedExercise]);
+
+  // Present people first (by id), then people who have left but already have reps
+  const entries = useMemo(() => {
+    const presentIds = new Set(people.map(person => person.id));
+    const departed = Object.keys(isHold ? personHoldSeconds : personRepCounts)
+      .map(Number)
+      .filter(id => !presentIds.has(id))
+      .map(id => ({ id, departed: true }));
+    return [...people, ...departed].map(entry => {
+      const counts = (isHold ? personHoldSeconds : personRepCounts)[entry.id] || { left: 0, right: 0 };
+      const partialCounts = personPartialRepCounts[entry.id] || { left: 0, right: 0 };
+      return {
+        ...entry,
+        counts,
+        total: (counts.left || 0) + (counts.right || 0),
+        partialTotal: (partialCounts.left || 0) + (partialCounts.right || 0),
+      };
+    });
+  }, [people, isHold, personRepCounts, personPartialRepCounts, personHoldSeconds]);
+
+  const leaderId = useMemo(() => {
+    const best = Math.max(0, ...entries.map(entry => entry.total));
+    const leaders = entries.filter(entry => entry.total === best);
+    return best > 0 && leaders.length === 1 ? leaders[0].id : null;
+  }, [entries]);
+
+  if (entries.length === 0) {
+    return (
+      <div className="minimal-tracker-race">
+        <Paper>
+          <Text size="sm" c="dimmed">Waiting for people to step into frame...</Text>
+        </Paper>
+      </div>
+    );
+  }
+
+  return (
+    <div className="minimal-tracker-race">
+      {entries.map(entry => (
+        <Paper
+          key={entry.id}
+          className="minimal-tracker-race-card"
+          style={{ borderTop: `4px solid ${getPersonColor(entry.id)}`, opacity: entry.departed ? 0.5 : 1 }}
+        >
+          <Group justify="space-between" gap="xs" wrap="nowrap">
+            <Text fw={600} style={{ color: getPersonColor(entry.id) }}>Person {entry.id}</Text>
+            {leaderId === entry.id && <Badge color="yellow" size="sm">Leading</Badge>}
+            {entry.departed && <Badge color="gray" size="sm">Left frame</Badge>}
+            {!entry.departed && !entry.landmarks && <Badge color="gray" size="sm">Out of view</Badge>}
+            {!entry.departed && entry.landmarks && entry.trackingState && entry.trackingState.state !== TRACKING_STATES.ACTIVE && (
+              <Badge color="gray" size="sm">{entry.trackingState.state}</Badge>
+            )}
+          </Group>
+
+          <Text fz={48} fw={700} ta="center" lh={1.1}>{entry.total}{isHold ? 's' : ''}</Text>
+          {sides.length > 1 && (
+            <Text size="sm" ta="center" c="dimmed">
+              L {entry.counts.left || 0} · R {entry.counts.right || 0}
+            </Text>
+          )}
+          {entry.partialTotal > 0 && (
+            <Text size="xs" ta="center" c="orange">+{entry.partialTotal} partial</Text>
+          )}
+
+          {!entry.departed && (
+            <Box mt="xs">
+              {sides.map(side => (
+                <PhaseTrackerDisplay
+                  key={side}
+                  displaySide={side}
+                  selectedExercise={selectedExercise}
+                  trackedAngles={entry.angles}
+                  landmarksData={entry.landmarks}
+                  workoutMode={workoutMode}
+                  repState={entry.repState}
+                  formCheckState={entry.formCheckState}
+                  cameraStarted={cameraStarted}
+                  hasLandmarksData={!!entry.landmarks}
+                  sessionPhase={sessionPhase}
+                />
+              ))}
+            </Box>
+          )}
+        </Paper>
+      ))}
+    </div>
+  );
+};
+
+export default RaceView;
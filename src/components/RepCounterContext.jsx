@@ -1,17 +1,39 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { useAppSettings } from '../hooks/useAppSettings';
 
 // Create context for rep count data
 // Maintains state for left and right rep counts
 // Provides functions to update counts for each side
 // Offers methods to reset counters
+// In multi-person mode each tracked person also gets their own { left, right } counts in personRepCounts
+// Partial reps (attempts that didn't reach the full range of motion) are counted separately in
+// partialRepCount / personPartialRepCounts and never add to the rep counts
+// Hold exercises (logicConfig.type 'hold') report whole seconds held in holdSeconds / personHoldSeconds
+// Every rep attempt of the set, counted or not, is kept with its quality score and no-rep reasons
+// (logic/repQuality) in repAttempts / personRepAttempts, per side in the order they ended
+// Two-sided exercises compare the left and right side (logic/sideAsymmetry) in asymmetry / personAsymmetry;
+// resetting the counts keeps the finished set's comparison in lastSetAsymmetry (the post-set comparison)
 // Exports a custom hook (useRepCounter) for components to access this data
 
 const RepCounterContext = createContext({
   repCount: { left: 0, right: 0 },
+  personRepCounts: {},
+  partialRepCount: { left: 0, right: 0 },
+  personPartialRepCounts: {},
+  holdSeconds: { left: 0, right: 0 },
+  personHoldSeconds: {},
+  repAttempts: { left: [], right: [] },
+  personRepAttempts: {},
+  asymmetry: null,
+  personAsymmetry: {},
+  lastSetAsymmetry: null,
   setRepCount: () => {},
   resetRepCounts: () => {},
   updateRepCount: () => {},
+  updatePartialRepCount: () => {},
+  updateHoldSeconds: () => {},
+  addRepAttempt: () => {},
+  updateAsymmetry: () => {},
   isTrackingEnabled: true,
   updateTrackingState: () => {},
   resetToken: 0,
@@ -23,6 +45,17 @@ const RepCounterContext = createContext({
  */
 export const RepCounterProvider = ({ children }) => {
   const [repCount, setRepCount] = useState({ left: 0, right: 0 });
+  const [personRepCounts, setPersonRepCounts] = useState({});
+  const [partialRepCount, setPartialRepCount] = useState({ left: 0, right: 0 });
+  const [personPartialRepCounts, setPersonPartialRepCounts] = useState({});
+  const [holdSeconds, setHoldSeconds] = useState({ left: 0, right: 0 });
+  const [personHoldSeconds, setPersonHoldSeconds] = useState({});
+  const [repAttempts, setRepAttempts] = useState({ left: [], right: [] });
+  const [personRepAttempts, setPersonRepAttempts] = useState({});
+  const [asymmetry, setAsymmetry] = useState(null);
+  const [personAsymmetry, setPersonAsymmetry] = useState({});
+  const [lastSetAsymmetry, setLastSetAsymmetry] = useState(null);
+  const asymmetryRef = useRef(null);
   const [isTrackingEnabled, setIsTrackingEnabled] = useState(true);
   const [settings] = useAppSettings();
   const [resetToken, setResetToken] = useState(0);
@@ -30,17 +63,94 @@ export const RepCounterProvider = ({ children }) => {
   // Reset rep counts to zero
   const resetRepCounts = useCallback(() => {
     setRepCount({ left: 0, right: 0 });
+    setPersonRepCounts({});
+    setPartialRepCount({ left: 0, right: 0 });
+    setPersonPartialRepCounts({});
+    setHoldSeconds({ left: 0, right: 0 });
+    setPersonHoldSeconds({});
+    setRepAttempts({ left: [], right: [] });
+    setPersonRepAttempts({});
+    // A set with reps on either side becomes the last set's comparison
+    const finishedSetReps = asymmetryRef.current?.set.repCount;
+    if (finishedSetReps && finishedSetReps.left + finishedSetReps.right > 0) {
+      setLastSetAsymmetry(asymmetryRef.current);
+    }
+    asymmetryRef.current = null;
+    setAsymmetry(null);
+    setPersonAsymmetry({});
     setResetToken(prevToken => prevToken + 1);
   }, []);
 
-  // Update rep count for a specific side
-  const updateRepCount = useCallback((side, count) => {
+  // Update rep count for a specific side (of a specific person when personId is given)
+  const updateRepCount = useCallback((side, count, personId = null) => {
+    if (personId !== null) {
+      setPersonRepCounts(prev => ({
+        ...prev,
+        [personId]: { left: 0, right: 0, ...prev[personId], [side]: count },
+      }));
+      return;
+    }
     setRepCount(prev => ({
       ...prev,
       [side]: count,
     }));
   }, []);
 
+  // Update partial rep count for a specific side (of a specific person when personId is given)
+  const updatePartialRepCount = useCallback((side, count, personId = null) => {
+    if (personId !== null) {
+      setPersonPartialRepCounts(prev => ({
+        ...prev,
+        [personId]: { left: 0, right: 0, ...prev[personId], [side]: count },
+      }));
+      return;
+    }
+    setPartialRepCount(prev => ({
+      ...prev,
+      [side]: count,
+    }));
+  }, []);
+
+  // Update seconds held for a specific side (of a specific person when personId is given)
+  const updateHoldSeconds = useCallback((side, seconds, personId = null) => {
+    if (personId !== null) {
+      setPersonHoldSeconds(prev => ({
+        ...prev,
+        [personId]: { left: 0, right: 0, ...prev[personId], [side]: seconds },
+      }));
+      return;
+    }
+    setHoldSeconds(prev => ({
+      ...prev,
+      [side]: seconds,
+    }));
+  }, []);
+
+  // Record a scored rep attempt for a specific side (of a specific person when personId is given)
+  const addRepAttempt = useCallback((side, attempt, personId = null) => {
+    if (personId !== null) {
+      setPersonRepAttempts(prev => {
+        const personAttempts = { left: [], right: [], ...prev[personId] };
+        return { ...prev, [personId]: { ...personAttempts, [side]: [...personAttempts[side], attempt] } };
+      });
+      return;
+    }
+    setRepAttempts(prev => ({
+      ...prev,
+      [side]: [...(prev[side] || []), attempt],
+    }));
+  }, []);
+
+  // Update the left/right comparison (of a specific person when personId is given)
+  const updateAsymmetry = useCallback((nextAsymmetry, personId = null) => {
+    if (personId !== null) {
+      setPersonAsymmetry(prev => ({ ...prev, [personId]: nextAsymmetry }));
+      return;
+    }
+    asymmetryRef.current = nextAsymmetry;
+    setAsymmetry(nextAsymmetry);
+  }, []);
+
   // Update tracking state based on landmark visibility
   // This is mainly for backward compatibility now, but still useful
   // Each side now makes its own decision in PhaseTracker.jsx
@@ -54,9 +164,23 @@ export const RepCounterProvider = ({ children }) => {
   return (
     <RepCounterContext.Provider value={{ 
       repCount, 
+      personRepCounts,
+      partialRepCount,
+      personPartialRepCounts,
+      holdSeconds,
+      personHoldSeconds,
+      repAttempts,
+      personRepAttempts,
+      asymmetry,
+      personAsymmetry,
+      lastSetAsymmetry,
       setRepCount, 
       resetRepCounts,
       updateRepCount,
+      updatePartialRepCount,
+      updateHoldSeconds,
+      addRepAttempt,
+      updateAsymmetry,
       isTrackingEnabled: true, // Each side now individually determines if tracking is enabled
       updateTrackingState,
       resetToken,
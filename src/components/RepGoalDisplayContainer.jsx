@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import LargeRepGoalDisplay from './LargeRepGoalDisplay';
 import { useRepCounter } from './RepCounterContext';
 
+const NO_PARTIAL_REPS = { left: 0, right: 0 };
+
 /**
  * Container component for rep goal displays
  * Shows either one or two LargeRepGoalDisplay components based on exercise configuration
@@ -12,19 +14,28 @@ import { useRepCounter } from './RepCounterContext';
  * @param {number} props.ladderReps - Current ladder session rep target (if in ladder mode)
  * @param {string} props.sessionPhase - Current ladder session phase ('idle', 'exercising', 'resting')
  * @param {number} props.nextLadderReps - The next set of reps to be displayed after the rest phase
+ * @param {boolean} props.isHold - Hold exercise: shows the seconds held against a goal in seconds
+ * @param {'perSide'|'total'} props.goalMode - Two-sided exercises: the goal applies to each side, or to
+ *   the combined count of both sides (one display, with the per-side counts underneath)
  */
 const RepGoalDisplayContainer = ({ 
   repGoal = 10, 
   isTwoSided = false, 
   ladderReps = null,
   sessionPhase = 'idle',
-  nextLadderReps = null
+  nextLadderReps = null,
+  isHold = false,
+  goalMode = 'perSide'
 }) => {
   // Get rep count data from context
-  const { repCount } = useRepCounter();
+  const { repCount: contextRepCount, partialRepCount: contextPartialRepCount, holdSeconds } = useRepCounter();
+  // Hold exercises count seconds held instead of reps (and have no partial reps)
+  const repCount = isHold ? holdSeconds : contextRepCount;
+  const partialRepCount = isHold ? NO_PARTIAL_REPS : contextPartialRepCount;
   
   // Store the completed rep counts for display during rest phase
   const [completedReps, setCompletedReps] = useState({ left: 0, right: 0 });
+  const [completedPartialReps, setCompletedPartialReps] = useState({ left: 0, right: 0 });
   // Track if we're showing completed reps (during rest phase)
   const [showingCompletedReps, setShowingCompletedReps] = useState(false);
   // Track the display goal (completed or upcoming)
@@ -40,6 +51,10 @@ const RepGoalDisplayContainer = ({
         left: repCount.left,
         right: repCount.right
       });
+      setCompletedPartialReps({
+        left: partialRepCount.left,
+        right: partialRepCount.right
+      });
       setShowingCompletedReps(true);
       
       // After 3 seconds, switch to showing upcoming rep goal
@@ -61,12 +76,15 @@ const RepGoalDisplayContainer = ({
       // Only use reset reps when transitioning from completed to upcoming
       setResetReps(null);
     }
-  }, [sessionPhase, repCount, ladderReps, repGoal, nextLadderReps]);
+  }, [sessionPhase, repCount, partialRepCount, ladderReps, repGoal, nextLadderReps]);
   
   // Determine which rep counts to display
   const displayReps = showingCompletedReps 
     ? completedReps 
     : resetReps || repCount; // Use resetReps (0) when transitioning from completed to upcoming
+  const displayPartialReps = showingCompletedReps
+    ? completedPartialReps
+    : resetReps || partialRepCount;
   
   // Common styles
   const containerStyle = {
@@ -79,6 +97,26 @@ const RepGoalDisplayContainer = ({
     zIndex: 999, // Higher z-index to ensure visibility
   };
   
+  if (isTwoSided && goalMode === 'total') {
+    // Combined count of both sides against one goal (e.g. alternating exercises)
+    return (
+      <div 
+        style={{
+          ...containerStyle,
+          left: 20,
+        }}
+      >
+        <LargeRepGoalDisplay 
+          currentReps={displayReps.left + displayReps.right} 
+          partialReps={displayPartialReps.left + displayPartialReps.right}
+          goalReps={displayGoal}
+          showCompleted={showingCompletedReps}
+          detail={`L ${displayReps.left} · R ${displayReps.right}`}
+        />
+      </div>
+    );
+  }
+
   if (isTwoSided) {
     // For two-sided exercises, position displays in bottom left and right corners
     return (
@@ -92,9 +130,11 @@ const RepGoalDisplayContainer = ({
         >
           <LargeRepGoalDisplay 
             currentReps={displayReps.left} 
+            partialReps={displayPartialReps.left}
             goalReps={displayGoal} 
             side="left" 
             showCompleted={showingCompletedReps}
+            unit={isHold ? 's' : null}
           />
         </div>
         
@@ -107,9 +147,11 @@ const RepGoalDisplayContainer = ({
         >
           <LargeRepGoalDisplay 
             currentReps={displayReps.right} 
+            partialReps={displayPartialReps.right}
             goalReps={displayGoal} 
             side="right" 
             showCompleted={showingCompletedReps}
+            unit={isHold ? 's' : null}
           />
         </div>
       </>
@@ -126,8 +168,10 @@ const RepGoalDisplayContainer = ({
     >
       <LargeRepGoalDisplay 
         currentReps={displayReps.left} 
+        partialReps={displayPartialReps.left}
         goalReps={displayGoal}
         showCompleted={showingCompletedReps}
+        unit={isHold ? 's' : null}
       />
     </div>
   );
@@ -2,12 +2,19 @@ import React from 'react';
 import { Group, Text, Paper } from '@mantine/core';
 import StyledButton from './common/StyledButton';
 
-const RepGoalIndicator = ({ repGoal, setRepGoal }) => {
+// Step sizes and upper limit per goal unit; hold goals are in seconds
+const GOAL_UNITS = {
+  reps: { label: 'reps', smallStep: 1, largeStep: 5, max: 99 },
+  seconds: { label: 's', smallStep: 5, largeStep: 15, max: 600 },
+};
+
+const RepGoalIndicator = ({ repGoal, setRepGoal, unit = 'reps' }) => {
+  const { label, smallStep, largeStep, max } = GOAL_UNITS[unit] || GOAL_UNITS.reps;
   const handleAdjustRepGoal = (amount) => {
     setRepGoal(g => {
       const newGoal = g + amount;
       if (newGoal < 1) return 1;
-      if (newGoal > 99) return 99;
+      if (newGoal > max) return max;
       return newGoal;
     });
   };
@@ -24,19 +31,19 @@ const RepGoalIndicator = ({ repGoal, setRepGoal }) => {
           variant="secondary"
           square={true}
           size="xl" // Keep xl size
-          onClick={() => handleAdjustRepGoal(-5)}
-          aria-label="Decrease rep goal by 5"
+          onClick={() => handleAdjustRepGoal(-largeStep)}
+          aria-label={`Decrease goal by ${largeStep}`}
         >
-          -5
+          -{largeStep}
         </StyledButton>
         <StyledButton
           variant="secondary"
           square={true}
           size="xl" // Keep xl size
-          onClick={() => handleAdjustRepGoal(-1)}
-          aria-label="Decrease rep goal by 1"
+          onClick={() => handleAdjustRepGoal(-smallStep)}
+          aria-label={`Decrease goal by ${smallStep}`}
         >
-          -1
+          -{smallStep}
         </StyledButton>
         <Text 
           style={{
@@ -48,25 +55,25 @@ const RepGoalIndicator = ({ repGoal, setRepGoal }) => {
           }}
           fz="xl" // Use Mantine font size prop, inherits color from Paper
         >
-          {repGoal} reps
+          {repGoal} {label}
         </Text>
         <StyledButton
           variant="secondary"
           square={true}
           size="xl" // Keep xl size
-          onClick={() => handleAdjustRepGoal(1)}
-          aria-label="Increase rep goal by 1"
+          onClick={() => handleAdjustRepGoal(smallStep)}
+          aria-label={`Increase goal by ${smallStep}`}
         >
-          +1
+          +{smallStep}
         </StyledButton>
         <StyledButton
           variant="secondary"
           square={true}
           size="xl" // Keep xl size
-          onClick={() => handleAdjustRepGoal(5)}
-          aria-label="Increase rep goal by 5"
+          onClick={() => handleAdjustRepGoal(largeStep)}
+          aria-label={`Increase goal by ${largeStep}`}
         >
-          +5
+          +{largeStep}
         </StyledButton>
       </Group>
     </Paper>
@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Paper, Group, Badge, Text } from '@mantine/core';
+
+// How long an attempt stays on screen after it ended
+const REP_QUALITY_DISPLAY_MS = 3000;
+
+const getScoreColor = (score) => (score >= 80 ? 'green' : score >= 50 ? 'yellow' : 'red');
+
+/**
+ * Shows each side's latest rep attempt briefly after it ends (logic/repQuality): the rep and its
+ * quality score, or "No rep" with the reasons it didn't count.
+ * The side is labelled once attempts of more than one side are shown together.
+ *
+ * @param {Object} props
+ * @param {Object<string, Array<import('../types/poseTypes.js').RepAttemptQuality>>} props.repAttempts - From RepCounterContext
+ */
+const RepQualityDisplay = ({ repAttempts }) => {
+  const [shownAttempts, setShownAttempts] = useState({}); // Side -> attempt
+  const seenAttemptsRef = useRef({});
+  const timersRef = useRef({});
+
+  useEffect(() => {
+    for (const [side, attempts] of Object.entries(repAttempts || {})) {
+      const attempt = attempts[attempts.length - 1];
+      if (!attempt || attempt === seenAttemptsRef.current[side]) continue;
+      seenAttemptsRef.current[side] = attempt;
+      setShownAttempts(prev => ({ ...prev, [side]: attempt }));
+      clearTimeout(timersRef.current[side]);
+      timersRef.current[side] = setTimeout(() => {
+        setShownAttempts(prev => ({ ...prev, [side]: null }));
+      }, REP_QUALITY_DISPLAY_MS);
+    }
+  }, [repAttempts]);
+
+  useEffect(() => () => Object.values(timersRef.current).forEach(clearTimeout), []);
+
+  const attempts = Object.entries(shownAttempts).filter(([, attempt]) => attempt);
+  if (attempts.length === 0) return null;
+  const showSide = attempts.length > 1;
+
+  return (
+    <div className="minimal-tracker-rep-quality">
+      {attempts.map(([side, attempt]) => {
+        const isCounted = attempt.outcome === 'counted';
+        return (
+          <Paper key={side} mt={4}>
+            <Group gap="xs" wrap="nowrap">
+              <Badge color={isCounted ? getScoreColor(attempt.score) : 'red'} variant="filled">
+                {isCounted ? `Rep ${attempt.repCount}` : 'No rep'}
+              </Badge>
+              {showSide && <Text size="sm" c="dimmed">{side}</Text>}
+              <Text size="sm" fw={600}>{attempt.score}/100</Text>
+            </Group>
+            {attempt.reasons.length > 0 && (
+              <Text size="xs" c={isCounted ? 'dimmed' : 'red'} mt={2}>
+                {attempt.reasons.map(reason => reason.message).join(', ')}
+              </Text>
+            )}
+          </Paper>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RepQualityDisplay;
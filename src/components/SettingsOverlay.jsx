@@ -1,21 +1,63 @@
 import React, { useState } from 'react';
-import { Modal, Box, Title, Divider, Switch, Stack, ColorPicker, Text, Group, ActionIcon, Popover } from '@mantine/core';
+import { Modal, Box, Title, Divider, Switch, Stack, ColorPicker, Text, Group, ActionIcon, Popover, SegmentedControl, Button, Loader, Select, TextInput } from '@mantine/core';
 import CustomNumberInput from './common/CustomNumberInput';
+import ModelStatsTable from './common/ModelStatsTable';
+import config from '../config';
+import { LANDMARK_FILTERS, resolveFilterParams } from '../logic/landmarkFilters';
+import { CAMERA_RESOLUTIONS, CAMERA_FRAME_RATES, DEFAULT_CAMERA_RESOLUTION, DEFAULT_CAMERA_FRAME_RATE } from '../services/cameraDevices';
+import { DEFAULT_CALIBRATION_PROFILE } from '../services/calibrationStorage';
+
+const POSE_MODEL_OPTIONS = Object.entries(config.mediapipe.models).map(([value, model]) => ({
+  value,
+  label: model.label,
+}));
+
+const LANDMARK_FILTER_OPTIONS = Object.entries(LANDMARK_FILTERS).map(([value, filter]) => ({
+  value,
+  label: filter.label,
+}));
+
+const MAX_PEOPLE_OPTIONS = Array.from({ length: config.pose.maxNumPoses }, (_, index) => String(index + 1));
+
+// Select values must be strings, so the default camera gets a placeholder id
+const DEFAULT_CAMERA_VALUE = 'default';
+
+const CAMERA_RESOLUTION_OPTIONS = Object.entries(CAMERA_RESOLUTIONS).map(([value, resolution]) => ({
+  value,
+  label: resolution.label,
+}));
+
+const CAMERA_FRAME_RATE_OPTIONS = CAMERA_FRAME_RATES.map(fps => ({ value: String(fps), label: `${fps} fps` }));
 
 const SettingsOverlayInternal = ({ 
   isOpen, 
   onClose, 
-  smoothingEnabled = true, 
-  onSmoothingChange = () => {}, 
+  landmarkFilter = 'none',
+  onLandmarkFilterChange = () => {},
+  landmarkFilterParams = {},
+  onLandmarkFilterParamChange = () => {},
   useThreePhases = true, 
   onPhaseModeChange = () => {},
-  // used in PhaseTracker.jsx and PhaseTrackerDisplay.jsx
+  // used by the pose processor (counting gate) and PhaseTrackerDisplay.jsx (warning)
   requireAllLandmarks = false, 
   onLandmarkVsibilityModeChange = () => {},
   minimumVisibilityThreshold = 25,
   onMinimumVisibilityChange = () => {},
   requireSecondaryLandmarks = false,
   onSecondaryLandmarksChange = () => {},
+  // Start position (logic/trackingStateMachine)
+  requireStartPosition = true,
+  onRequireStartPositionChange = () => {},
+  // Exercise recognition (logic/exerciseRecognition)
+  enableExerciseRecognition = false,
+  onEnableExerciseRecognitionChange = () => {},
+  autoSelectRecognizedExercise = false,
+  onAutoSelectRecognizedExerciseChange = () => {},
+  // Left/right asymmetry (logic/sideAsymmetry)
+  showAsymmetry = true,
+  onShowAsymmetryChange = () => {},
+  asymmetryWarningPercent = 20,
+  onAsymmetryWarningPercentChange = () => {},
   cameraOpacity = 5,
   onCameraOpacityChange = () => {},
   alwaysShowConnections = false,
@@ -32,7 +74,33 @@ const SettingsOverlayInternal = ({
   stationaryAveragingWindowMs = 300,
   onStationaryAveragingWindowMsChange = () => {},
   stationaryHoldDurationMs = 1000,
-  onStationaryHoldDurationMsChange = () => {}
+  onStationaryHoldDurationMsChange = () => {},
+  // Pose model settings
+  poseModel = config.mediapipe.defaultModel,
+  onPoseModelChange = () => {},
+  isSwappingModel = false,
+  modelStats = {},
+  onResetModelStats = () => {},
+  // Multi-person tracking
+  maxPeople = 1,
+  onMaxPeopleChange = () => {},
+  // Camera selection
+  cameras = [],
+  cameraDeviceId = null,
+  onCameraDeviceChange = () => {},
+  cameraResolution = DEFAULT_CAMERA_RESOLUTION,
+  onCameraResolutionChange = () => {},
+  cameraFrameRate = DEFAULT_CAMERA_FRAME_RATE,
+  onCameraFrameRateChange = () => {},
+  cameraInfo = null,
+  // Threshold calibration (hooks/useThresholdCalibration)
+  calibrationProfile = DEFAULT_CALIBRATION_PROFILE,
+  onCalibrationProfileChange = () => {},
+  calibrationExerciseName = null,
+  canCalibrate = false,
+  isExerciseCalibrated = false,
+  onStartCalibration = () => {},
+  onResetCalibration = () => {}
 }) => {
   // State to control the color picker popover
   const [colorPickerOpened, setColorPickerOpened] = useState(false);
@@ -53,20 +121,37 @@ const SettingsOverlayInternal = ({
         
         <Stack gap="md">
           <Box>
-            <Switch
-              checked={smoothingEnabled}
-              onChange={(event) => onSmoothingChange(event.currentTarget.checked)}
-              label="Angle Smoothing"
-              description="Smooth angle measurements to reduce jitter"
-              size="md"
+            <Text size="sm" fw={500} mb={4}>Landmark Filter</Text>
+            <Text size="xs" c="dimmed" mb="xs">
+              Filters raw landmark positions before drawing and rep counting. One Euro and Kalman keep lag low on fast reps.
+            </Text>
+            <SegmentedControl
+              value={landmarkFilter}
+              onChange={onLandmarkFilterChange}
+              data={LANDMARK_FILTER_OPTIONS}
+              fullWidth
             />
+            {Object.entries(LANDMARK_FILTERS[landmarkFilter]?.params || {}).map(([paramName, param]) => (
+              <Box mt="sm" ml="md" key={`${landmarkFilter}-${paramName}`}>
+                <CustomNumberInput
+                  label={param.label}
+                  description={param.description}
+                  value={resolveFilterParams(landmarkFilter, landmarkFilterParams[landmarkFilter])[paramName]}
+                  onChange={(value) => onLandmarkFilterParamChange(landmarkFilter, paramName, value)}
+                  min={param.min}
+                  max={param.max}
+                  step={param.step}
+                  style={{ maxWidth: '300px' }}
+                />
+              </Box>
+            ))}
           </Box>
           <Box>
             <Switch
               checked={useThreePhases}
               onChange={(event) => onPhaseModeChange(event.currentTarget.checked)}
               label="Use 3 Phases"
-              description="Simplify movement tracking to 3 phases instead of 4"
+              description="Show concentric and eccentric as one phase (display only, counting is unchanged)"
               size="md"
             />
           </Box>
@@ -106,6 +191,15 @@ const SettingsOverlayInternal = ({
               </>
             )}
           </Box>
+          <Box>
+            <Switch
+              checked={requireStartPosition}
+              onChange={(event) => onRequireStartPositionChange(event.currentTarget.checked)}
+              label="Require start position"
+              description="Hold the exercise's start position before reps count (IDLE → READY)"
+              size="md"
+            />
+          </Box>
 
           <Box>
             <CustomNumberInput
@@ -239,6 +333,177 @@ const SettingsOverlayInternal = ({
             </>
           )}
 
+          <Title order={4} mt="lg">Camera</Title>
+          <Divider my="xs" />
+
+          <Box>
+            <Text size="sm" fw={500} mb={4}>Device</Text>
+            <Text size="xs" c="dimmed" mb="xs">
+              Changes apply immediately; the model and rep counts are kept. Camera names appear once the camera has been started.
+            </Text>
+            <Select
+              value={cameraDeviceId || DEFAULT_CAMERA_VALUE}
+              onChange={(value) => onCameraDeviceChange(value === DEFAULT_CAMERA_VALUE ? null : value)}
+              data={[
+                { value: DEFAULT_CAMERA_VALUE, label: 'Default camera' },
+                ...cameras.map(camera => ({ value: camera.deviceId, label: camera.label })),
+              ]}
+              allowDeselect={false}
+              comboboxProps={{ zIndex: 1000 }}
+            />
+          </Box>
+
+          <Box>
+            <Text size="sm" fw={500} mb={4}>Resolution</Text>
+            <SegmentedControl
+              value={cameraResolution}
+              onChange={onCameraResolutionChange}
+              data={CAMERA_RESOLUTION_OPTIONS}
+              fullWidth
+            />
+          </Box>
+
+          <Box>
+            <Text size="sm" fw={500} mb={4}>Target frame rate</Text>
+            <SegmentedControl
+              value={String(cameraFrameRate)}
+              onChange={onCameraFrameRateChange}
+              data={CAMERA_FRAME_RATE_OPTIONS}
+              fullWidth
+            />
+            {cameraInfo && (
+              <Text size="xs" c="dimmed" mt="xs">
+                Active: {cameraInfo.label || 'camera'} at {cameraInfo.width}×{cameraInfo.height}
+                {cameraInfo.frameRate ? ` @ ${cameraInfo.frameRate} fps` : ''}
+              </Text>
+            )}
+          </Box>
+
+          <Title order={4} mt="lg">Pose Model</Title>
+          <Divider my="xs" />
+
+          <Box>
+            <Group gap="xs" mb={4}>
+              <Text size="sm" fw={500}>Model</Text>
+              {isSwappingModel && <Loader size="xs" />}
+            </Group>
+            <Text size="xs" c="dimmed" mb="xs">
+              Heavier models are more accurate but slower. The model is swapped without restarting the camera.
+            </Text>
+            <SegmentedControl
+              value={poseModel}
+              onChange={onPoseModelChange}
+              data={POSE_MODEL_OPTIONS}
+              disabled={isSwappingModel}
+              fullWidth
+            />
+          </Box>
+
+          <Box>
+            <ModelStatsTable modelStats={modelStats} activeModel={poseModel} />
+            <Button variant="subtle" size="xs" mt="xs" onClick={onResetModelStats}>
+              Reset model stats
+            </Button>
+          </Box>
+
+          <Title order={4} mt="lg">People</Title>
+          <Divider my="xs" />
+
+          <Box>
+            <Text size="sm" fw={500} mb={4}>Max people</Text>
+            <Text size="xs" c="dimmed" mb="xs">
+              Track several people at once, each with their own skeleton color and rep counts shown side by side in a race view. Changing this resets the rep counts.
+            </Text>
+            <SegmentedControl
+              value={String(maxPeople)}
+              onChange={onMaxPeopleChange}
+              data={MAX_PEOPLE_OPTIONS}
+              disabled={isSwappingModel}
+              fullWidth
+            />
+          </Box>
+
+          <Title order={4} mt="lg">Exercise Recognition</Title>
+          <Divider my="xs" />
+
+          <Box>
+            <Switch
+              checked={enableExerciseRecognition}
+              onChange={(event) => onEnableExerciseRecognitionChange(event.currentTarget.checked)}
+              label="Recognize exercises"
+              description="Compare your movement with every exercise and warn when it doesn't look like the selected one"
+              size="md"
+            />
+            {enableExerciseRecognition && (
+              <Switch
+                mt="sm"
+                checked={autoSelectRecognizedExercise}
+                onChange={(event) => onAutoSelectRecognizedExerciseChange(event.currentTarget.checked)}
+                label="Switch automatically"
+                description="Select the recognized exercise instead of suggesting it (manual mode only)"
+                size="md"
+              />
+            )}
+          </Box>
+
+          <Title order={4} mt="lg">Left / Right Asymmetry</Title>
+          <Divider my="xs" />
+
+          <Box>
+            <Switch
+              checked={showAsymmetry}
+              onChange={(event) => onShowAsymmetryChange(event.currentTarget.checked)}
+              label="Compare sides"
+              description="Show reps, range of motion, peak angle and tempo of each side of two-sided exercises, and the last set's comparison before the next one"
+              size="md"
+            />
+            {showAsymmetry && (
+              <Box mt="sm">
+                <CustomNumberInput
+                  label="Warning threshold (%)"
+                  description="Warn when one side falls this far behind the other (asymmetry index)"
+                  value={asymmetryWarningPercent}
+                  onChange={onAsymmetryWarningPercentChange}
+                  min={5}
+                  max={100}
+                  step={5}
+                  style={{ maxWidth: '300px' }}
+                />
+              </Box>
+            )}
+          </Box>
+
+          <Title order={4} mt="lg">Calibration</Title>
+          <Divider my="xs" />
+
+          <Box>
+            <Text size="xs" c="dimmed" mb="xs">
+              Record a few slow reps to fit the exercise's angle thresholds to your range of motion. Personal thresholds are saved per profile and exercise.
+            </Text>
+            <TextInput
+              label="Profile"
+              value={calibrationProfile}
+              onChange={(event) => onCalibrationProfileChange(event.currentTarget.value)}
+            />
+            {calibrationExerciseName && (
+              <Group gap="xs" mt="xs">
+                <Button size="xs" onClick={onStartCalibration} disabled={!canCalibrate}>
+                  Calibrate {calibrationExerciseName}
+                </Button>
+                {isExerciseCalibrated && (
+                  <Button variant="subtle" size="xs" onClick={onResetCalibration}>
+                    Reset to default thresholds
+                  </Button>
+                )}
+              </Group>
+            )}
+            {calibrationExerciseName && !canCalibrate && (
+              <Text size="xs" c="dimmed" mt={4}>
+                Start the camera with a single person and an angle-based exercise to calibrate.
+              </Text>
+            )}
+          </Box>
+
         </Stack>
       </Box>
     </Modal>
@@ -1,6 +1,8 @@
 import React from 'react';
+import DiagnosticsPanel from './common/DiagnosticsPanel';
+import { LANDMARK_FILTERS } from '../logic/landmarkFilters';
 
-const StatsDisplay = ({ stats, cameraStarted, smoothingEnabled, smoothingWindow }) => {
+const StatsDisplay = ({ stats, cameraStarted, landmarkFilter = 'none', diagnostics = null, showDiagnostics = false }) => {
   if (!cameraStarted) {
     return null;
   }
@@ -17,8 +19,19 @@ const StatsDisplay = ({ stats, cameraStarted, smoothingEnabled, smoothingWindow
       zIndex: 100,
     }}>
       FPS: {stats.fps} | Inference Time: {stats.inferenceTime}ms
-      {smoothingEnabled && (
-        <span> | Smoothing</span>
+      {stats.roundTripTime !== null && stats.roundTripTime !== undefined && (
+        <span> (round trip {stats.roundTripTime}ms)</span>
+      )}
+      {landmarkFilter !== 'none' && LANDMARK_FILTERS[landmarkFilter] && (
+        <span> | {LANDMARK_FILTERS[landmarkFilter].label} filter</span>
+      )}
+      {diagnostics && (
+        <span> | {diagnostics.delegate}{diagnostics.inferenceThread === 'worker' ? ' · worker' : ''}</span>
+      )}
+      {showDiagnostics && (
+        <div style={{ marginTop: '8px', fontFamily: 'inherit' }}>
+          <DiagnosticsPanel diagnostics={diagnostics} />
+        </div>
       )}
     </div>
   );
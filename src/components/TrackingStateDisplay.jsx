@@ -0,0 +1,67 @@
+import React from 'react';
+import { Paper, Group, Badge, Text, Progress } from '@mantine/core';
+import { TRACKING_STATES } from '../logic/trackingStateMachine.js';
+
+const STATE_COLORS = {
+  [TRACKING_STATES.IDLE]: 'gray',
+  [TRACKING_STATES.READY]: 'teal',
+  [TRACKING_STATES.ACTIVE]: 'green',
+  [TRACKING_STATES.PAUSED]: 'orange',
+};
+
+const STATE_HINTS = {
+  [TRACKING_STATES.IDLE]: 'Get into the start position',
+  [TRACKING_STATES.READY]: 'Ready - start your first rep',
+  [TRACKING_STATES.ACTIVE]: null,
+  [TRACKING_STATES.PAUSED]: 'Paused - step back into view',
+};
+
+/**
+ * Shows the tracking state (logic/trackingStateMachine) and what is holding it up:
+ * the unmet start position requirements in IDLE and the lost landmarks in PAUSED.
+ *
+ * @param {Object} props
+ * @param {import('../types/poseTypes.js').TrackingState|null} props.trackingState - From usePoseTracker
+ * @param {Object} props.selectedExercise - Exercise being tracked (for the start position description)
+ */
+const TrackingStateDisplay = ({ trackingState, selectedExercise }) => {
+  if (!trackingState) return null;
+
+  const { state, requirements, holdProgress, missingLandmarks } = trackingState;
+  const unmetRequirements = requirements.filter(requirement => !requirement.isMet);
+  const description = selectedExercise?.startPosition?.description;
+
+  return (
+    <div className="minimal-tracker-tracking-state">
+      <Paper>
+        <Group gap="xs" wrap="nowrap">
+          <Badge color={STATE_COLORS[state]} variant="filled">{state}</Badge>
+          {STATE_HINTS[state] && <Text size="sm">{STATE_HINTS[state]}</Text>}
+        </Group>
+
+        {state === TRACKING_STATES.IDLE && (
+          <>
+            {description && <Text size="xs" c="dimmed" mt={4}>{description}</Text>}
+            {missingLandmarks.length > 0 && (
+              <Text size="xs" c="orange" mt={4}>Not visible: {missingLandmarks.join(', ')}</Text>
+            )}
+            {unmetRequirements.map(requirement => (
+              <Text key={requirement.id} size="xs" c="red" mt={2}>
+                {requirement.id}: {requirement.value ?? '–'}{requirement.type === 'angle' && requirement.value != null ? '°' : ''} (target {requirement.target})
+              </Text>
+            ))}
+            {holdProgress > 0 && (
+              <Progress value={holdProgress * 100} color="teal" size="sm" mt="xs" />
+            )}
+          </>
+        )}
+
+        {state === TRACKING_STATES.PAUSED && missingLandmarks.length > 0 && (
+          <Text size="xs" c="orange" mt={4}>Lost: {missingLandmarks.join(', ')}</Text>
+        )}
+      </Paper>
+    </div>
+  );
+};
+
+export default TrackingStateDisplay;
@@ -3,20 +3,32 @@
 // It is used in the MinimalTracker component
 import React, { useEffect } from 'react';
 import { LANDMARK_MAP, POSE_CONNECTIONS } from '../logic/landmarkUtils';
+import { getPersonColor } from '../theme';
+
+// Highlight colors of form check violations by severity
+const FORM_VIOLATION_COLORS = {
+  info: 'rgba(77, 171, 247, 0.9)',
+  warning: 'rgba(255, 170, 0, 0.95)',
+  error: 'rgba(255, 50, 50, 0.95)',
+};
 
 const VideoCanvas = ({ 
   videoRef, 
   canvasRef, 
   landmarks, 
+  people = null, // Tracked people ({ id, landmarks, positions, formCheckState }) in multi-person mode, each drawn in their own color
   width, 
   height,
   cameraStarted,
+  mirror = true, // Mirror the live webcam; recorded footage is drawn as filmed
   feedOpacity = 1,
   minVisibilityForConnection = 0.0, // Default to 0.0 (draw all connections if not specified)
   overrideConnectionVisibility = false, // Add new prop with default
   highlightExerciseConnections = false,
   connectionHighlightColor = "#00FF00",
   selectedExercise = null,
+  trackedPositions = null, // Position metrics by id (position-based exercises), drawn as met / unmet indicators
+  formViolations = null, // Form check violations on this frame; their joints are highlighted in the severity's color
   // Stationary tracking visualization props
   enableStationaryTracking = false,
   stationaryDeviationThreshold = 0.05,
@@ -122,12 +134,13 @@ const VideoCanvas = ({
   };
 
   // Draw landmarks on canvas
-  const drawLandmarks = (ctx, landmarks, width, height, minVisibility, overrideVisibility) => {
+  // color is the skeleton color; stationary circles are only drawn for the primary person
+  const drawLandmarks = (ctx, landmarks, width, height, minVisibility, overrideVisibility, color = 'white', drawStationary = true) => {
     if (!landmarks) return;
 
     // Set styles for landmarks
-    ctx.fillStyle = 'white';
-    ctx.strokeStyle = 'white';
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     
     // Draw each landmark
@@ -159,7 +172,7 @@ const VideoCanvas = ({
     
     // First, draw regular connections
     ctx.beginPath();
-    ctx.strokeStyle = 'white';
+    ctx.strokeStyle = color;
     for (const [idx1, idx2] of connections) {
       // Skip this connection if it's an exercise connection (we'll draw those separately)
       if (highlightExerciseConnections && exerciseConnectionsSet.has(`${idx1},${idx2}`)) {
@@ -233,7 +246,7 @@ const VideoCanvas = ({
     }
 
     // Draw stationary landmark stability circles
-    if (enableStationaryTracking && stationaryLandmarksConfiguration && stationaryLandmarksConfiguration.length > 0) {
+    if (drawStationary && enableStationaryTracking && stationaryLandmarksConfiguration && stationaryLandmarksConfiguration.length > 0) {
       stationaryLandmarksConfiguration.forEach(landmarkName => {
         if (averageStationaryLandmarks && averageStationaryLandmarks[landmarkName]) {
           const avgPos = averageStationaryLandmarks[landmarkName];
@@ -295,6 +308,61 @@ const VideoCanvas = ({
     }
   };
 
+  // Position-based exercises: a dashed line between each position's two points,
+  // green while all of its conditions are met and red otherwise
+  const drawPositionIndicators = (ctx, landmarks, positions, width, height) => {
+    const positionsToTrack = selectedExercise?.logicConfig?.type === 'position' ? selectedExercise.logicConfig.positionsToTrack : null;
+    if (!Array.isArray(positionsToTrack) || !positions) return;
+
+    ctx.save();
+    ctx.lineWidth = 3;
+    ctx.setLineDash([8, 6]);
+    positionsToTrack.forEach(positionConfig => {
+      const [a, b] = positionConfig.points.map(name => landmarks[LANDMARK_MAP[name]]);
+      if (!a || !b) return;
+      const color = positions[positionConfig.id]?.isMet ? 'rgba(0, 255, 0, 0.9)' : 'rgba(255, 60, 60, 0.9)';
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(a.x * width, a.y * height);
+      ctx.lineTo(b.x * width, b.y * height);
+      ctx.stroke();
+      [a, b].forEach(point => {
+        ctx.beginPath();
+        ctx.arc(point.x * width, point.y * height, 6, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    });
+    ctx.restore();
+  };
+
+  // Form checks: a ring around every joint of a violated rule (the most severe rule wins a shared joint)
+  // and the segments between them, so the offending body part stands out
+  const drawFormViolations = (ctx, landmarks, violations, width, height) => {
+    if (!Array.isArray(violations) || violations.length === 0) return;
+
+    ctx.save();
+    ctx.lineWidth = 4;
+    // Least severe first, so more severe rules are drawn on top
+    [...violations].reverse().forEach(violation => {
+      const color = FORM_VIOLATION_COLORS[violation.severity] || FORM_VIOLATION_COLORS.warning;
+      const points = violation.landmarks.map(name => landmarks[LANDMARK_MAP[name]]).filter(Boolean);
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      points.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x * width, point.y * height);
+        else ctx.lineTo(point.x * width, point.y * height);
+      });
+      ctx.stroke();
+      points.forEach(point => {
+        ctx.beginPath();
+        ctx.arc(point.x * width, point.y * height, 12, 0, 2 * Math.PI);
+        ctx.stroke();
+      });
+    });
+    ctx.restore();
+  };
+
   // Update canvas when landmarks change
   useEffect(() => {
     // Ensure canvasRef is current and width/height are positive before drawing
@@ -307,8 +375,10 @@ const VideoCanvas = ({
       // Apply mirroring and draw video frame
       if (videoRef.current && videoRef.current.readyState >= HTMLMediaElement.HAVE_METADATA) {
         ctx.save();
-        ctx.scale(-1, 1); // Mirror horizontally
-        ctx.translate(-width, 0);
+        if (mirror) {
+          ctx.scale(-1, 1); // Mirror horizontally
+          ctx.translate(-width, 0);
+        }
 
         // Apply opacity for the video frame
         const originalAlpha = ctx.globalAlpha;
@@ -319,10 +389,21 @@ const VideoCanvas = ({
         // Restore original alpha before drawing landmarks
         ctx.globalAlpha = originalAlpha;
         
-        // Draw the landmarks (they will also be mirrored due to the transform)
+        // Draw the landmarks (they will also be mirrored when the transform is applied)
         // Only draw landmarks if there are any to draw
-        if (landmarks && landmarks.length > 0) {
+        if (people && people.length > 0) {
+          // The first person is the one the single-person outputs (stationary tracking) follow
+          people.forEach((person, index) => {
+            if (person.landmarks && person.landmarks.length > 0) {
+              drawLandmarks(ctx, person.landmarks, width, height, minVisibilityForConnection, overrideConnectionVisibility, getPersonColor(person.id), index === 0);
+              drawPositionIndicators(ctx, person.landmarks, person.positions, width, height);
+              drawFormViolations(ctx, person.landmarks, person.formCheckState?.violations, width, height);
+            }
+          });
+        } else if (landmarks && landmarks.length > 0) {
             drawLandmarks(ctx, landmarks, width, height, minVisibilityForConnection, overrideConnectionVisibility);
+            drawPositionIndicators(ctx, landmarks, trackedPositions, width, height);
+            drawFormViolations(ctx, landmarks, formViolations, width, height);
         }
 
         ctx.restore();
@@ -330,17 +411,21 @@ const VideoCanvas = ({
     }
   }, [
     landmarks, 
+    people,
     width, 
     height, 
     videoRef, 
     canvasRef, 
     cameraStarted, 
+    mirror,
     feedOpacity, 
     minVisibilityForConnection, 
     overrideConnectionVisibility,
     highlightExerciseConnections,
     connectionHighlightColor,
     selectedExercise,
+    trackedPositions,
+    formViolations,
     enableStationaryTracking,
     stationaryDeviationThreshold,
     stabilityState,
@@ -369,7 +454,9 @@ const VideoCanvas = ({
 };
 
 // Helper functions that can be reused by parent components
-export const setupCamera = async () => {
+// Without a deviceId the front-facing camera is requested; resolution and frame rate are "ideal"
+// constraints, so the camera falls back to its closest mode (see services/cameraDevices)
+export const setupCamera = async ({ deviceId = null, width = 1280, height = 720, frameRate = 30 } = {}) => {
   if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     throw new Error('Browser API navigator.mediaDevices.getUserMedia not available');
   }
@@ -377,24 +464,31 @@ export const setupCamera = async () => {
   try {
     const stream = await navigator.mediaDevices.getUserMedia({
       video: {
-        facingMode: 'user',
-        width: { ideal: 1280 },
-        height: { ideal: 720 }
+        ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }),
+        width: { ideal: width },
+        height: { ideal: height },
+        frameRate: { ideal: frameRate }
       }
     });
     return stream;
   } catch (error) {
-    throw new Error(`Error accessing camera: ${error.message}`);
+    const cameraError = new Error(`Error accessing camera: ${error.message}`);
+    cameraError.name = error.name; // Keep e.g. OverconstrainedError / NotFoundError for callers
+    throw cameraError;
   }
 };
 
 // Wait for video to be ready
 export const waitForVideoReady = (videoElement) => {
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
     videoElement.onloadedmetadata = () => {
       videoElement.play();
       resolve(videoElement);
     };
+    // Unsupported or corrupt video files never reach loadedmetadata
+    videoElement.onerror = () => {
+      reject(new Error(videoElement.error?.message || 'Unable to load video'));
+    };
   });
 };
 
@@ -22,14 +22,25 @@ import { IconTrash, IconCopy, IconPlus, IconGripVertical } from '@tabler/icons-r
 import { DragDropContext, Draggable, Droppable } from '@hello-pangea/dnd';
 import cx from 'clsx';
 import classes from './WorkoutBuilder.module.css';
+import { parseTempo } from '../logic/tempo';
+import { DEFAULT_HOLD_GOAL_SECONDS } from '../logic/holdLogic';
 
 // Convert exercise options to array of objects for select component
 const exerciseOptions = Object.values(exercises).map(exercise => ({
   value: exercise.id,
   label: exercise.name,
-  hasWeight: exercise.hasWeight || false
+  hasWeight: exercise.hasWeight || false,
+  isHold: exercise.logicConfig?.type === 'hold',
+  isTwoSided: exercise.isTwoSided || false,
+  alternating: exercise.alternating || false
 }));
 
+// How the reps of a two-sided set are counted toward its target
+const REPS_MODE_OPTIONS = [
+  { value: 'perSide', label: 'Per side' },
+  { value: 'total', label: 'Total' }
+];
+
 // Log available exercises for debugging
 console.log('[WorkoutBuilder] Available exercises:', Object.values(exercises).map(ex => ({id: ex.id, name: ex.name})));
 
@@ -69,6 +80,8 @@ const WorkoutBuilder = ({
       exerciseId: validExerciseId,
       reps: 10,
       weight: null,
+      tempo: '', // Optional tempo prescription, e.g. "3-1-2" (see logic/tempo)
+      holdSeconds: DEFAULT_HOLD_GOAL_SECONDS, // Target of hold exercises (plank, wall sit), used instead of reps
       notes: ''
     };
     
@@ -394,6 +407,8 @@ const WorkoutBuilder = ({
     // Find the exercise to check if it has weights
     const exercise = exerciseOptions.find(ex => ex.value === set.exerciseId);
     const hasWeights = exercise?.hasWeight || false;
+    const isHold = exercise?.isHold || false;
+    const isTwoSided = !isHold && (exercise?.isTwoSided || false);
     
     return (
       <Draggable key={set.id} draggableId={set.id} index={index}>
@@ -433,13 +448,33 @@ const WorkoutBuilder = ({
                     />
                     
                     <Group grow>
-                      <NumberInput
-                        label="Reps"
-                        value={set.reps}
-                        onChange={(value) => updateExerciseSet(set.id, 'reps', value, circuitId)}
-                        min={1}
-                        max={100}
-                      />
+                      {isHold ? (
+                        <NumberInput
+                          label="Hold (s)"
+                          value={set.holdSeconds ?? DEFAULT_HOLD_GOAL_SECONDS}
+                          onChange={(value) => updateExerciseSet(set.id, 'holdSeconds', value, circuitId)}
+                          min={5}
+                          max={600}
+                          step={5}
+                        />
+                      ) : (
+                        <NumberInput
+                          label="Reps"
+                          value={set.reps}
+                          onChange={(value) => updateExerciseSet(set.id, 'reps', value, circuitId)}
+                          min={1}
+                          max={100}
+                        />
+                      )}
+
+                      {isTwoSided && (
+                        <Select
+                          label="Target"
+                          value={set.repsMode || (exercise.alternating ? 'total' : 'perSide')}
+                          onChange={(value) => updateExerciseSet(set.id, 'repsMode', value, circuitId)}
+                          data={REPS_MODE_OPTIONS}
+                        />
+                      )}
                       
                       {hasWeights && (
                         <NumberInput
@@ -451,6 +486,16 @@ const WorkoutBuilder = ({
                           step={2.5}
                         />
                       )}
+
+                      {!isHold && (
+                        <TextInput
+                          label="Tempo"
+                          placeholder="3-1-2"
+                          value={set.tempo || ''}
+                          onChange={(event) => updateExerciseSet(set.id, 'tempo', event.currentTarget.value, circuitId)}
+                          error={set.tempo && !parseTempo(set.tempo) ? 'Use concentric-peak-eccentric seconds' : null}
+                        />
+                      )}
                     </Group>
                   </Box>
                   
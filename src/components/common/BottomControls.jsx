@@ -7,6 +7,7 @@ import { globalStyles } from '../../styles/globalStyles';
 const BottomControls = ({
   repGoal,
   setRepGoal,
+  goalUnit = 'reps', // 'seconds' for hold exercises
   selectedExercise,
   weight,
   onWeightChange, // Renamed for clarity, maps to handleWeightChange
@@ -33,7 +34,7 @@ const BottomControls = ({
       }}
     >
       {workoutMode !== 'ladder' && ( // Conditionally render RepGoalIndicator
-        <RepGoalIndicator repGoal={repGoal} setRepGoal={setRepGoal} />
+        <RepGoalIndicator repGoal={repGoal} setRepGoal={setRepGoal} unit={goalUnit} />
       )}
       {selectedExercise?.hasWeight && (
         <WeightIndicator weight={weight} setWeight={onWeightChange} />
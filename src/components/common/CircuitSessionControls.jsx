@@ -143,7 +143,10 @@ const CircuitSessionControls = ({
   const { 
     exerciseName, 
     targetReps, 
+    targetHoldSeconds,
+    targetRepsMode,
     weight, 
+    tempo,
     inCircuit, 
     circuitName, 
     circuitSetNumber, 
@@ -154,6 +157,7 @@ const CircuitSessionControls = ({
     overallTotalSets,
     nextExerciseName
   } = currentExerciseDetails;
+  const isTwoSided = Object.values(exercises).find(e => e.id === currentExerciseDetails.exerciseId)?.isTwoSided || false;
 
   // Calculate progress percentage based on completed sets
   // If we're on set 1 of 10, we've completed 0 sets (0%)
@@ -181,7 +185,11 @@ const CircuitSessionControls = ({
               <Badge size="lg" color="blue">{weight} lbs</Badge>
             )}
           </Group>
-          <Text size="md" color="dimmed">Target: {targetReps} reps</Text>
+          <Text size="md" color="dimmed">
+            {targetHoldSeconds != null
+              ? `Target: hold ${targetHoldSeconds} s`
+              : `Target: ${targetReps} reps${isTwoSided ? (targetRepsMode === 'total' ? ' total' : ' per side') : ''}${tempo ? ` · tempo ${tempo}` : ''}`}
+          </Text>
         </Box>
 
         {/* Circuit info if in a circuit */}
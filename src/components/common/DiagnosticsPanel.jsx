@@ -0,0 +1,77 @@
+import React from 'react';
+import { Stack, Group, Text, Badge, Divider } from '@mantine/core';
+
+const formatMs = (value) => (value !== null && value !== undefined ? `${Math.round(value)}ms` : '—');
+
+const CapabilityBadge = ({ supported }) => (
+  <Badge size="sm" color={supported ? 'green' : 'red'} variant="light">
+    {supported ? 'Yes' : 'No'}
+  </Badge>
+);
+
+const Row = ({ label, children }) => (
+  <Group justify="space-between" gap="md" wrap="nowrap">
+    <Text size="sm" c="dimmed">{label}</Text>
+    {typeof children === 'string' ? <Text size="sm" fw={500}>{children}</Text> : children}
+  </Group>
+);
+
+/**
+ * DiagnosticsPanel Component
+ *
+ * Explains tracking performance on the current device: which delegate MediaPipe
+ * ended up on, whether inference runs in the worker, whether WebGL2 and WASM SIMD
+ * are available, how long the model took to load and how slow the first inference was.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.diagnostics - Diagnostics from usePoseTracker
+ */
+const DiagnosticsPanel = ({ diagnostics }) => {
+  if (!diagnostics) {
+    return <Text size="sm" c="dimmed">Diagnostics are available once the model has loaded.</Text>;
+  }
+
+  const usingFallback = diagnostics.requestedDelegate && diagnostics.delegate !== diagnostics.requestedDelegate;
+
+  return (
+    <Stack gap={6} style={{ minWidth: 240 }}>
+      <Text fw={600} size="sm">Tracking Diagnostics</Text>
+      <Divider />
+      {diagnostics.modelVariant && <Row label="Model">{diagnostics.modelVariant}</Row>}
+      <Row label="Delegate">
+        <Badge size="sm" color={diagnostics.delegate === 'GPU' ? 'green' : 'yellow'}>
+          {diagnostics.delegate}
+        </Badge>
+      </Row>
+      <Row label="Inference thread">
+        <Badge size="sm" color={diagnostics.inferenceThread === 'worker' ? 'green' : 'yellow'} variant="light">
+          {diagnostics.inferenceThread === 'worker' ? 'Worker' : 'Main'}
+        </Badge>
+      </Row>
+      <Row label="WebGL2"><CapabilityBadge supported={diagnostics.webgl2} /></Row>
+      <Row label="WASM SIMD"><CapabilityBadge supported={diagnostics.wasmSimd} /></Row>
+      <Row label="Model load time">{formatMs(diagnostics.modelLoadTimeMs)}</Row>
+      <Row label="First inference">{formatMs(diagnostics.firstInferenceMs)}</Row>
+      <Row label="Assets">{`${diagnostics.wasmSource} WASM / ${diagnostics.modelSource} model`}</Row>
+      {usingFallback && (
+        <Text size="xs" c="yellow">
+          Running on {diagnostics.delegate} because {diagnostics.fallbackReason || `${diagnostics.requestedDelegate} was unavailable`}.
+          Expect lower tracking rates.
+        </Text>
+      )}
+      {diagnostics.workerFallbackReason && (
+        <Text size="xs" c="yellow">
+          Inference runs on the main thread because {diagnostics.workerFallbackReason}.
+          UI updates may lower the tracking rate.
+        </Text>
+      )}
+      {!diagnostics.wasmSimd && (
+        <Text size="xs" c="yellow">
+          WASM SIMD is not available, so the slower non-SIMD runtime is in use.
+        </Text>
+      )}
+    </Stack>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -1,24 +1,35 @@
 import React from 'react';
-import { Text, Box } from '@mantine/core';
+import { Text, Box, Popover, UnstyledButton } from '@mantine/core';
+import DiagnosticsPanel from './DiagnosticsPanel';
 
-const FpsDisplay = ({ fps, inferenceTime }) => {
+const FpsDisplay = ({ fps, inferenceTime, diagnostics = null }) => {
   return (
-    <Box 
-      bg="rgba(0, 0, 0, 0.7)" 
-      px="md" 
-      py="xs" 
-      style={{ 
-        borderRadius: '5px', 
-        display: 'flex', 
-        alignItems: 'center', 
-        height: '42px' // Match ActionIcon size 'lg'
-      }}
-    >
-      <Text c="white" style={{ fontFamily: 'monospace', fontWeight: 500 }}>
-        FPS: {fps || 0} | {inferenceTime || 0}ms
-      </Text>
-    </Box>
+    <Popover position="bottom-end" withArrow shadow="md" zIndex={1400}>
+      <Popover.Target>
+        <UnstyledButton title="Show tracking diagnostics">
+          <Box 
+            bg="rgba(0, 0, 0, 0.7)" 
+            px="md" 
+            py="xs" 
+            style={{ 
+              borderRadius: '5px', 
+              display: 'flex', 
+              alignItems: 'center', 
+              height: '42px' // Match ActionIcon size 'lg'
+            }}
+          >
+            <Text c="white" style={{ fontFamily: 'monospace', fontWeight: 500 }}>
+              FPS: {fps || 0} | {inferenceTime || 0}ms
+              {diagnostics ? ` | ${diagnostics.delegate}${diagnostics.inferenceThread === 'worker' ? ' · worker' : ''}` : ''}
+            </Text>
+          </Box>
+        </UnstyledButton>
+      </Popover.Target>
+      <Popover.Dropdown>
+        <DiagnosticsPanel diagnostics={diagnostics} />
+      </Popover.Dropdown>
+    </Popover>
   );
 };
 
-export default FpsDisplay; 
\ No newline at end of file
+export default FpsDisplay; 
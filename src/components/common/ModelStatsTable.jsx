@@ -0,0 +1,48 @@
+import React from 'react';
+import { Table, Text } from '@mantine/core';
+import config from '../../config';
+
+/**
+ * ModelStatsTable Component
+ *
+ * Compares the average FPS and inference time measured for each pose model on this
+ * device, so users can weigh accuracy (heavier models) against speed.
+ *
+ * @param {Object} props
+ * @param {Object} props.modelStats - Per-model stats from usePoseTracker, keyed by model variant
+ * @param {string} props.activeModel - The currently selected model variant
+ */
+const ModelStatsTable = ({ modelStats = {}, activeModel }) => {
+  const rows = Object.entries(config.mediapipe.models).map(([variant, model]) => {
+    const entry = modelStats[variant];
+    return (
+      <Table.Tr key={variant} fw={variant === activeModel ? 600 : undefined}>
+        <Table.Td>{model.label}</Table.Td>
+        <Table.Td>{entry ? Math.round(entry.avgFps) : '—'}</Table.Td>
+        <Table.Td>{entry ? `${Math.round(entry.avgInferenceTime)}ms` : '—'}</Table.Td>
+        <Table.Td>{entry ? entry.delegate : '—'}</Table.Td>
+      </Table.Tr>
+    );
+  });
+
+  return (
+    <>
+      <Table striped withTableBorder fz="sm">
+        <Table.Thead>
+          <Table.Tr>
+            <Table.Th>Model</Table.Th>
+            <Table.Th>Avg FPS</Table.Th>
+            <Table.Th>Avg Inference</Table.Th>
+            <Table.Th>Delegate</Table.Th>
+          </Table.Tr>
+        </Table.Thead>
+        <Table.Tbody>{rows}</Table.Tbody>
+      </Table>
+      <Text size="xs" c="dimmed" mt={4}>
+        Measured on this device while tracking. Switch models during a session to fill in the comparison.
+      </Text>
+    </>
+  );
+};
+
+export default ModelStatsTable;
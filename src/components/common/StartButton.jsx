@@ -1,11 +1,13 @@
 import React from 'react';
-import { Box } from '@mantine/core';
+import { Box, Stack, FileButton } from '@mantine/core';
 import { globalStyles } from '../../styles/globalStyles';
 import StyledButton from './StyledButton'; // Import the new StyledButton
+import { VIDEO_FILE_ACCEPT } from './VideoFileControls';
 
-const StartButton = ({ onClick, disabled }) => {
+const StartButton = ({ onClick, onVideoFileSelect, disabled }) => {
   return (
     <Box style={{ ...globalStyles.centeredOverlay, top: '40%' }}> {/* Adjust top as needed */}
+      <Stack align="center" gap="md">
       <StyledButton
         onClick={onClick}
         disabled={disabled}
@@ -18,6 +20,16 @@ const StartButton = ({ onClick, disabled }) => {
       >
         Start Minimal Tracking
       </StyledButton>
+      {onVideoFileSelect && (
+        <FileButton onChange={(file) => file && onVideoFileSelect(file)} accept={VIDEO_FILE_ACCEPT}>
+          {(props) => (
+            <StyledButton {...props} disabled={disabled} variant="secondary" size="md">
+              Analyze Video File
+            </StyledButton>
+          )}
+        </FileButton>
+      )}
+      </Stack>
     </Box>
   );
 };
@@ -26,6 +26,7 @@ const TimedSessionControls = ({
   selectedExercise = null,
   onExerciseChange = () => {},
   useRandomExercises = true, // Default to true for backward compatibility
+  holdGoalSeconds, // Goal of hold exercises in seconds held
 }) => {
   const [showSettings, setShowSettings] = useState(false);
 
@@ -73,6 +74,7 @@ const TimedSessionControls = ({
             restPeriodDuration={restPeriodDuration}
             totalSets={totalSets}
             useRandomExercises={useRandomExercises}
+            holdGoalSeconds={holdGoalSeconds}
             onSettingsChange={onSettingsChange}
             isSessionActive={isSessionActive}
           />
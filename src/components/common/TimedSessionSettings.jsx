@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Stack, Group, Flex, Switch } from '@mantine/core';
 import CustomNumberInput from '../common/CustomNumberInput';
+import { DEFAULT_HOLD_GOAL_SECONDS } from '../../logic/holdLogic.js';
 
 /**
  * SessionSettings Component
@@ -9,6 +10,7 @@ import CustomNumberInput from '../common/CustomNumberInput';
  * - Exercise duration (seconds)
  * - Rest duration (seconds)
  * - Total number of sets to perform
+ * - Hold goal (seconds held per set, for hold exercises like the plank)
  * - Random exercise toggle (enables/disables random exercise selection)
  * 
  * Settings are disabled during active sessions to prevent mid-session changes.
@@ -19,6 +21,7 @@ const TimedSessionSettings = ({
   restPeriodDuration = 15,
   totalSets = 10,
   useRandomExercises = true,
+  holdGoalSeconds = DEFAULT_HOLD_GOAL_SECONDS,
   onSettingsChange,
   onStartSession,
   isSessionActive = false,
@@ -28,6 +31,7 @@ const TimedSessionSettings = ({
     restPeriodDuration,
     totalSets,
     useRandomExercises,
+    holdGoalSeconds,
   });
 
   const handleConfigChange = (key, value) => {
@@ -66,8 +70,8 @@ const TimedSessionSettings = ({
         />
       </Group>
       
-      {/* Second row: Total Sets centered */}
-      <Group position="center">
+      {/* Second row: Total Sets and the hold goal of hold exercises */}
+      <Group grow spacing="md">
         <CustomNumberInput
           label="Total Sets"
           value={sessionConfig.totalSets}
@@ -76,7 +80,16 @@ const TimedSessionSettings = ({
           max={50}
           step={1}
           disabled={isSessionActive}
-          style={{ width: '180px' }}
+        />
+
+        <CustomNumberInput
+          label="Hold Goal"
+          value={sessionConfig.holdGoalSeconds}
+          onChange={(value) => handleConfigChange('holdGoalSeconds', value)}
+          min={5}
+          max={300}
+          step={5}
+          disabled={isSessionActive}
         />
       </Group>
 
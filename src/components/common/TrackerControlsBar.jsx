@@ -11,7 +11,6 @@ const TrackerControlsBar = ({
   // Props from MinimalTracker that StatsDisplay needs
   stats,
   landmarksData,
-  smoothingWindow, // Still needed for StatsDisplay
   // Props for ExerciseSelector
   exerciseOptions,
   selectedExercise,
@@ -22,7 +21,7 @@ const TrackerControlsBar = ({
   onToggleSession,
   // Prop to control visibility (passed from MinimalTracker)
   cameraStarted,
-  smoothingEnabled, // Keep for StatsDisplay
+  landmarkFilter, // Keep for StatsDisplay
   // New props for workout mode
   workoutMode,
   onWorkoutModeChange,
@@ -103,6 +102,7 @@ const TrackerControlsBar = ({
           selectedExercise={selectedExercise}
           onExerciseChange={onExerciseChange}
           useRandomExercises={sessionSettings?.useRandomExercises !== undefined ? sessionSettings.useRandomExercises : true}
+          holdGoalSeconds={sessionSettings?.holdGoalSeconds}
         />
       );
     } else if (workoutMode === 'ladder') {
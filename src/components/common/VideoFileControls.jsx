@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Group, ActionIcon, Slider, Text, FileButton, Tooltip } from '@mantine/core';
+import { Play, Pause, FilmStrip, VideoCamera } from '@phosphor-icons/react';
+import { globalStyles } from '../../styles/globalStyles';
+
+export const VIDEO_FILE_ACCEPT = 'video/mp4,video/webm';
+
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return '0:00';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * VideoFileControls Component
+ *
+ * Play/pause/seek bar shown while a recorded video file is being analyzed instead of
+ * the live webcam. Reads and drives the same <video> element usePoseTracker processes,
+ * so seeking re-runs detection on the new frame.
+ *
+ * @param {Object} props
+ * @param {Object} props.videoRef - Ref to the video element from usePoseTracker
+ * @param {string|null} props.fileName - Name of the loaded video file
+ * @param {Function} props.onOpenFile - Called with a File when another video is chosen
+ * @param {Function} props.onUseCamera - Called to switch back to the live webcam
+ */
+const VideoFileControls = ({ videoRef, fileName, onOpenFile, onUseCamera }) => {
+  const [isPaused, setIsPaused] = useState(true);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+
+    const syncState = () => {
+      setIsPaused(video.paused);
+      setCurrentTime(video.currentTime);
+      setDuration(Number.isFinite(video.duration) ? video.duration : 0);
+    };
+    const events = ['play', 'pause', 'ended', 'timeupdate', 'seeked', 'loadedmetadata'];
+    events.forEach(eventName => video.addEventListener(eventName, syncState));
+    syncState();
+
+    return () => {
+      events.forEach(eventName => video.removeEventListener(eventName, syncState));
+    };
+  }, [videoRef, fileName]);
+
+  const togglePlayback = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (video.paused) {
+      if (video.ended) video.currentTime = 0;
+      video.play();
+    } else {
+      video.pause();
+    }
+  };
+
+  const handleSeek = (value) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = value;
+      setCurrentTime(value);
+    }
+  };
+
+  return (
+    <Group
+      gap="sm"
+      wrap="nowrap"
+      style={{
+        position: 'absolute',
+        left: '50%',
+        bottom: '16px',
+        transform: 'translateX(-50%)',
+        width: 'min(640px, 90%)',
+        padding: '8px 12px',
+        borderRadius: '8px',
+        background: globalStyles.colors.overlayBackground,
+        zIndex: 20,
+      }}
+    >
+      <ActionIcon variant="filled" color="teal" size="lg" onClick={togglePlayback} title={isPaused ? 'Play' : 'Pause'}>
+        {isPaused ? <Play size={20} weight="fill" /> : <Pause size={20} weight="fill" />}
+      </ActionIcon>
+
+      <Text size="xs" c="white" style={{ minWidth: 80, fontVariantNumeric: 'tabular-nums' }}>
+        {formatTime(currentTime)} / {formatTime(duration)}
+      </Text>
+
+      <Slider
+        style={{ flex: 1 }}
+        min={0}
+        max={duration || 1}
+        step={0.01}
+        value={Math.min(currentTime, duration || 1)}
+        onChange={handleSeek}
+        label={formatTime}
+        disabled={!duration}
+        color="teal"
+      />
+
+      <FileButton onChange={(file) => file && onOpenFile(file)} accept={VIDEO_FILE_ACCEPT}>
+        {(props) => (
+          <Tooltip label={fileName ? `Open another video (current: ${fileName})` : 'Open another video'}>
+            <ActionIcon {...props} variant="subtle" color="gray" size="lg">
+              <FilmStrip size={20} />
+            </ActionIcon>
+          </Tooltip>
+        )}
+      </FileButton>
+
+      <Tooltip label="Back to live camera">
+        <ActionIcon variant="subtle" color="gray" size="lg" onClick={onUseCamera}>
+          <VideoCamera size={20} />
+        </ActionIcon>
+      </Tooltip>
+    </Group>
+  );
+};
+
+export default VideoFileControls;
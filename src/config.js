@@ -2,23 +2,67 @@
  * Configuration for MediaPipe Vision tasks
  * This files is used to configure the MediaPipe model and pose detection settings
  */
+
+// Must equal the exact @mediapipe/tasks-vision version pinned in package.json so the WASM runtime
+// always matches the JS API, whether it is served locally or from the CDN.
+const MEDIAPIPE_VERSION = '0.10.22-rc.20250304';
+
 const config = {
-  // MediaPipe WASM paths
+  // MediaPipe asset locations
   mediapipe: {
-    wasmPath: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.22-rc.20250304/wasm",
-    modelPath: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
+    version: MEDIAPIPE_VERSION,
+    // Local paths are served from /public (see scripts/setup-mediapipe-assets.mjs).
+    // Remote paths are only used when the local copy is missing and allowRemoteFallback is true.
+    wasm: {
+      localPath: '/wasm',
+      remotePath: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+    },
+    // Pose model variants, selectable at runtime in Settings. Heavier models are more
+    // accurate but slower; 'lite' is the default because it runs well on most laptops.
+    models: {
+      lite: {
+        label: 'Lite',
+        localPath: '/models/pose_landmarker_lite.task',
+        remotePath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task',
+      },
+      full: {
+        label: 'Full',
+        localPath: '/models/pose_landmarker_full.task',
+        remotePath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/1/pose_landmarker_full.task',
+      },
+      heavy: {
+        label: 'Heavy',
+        localPath: '/models/pose_landmarker_heavy.task',
+        remotePath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_heavy/float16/1/pose_landmarker_heavy.task',
+      },
+    },
+    defaultModel: 'lite',
+    allowRemoteFallback: true,
+    delegate: 'GPU', // 'GPU' or 'CPU'
+    // Run inference in a Web Worker (src/workers/poseWorker.js) so UI re-renders don't stall tracking.
+    // Falls back to the main thread when Worker / OffscreenCanvas support is missing.
+    useWorker: true,
+    // Classic-script copy of tasks-vision loaded by the worker with importScripts
+    // (MediaPipe itself relies on importScripts, which module workers don't support).
+    workerBundle: {
+      localPath: '/wasm/vision_bundle.js',
+      remotePath: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/vision_bundle.cjs`,
+    },
   },
-  
+
   // Pose detection settings
   pose: {
+    runningMode: 'VIDEO',
     minPoseDetectionConfidence: 0.5,
     minPosePresenceConfidence: 0.5,
     minTrackingConfidence: 0.5,
-    numPoses: 1,
+    numPoses: 1, // Default for the "max people" setting
+    maxNumPoses: 4, // Upper bound offered for multi-person tracking
+    outputSegmentationMasks: false,
     // Default tracking settings - can be overridden by app settings
     enableFaceLandmarks: true,
     enableHandLandmarks: true,
   }
 };
 
-export default config; 
\ No newline at end of file
+export default config;
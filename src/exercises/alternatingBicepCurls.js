@@ -0,0 +1,16 @@
+// src/exercises/alternatingBicepCurls.js
+// Alternating Bicep Curls: the bicep curl config, one arm at a time (L-R-L-R)
+
+import { bicepCurls } from './bicepCurls.js';
+
+export const alternatingBicepCurls = {
+    ...bicepCurls,
+
+    // --- Basic Info ---
+    id: 'alternating-bicep-curls',
+    name: 'Alternating Bicep Curls',
+    alternating: true, // Reps must alternate sides; a combined count is kept and out-of-order reps are flagged
+
+    // --- Optional Metadata ---
+    instructions: "Curl one dumbbell at a time, alternating arms. Lower each weight fully before curling the other.",
+};
@@ -2,7 +2,7 @@
 // Now uses pluggable logic system
 
 // Import logic functions (placeholders for now)
-import { calculateAngle } from '../logic/landmarkUtils';
+import { calculateAngle } from '../logic/landmarkUtils.js';
 import { angleBasedRepLogic } from '../logic/angleBasedRepLogic.js';
 
 export const bicepCurls = {
@@ -67,7 +67,9 @@ export const bicepCurls = {
                 minThreshold: 90,
                 maxThreshold: 160,
                 isRepCounter: true,
-                relaxedIsHigh: true
+                relaxedIsHigh: true,
+                hysteresisDegrees: 5, // Ignore jitter around the thresholds
+                minPhaseDurationMs: 100
              },
              {
                 id: 'rightElbowCurlAngle',
@@ -76,7 +78,9 @@ export const bicepCurls = {
                 minThreshold: 90,
                 maxThreshold: 160,
                 isRepCounter: true,
-                relaxedIsHigh: true
+                relaxedIsHigh: true,
+                hysteresisDegrees: 5, // Ignore jitter around the thresholds
+                minPhaseDurationMs: 100
              }
         ],
         pipeline: [angleBasedRepLogic],
@@ -85,6 +89,38 @@ export const bicepCurls = {
         }
     },
 
+    // --- Form Checks ---
+    formChecks: [
+        {
+            id: 'leftElbowTucked',
+            type: 'drift',
+            side: 'left',
+            landmark: 'elbow',
+            maxDrift: 0.08, // Elbow moving away from where it was at the start of the rep
+            phases: ['concentric', 'peak', 'eccentric'],
+            severity: 'warning',
+            message: "Keep your left elbow tucked in"
+        },
+        {
+            id: 'rightElbowTucked',
+            type: 'drift',
+            side: 'right',
+            landmark: 'elbow',
+            maxDrift: 0.08,
+            phases: ['concentric', 'peak', 'eccentric'],
+            severity: 'warning',
+            message: "Keep your right elbow tucked in"
+        },
+        {
+            id: 'noSwing',
+            type: 'angle',
+            points: ['left_shoulder', 'left_hip', 'left_knee'], // No side: applies to the reps of both arms
+            min: 160, // Leaning the torso to swing the weight up
+            severity: 'error',
+            message: "Don't swing the weight, keep your back straight"
+        }
+    ],
+
     // --- Optional Metadata ---
     instructions: "Keep your elbows tucked in. Control the movement.",
     tips: ["Full stretch at the bottom, full squeeze at the top.", "Control the movement, don't swing the weight.", "Engage your core and keep your back straight."],
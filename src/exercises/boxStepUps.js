@@ -0,0 +1,67 @@
+// src/exercises/boxStepUps.js
+// Box Step-Ups: counted from the path of the hips (trajectory logic)
+
+// Import logic functions
+import { getDistance2D } from '../logic/landmarkUtils.js';
+import { trajectoryBasedRepLogic } from '../logic/trajectoryBasedRepLogic.js';
+
+export const boxStepUps = {
+    // --- Basic Info ---
+    id: 'box-step-ups',
+    name: 'Box Step-Ups',
+    isTwoSided: false,
+    hasWeight: true, // Bodyweight or holding dumbbells
+
+    // --- Visibility Strictness Option ---
+    requireAllLandmarksVisible: false,
+
+    // --- Landmark Requirements ---
+    landmarks: {
+        left: {
+            primary: ['left_hip', 'right_hip'],
+            secondary: ['left_knee', 'right_knee']
+        }
+    },
+
+    // --- Starting Position Requirements ---
+    startPosition: {
+        description: "Stand side on to the camera in front of the box, with your whole body in view.",
+        requiredAngles: [
+            {
+                id: 'leftKneeStart',
+                side: 'left',
+                points: ['hip', 'knee', 'ankle'],
+                targetAngle: 175, // Standing with straight legs
+                tolerance: 20
+            }
+        ],
+        readyPositionHoldTime: 1
+    },
+
+    // --- Repetition Logic Configuration ---
+    logicConfig: {
+        type: 'trajectory',
+        trajectory: {
+            point: ['left_hip', 'right_hip'], // Midpoint of the hips
+            axis: 'y',
+            direction: 'up', // Up onto the box and back down
+            minExcursion: 0.15, // Body heights; about a knee-high box
+            minRepDurationMs: 800
+        },
+        pipeline: [trajectoryBasedRepLogic],
+        utilityFunctions: {
+            getDistance2D,
+        }
+    },
+
+    // --- Exercise Recognition ---
+    // The hip path doesn't name the joints that move (logic/exerciseRecognition)
+    recognition: {
+        movingJoints: ['left_hip', 'right_hip', 'left_knee', 'right_knee']
+    },
+
+    // --- Optional Metadata ---
+    instructions: "Step onto the box, stand up fully on top, then step back down.",
+    tips: ["Drive through the heel of the foot on the box.", "Stand tall at the top.", "Step down with control."],
+    muscleGroups: ["Quadriceps", "Glutes", "Hamstrings"]
+};
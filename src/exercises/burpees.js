@@ -0,0 +1,67 @@
+// src/exercises/burpees.js
+// Burpees: counted from the path of the hips (trajectory logic), there is no single joint angle
+
+// Import logic functions
+import { getDistance2D } from '../logic/landmarkUtils.js';
+import { trajectoryBasedRepLogic } from '../logic/trajectoryBasedRepLogic.js';
+
+export const burpees = {
+    // --- Basic Info ---
+    id: 'burpees',
+    name: 'Burpees',
+    isTwoSided: false,
+    hasWeight: false,
+
+    // --- Visibility Strictness Option ---
+    requireAllLandmarksVisible: false,
+
+    // --- Landmark Requirements ---
+    landmarks: {
+        left: {
+            primary: ['left_hip', 'right_hip'],
+            secondary: ['left_shoulder', 'right_shoulder']
+        }
+    },
+
+    // --- Starting Position Requirements ---
+    startPosition: {
+        description: "Stand tall, facing the camera, with your whole body in view.",
+        requiredAngles: [
+            {
+                id: 'leftKneeStart',
+                side: 'left',
+                points: ['hip', 'knee', 'ankle'],
+                targetAngle: 175, // Standing with straight legs
+                tolerance: 20
+            }
+        ],
+        readyPositionHoldTime: 1
+    },
+
+    // --- Repetition Logic Configuration ---
+    logicConfig: {
+        type: 'trajectory',
+        trajectory: {
+            point: ['left_hip', 'right_hip'], // Midpoint of the hips
+            axis: 'y',
+            direction: 'down', // Down to the floor and back up
+            minExcursion: 0.3, // Body heights
+            minRepDurationMs: 1000
+        },
+        pipeline: [trajectoryBasedRepLogic],
+        utilityFunctions: {
+            getDistance2D,
+        }
+    },
+
+    // --- Exercise Recognition ---
+    // The hip path doesn't name the joints that move (logic/exerciseRecognition)
+    recognition: {
+        movingJoints: ['left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_shoulder', 'right_shoulder']
+    },
+
+    // --- Optional Metadata ---
+    instructions: "Drop into a squat, kick your feet back to a plank, return your feet to your hands and jump up.",
+    tips: ["Land softly.", "Keep your core tight in the plank.", "Stand all the way up before the next rep."],
+    muscleGroups: ["Full Body", "Quadriceps", "Chest", "Core"]
+};
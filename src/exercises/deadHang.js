@@ -0,0 +1,81 @@
+// src/exercises/deadHang.js
+// Dead hang: an isometric hold timed by holdLogic
+
+// Import logic functions
+import { calculateAngle } from '../logic/landmarkUtils.js';
+import { holdLogic } from '../logic/holdLogic.js';
+
+export const deadHang = {
+    // --- Basic Info ---
+    id: 'deadHang',
+    name: 'Dead Hang',
+    isTwoSided: false, // Both arms are checked, the hold is timed once
+    hasWeight: false,
+
+    // --- Visibility Strictness Option ---
+    requireAllLandmarksVisible: false,
+
+    // --- Landmark Requirements ---
+    landmarks: {
+        left: {
+            primary: ['left_shoulder', 'left_elbow', 'left_wrist', 'right_shoulder', 'right_elbow', 'right_wrist'],
+            secondary: ['left_hip', 'right_hip']
+        }
+    },
+
+    // --- Starting Position Requirements ---
+    startPosition: {
+        description: "Face the camera and hang from the bar with straight arms.",
+        requiredAngles: [
+            {
+                id: 'leftShoulderHangStart',
+                side: 'left',
+                points: ['hip', 'shoulder', 'elbow'],
+                targetAngle: 170,
+                tolerance: 20
+            }
+        ],
+        readyPositionHoldTime: 1
+    },
+
+    // --- Hold Logic Configuration ---
+    logicConfig: {
+        type: 'hold',
+        anglesToTrack: [
+            {
+                id: 'leftElbowHangAngle',
+                side: 'left',
+                points: ['shoulder', 'elbow', 'wrist']
+            },
+            {
+                id: 'rightElbowHangAngle',
+                side: 'right',
+                points: ['shoulder', 'elbow', 'wrist']
+            },
+            {
+                id: 'leftShoulderHangAngle',
+                side: 'left',
+                points: ['hip', 'shoulder', 'elbow']
+            }
+        ],
+        // Straight arms overhead; bending the elbows or letting go pauses the timer
+        holdCriteria: {
+            all: [
+                { angle: 'leftElbowHangAngle', min: 150 },
+                { angle: 'rightElbowHangAngle', min: 150 },
+                { angle: 'leftShoulderHangAngle', min: 145 }
+            ]
+        },
+        holdBreakToleranceMs: 500,
+        pipeline: [holdLogic],
+        utilityFunctions: {
+            calculateAngle,
+        }
+    },
+
+    // --- Optional Metadata ---
+    instructions: "Hang from a pull-up bar with straight arms and relaxed shoulders.",
+    tips: ["Grip the bar a little wider than your shoulders.", "Keep your arms straight.",
+        "Let your body hang still, don't swing."],
+    muscleGroups: ["Forearms", "Shoulders", "Lats"]
+};
@@ -11,6 +11,7 @@ export const dumbbellRenegadeRows = {
     id: 'dumbbell-renegade-rows',
     name: 'Dumbbell Renegade Rows',
     isTwoSided: true, // Performed on both sides
+    alternating: true, // One row per side, L-R-L-R
     hasWeight: true, // Requires dumbbells
 
     // --- Visibility Strictness Option ---
@@ -1,12 +1,18 @@
 // Export all exercise configs from this directory
 
-export { bicepCurls } from './bicepCurls';
-export { tricepKickbacks } from './tricepKickbacks';
-export { leftShoulder } from './leftShoulder';
-export { jumpingJacks } from './jumpingJacks'; 
-export { seatedOverheadPress } from './seatedOverheadPress';
-export { dumbbellRenegadeRows } from './dumbbellRenegadeRows';
-export { squats } from './squats';
-export { pushUpTest } from './pushUpTest';
-export { kettlebellSwings } from './kettlebellSwings';
-export { dumbellRows } from './dumbellRows';
\ No newline at end of file
+export { bicepCurls } from './bicepCurls.js';
+export { tricepKickbacks } from './tricepKickbacks.js';
+export { leftShoulder } from './leftShoulder.js';
+export { jumpingJacks } from './jumpingJacks.js'; 
+export { seatedOverheadPress } from './seatedOverheadPress.js';
+export { dumbbellRenegadeRows } from './dumbbellRenegadeRows.js';
+export { squats } from './squats.js';
+export { pushUpTest } from './pushUpTest.js';
+export { kettlebellSwings } from './kettlebellSwings.js';
+export { dumbellRows } from './dumbellRows.js';
+export { plank } from './plank.js';
+export { wallSit } from './wallSit.js';
+export { deadHang } from './deadHang.js';
+export { alternatingBicepCurls } from './alternatingBicepCurls.js';
+export { burpees } from './burpees.js';
+export { boxStepUps } from './boxStepUps.js';
@@ -1,6 +1,6 @@
 // Jumping Jacks exercise configuration using position-based rep logic
-import { getDistance2D } from '../logic/landmarkUtils';
-import { positionBasedRepLogic } from '../logic/positionBasedRepLogic';
+import { getDistance2D } from '../logic/landmarkUtils.js';
+import { positionBasedRepLogic } from '../logic/positionBasedRepLogic.js';
 
 export const jumpingJacks = {
   id: 'jumping-jacks',
@@ -60,6 +60,11 @@ export const jumpingJacks = {
     }
   },
 
+  // Arms and legs open and close; positions don't name the joints (logic/exerciseRecognition)
+  recognition: {
+    movingJoints: ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'],
+  },
+
   instructions: 'Jump, spreading your legs and raising your arms overhead until your hands touch. Return to start position.',
   muscleGroups: ['Legs', 'Shoulders', 'Cardio']
 }; 
\ No newline at end of file
@@ -53,7 +53,26 @@ export const kettlebellSwings = {
                 minThreshold: 30, // Minimum angle for a valid rep
                 maxThreshold: 80, // Maximum angle for a valid rep
                 isRepCounter: true,
-                relaxedIsHigh: false // Lower angle indicates a rep
+                relaxedIsHigh: false, // Lower angle indicates a rep
+                hysteresisDegrees: 5, // Ignore jitter around the criteria bounds
+                // The swing is driven by the hips: hip extension first, then the arms float up
+                repCriteria: {
+                    peak: {
+                        sequence: [
+                            { angle: 'leftHipAngle', min: 'maxThreshold' },
+                            { angle: 'leftShoulderAngle', min: 'maxThreshold' }
+                        ],
+                        maxGapMs: 1500
+                    }
+                }
+            },
+            {
+                id: 'leftHipAngle',
+                side: 'left',
+                points: ['shoulder', 'hip', 'knee'], // Not a rep counter: used by repCriteria
+                minThreshold: 100, // Hinged at the bottom of the swing
+                maxThreshold: 160, // Hips extended
+                relaxedIsHigh: false
             },
         ],
         pipeline: [angleBasedRepLogic],
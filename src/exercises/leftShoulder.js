@@ -2,7 +2,7 @@
 // Based on Architecture Guide.md
 
 // Import logic functions
-import { calculateAngle } from '../logic/landmarkUtils';
+import { calculateAngle } from '../logic/landmarkUtils.js';
 import { angleBasedRepLogic } from '../logic/angleBasedRepLogic.js';
 
 export const leftShoulder = {
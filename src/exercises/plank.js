@@ -0,0 +1,75 @@
+// src/exercises/plank.js
+// Forearm plank: an isometric hold timed by holdLogic
+
+// Import logic functions
+import { calculateAngle } from '../logic/landmarkUtils.js';
+import { holdLogic } from '../logic/holdLogic.js';
+
+export const plank = {
+    // --- Basic Info ---
+    id: 'plank',
+    name: 'Plank',
+    isTwoSided: false, // Filmed from the side, the left side is tracked
+    hasWeight: false,
+
+    // --- Visibility Strictness Option ---
+    requireAllLandmarksVisible: false,
+
+    // --- Landmark Requirements ---
+    landmarks: {
+        left: {
+            primary: ['left_shoulder', 'left_elbow', 'left_hip', 'left_ankle'],
+            secondary: ['left_knee', 'left_wrist']
+        }
+    },
+
+    // --- Starting Position Requirements ---
+    startPosition: {
+        description: "Side on to the camera, forearms on the floor under your shoulders, body in a straight line.",
+        requiredAngles: [
+            {
+                id: 'leftBodyLineStart',
+                side: 'left',
+                points: ['shoulder', 'hip', 'ankle'],
+                targetAngle: 180,
+                tolerance: 20
+            }
+        ],
+        readyPositionHoldTime: 1
+    },
+
+    // --- Hold Logic Configuration ---
+    logicConfig: {
+        type: 'hold',
+        anglesToTrack: [
+            {
+                id: 'leftBodyLineAngle',
+                side: 'left',
+                points: ['shoulder', 'hip', 'ankle']
+            },
+            {
+                id: 'leftElbowPlankAngle',
+                side: 'left',
+                points: ['shoulder', 'elbow', 'wrist']
+            }
+        ],
+        // Straight body on bent elbows; sagging or piking hips pause the timer
+        holdCriteria: {
+            all: [
+                { angle: 'leftBodyLineAngle', target: 180, tolerance: 15 },
+                { angle: 'leftElbowPlankAngle', target: 90, tolerance: 25 }
+            ]
+        },
+        holdBreakToleranceMs: 500,
+        pipeline: [holdLogic],
+        utilityFunctions: {
+            calculateAngle,
+        }
+    },
+
+    // --- Optional Metadata ---
+    instructions: "Hold a straight line from shoulders to heels, resting on your forearms with elbows under your shoulders.",
+    tips: ["Squeeze your glutes and brace your core.", "Don't let your hips sag or pike up.",
+        "Keep your neck in line with your spine.", "Breathe steadily."],
+    muscleGroups: ["Core", "Shoulders", "Glutes"]
+};
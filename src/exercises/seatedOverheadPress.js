@@ -2,7 +2,7 @@
 // Now uses pluggable logic system
 
 // Import logic functions (placeholders for now)
-import { calculateAngle } from '../logic/landmarkUtils';
+import { calculateAngle } from '../logic/landmarkUtils.js';
 import { angleBasedRepLogic } from '../logic/angleBasedRepLogic.js';
 
 export const seatedOverheadPress = {
@@ -82,6 +82,12 @@ export const seatedOverheadPress = {
         }
     },
 
+    // --- Exercise Recognition ---
+    // The press moves the shoulders as much as the elbows (logic/exerciseRecognition)
+    recognition: {
+        movingJoints: ['left_shoulder', 'right_shoulder']
+    },
+
     // --- Optional Metadata ---
     instructions: "Keep your back straight and control the movement.",
     muscleGroups: ["Shoulders", "Traps", "Deltoids"]
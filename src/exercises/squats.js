@@ -3,7 +3,7 @@
 // Now uses pluggable logic system
 
 // Import logic functions
-import { calculateAngle } from '../logic/landmarkUtils';
+import { calculateAngle } from '../logic/landmarkUtils.js';
 import { angleBasedRepLogic } from '../logic/angleBasedRepLogic.js';
 
 export const squats = {
@@ -50,7 +50,32 @@ export const squats = {
                 minThreshold: 90, // Minimum angle for a valid rep
                 maxThreshold: 160, // Maximum angle for a valid rep
                 isRepCounter: true,
-                relaxedIsHigh: true // Lower angle indicates a rep
+                relaxedIsHigh: true, // Lower angle indicates a rep
+                hysteresisDegrees: 5, // Ignore jitter around the criteria bounds
+                // A rep needs knee and hip flexion together, not just bent knees.
+                // The bounds are each angle's thresholds, so calibration moves them.
+                repCriteria: {
+                    relaxed: {
+                        all: [
+                            { angle: 'leftKneeSquatAngle', min: 'maxThreshold' },
+                            { angle: 'leftHipSquatAngle', min: 'maxThreshold' }
+                        ]
+                    },
+                    peak: {
+                        all: [
+                            { angle: 'leftKneeSquatAngle', max: 'minThreshold' },
+                            { angle: 'leftHipSquatAngle', max: 'minThreshold' }
+                        ]
+                    }
+                }
+            },
+            {
+                id: 'leftHipSquatAngle',
+                side: 'left',
+                points: ['shoulder', 'hip', 'knee'], // Not a rep counter: used by repCriteria and formChecks
+                minThreshold: 110, // Hip flexion at the bottom of the squat
+                maxThreshold: 160, // Standing
+                relaxedIsHigh: true
             }
         ],
         pipeline: [angleBasedRepLogic],
@@ -59,6 +84,30 @@ export const squats = {
         }
     },
 
+    // --- Form Checks ---
+    formChecks: [
+        {
+            id: 'heelsDown',
+            type: 'drift',
+            side: 'left',
+            landmark: 'heel',
+            axis: 'y',
+            maxDrift: 0.04, // Heel lifting off the ground during the rep
+            phases: ['concentric', 'peak', 'eccentric'],
+            severity: 'warning',
+            message: "Keep your heels on the ground"
+        },
+        {
+            id: 'chestUp',
+            type: 'angle',
+            side: 'left',
+            angle: 'leftHipSquatAngle',
+            min: 45, // Torso folding onto the thighs
+            severity: 'warning',
+            message: "Chest up, back straight"
+        }
+    ],
+
     // --- Optional Metadata ---
     instructions: "Lower your body as if sitting back into a chair, keeping your chest up and knees behind your toes.",
     tips: ["Imagine sitting into a chair behind you.", "Feet a little wider than hips, toes slightly out.",
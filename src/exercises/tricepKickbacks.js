@@ -1,7 +1,7 @@
 // Configuration for Tricep Kickbacks exercise
 
 // Import logic functions
-import { calculateAngle } from '../logic/landmarkUtils';
+import { calculateAngle } from '../logic/landmarkUtils.js';
 import { angleBasedRepLogic } from '../logic/angleBasedRepLogic.js';
 
 export const tricepKickbacks = {
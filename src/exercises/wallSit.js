@@ -0,0 +1,75 @@
+// src/exercises/wallSit.js
+// Wall sit: an isometric hold timed by holdLogic
+
+// Import logic functions
+import { calculateAngle } from '../logic/landmarkUtils.js';
+import { holdLogic } from '../logic/holdLogic.js';
+
+export const wallSit = {
+    // --- Basic Info ---
+    id: 'wallSit',
+    name: 'Wall Sit',
+    isTwoSided: false, // Filmed from the side, the left side is tracked
+    hasWeight: false,
+
+    // --- Visibility Strictness Option ---
+    requireAllLandmarksVisible: false,
+
+    // --- Landmark Requirements ---
+    landmarks: {
+        left: {
+            primary: ['left_shoulder', 'left_hip', 'left_knee', 'left_ankle'],
+            secondary: []
+        }
+    },
+
+    // --- Starting Position Requirements ---
+    startPosition: {
+        description: "Side on to the camera, back against a wall.",
+        requiredAngles: [
+            {
+                id: 'leftTorsoStart',
+                side: 'left',
+                points: ['shoulder', 'hip', 'knee'],
+                targetAngle: 90,
+                tolerance: 30
+            }
+        ],
+        readyPositionHoldTime: 1
+    },
+
+    // --- Hold Logic Configuration ---
+    logicConfig: {
+        type: 'hold',
+        anglesToTrack: [
+            {
+                id: 'leftKneeWallSitAngle',
+                side: 'left',
+                points: ['hip', 'knee', 'ankle']
+            },
+            {
+                id: 'leftHipWallSitAngle',
+                side: 'left',
+                points: ['shoulder', 'hip', 'knee']
+            }
+        ],
+        // Thighs parallel to the floor, back upright against the wall
+        holdCriteria: {
+            all: [
+                { angle: 'leftKneeWallSitAngle', target: 90, tolerance: 15 },
+                { angle: 'leftHipWallSitAngle', target: 90, tolerance: 20 }
+            ]
+        },
+        holdBreakToleranceMs: 500,
+        pipeline: [holdLogic],
+        utilityFunctions: {
+            calculateAngle,
+        }
+    },
+
+    // --- Optional Metadata ---
+    instructions: "Slide down the wall until your knees are bent to 90 degrees and hold.",
+    tips: ["Knees above your ankles, not past your toes.", "Keep your back flat against the wall.",
+        "Thighs parallel to the floor."],
+    muscleGroups: ["Quadriceps", "Glutes"]
+};
@@ -1,16 +1,27 @@
 import React, { useState, useCallback, createContext, useContext, useEffect } from 'react';
+import config from '../config';
+import { LANDMARK_FILTERS, DEFAULT_LANDMARK_FILTER } from '../logic/landmarkFilters';
+import { CAMERA_RESOLUTIONS, CAMERA_FRAME_RATES, DEFAULT_CAMERA_RESOLUTION, DEFAULT_CAMERA_FRAME_RATE } from '../services/cameraDevices';
+import { DEFAULT_CALIBRATION_PROFILE } from '../services/calibrationStorage';
+import { DEFAULT_ASYMMETRY_WARNING_PERCENT } from '../logic/sideAsymmetry';
 
 const APP_SETTINGS_KEY = 'mediapipeWebAppSettings';
 
 // Default settings
 const DEFAULT_SETTINGS = {
   selectedExerciseId: null,
-  isSmoothingEnabled: false,
+  landmarkFilter: DEFAULT_LANDMARK_FILTER, // 'none', 'movingAverage', 'oneEuro' or 'kalman' (see logic/landmarkFilters)
+  landmarkFilterParams: {}, // Per filter parameter overrides, e.g. { oneEuro: { beta: 20 } }
   selectedWeights: null, // Or a default weight object/value
-  useThreePhases: false, // Controls whether to use 3 or 4 phases for rep counting
+  useThreePhases: false, // Show 3 phase circles instead of 4 (concentric and eccentric merged)
   requireAllLandmarks: false, // Now means "require primary landmarks"
   minimumVisibilityThreshold: 25, // Renamed from minimumVisibilityAllLandmarks
   requireSecondaryLandmarks: false,
+  requireStartPosition: true, // Hold the exercise's start position before reps count
+  enableExerciseRecognition: false, // Compare the movement against every exercise (see logic/exerciseRecognition)
+  autoSelectRecognizedExercise: false, // Select the recognized exercise instead of suggesting it (manual mode only)
+  showAsymmetry: true, // Compare the left and right side of two-sided exercises on screen (see logic/sideAsymmetry)
+  asymmetryWarningPercent: DEFAULT_ASYMMETRY_WARNING_PERCENT, // Warn when one side falls this far behind the other
   cameraOpacity: 100, // Default to 100%
   alwaysShowConnections: false, // Default to false (respect visibility threshold for connections)
   highlightExerciseConnections: false, // Default to false (don't highlight exercise connections)
@@ -19,6 +30,12 @@ const DEFAULT_SETTINGS = {
   stationaryDeviationThreshold: 0.05,
   stationaryAveragingWindowMs: 1000,
   stationaryHoldDurationMs: 1000,
+  poseModel: config.mediapipe.defaultModel, // 'lite', 'full' or 'heavy' (see config.mediapipe.models)
+  maxPeople: config.pose.numPoses, // People tracked at once; more than 1 switches to the race view
+  cameraDeviceId: null, // null = default (front-facing) camera
+  cameraResolution: DEFAULT_CAMERA_RESOLUTION, // '480p', '720p' or '1080p' (see services/cameraDevices)
+  cameraFrameRate: DEFAULT_CAMERA_FRAME_RATE, // Target fps requested from the camera
+  calibrationProfile: DEFAULT_CALIBRATION_PROFILE, // Profile personal thresholds are saved under (see services/calibrationStorage)
 };
 
 export function loadAppSettings() {
@@ -63,6 +80,42 @@ export function loadAppSettings() {
     if (storedSettings.stationaryHoldDurationMs !== undefined) {
       storedSettings.stationaryHoldDurationMs = Number(storedSettings.stationaryHoldDurationMs);
     }
+
+    if (storedSettings.asymmetryWarningPercent !== undefined) {
+      storedSettings.asymmetryWarningPercent = Number(storedSettings.asymmetryWarningPercent);
+    }
+
+    // Angle smoothing was replaced by landmark filtering; keep users who had it on smoothed
+    if (storedSettings.isSmoothingEnabled !== undefined) {
+      if (storedSettings.landmarkFilter === undefined && storedSettings.isSmoothingEnabled) {
+        storedSettings.landmarkFilter = 'movingAverage';
+      }
+      delete storedSettings.isSmoothingEnabled;
+    }
+    if (storedSettings.landmarkFilter !== undefined && !LANDMARK_FILTERS[storedSettings.landmarkFilter]) {
+      delete storedSettings.landmarkFilter;
+    }
+
+    // Keep the number of tracked people within what the app offers
+    if (storedSettings.maxPeople !== undefined) {
+      storedSettings.maxPeople = Math.min(Math.max(Number(storedSettings.maxPeople) || 1, 1), config.pose.maxNumPoses);
+    }
+
+    // Drop camera presets that are no longer offered (the device itself is checked once cameras are listed)
+    if (storedSettings.cameraResolution !== undefined && !CAMERA_RESOLUTIONS[storedSettings.cameraResolution]) {
+      delete storedSettings.cameraResolution;
+    }
+    if (storedSettings.cameraFrameRate !== undefined) {
+      storedSettings.cameraFrameRate = Number(storedSettings.cameraFrameRate);
+      if (!CAMERA_FRAME_RATES.includes(storedSettings.cameraFrameRate)) {
+        delete storedSettings.cameraFrameRate;
+      }
+    }
+
+    // Drop a stored pose model that is no longer offered so the default is used instead
+    if (storedSettings.poseModel !== undefined && !config.mediapipe.models[storedSettings.poseModel]) {
+      delete storedSettings.poseModel;
+    }
     
     // Merge stored settings with defaults to ensure all keys are present
     // and new default settings are picked up if not in localStorage yet.
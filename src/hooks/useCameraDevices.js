@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listCameras } from '../services/cameraDevices';
+
+// Keeps the list of connected cameras up to date (devicechange fires when a camera is plugged
+// in or removed). Listing waits until the camera has been started, because browsers only
+// reveal device labels after camera permission is granted.
+export const useCameraDevices = (enabled) => {
+  const [cameras, setCameras] = useState([]);
+
+  const refreshCameras = useCallback(async () => {
+    setCameras(await listCameras());
+  }, []);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!enabled || !mediaDevices) return undefined;
+
+    refreshCameras();
+    mediaDevices.addEventListener?.('devicechange', refreshCameras);
+    return () => {
+      mediaDevices.removeEventListener?.('devicechange', refreshCameras);
+    };
+  }, [enabled, refreshCameras]);
+
+  return { cameras, refreshCameras };
+};
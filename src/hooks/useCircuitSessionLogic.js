@@ -1,5 +1,17 @@
 import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import * as exercises from '../exercises';
+import { DEFAULT_HOLD_GOAL_SECONDS } from '../logic/holdLogic.js';
+
+// Hold exercises (plank, wall sit) target seconds held instead of reps; null for rep-based sets
+const getTargetHoldSeconds = (exercise, set) => (
+  exercise.logicConfig?.type === 'hold' ? set.holdSeconds ?? DEFAULT_HOLD_GOAL_SECONDS : null
+);
+
+// Whether a set's target reps apply to each side or to both sides together: the set's repsMode, or
+// by default the combined count for alternating exercises and per side for the other ones
+const getTargetRepsMode = (exercise, set) => (
+  set.repsMode || (exercise.alternating ? 'total' : 'perSide')
+);
 
 /**
  * Hook for managing circuit workout sessions
@@ -134,7 +146,10 @@ const useCircuitSessionLogic = () => {
           exerciseId: currentItem.exerciseId,
           exerciseName: exercise.name,
           targetReps: currentItem.reps,
+          targetRepsMode: getTargetRepsMode(exercise, currentItem),
+          targetHoldSeconds: getTargetHoldSeconds(exercise, currentItem),
           weight: currentItem.weight,
+          tempo: currentItem.tempo || null,
           inCircuit: false,
           overallSetNumber: calculateOverallSetNumber(plan, itemIndex, elementIndex, repetition),
           overallTotalSets: currentTotalSets,
@@ -189,7 +204,10 @@ const useCircuitSessionLogic = () => {
           exerciseId: currentElement.exerciseId,
           exerciseName: exercise.name,
           targetReps: currentElement.reps,
+          targetRepsMode: getTargetRepsMode(exercise, currentElement),
+          targetHoldSeconds: getTargetHoldSeconds(exercise, currentElement),
           weight: currentElement.weight,
+          tempo: currentElement.tempo || null,
           inCircuit: true,
           circuitName: currentItem.name || `Circuit ${itemIndex + 1}`,
           circuitSetNumber: elementIndex + 1,
@@ -1,16 +1,33 @@
 import { useRef, useState, useEffect, useCallback } from 'react';
-import { FilesetResolver, PoseLandmarker } from '@mediapipe/tasks-vision';
-import { calculateAngle, LANDMARK_MAP } from '../logic/landmarkUtils';
-import { setupCamera, waitForVideoReady } from '../components/VideoCanvas'; // Assuming these can be imported or moved
-
-//handles MediaPipe initialization, camera setup, the render loop,
+import config from '../config';
+import { createPoseLandmarker } from '../services/poseLandmarkerService';
+import { isWorkerInferenceSupported, createWorkerPoseLandmarker } from '../services/poseWorkerClient';
+import { loadModelStats, saveModelStats, accumulateModelStats } from '../services/modelStatsStorage';
+import { createWebcamPoseSource, createVideoFilePoseSource } from '../services/poseSources';
+import { resolveCameraOptions } from '../services/cameraDevices';
+import { createPoseProcessor } from '../logic/poseProcessor';
+import { createPersonTracker } from '../logic/personTracker';
+
+//handles MediaPipe initialization, the pose source (webcam or video file), the render loop,
 // and related state like isLoading, landmarksData, trackedAngles, etc.
-
-// Constants for performance metrics and smoothing
+// Landmark filtering, angle, stationary and rep counting logic live in the framework-free
+// logic/poseProcessor, which runs the exercise's rep pipeline (logic/repStateEngine).
+// With more than one person allowed, logic/personTracker keeps identities and each person
+// gets their own processor.
+// Camera settings (device, resolution, frame rate) are applied by restarting only the webcam
+// source, so the loaded model and the session's rep counts survive a camera switch.
+
+// Constants for performance metrics
 const MAX_SAMPLES = 150; // samples for fps and inference time
-export const ANGLE_SMOOTHING_WINDOW = 10; // Number of frames to use for angle smoothing
-
-export const usePoseTracker = (selectedExerciseRef, appSettings) => {
+const MODEL_STATS_SAVE_INTERVAL = 20; // updateStats calls between localStorage writes of per-model stats
+
+// options.isRepCountingAllowedRef: ref holding false while reps must not count (e.g. during a rest period)
+// options.recognizableExercisesRef: ref holding the exercises the movement is compared against while
+// appSettings.enableExerciseRecognition is on (logic/exerciseRecognition), and expectedExerciseRef the
+// exercise the movement should match (the selected one when not given)
+// options.onModelRestored: (model, maxPeople) => void, called when a requested model fails to load and
+// the previous one is loaded again, so the settings can go back to it
+export const usePoseTracker = (selectedExerciseRef, appSettings, { isRepCountingAllowedRef = null, recognizableExercisesRef = null, expectedExerciseRef = null, onModelRestored = null } = {}) => {
   // Refs
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -18,12 +35,54 @@ export const usePoseTracker = (selectedExerciseRef, appSettings) => {
   const requestAnimationRef = useRef(null);
   const lastFrameTimeRef = useRef(0);
   const inferenceTimesRef = useRef([]);
+  const roundTripTimesRef = useRef([]);
   const fpsTimesRef = useRef([]);
-  const angleHistoryRef = useRef({});
-  // Stationary tracking refs
-  const landmarkHistoryRef = useRef({});
+  // Pose pipeline refs: the active PoseSource and the processing core fed from it
+  const poseSourceRef = useRef(null);
   const averagePositionsRef = useRef({});
-  const stableStartTimeRef = useRef(null);
+  const appSettingsRef = useRef(appSettings);
+  appSettingsRef.current = appSettings;
+  const processorOptionsRef = useRef(null);
+  if (!processorOptionsRef.current) {
+    processorOptionsRef.current = {
+      getExercise: () => selectedExerciseRef.current,
+      getSettings: () => appSettingsRef.current,
+      isCountingAllowed: () => isRepCountingAllowedRef?.current ?? true,
+      getRecognizableExercises: () => recognizableExercisesRef?.current ?? [],
+      getExpectedExercise: () => expectedExerciseRef?.current ?? selectedExerciseRef.current,
+    };
+  }
+  const poseProcessorRef = useRef(null);
+  if (!poseProcessorRef.current) {
+    poseProcessorRef.current = createPoseProcessor(processorOptionsRef.current);
+  }
+  // Multi-person refs: identity tracking and one processor per tracked person
+  const personTrackerRef = useRef(null);
+  if (!personTrackerRef.current) {
+    personTrackerRef.current = createPersonTracker();
+  }
+  const personProcessorsRef = useRef(new Map());
+  const peopleRef = useRef([]);
+  // Diagnostics refs
+  const firstInferencePendingRef = useRef(true);
+  // Model selection refs
+  const requestedModelRef = useRef(appSettings.poseModel);
+  requestedModelRef.current = appSettings.poseModel;
+  const loadedModelRef = useRef(null);
+  // numPoses is fixed when the landmarker is created, so changing it goes through swapModel too
+  const requestedNumPosesRef = useRef(appSettings.maxPeople);
+  requestedNumPosesRef.current = appSettings.maxPeople;
+  const loadedNumPosesRef = useRef(null);
+  const onModelRestoredRef = useRef(onModelRestored);
+  onModelRestoredRef.current = onModelRestored;
+  const activeDelegateRef = useRef(null);
+  const isSwappingModelRef = useRef(false);
+  const modelStatsRef = useRef(loadModelStats());
+  // Camera selection refs
+  const isSwitchingCameraRef = useRef(false);
+  const cameraSwitchPendingRef = useRef(false);
+  const switchCameraRef = useRef(null);
+  const unsavedModelStatsRef = useRef(0);
 
   // State
   const [isLoading, setIsLoading] = useState(true);
@@ -31,41 +90,74 @@ export const usePoseTracker = (selectedExerciseRef, appSettings) => {
   const [cameraStarted, setCameraStarted] = useState(false);
   const [stats, setStats] = useState({
     fps: 0,
-    inferenceTime: 0
+    inferenceTime: 0,
+    roundTripTime: null
   });
   const [trackedAngles, setTrackedAngles] = useState({});
   const [rawAngles, setRawAngles] = useState({});
+  // 2D and 3D variants of every tracked angle, for comparison (the tracked value follows each angle's mode)
+  const [angles2D, setAngles2D] = useState({});
+  const [angles3D, setAngles3D] = useState({});
+  // Position metrics by position id (position-based exercises, see logic/positionMetrics)
+  const [trackedPositions, setTrackedPositions] = useState({});
   const [canvasDimensions, setCanvasDimensions] = useState({ width: 0, height: 0 });
+  // Output of the exercise's rep pipeline for the primary person
+  const [repState, setRepState] = useState(null);
+  // IDLE / READY / ACTIVE / PAUSED for the primary person, with the unmet start requirements
+  const [trackingState, setTrackingState] = useState(null);
+  // Form check violations on the current frame and per rep attempt (the exercise's formChecks)
+  const [formCheckState, setFormCheckState] = useState(null);
+  // Which exercise the primary person's movement looks like (null while recognition is off)
+  const [recognition, setRecognition] = useState(null);
+  // What the running camera actually delivers ({ deviceId, label, width, height, frameRate })
+  const [cameraInfo, setCameraInfo] = useState(null);
   const [landmarksData, setLandmarksData] = useState(null);
+  const [worldLandmarks, setWorldLandmarks] = useState(null);
   // Stationary tracking state
   const [stabilityState, setStabilityState] = useState('idle'); // 'idle', 'stabilizing', 'stable', 'unstable'
+  // Diagnostics: active delegate, device capabilities, model load time and first-inference latency
+  const [diagnostics, setDiagnostics] = useState(null);
+  // Model selection state: per-model FPS / inference averages and whether a swap is in progress
+  const [modelStats, setModelStats] = useState(() => modelStatsRef.current);
+  const [isSwappingModel, setIsSwappingModel] = useState(false);
+  // Input source state: live webcam or a recorded video file picked from disk
+  const [sourceType, setSourceType] = useState('webcam');
+  const [videoFileName, setVideoFileName] = useState(null);
+  // Tracked people (only filled when more than one person is allowed)
+  const [people, setPeople] = useState([]);
+
+  // Create the landmarker in the pose worker, falling back to the main thread when workers
+  // (or OffscreenCanvas) are unavailable or the worker fails to start
+  const createLandmarker = async (modelVariant, numPoses) => {
+    let workerFallbackReason = null;
+    if (config.mediapipe.useWorker) {
+      if (isWorkerInferenceSupported()) {
+        try {
+          return await createWorkerPoseLandmarker(modelVariant, { numPoses });
+        } catch (error) {
+          console.warn('[usePoseTracker] Pose worker failed, running inference on the main thread:', error);
+          workerFallbackReason = `worker failed: ${error.message}`;
+        }
+      } else {
+        workerFallbackReason = 'Web Worker or OffscreenCanvas is not supported';
+      }
+    }
+    const created = await createPoseLandmarker(modelVariant, { numPoses });
+    return { ...created, info: { ...created.info, inferenceThread: 'main', workerFallbackReason } };
+  };
 
-  // Initialize MediaPipe
-  const initializePoseLandmarker = async () => {
-    console.log('[usePoseTracker] Initializing MediaPipe...');
+  // Initialize MediaPipe (asset locations, delegate and confidences come from src/config.js)
+  const initializePoseLandmarker = async (modelVariant, numPoses) => {
+    console.log(`[usePoseTracker] Initializing MediaPipe with the ${modelVariant} model (up to ${numPoses} people)...`);
     try {
-      const vision = await FilesetResolver.forVisionTasks(
-        'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-      );
-      if (!vision) {
-        throw new Error('Failed to initialize FilesetResolver');
-      }
-      console.log('[usePoseTracker] FilesetResolver initialized successfully');
-      const poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-        baseOptions: {
-          modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task',
-          delegate: 'GPU'
-        },
-        runningMode: 'VIDEO',
-        numPoses: 1,
-        minPoseDetectionConfidence: 0.5,
-        minPosePresenceConfidence: 0.5,
-        minTrackingConfidence: 0.5,
-        outputSegmentationMasks: false,
-        enableFaceLandmarks: false,
-        enableHandLandmarks: false
-      });
-      console.log('[usePoseTracker] PoseLandmarker created successfully');
+      const { poseLandmarker, info } = await createLandmarker(modelVariant, numPoses);
+      console.log('[usePoseTracker] PoseLandmarker created successfully', info);
+      loadedModelRef.current = modelVariant;
+      loadedNumPosesRef.current = numPoses;
+      // Worker and main-thread timings aren't comparable, so per-model stats are kept apart
+      activeDelegateRef.current = info.inferenceThread === 'worker' ? `${info.delegate} (worker)` : info.delegate;
+      firstInferencePendingRef.current = true;
+      setDiagnostics({ ...info, firstInferenceMs: null });
       return poseLandmarker;
     } catch (error) {
       console.error('[usePoseTracker] Error initializing PoseLandmarker:', error);
@@ -82,231 +174,363 @@ export const usePoseTracker = (selectedExerciseRef, appSettings) => {
     return array.reduce((sum, val) => sum + val, 0) / array.length;
   };
 
-  // Update stats state with latest measurements
-  const updateStats = useCallback((fps, inferenceTime) => {
+  // Persist per-model stats and push them to state
+  const flushModelStats = useCallback(() => {
+    unsavedModelStatsRef.current = 0;
+    saveModelStats(modelStatsRef.current);
+    setModelStats(modelStatsRef.current);
+  }, []);
+
+  // Update stats state with latest measurements, and fold them into the loaded model's averages
+  // (roundTripTime is only reported when inference runs in the worker)
+  const updateStats = useCallback((fps, inferenceTime, roundTripTime = null) => {
     setStats({
       fps: Math.round(fps),
-      inferenceTime: Math.round(inferenceTime)
+      inferenceTime: Math.round(inferenceTime),
+      roundTripTime: roundTripTime !== null ? Math.round(roundTripTime) : null,
     });
-  }, []);
-  
-  // Smooth angle function
-  const smoothAngle = useCallback((angleId, rawAngleValue) => {
-    if (!appSettings.isSmoothingEnabled || rawAngleValue === null) {
-      return rawAngleValue;
-    }
-    if (!angleHistoryRef.current[angleId]) {
-      angleHistoryRef.current[angleId] = [];
+
+    const modelVariant = loadedModelRef.current;
+    if (!modelVariant) return;
+    modelStatsRef.current = {
+      ...modelStatsRef.current,
+      [modelVariant]: accumulateModelStats(modelStatsRef.current[modelVariant], fps, inferenceTime, activeDelegateRef.current),
+    };
+    unsavedModelStatsRef.current += 1;
+    if (unsavedModelStatsRef.current >= MODEL_STATS_SAVE_INTERVAL) {
+      flushModelStats();
     }
-    const history = angleHistoryRef.current[angleId];
-    history.push(rawAngleValue);
-    if (history.length > ANGLE_SMOOTHING_WINDOW) {
-      history.shift();
+  }, [flushModelStats]);
+
+  // Clear the stored per-model stats
+  const resetModelStats = useCallback(() => {
+    modelStatsRef.current = {};
+    flushModelStats();
+  }, [flushModelStats]);
+
+  // True once a landmarker is loaded but the model or max people setting asks for a different one
+  const needsLandmarkerSwap = () => (
+    loadedModelRef.current !== null &&
+    (loadedModelRef.current !== requestedModelRef.current || loadedNumPosesRef.current !== requestedNumPosesRef.current)
+  );
+
+  // Close the current landmarker and load the requested model. The camera and render loop keep
+  // running; the loop simply skips detection while poseLandmarkerRef is empty.
+  const swapModel = useCallback(async () => {
+    if (isSwappingModelRef.current) return;
+    isSwappingModelRef.current = true;
+    setIsSwappingModel(true);
+
+    try {
+      while (needsLandmarkerSwap()) {
+        const previousModel = loadedModelRef.current;
+        const previousNumPoses = loadedNumPosesRef.current;
+        const targetModel = requestedModelRef.current;
+        const targetNumPoses = requestedNumPosesRef.current;
+        console.log(`[usePoseTracker] Swapping pose model ${previousModel} (${previousNumPoses} people) -> ${targetModel} (${targetNumPoses} people)`);
+
+        flushModelStats();
+        const previousLandmarker = poseLandmarkerRef.current;
+        poseLandmarkerRef.current = null;
+        previousLandmarker?.close();
+        // Rolling averages belong to the previous model
+        fpsTimesRef.current = [];
+        inferenceTimesRef.current = [];
+        roundTripTimesRef.current = [];
+
+        try {
+          poseLandmarkerRef.current = await initializePoseLandmarker(targetModel, targetNumPoses);
+          setErrorMessage('');
+        } catch (error) {
+          console.error(`[usePoseTracker] Failed to load the ${targetModel} model, restoring ${previousModel}:`, error);
+          setErrorMessage(`Could not load the ${targetModel} model: ${error.message}`);
+          // The previous model runs again, so the settings have to show it again
+          requestedModelRef.current = previousModel;
+          requestedNumPosesRef.current = previousNumPoses;
+          onModelRestoredRef.current?.(previousModel, previousNumPoses);
+          try {
+            poseLandmarkerRef.current = await initializePoseLandmarker(previousModel, previousNumPoses);
+          } catch (restoreError) {
+            console.error(`[usePoseTracker] Failed to restore the ${previousModel} model:`, restoreError);
+            setErrorMessage(`Could not load the ${targetModel} model: ${error.message}. Restoring the ${previousModel} model failed too: ${restoreError.message}`);
+          }
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('[usePoseTracker] Error swapping pose model:', error);
+      setErrorMessage(`Model error: ${error.message}`);
+    } finally {
+      isSwappingModelRef.current = false;
+      setIsSwappingModel(false);
     }
-    const sum = history.reduce((acc, val) => acc + val, 0);
-    return Math.round(sum / history.length);
-  }, [appSettings.isSmoothingEnabled]);
+  }, [flushModelStats]);
+  
+  // Match the frame's poses to known people and run each person through their own processor.
+  // Returns each person's raw (unfiltered) pose, in tracked id order.
+  const updatePeople = useCallback((frame) => {
+    const poses = frame.poses ?? (frame.landmarks ? [frame.landmarks] : []);
+    const worldPoses = frame.worldPoses ?? (frame.worldLandmarks ? [frame.worldLandmarks] : []);
+    const trackedPeople = personTrackerRef.current.update(poses, frame.timestamp).map(({ id, landmarks }) => ({
+      id,
+      landmarks,
+      worldLandmarks: landmarks ? worldPoses[poses.indexOf(landmarks)] ?? null : null,
+    }));
+    const processors = personProcessorsRef.current;
+
+    const nextPeople = trackedPeople.map(({ id, landmarks, worldLandmarks: personWorldLandmarks }) => {
+      if (!processors.has(id)) {
+        // Only the primary person's movement is recognized
+        processors.set(id, createPoseProcessor({ ...processorOptionsRef.current, getRecognizableExercises: () => [] }));
+      }
+      const processed = processors.get(id).processFrame({ timestamp: frame.timestamp, landmarks, worldLandmarks: personWorldLandmarks });
+      // While someone is briefly out of view their last angles are kept, so their
+      // PhaseTrackers stay mounted and don't restart counting from zero
+      const previous = landmarks ? null : peopleRef.current.find(person => person.id === id);
+      return {
+        id,
+        landmarks: processed.landmarks,
+        worldLandmarks: processed.worldLandmarks,
+        angles: previous ? previous.angles : processed.angles,
+        rawAngles: previous ? previous.rawAngles : processed.rawAngles,
+        positions: processed.positions,
+        stabilityState: processed.stabilityState,
+        trackingState: processed.trackingState,
+        repState: processed.repState,
+        formCheckState: processed.formCheckState,
+      };
+    });
 
+    // Forget processors of people whose identity was dropped
+    for (const id of processors.keys()) {
+      if (!trackedPeople.some(person => person.id === id)) {
+        processors.delete(id);
+      }
+    }
+    peopleRef.current = nextPeople;
+    setPeople(nextPeople);
+    return trackedPeople;
+  }, []);
 
-  // Main render loop
-  const renderLoop = useCallback(async (now) => {
-    if (!poseLandmarkerRef.current || !videoRef.current || !canvasRef.current) {
+  // Main render loop: read a frame from the active PoseSource and run it through the processor
+  const renderLoop = useCallback((now) => {
+    const frame = poseSourceRef.current && canvasRef.current ? poseSourceRef.current.readFrame(now) : null;
+    if (!frame) {
+      // No new frame yet (model loading or swapping, paused video, ...)
       requestAnimationRef.current = requestAnimationFrame(renderLoop);
       return;
     }
 
-    const video = videoRef.current;
     const fps = 1000.0 / (now - lastFrameTimeRef.current);
     lastFrameTimeRef.current = now;
     const avgFps = addMeasurement(fpsTimesRef.current, fps);
 
-    const startTime = performance.now();
-    const results = await poseLandmarkerRef.current.detectForVideo(video, now);
-    const inferenceTime = performance.now() - startTime;
-    const avgInferenceTime = addMeasurement(inferenceTimesRef.current, inferenceTime);
+    const { inferenceTime = 0 } = frame;
+    let avgInferenceTime;
+    if (firstInferencePendingRef.current) {
+      // The first call includes shader compilation / graph warm-up, so it is reported separately
+      // and kept out of the averages (it would skew the per-model comparison)
+      firstInferencePendingRef.current = false;
+      setDiagnostics(prev => (prev ? { ...prev, firstInferenceMs: inferenceTime } : prev));
+      avgInferenceTime = inferenceTime;
+    } else {
+      avgInferenceTime = addMeasurement(inferenceTimesRef.current, inferenceTime);
+    }
+
+    const avgRoundTripTime = frame.roundTripTime !== undefined
+      ? addMeasurement(roundTripTimesRef.current, frame.roundTripTime)
+      : null;
 
     if (fpsTimesRef.current.length % 5 === 0) {
-      updateStats(avgFps, avgInferenceTime);
+      updateStats(avgFps, avgInferenceTime, avgRoundTripTime);
     }
 
-    if (results.landmarks && results.landmarks.length > 0) {
-      setLandmarksData(results.landmarks[0]);
-    } else {
-      setLandmarksData(null);
+    let primaryFrame = frame;
+    if (appSettingsRef.current.maxPeople > 1) {
+      const trackedPeople = updatePeople(frame);
+      // The single-person outputs follow the lowest tracked id rather than MediaPipe's pose order.
+      // Their processor gets that person's raw pose: it filters the landmarks itself.
+      primaryFrame = {
+        ...frame,
+        landmarks: trackedPeople[0]?.landmarks ?? null,
+        worldLandmarks: trackedPeople[0]?.worldLandmarks ?? null,
+      };
+    } else if (personProcessorsRef.current.size > 0) {
+      personTrackerRef.current.reset();
+      personProcessorsRef.current.clear();
+      peopleRef.current = [];
+      setPeople([]);
     }
 
-    const exercise = selectedExerciseRef.current;
-
-    // Stationary Landmark Tracking Logic
-    if (appSettings.enableStationaryTracking && exercise && exercise.stationaryLandmarks && exercise.stationaryLandmarks.length > 0 && results.landmarks && results.landmarks.length > 0) {
-      const currentLandmarks = results.landmarks[0];
-      let allLandmarksCurrentlyStable = true;
-      const newAveragePositions = { ...averagePositionsRef.current };
-
-      for (const landmarkName of exercise.stationaryLandmarks) {
-        const landmarkIndex = LANDMARK_MAP[landmarkName];
-        if (landmarkIndex === undefined || !currentLandmarks[landmarkIndex]) {
-          allLandmarksCurrentlyStable = false; // Landmark not visible or not in map
-          if (newAveragePositions[landmarkName]) delete newAveragePositions[landmarkName]; // Clear average if landmark lost
-          if (landmarkHistoryRef.current[landmarkName]) landmarkHistoryRef.current[landmarkName] = []; // Clear history
-          continue;
-        }
-
-        const currentPos = { x: currentLandmarks[landmarkIndex].x, y: currentLandmarks[landmarkIndex].y, timestamp: now };
+    const processed = poseProcessorRef.current.processFrame(primaryFrame);
+    setLandmarksData(processed.landmarks);
+    setWorldLandmarks(processed.worldLandmarks);
+    setStabilityState(processed.stabilityState);
+    averagePositionsRef.current = processed.averageStationaryLandmarks;
+    setTrackedAngles(processed.angles);
+    setRawAngles(processed.rawAngles);
+    setAngles2D(processed.angles2D);
+    setAngles3D(processed.angles3D);
+    setTrackedPositions(processed.positions);
+    setRepState(processed.repState);
+    setTrackingState(processed.trackingState);
+    setFormCheckState(processed.formCheckState);
+    setRecognition(processed.recognition);
 
-        // Add to history
-        if (!landmarkHistoryRef.current[landmarkName]) {
-          landmarkHistoryRef.current[landmarkName] = [];
-        }
-        landmarkHistoryRef.current[landmarkName].push(currentPos);
-
-        // Prune history
-        landmarkHistoryRef.current[landmarkName] = landmarkHistoryRef.current[landmarkName].filter(
-          entry => now - entry.timestamp <= appSettings.stationaryAveragingWindowMs
-        );
-        const history = landmarkHistoryRef.current[landmarkName];
-        
-        if (history.length === 0) {
-            allLandmarksCurrentlyStable = false; // Not enough data to determine stability
-            if (newAveragePositions[landmarkName]) delete newAveragePositions[landmarkName];
-            continue;
-        }
-
-        // Calculate average position
-        const sumPos = history.reduce((acc, entry) => ({ x: acc.x + entry.x, y: acc.y + entry.y }), { x: 0, y: 0 });
-        const avgPos = { x: sumPos.x / history.length, y: sumPos.y / history.length };
-        newAveragePositions[landmarkName] = avgPos;
+    requestAnimationRef.current = requestAnimationFrame(renderLoop);
+  }, [updateStats, updatePeople]);
 
-        // Calculate deviation (Euclidean distance)
-        // Note: landmarks are normalized (0-1). Threshold is also normalized.
-        const deviation = Math.sqrt(Math.pow(currentPos.x - avgPos.x, 2) + Math.pow(currentPos.y - avgPos.y, 2));
+  const updateCanvasDimensions = useCallback(() => {
+    const video = videoRef.current;
+    if (!video || video.videoWidth === 0) return;
+    const aspectRatio = video.videoHeight / video.videoWidth;
+    const newWidth = window.innerWidth;
+    const newHeight = newWidth * aspectRatio;
+    setCanvasDimensions({ width: newWidth, height: newHeight });
+  }, []);
 
-        if (deviation > appSettings.stationaryDeviationThreshold) {
-          allLandmarksCurrentlyStable = false;
-        }
-      }
-      averagePositionsRef.current = newAveragePositions;
+  // Filters, stationary averages and identities belong to the previous source
+  const resetPoseState = useCallback(() => {
+    poseProcessorRef.current.reset();
+    personTrackerRef.current.reset();
+    personProcessorsRef.current.clear();
+    peopleRef.current = [];
+    setPeople([]);
+    setRepState(null);
+    setTrackingState(null);
+    setFormCheckState(null);
+    setRecognition(null);
+  }, []);
 
+  // Rep counts are reset by the caller (RepCounterContext's reset), not by changing sources
+  const resetRepState = useCallback(() => {
+    poseProcessorRef.current.resetRepState();
+    personProcessorsRef.current.forEach(processor => processor.resetRepState());
+  }, []);
 
-      // Update stabilityState
-      setStabilityState(currentStabilityState => {
-        if (allLandmarksCurrentlyStable) {
-          if (currentStabilityState === 'unstable' || currentStabilityState === 'idle') {
-            stableStartTimeRef.current = now;
-            return 'stabilizing';
-          }
-          if (currentStabilityState === 'stabilizing') {
-            if (stableStartTimeRef.current && (now - stableStartTimeRef.current) >= appSettings.stationaryHoldDurationMs) {
-              return 'stable';
-            }
-            return 'stabilizing'; // Remain stabilizing
-          }
-          return 'stable'; // Already stable, remain stable
-        } else {
-          stableStartTimeRef.current = null;
-          return 'unstable';
-        }
-      });
-
-    } else if (!appSettings.enableStationaryTracking) {
-      setStabilityState('stable'); // Or 'disabled', as per instruction. 'stable' implies no restrictions.
-      stableStartTimeRef.current = null;
-      averagePositionsRef.current = {};
-      landmarkHistoryRef.current = {};
-    } else { // Tracking enabled, but no stationary landmarks for current exercise or no landmarks detected
-      setStabilityState('idle'); // Or 'stable' if no specific stationary landmarks means it's always "stable" by default
-      stableStartTimeRef.current = null;
-      averagePositionsRef.current = {};
-      // landmarkHistoryRef.current = {}; // Keep history if landmarks might reappear for this exercise
+  const createWebcamSource = useCallback(() => createWebcamPoseSource({
+    videoElement: videoRef.current,
+    getLandmarker: () => poseLandmarkerRef.current,
+    cameraOptions: resolveCameraOptions(appSettingsRef.current),
+    // An unplugged camera ends its track; reopen with the current settings (falls back to the default camera)
+    onEnded: () => {
+      console.warn('[usePoseTracker] Camera stopped delivering frames, reopening');
+      switchCameraRef.current?.();
+    },
+  }), []);
+
+  // Restart the webcam source with the current camera settings. The render loop keeps running
+  // and skips frames while poseSourceRef is empty; requests made during a switch are applied after it.
+  const switchCamera = useCallback(async () => {
+    if (isSwitchingCameraRef.current) {
+      cameraSwitchPendingRef.current = true;
+      return;
     }
+    isSwitchingCameraRef.current = true;
 
-
-    if (results.landmarks && results.landmarks.length > 0 && exercise && exercise.logicConfig?.type === 'angle' && Array.isArray(exercise.logicConfig.anglesToTrack)) {
-      const landmarks = results.landmarks[0];
-      const newAngles = {};
-      const newRawAngles = {};
-      
-      for (const angleConfig of exercise.logicConfig.anglesToTrack) {
-        const { side, points, id } = angleConfig;
-        const pointNames = points.map(pt => (side ? `${side}_${pt}` : pt));
-        const indices = pointNames.map(name => LANDMARK_MAP[name]);
-
-        if (indices.every(idx => idx !== undefined)) {
-          const [a, b, c] = indices.map(idx => landmarks[idx]);
-          const rawAngle = calculateAngle(a, b, c);
-          newRawAngles[id] = rawAngle !== null ? Math.round(rawAngle) : null;
-          if (appSettings.isSmoothingEnabled && rawAngle !== null) {
-            newAngles[id] = smoothAngle(id, rawAngle);
-          } else {
-            newAngles[id] = rawAngle !== null ? Math.round(rawAngle) : null;
-          }
-        } else {
-          newAngles[id] = null;
-          newRawAngles[id] = null;
-        }
-      }
-      setTrackedAngles(newAngles);
-      setRawAngles(newRawAngles);
-    } else {
-      setTrackedAngles({});
-      setRawAngles({});
+    try {
+      do {
+        cameraSwitchPendingRef.current = false;
+        const previousSource = poseSourceRef.current;
+        if (!previousSource || previousSource.type !== 'webcam') break;
+
+        // Release the old stream first: many cameras can't be opened twice
+        poseSourceRef.current = null;
+        previousSource.stop();
+
+        const source = createWebcamSource();
+        await source.start();
+        poseSourceRef.current = source;
+        // Same person, different camera: keep the rep counts and people, drop the filter and stationary history
+        poseProcessorRef.current.reset({ keepRepState: true });
+        personProcessorsRef.current.forEach(processor => processor.reset({ keepRepState: true }));
+        updateCanvasDimensions();
+        setCameraInfo(source.getCameraInfo());
+        console.log('[usePoseTracker] Switched camera:', source.getCameraInfo());
+      } while (cameraSwitchPendingRef.current);
+      setErrorMessage('');
+    } catch (error) {
+      console.error('[usePoseTracker] Error switching camera:', error);
+      setErrorMessage(`Camera error: ${error.message}`);
+    } finally {
+      isSwitchingCameraRef.current = false;
     }
-    requestAnimationRef.current = requestAnimationFrame(renderLoop);
-  }, [updateStats, selectedExerciseRef, appSettings.isSmoothingEnabled, smoothAngle]);
+  }, [createWebcamSource, updateCanvasDimensions]);
+  switchCameraRef.current = switchCamera;
 
-  // Start camera and tracking
-  const startTracking = useCallback(async () => {
+  // Start camera (or a recorded video file) and tracking.
+  // Pass { videoFile } to analyze an mp4/webm from disk instead of the webcam.
+  const startTracking = useCallback(async ({ videoFile = null } = {}) => {
     try {
       setCameraStarted(true);
       setIsLoading(true);
       setErrorMessage('');
       
-      const stream = await setupCamera(); // Assumes setupCamera is imported or defined within
       if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        console.log('[usePoseTracker] Webcam access successful');
-        await waitForVideoReady(videoRef.current); // Assumes waitForVideoReady is imported or defined
-        const video = videoRef.current;
-        const aspectRatio = video.videoHeight / video.videoWidth;
-        const newWidth = window.innerWidth;
-        const newHeight = newWidth * aspectRatio;
-        setCanvasDimensions({ width: newWidth, height: newHeight });
+        poseSourceRef.current?.stop();
+        poseSourceRef.current = null;
+
+        const source = videoFile
+          ? createVideoFilePoseSource({ videoElement: videoRef.current, getLandmarker: () => poseLandmarkerRef.current, file: videoFile })
+          : createWebcamSource();
+        setSourceType(source.type);
+        setVideoFileName(videoFile ? videoFile.name : null);
+        await source.start();
+        poseSourceRef.current = source;
+        resetPoseState();
+        updateCanvasDimensions();
+        setCameraInfo(source.getCameraInfo ? source.getCameraInfo() : null);
       } else {
         throw new Error("Video element not available.");
       }
       
-      poseLandmarkerRef.current = await initializePoseLandmarker();
+      // Switching sources keeps the already loaded model
+      if (!poseLandmarkerRef.current) {
+        poseLandmarkerRef.current = await initializePoseLandmarker(requestedModelRef.current, requestedNumPosesRef.current);
+      }
       console.log('[usePoseTracker] Setup complete, starting render loop');
       setIsLoading(false);
       lastFrameTimeRef.current = performance.now();
+      if (requestAnimationRef.current) {
+        cancelAnimationFrame(requestAnimationRef.current);
+      }
       requestAnimationRef.current = requestAnimationFrame(renderLoop);
+      // The model settings may have changed while the first model was loading
+      if (needsLandmarkerSwap()) {
+        swapModel();
+      }
     } catch (error) {
       console.error('[usePoseTracker] Error during setup:', error);
       setErrorMessage(`Setup error: ${error.message}`);
       setIsLoading(false);
       setCameraStarted(false);
     }
-  }, [renderLoop]); // Removed initializePoseLandmarker from deps, it's stable
+  }, [renderLoop, swapModel, createWebcamSource, resetPoseState, updateCanvasDimensions]); // Removed initializePoseLandmarker from deps, it's stable
+
+  // Hot-swap the pose model when the model or max people setting changes (only once the first model has loaded)
+  useEffect(() => {
+    if (needsLandmarkerSwap()) {
+      swapModel();
+    }
+  }, [appSettings.poseModel, appSettings.maxPeople, swapModel]);
+
+  // Hot-switch the camera when the camera settings change while the webcam is running
+  useEffect(() => {
+    if (poseSourceRef.current?.type === 'webcam') {
+      switchCamera();
+    }
+  }, [appSettings.cameraDeviceId, appSettings.cameraResolution, appSettings.cameraFrameRate, switchCamera]);
 
   // Handle window resize
   useEffect(() => {
-    const updateDimensions = () => {
-      if (videoRef.current && videoRef.current.videoWidth > 0) {
-        const video = videoRef.current;
-        const aspectRatio = video.videoHeight / video.videoWidth;
-        const newWidth = window.innerWidth;
-        const newHeight = newWidth * aspectRatio;
-        setCanvasDimensions({ width: newWidth, height: newHeight });
-      }
-    };
-    window.addEventListener('resize', updateDimensions);
-    if (cameraStarted && videoRef.current && videoRef.current.videoWidth > 0) {
-        updateDimensions();
+    window.addEventListener('resize', updateCanvasDimensions);
+    if (cameraStarted) {
+      updateCanvasDimensions();
     }
     return () => {
-      window.removeEventListener('resize', updateDimensions);
+      window.removeEventListener('resize', updateCanvasDimensions);
     };
-  }, [cameraStarted]);
+  }, [cameraStarted, updateCanvasDimensions]);
 
   // Cleanup function
   useEffect(() => {
@@ -314,14 +538,15 @@ export const usePoseTracker = (selectedExerciseRef, appSettings) => {
       if (requestAnimationRef.current) {
         cancelAnimationFrame(requestAnimationRef.current);
       }
-      if (videoRef.current && videoRef.current.srcObject) {
-        const tracks = videoRef.current.srcObject.getTracks();
-        tracks.forEach(track => track.stop());
+      if (poseSourceRef.current) {
+        poseSourceRef.current.stop();
+        poseSourceRef.current = null;
       }
       if (poseLandmarkerRef.current) {
         poseLandmarkerRef.current.close();
         poseLandmarkerRef.current = null; // Explicitly nullify
       }
+      saveModelStats(modelStatsRef.current);
       console.log('[usePoseTracker] Cleaned up resources.');
     };
   }, []);
@@ -333,12 +558,32 @@ export const usePoseTracker = (selectedExerciseRef, appSettings) => {
     errorMessage,
     cameraStarted,
     landmarksData,
+    worldLandmarks,
     trackedAngles,
     rawAngles,
+    angles2D,
+    angles3D,
+    trackedPositions,
     stats,
+    diagnostics,
+    // Rep counting returns
+    repState,
+    resetRepState,
+    trackingState,
+    formCheckState,
+    recognition,
+    // Model selection returns
+    modelStats,
+    resetModelStats,
+    isSwappingModel,
+    // Input source returns
+    sourceType,
+    videoFileName,
+    cameraInfo,
+    // Multi-person returns
+    people,
     startTracking,
     canvasDimensions,
-    angleHistoryRef, // Exposing for debugging or if needed by consuming component to clear
     // Stationary tracking returns
     stabilityState,
     averageStationaryLandmarks: averagePositionsRef.current,
@@ -1,4 +1,5 @@
 import { useState, useCallback, useEffect } from 'react';
+import { DEFAULT_HOLD_GOAL_SECONDS } from '../logic/holdLogic.js';
 
 /**
  * useSessionLogic Hook
@@ -10,6 +11,7 @@ import { useState, useCallback, useEffect } from 'react';
  * - Tracks current exercise, upcoming exercise, and set progress
  * - Automatically cycles through exercises and completes session after all sets
  * - Provides configuration options for durations and total sets
+ * - Holds the goal in seconds held for hold exercises (holdGoalSeconds), used instead of a rep goal
  * 
  * The hook is independent of UI, enabling separation of business logic from presentation.
  * 
@@ -37,7 +39,8 @@ export const useSessionLogic = (
     exerciseSetDuration: initialExerciseSetDuration,
     restPeriodDuration: initialRestPeriodDuration,
     totalSets: initialTotalSets,
-    useRandomExercises: true // Default to using random exercises
+    useRandomExercises: true, // Default to using random exercises
+    holdGoalSeconds: DEFAULT_HOLD_GOAL_SECONDS
   });
 
   // Use the current session settings
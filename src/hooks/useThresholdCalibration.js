@@ -0,0 +1,125 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  MAX_CALIBRATION_REPS,
+  getCalibrationAngles,
+  countCalibrationReps,
+  proposeThresholds,
+} from '../logic/thresholdCalibration.js';
+import {
+  loadProfileCalibrations,
+  saveExerciseCalibration,
+  clearExerciseCalibration,
+} from '../services/calibrationStorage.js';
+
+/**
+ * useThresholdCalibration Hook
+ *
+ * Runs the threshold calibration flow for the selected exercise (see logic/thresholdCalibration):
+ * - 'recording': the calibrated angles (rep counters and the angles their repCriteria bound) are
+ *   sampled while the user does 3-5 slow reps; recording ends by itself once every angle has
+ *   MAX_CALIBRATION_REPS reps
+ * - 'review': the proposed thresholds are shown and can be saved or discarded
+ * Saved thresholds are kept per profile and exercise (services/calibrationStorage).
+ *
+ * @param {Object|null} exercise - Exercise to calibrate (the selected exercise)
+ * @param {string} profile - Calibration profile the thresholds are saved under
+ * @returns {Object} Calibration state, the profile's calibrations by exercise id and control functions
+ */
+export const useThresholdCalibration = (exercise, profile) => {
+  const [calibrations, setCalibrations] = useState(() => loadProfileCalibrations(profile));
+  const [status, setStatus] = useState('idle'); // 'idle', 'recording', 'review'
+  const [repProgress, setRepProgress] = useState({}); // Reps recorded so far by angle id
+  const [proposal, setProposal] = useState(null);
+  const samplesRef = useRef({}); // Angle values by angle id
+  const statusRef = useRef(status);
+  statusRef.current = status;
+
+  // Another profile has its own thresholds
+  useEffect(() => {
+    setCalibrations(loadProfileCalibrations(profile));
+  }, [profile]);
+
+  // Samples of one exercise don't fit another
+  useEffect(() => {
+    if (statusRef.current !== 'idle') {
+      console.log('[useThresholdCalibration] Exercise changed, calibration cancelled');
+      setStatus('idle');
+      setProposal(null);
+    }
+  }, [exercise?.id]);
+
+  const start = useCallback(() => {
+    if (getCalibrationAngles(exercise).length === 0) return;
+    samplesRef.current = {};
+    setRepProgress(countCalibrationReps(exercise, {}));
+    setProposal(null);
+    setStatus('recording');
+    console.log(`[useThresholdCalibration] Calibrating ${exercise.id}`);
+  }, [exercise]);
+
+  const finish = useCallback(() => {
+    if (statusRef.current !== 'recording') return;
+    const nextProposal = proposeThresholds(exercise, samplesRef.current);
+    console.log('[useThresholdCalibration] Proposed thresholds:', nextProposal);
+    statusRef.current = 'review'; // Frames before the next render don't finish again
+    setProposal(nextProposal);
+    setStatus('review');
+  }, [exercise]);
+
+  /**
+   * Records one frame's angles while recording.
+   * @param {Object} angles Tracked angles by angle id (in each angle's mode).
+   */
+  const addSample = useCallback((angles) => {
+    if (statusRef.current !== 'recording' || !angles) return;
+    for (const angleConfig of getCalibrationAngles(exercise)) {
+      const angle = angles[angleConfig.id];
+      if (angle == null) continue;
+      (samplesRef.current[angleConfig.id] = samplesRef.current[angleConfig.id] || []).push(angle);
+    }
+    const counts = countCalibrationReps(exercise, samplesRef.current);
+    setRepProgress(prev => (Object.keys(counts).every(id => prev[id] === counts[id]) ? prev : counts));
+    if (Object.values(counts).every(count => count >= MAX_CALIBRATION_REPS)) {
+      finish();
+    }
+  }, [exercise, finish]);
+
+  // Saves the proposed thresholds of every angle that got enough reps (the others keep theirs)
+  const save = useCallback(() => {
+    const thresholds = Object.fromEntries(Object.entries(proposal || {})
+      .filter(([, angleProposal]) => !angleProposal.error)
+      .map(([angleId, { minThreshold, maxThreshold }]) => [angleId, { minThreshold, maxThreshold }]));
+    if (exercise && Object.keys(thresholds).length > 0) {
+      const previous = calibrations[exercise.id]?.thresholds;
+      setCalibrations(saveExerciseCalibration(profile, exercise.id, { ...previous, ...thresholds }));
+      console.log(`[useThresholdCalibration] Saved thresholds for ${exercise.id}:`, thresholds);
+    }
+    setStatus('idle');
+    setProposal(null);
+  }, [exercise, profile, proposal, calibrations]);
+
+  const cancel = useCallback(() => {
+    setStatus('idle');
+    setProposal(null);
+  }, []);
+
+  // Back to the exercise's own thresholds
+  const reset = useCallback(() => {
+    if (!exercise) return;
+    setCalibrations(clearExerciseCalibration(profile, exercise.id));
+  }, [exercise, profile]);
+
+  return {
+    status,
+    isCalibrating: status !== 'idle',
+    repProgress,
+    proposal,
+    calibrations,
+    start,
+    addSample,
+    finish,
+    save,
+    cancel,
+    reset,
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Alternating sides: for two-sided exercises performed one side at a time (alternating curls,
+ * renegade rows), checks that reps alternate L-R-L-R and keeps a combined count.
+ *
+ * Run by logic/repStateEngine as an extra pipeline step after the exercise's own steps when the
+ * exercise config sets alternating: true. It only reads the per-side repCount the earlier steps
+ * reported. A rep on the same side as the previous one is out of order: it still counts for its
+ * side (and in the combined count) but is flagged, as sides[side].lastOutOfOrderRep
+ * ({ expectedSide, timestamp }) and in sides[side].outOfOrderRepCount. Either side may start.
+ * Both sides repping together (the second rep within BILATERAL_REP_WINDOW_MS of the other side's,
+ * including in the same frame) is out of order too: both reps are flagged (with bilateral: true),
+ * the pair adds one rep to the combined count, and either side may go next.
+ */
+
+const ALTERNATING_SIDES = ['left', 'right'];
+
+// A rep this soon after the other side's counts as doing both sides together
+const BILATERAL_REP_WINDOW_MS = 500;
+
+const INITIAL_ALTERNATING_STATE = {
+  lastSide: null,
+  combinedRepCount: 0,
+  outOfOrderRepCount: 0,
+  repCounts: {},
+  lastRepTimes: {}, // Side -> time of its last rep
+  flags: {}, // Side -> { outOfOrderRepCount, lastOutOfOrderRep }
+};
+
+const otherSide = (side) => (side === 'left' ? 'right' : 'left');
+
+/**
+ * Pipeline step that enforces the L-R-L-R order.
+ * @param {Object} params
+ * @param {Object} params.prevState - Previous pipeline state
+ * @param {Object} params.state - State from the exercise's own steps in this frame
+ * @param {number} [params.timestamp] - Frame time in ms
+ * @returns {Object} Updated state object (state.alternating and flagged sides)
+ */
+export function alternatingSidesLogic({ prevState, state, timestamp = Date.now() }) {
+  const prev = prevState?.alternating || INITIAL_ALTERNATING_STATE;
+  const sides = { ...state?.sides };
+  const flags = { ...prev.flags };
+  const lastRepTimes = { ...prev.lastRepTimes };
+  let { lastSide, combinedRepCount, outOfOrderRepCount } = prev;
+  const flagRep = (side, rep) => {
+    const sideFlags = flags[side] || { outOfOrderRepCount: 0, lastOutOfOrderRep: null };
+    outOfOrderRepCount += 1;
+    flags[side] = { outOfOrderRepCount: sideFlags.outOfOrderRepCount + 1, lastOutOfOrderRep: rep };
+  };
+
+  // If both sides counted a rep in this frame, the expected side goes first (and the other one
+  // is then the second half of a bilateral rep)
+  const order = lastSide ? [otherSide(lastSide), lastSide] : ALTERNATING_SIDES;
+  for (const side of order) {
+    const newReps = (sides[side]?.repCount || 0) - (prev.repCounts[side] || 0);
+    for (let rep = 0; rep < newReps; rep++) {
+      const sideFlags = flags[side] || { outOfOrderRepCount: 0, lastOutOfOrderRep: null };
+      const other = otherSide(side);
+      const isBilateral = lastSide === other && lastRepTimes[other] != null
+        && timestamp - lastRepTimes[other] <= BILATERAL_REP_WINDOW_MS;
+      lastRepTimes[side] = timestamp;
+      if (isBilateral) {
+        // The other side's rep was counted in order; it is flagged now unless it already was
+        if (flags[other]?.lastOutOfOrderRep?.timestamp !== lastRepTimes[other]) {
+          flagRep(other, { expectedSide: side, bilateral: true, timestamp: lastRepTimes[other] });
+        }
+        flagRep(side, { expectedSide: other, bilateral: true, timestamp });
+        lastSide = null;
+        continue;
+      }
+      combinedRepCount += 1;
+      if (lastSide === side) {
+        flagRep(side, { expectedSide: other, timestamp });
+      } else {
+        // An in-order rep clears the side's flag
+        flags[side] = { ...sideFlags, lastOutOfOrderRep: null };
+      }
+      lastSide = side;
+    }
+  }
+
+  for (const side of ALTERNATING_SIDES) {
+    if (!sides[side]) continue;
+    sides[side] = {
+      ...sides[side],
+      outOfOrderRepCount: flags[side]?.outOfOrderRepCount || 0,
+      lastOutOfOrderRep: flags[side]?.lastOutOfOrderRep || null,
+    };
+  }
+
+  return {
+    ...state,
+    sides,
+    alternating: {
+      lastSide,
+      nextSide: lastSide ? otherSide(lastSide) : null,
+      combinedRepCount,
+      outOfOrderRepCount,
+      repCounts: Object.fromEntries(ALTERNATING_SIDES.map(side => [side, sides[side]?.repCount || 0])),
+      lastRepTimes,
+      flags,
+    },
+  };
+}
@@ -1,31 +1,105 @@
 /**
- * Angle-based rep logic function for pipeline architecture.
+ * Angle-based rep logic function for pipeline architecture (run by logic/repStateEngine).
  * Now tracks detailed state: relaxed → concentric → peak → eccentric → relaxed.
+ * A rep is counted when a side returns to relaxed after reaching the peak.
+ * Per angle (or logicConfig-wide) options against noise and phantom reps:
+ *   hysteresisDegrees - how far past a threshold the angle must go to leave the relaxed / peak zone
+ *   minPhaseDurationMs - how long a new phase must last before it takes over
+ *   minRepDurationMs / maxRepDurationMs - completed reps outside these limits are rejected (not
+ *     counted) and reported as lastRejectedRep: { reason: 'too_fast'|'too_slow', message, durationMs }
+ * Every counted rep reports its phase durations as lastRepTempo, checked against config.tempo
+ * (e.g. "3-1-2", see logic/tempo) when the exercise or workout set prescribes one.
+ * Every rep attempt (leaving relaxed and returning to it) reports the extreme angle reached and the
+ * range of motion as a percentage of the thresholds' range (lastRepRom). An attempt that crosses the
+ * midpoint between the thresholds but never reaches the peak is a partial rep (partialRepCount).
+ * The first isRepCounter angle of each side drives that side (angles without a side count as 'left').
+ * Its repCriteria ({ relaxed, peak }, see logic/repCriteria) can replace its own thresholds with
+ * AND / OR / sequence conditions on any tracked angles and positions, e.g. knee and hip flexion
+ * together for a squat; the rep counter angle still measures the range of motion.
+ * config.thresholdOverrides (personal thresholds from logic/thresholdCalibration) replace the
+ * minThreshold / maxThreshold of the angles they name, in repCriteria bounds that refer to them too.
  * @param {Object} params
  * @param {Array} params.landmarks - Current pose landmarks
+ * @param {Object} [params.angles] - Angles already computed by the pose processor, by angle id
+ * @param {Object} [params.positions] - Position metrics by position id (for repCriteria)
  * @param {Object} params.config - Exercise config
  * @param {Object} params.prevState - Previous state
  * @param {Object} params.utils - Utility functions (e.g., calculateAngle)
  * @param {Object} params.state - The evolving state object (from previous pipeline step)
+ * @param {number} [params.timestamp] - Frame time in ms
+ * @param {Function} [params.isCountingAllowed] - (side) => boolean; a side is left untouched while false
  * @returns {Object} Updated state object
  */
 
-import { LANDMARK_MAP } from './landmarkUtils';
+import { LANDMARK_MAP } from './landmarkUtils.js';
+import { parseTempo, evaluateTempo, DEFAULT_TEMPO_TOLERANCE_MS } from './tempo.js';
+import { evaluateCriterion } from './repCriteria.js';
+import { resolveAngleThresholds } from './thresholdCalibration.js';
 
-export function angleBasedRepLogic({ landmarks, config, prevState, utils, state }) {
+export const ANGLE_REP_PHASES = ['relaxed', 'concentric', 'peak', 'eccentric'];
+
+/**
+ * Noise and timing limits of a rep counter angle. Each can be set on the angle config or, for all
+ * angles of the exercise, on logicConfig; the angle config wins.
+ * @param {Object} config Exercise config.
+ * @param {Object} angleConfig Angle config.
+ * @returns {{ hysteresisDegrees: number, minPhaseDurationMs: number, minRepDurationMs: number|null, maxRepDurationMs: number|null }}
+ */
+export function getRepLimits(config, angleConfig) {
+  const logicConfig = config?.logicConfig || {};
+  const pick = (key, fallback) => angleConfig[key] ?? logicConfig[key] ?? fallback;
+  return {
+    hysteresisDegrees: pick('hysteresisDegrees', 0),
+    minPhaseDurationMs: pick('minPhaseDurationMs', 0),
+    minRepDurationMs: pick('minRepDurationMs', null),
+    maxRepDurationMs: pick('maxRepDurationMs', null),
+  };
+}
+
+/**
+ * Range of motion reached by a rep attempt, as a percentage of the range between the relaxed and
+ * the peak threshold (0 = never left the relaxed threshold, 100 = reached the peak threshold).
+ * @param {number} extremeAngle Angle closest to the peak reached during the attempt.
+ * @param {Object} angleConfig Angle config (minThreshold, maxThreshold, relaxedIsHigh).
+ * @returns {number} Whole percent, clamped to 0..100.
+ */
+export function getRomPercent(extremeAngle, angleConfig) {
+  const { minThreshold: min, maxThreshold: max, relaxedIsHigh = true } = angleConfig;
+  if (max === min) return 0;
+  const fraction = relaxedIsHigh ? (max - extremeAngle) / (max - min) : (extremeAngle - min) / (max - min);
+  return Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+}
+
+// Attempts that get at least this far through the range but not to the peak are partial reps
+const PARTIAL_REP_MIN_ROM_PERCENT = 50;
+
+// Why a completed rep doesn't count, or null if its duration is within the limits
+function getDurationRejection(durationMs, minRepDurationMs, maxRepDurationMs) {
+  if (durationMs === null) return null;
+  if (minRepDurationMs !== null && durationMs < minRepDurationMs) {
+    return { reason: 'too_fast', message: `too fast (${Math.round(durationMs)} ms < ${minRepDurationMs} ms)` };
+  }
+  if (maxRepDurationMs !== null && durationMs > maxRepDurationMs) {
+    return { reason: 'too_slow', message: `too slow (${Math.round(durationMs)} ms > ${maxRepDurationMs} ms)` };
+  }
+  return null;
+}
+
+export function angleBasedRepLogic({ landmarks, angles, positions = {}, config, prevState, utils, state, timestamp = Date.now(), isCountingAllowed = () => true }) {
   const anglesToTrack = config?.logicConfig?.anglesToTrack || [];
-  const isTwoSided = config?.isTwoSided;
-  const sides = isTwoSided ? ['left', 'right'] : ['left'];
 
   // Initialize state if not present
   const prevAngleLogic = prevState?.angleLogic || {};
   let angleLogic = { ...prevAngleLogic };
+  const sides = { ...state?.sides };
 
   // Helper to get angle for a config and side
   function getAngle(angleConfig, side) {
+    // Prefer the processor's angle: it uses the filtered landmarks and the angle's 2D/3D mode
+    if (angles && angles[angleConfig.id] != null) return angles[angleConfig.id];
     const points = angleConfig.points.map(pt => {
       if (pt.startsWith('left_') || pt.startsWith('right_')) return pt;
-      return isTwoSided ? `${side}_${pt}` : `left_${pt}`;
+      return `${side}_${pt}`;
     });
     const indices = points.map(name => LANDMARK_MAP[name]);
     if (indices.some(idx => idx === undefined)) return null;
@@ -34,119 +108,176 @@ export function angleBasedRepLogic({ landmarks, config, prevState, utils, state
     return utils.calculateAngle(a, b, c);
   }
 
+  const repCounterAngles = {};
+  anglesToTrack.filter(a => a.isRepCounter).forEach(a => {
+    const side = a.side || 'left';
+    // Personal thresholds from calibration replace the config's
+    if (!repCounterAngles[side]) repCounterAngles[side] = resolveAngleThresholds(config, a);
+  });
+
   // Track detailed phase per side
-  const now = Date.now();
-  sides.forEach(side => {
-    const angleConfig = anglesToTrack.find(a => (a.side ? a.side === side : true) && a.isRepCounter);
-    if (!angleConfig) return;
-    const angle = getAngle(angleConfig, side);
-    if (angle == null) return;
+  const now = timestamp;
+  Object.entries(repCounterAngles).forEach(([side, angleConfig]) => {
+    const prevSide = angleLogic[side];
+    const angle = isCountingAllowed(side) ? getAngle(angleConfig, side) : null;
+    if (angle == null) {
+      if (prevSide) {
+        sides[side] = {
+          phase: prevSide.phase,
+          phases: ANGLE_REP_PHASES,
+          repCount: prevSide.repCount,
+          angle: prevSide.lastAngle,
+          angleId: angleConfig.id,
+          rejectedRepCount: prevSide.rejectedRepCount || 0,
+          lastRejectedRep: prevSide.lastRejectedRep || null,
+          lastRepTempo: prevSide.lastRepTempo || null,
+          offTempoRepCount: prevSide.offTempoRepCount || 0,
+          partialRepCount: prevSide.partialRepCount || 0,
+          lastRepRom: prevSide.lastRepRom || null,
+        };
+      }
+      return;
+    }
 
     // Get thresholds
     const min = angleConfig.minThreshold;
     const max = angleConfig.maxThreshold;
     const relaxedIsHigh = angleConfig.relaxedIsHigh !== undefined ? angleConfig.relaxedIsHigh : true;
+    const { hysteresisDegrees, minPhaseDurationMs, minRepDurationMs, maxRepDurationMs } = getRepLimits(config, angleConfig);
     
     // Get previous state
-    const prev = angleLogic[side] || {
+    const prev = prevSide || {
       phase: 'relaxed',
       lastAngle: null,
       lastTransitionTime: now,
+      pendingPhase: null,
+      pendingSince: null,
+      repStartTime: null,
+      reachedPeak: false,
+      repCount: 0,
+      rejectedRepCount: 0,
+      lastRejectedRep: null,
+      phaseDurations: null,
+      lastRepTempo: null,
+      offTempoRepCount: 0,
+      extremeAngle: null,
+      partialRepCount: 0,
+      lastRepRom: null,
+      criteriaProgress: {},
     };
     let phase = prev.phase;
     let lastTransitionTime = prev.lastTransitionTime || now;
+    let { pendingPhase, pendingSince } = prev;
 
-    // State machine logic
-    if (relaxedIsHigh) {
-      // For exercises like bicep curls:
-      // Relaxed = angle is high (near 180°, straight arm)
-      // Peak = angle is low (near 90°, arm bent)
-      switch (phase) {
-        case 'relaxed':
-          if (angle < max && angle > min) {
-            phase = 'concentric';
-            lastTransitionTime = now;
-          } else if (angle <= min) {
-            phase = 'peak';
-            lastTransitionTime = now;
-          }
-          break;
-        case 'concentric':
-          if (angle <= min) {
-            phase = 'peak';
-            lastTransitionTime = now;
-          } else if (angle >= max) {
-            phase = 'relaxed';
-            lastTransitionTime = now;
-          }
-          break;
-        case 'peak':
-          if (angle > min && angle < max) {
-            phase = 'eccentric';
-            lastTransitionTime = now;
-          } else if (angle >= max) {
-            phase = 'relaxed';
-            lastTransitionTime = now;
-          }
-          break;
-        case 'eccentric':
-          if (angle >= max) {
-            phase = 'relaxed';
-            lastTransitionTime = now;
-          } else if (angle <= min) {
-            phase = 'peak';
-            lastTransitionTime = now;
-          }
-          break;
-        default:
-          phase = 'relaxed';
-          lastTransitionTime = now;
-      }
+    // Relaxed = the relaxed end of the range (high for curls, low for kickbacks), peak = the other end.
+    // A zone is entered at its threshold but only left hysteresisDegrees past it, so noise around a
+    // threshold doesn't flip the phase back and forth.
+    // repCriteria replace the zones they define (evaluated once per frame: sequences keep progress),
+    // with the same hysteresis on their min / max bounds
+    const repCriteria = angleConfig.repCriteria || {};
+    let criteriaProgress = { ...prev.criteriaProgress };
+    let peakCriteriaMet = null;
+    let relaxedCriteriaMet = null;
+    if (repCriteria.peak || repCriteria.relaxed) {
+      const values = {
+        angles: Object.fromEntries(anglesToTrack.map(a => [a.id, getAngle(a, a.side || side)])),
+        positions,
+        thresholds: Object.fromEntries(anglesToTrack.map(a => [a.id, resolveAngleThresholds(config, a)])),
+      };
+      const withMargin = (zone) => ({ ...values, margin: phase === zone ? hysteresisDegrees : 0 });
+      if (repCriteria.peak) peakCriteriaMet = evaluateCriterion(repCriteria.peak, withMargin('peak'), criteriaProgress, now, 'peak');
+      if (repCriteria.relaxed) relaxedCriteriaMet = evaluateCriterion(repCriteria.relaxed, withMargin('relaxed'), criteriaProgress, now, 'relaxed');
+    }
+    const isPastPeak = (margin) => peakCriteriaMet ?? (relaxedIsHigh ? angle <= min + margin : angle >= max - margin);
+    const isPastRelaxed = (margin) => relaxedCriteriaMet ?? (relaxedIsHigh ? angle >= max - margin : angle <= min + margin);
+    let candidate = phase;
+    if (isPastPeak(phase === 'peak' ? hysteresisDegrees : 0)) {
+      candidate = 'peak';
+    } else if (isPastRelaxed(phase === 'relaxed' ? hysteresisDegrees : 0)) {
+      candidate = 'relaxed';
+    } else if (phase === 'relaxed') {
+      candidate = 'concentric';
+    } else if (phase === 'peak') {
+      candidate = 'eccentric';
+    } else if (!ANGLE_REP_PHASES.includes(phase)) {
+      candidate = 'relaxed';
+    }
+
+    // A new phase only takes over once it has lasted minPhaseDurationMs
+    const previousPhase = phase;
+    if (candidate === phase) {
+      pendingPhase = null;
+      pendingSince = null;
     } else {
-      // For exercises like tricep kickbacks:
-      // Relaxed = angle is low (near 90°, arm bent)
-      // Peak = angle is high (near 180°, arm straight)
-      switch (phase) {
-        case 'relaxed':
-          if (angle > min && angle < max) {
-            phase = 'concentric';
-            lastTransitionTime = now;
-          } else if (angle >= max) {
-            phase = 'peak';
-            lastTransitionTime = now;
-          }
-          break;
-        case 'concentric':
-          if (angle >= max) {
-            phase = 'peak';
-            lastTransitionTime = now;
-          } else if (angle <= min) {
-            phase = 'relaxed';
-            lastTransitionTime = now;
-          }
-          break;
-        case 'peak':
-          if (angle < max && angle > min) {
-            phase = 'eccentric';
-            lastTransitionTime = now;
-          } else if (angle <= min) {
-            phase = 'relaxed';
-            lastTransitionTime = now;
-          }
-          break;
-        case 'eccentric':
-          if (angle <= min) {
-            phase = 'relaxed';
-            lastTransitionTime = now;
-          } else if (angle >= max) {
-            phase = 'peak';
-            lastTransitionTime = now;
+      if (candidate !== pendingPhase) {
+        pendingPhase = candidate;
+        pendingSince = now;
+      }
+      if (now - pendingSince >= minPhaseDurationMs) {
+        phase = candidate;
+        lastTransitionTime = pendingSince; // When the new phase actually began
+        pendingPhase = null;
+        pendingSince = null;
+      }
+    }
+
+    // Count the return to relaxed if the peak was reached since the last relaxed phase,
+    // unless the rep took less than minRepDurationMs or more than maxRepDurationMs
+    let { reachedPeak, repCount, repStartTime, rejectedRepCount = 0, lastRejectedRep = null } = prev;
+    let { phaseDurations = null, lastRepTempo = null, offTempoRepCount = 0 } = prev;
+    let { extremeAngle = null, partialRepCount = 0, lastRepRom = null } = prev;
+    if (phase !== previousPhase) {
+      if (previousPhase === 'relaxed') {
+        repStartTime = lastTransitionTime;
+        phaseDurations = { concentric: 0, peak: 0, eccentric: 0 };
+      } else if (phaseDurations) {
+        const elapsed = lastTransitionTime - prev.lastTransitionTime;
+        phaseDurations = { ...phaseDurations, [previousPhase]: phaseDurations[previousPhase] + elapsed };
+      }
+    }
+    // The angle closest to the peak since leaving relaxed
+    if (phase !== 'relaxed') {
+      const isFurther = extremeAngle === null || (relaxedIsHigh ? angle < extremeAngle : angle > extremeAngle);
+      if (isFurther) extremeAngle = angle;
+    }
+    if (phase === 'peak') {
+      reachedPeak = true;
+    } else if (phase === 'relaxed' && previousPhase !== 'relaxed') {
+      const romPercent = extremeAngle !== null ? getRomPercent(extremeAngle, angleConfig) : 0;
+      let outcome = 'incomplete';
+      if (reachedPeak) {
+        const durationMs = repStartTime !== null ? lastTransitionTime - repStartTime : null;
+        const rejection = getDurationRejection(durationMs, minRepDurationMs, maxRepDurationMs);
+        if (rejection) {
+          rejectedRepCount += 1;
+          lastRejectedRep = { ...rejection, durationMs, timestamp: now };
+          outcome = 'rejected';
+        } else {
+          repCount += 1;
+          lastRejectedRep = null;
+          outcome = 'counted';
+          if (phaseDurations) {
+            const target = parseTempo(config?.tempo);
+            const { isOnTempo, misses } = evaluateTempo(phaseDurations, target, config?.tempoToleranceMs ?? DEFAULT_TEMPO_TOLERANCE_MS);
+            if (isOnTempo === false) offTempoRepCount += 1;
+            lastRepTempo = { ...phaseDurations, totalMs: durationMs, target: target ? config.tempo : null, isOnTempo, misses, timestamp: now };
           }
-          break;
-        default:
-          phase = 'relaxed';
-          lastTransitionTime = now;
+        }
+      } else if (romPercent >= PARTIAL_REP_MIN_ROM_PERCENT) {
+        partialRepCount += 1;
+        outcome = 'partial';
       }
+      lastRepRom = {
+        extremeAngle: extremeAngle !== null ? Math.round(extremeAngle) : null,
+        romPercent,
+        outcome,
+        timestamp: now,
+      };
+      reachedPeak = false;
+      repStartTime = null;
+      phaseDurations = null;
+      extremeAngle = null;
+      criteriaProgress = {}; // Sequences start over with the next rep
     }
 
     angleLogic[side] = {
@@ -154,6 +285,33 @@ export function angleBasedRepLogic({ landmarks, config, prevState, utils, state
       phase,
       lastAngle: angle,
       lastTransitionTime,
+      pendingPhase,
+      pendingSince,
+      repStartTime,
+      reachedPeak,
+      repCount,
+      rejectedRepCount,
+      lastRejectedRep,
+      phaseDurations,
+      lastRepTempo,
+      offTempoRepCount,
+      extremeAngle,
+      partialRepCount,
+      lastRepRom,
+      criteriaProgress,
+    };
+    sides[side] = {
+      phase,
+      phases: ANGLE_REP_PHASES,
+      repCount,
+      angle,
+      angleId: angleConfig.id,
+      rejectedRepCount,
+      lastRejectedRep,
+      lastRepTempo,
+      offTempoRepCount,
+      partialRepCount,
+      lastRepRom,
     };
   });
 
@@ -161,6 +319,7 @@ export function angleBasedRepLogic({ landmarks, config, prevState, utils, state
   const updatedState = {
     ...state,
     angleLogic,
+    sides,
   };
   return updatedState;
 } 
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * Exercise recognition: compares the movement of the last few seconds against every registered
+ * exercise config and reports which exercise it looks like, and whether it matches the selected one.
+ *
+ * Every exercise's signature is derived from its config:
+ * - its moving joints: the vertices of its anglesToTrack on both sides (e.g. the elbows of a curl), plus
+ *   exercise.recognition.movingJoints for exercises whose config doesn't name them (positions, trajectories).
+ *   Joints are elbows, shoulders, hips and knees ('left_knee', ...)
+ * - 'angle': how much of the range between minThreshold and maxThreshold the rep counter angles covered
+ * - 'position': whether the rep condition of its positionsToTrack was both met and lost
+ * - 'trajectory': how far the trajectory point travelled, relative to minExcursion
+ * - 'hold': the share of frames its holdCriteria were met while the body is still
+ * - posture: startPosition.requiredAngles on joints that don't move in the exercise (e.g. the upper
+ *   arm of a kickback) have to stay near their target
+ * Scores are 0..1: range coverage × the share of the whole body's joint motion that happens in the
+ * exercise's moving joints × the share of its moving joints that moved at all × posture. It is a heuristic: exercises with the same signature (curls and
+ * alternating curls) score alike, and the selected one wins a tie.
+ * Set exercise.recognition = false to leave an exercise out.
+ *
+ * Run by the pose processor on the primary person when settings.enableExerciseRecognition is on.
+ */
+
+import { calculateAngle, getDistance2D, LANDMARK_MAP } from './landmarkUtils.js';
+import { evaluatePosition } from './positionMetrics.js';
+import { evaluateCriterion } from './repCriteria.js';
+import { resolveTrajectoryPoint } from './trajectoryBasedRepLogic.js';
+
+// Movement of the last RECOGNITION_WINDOW_MS is compared, re-evaluated every EVALUATION_INTERVAL_MS
+const RECOGNITION_WINDOW_MS = 5000;
+const MIN_WINDOW_MS = 2000;
+const EVALUATION_INTERVAL_MS = 500;
+
+// Joint angles that describe the whole body's movement, by vertex
+const JOINT_ANGLES = {
+  left_elbow: ['left_shoulder', 'left_elbow', 'left_wrist'],
+  right_elbow: ['right_shoulder', 'right_elbow', 'right_wrist'],
+  left_shoulder: ['left_hip', 'left_shoulder', 'left_elbow'],
+  right_shoulder: ['right_hip', 'right_shoulder', 'right_elbow'],
+  left_hip: ['left_shoulder', 'left_hip', 'left_knee'],
+  right_hip: ['right_shoulder', 'right_hip', 'right_knee'],
+  left_knee: ['left_hip', 'left_knee', 'left_ankle'],
+  right_knee: ['right_hip', 'right_knee', 'right_ankle'],
+};
+
+// Landmarks less visible than this don't give an angle
+const MIN_VISIBILITY = 0.3;
+
+// Less joint motion than this over the window (summed over JOINT_ANGLES, in degrees) is holding still
+const STILL_MOTION_DEGREES = 60;
+
+// The exercise's moving joints should account for at least this share of the body's joint motion
+const SPECIFIC_MOTION_SHARE = 0.6;
+
+// Less range than this over the window and a joint didn't take part in the movement
+const MIN_JOINT_MOTION_DEGREES = 15;
+
+// Degrees a posture angle may be off on top of its start position tolerance
+const POSTURE_SLACK_DEGREES = 15;
+
+// A recognized exercise scores at least MATCH_SCORE; the selected one is a mismatch when it scores
+// MISMATCH_MARGIN less than the recognized one for MISMATCH_HOLD_MS
+export const MATCH_SCORE = 0.6;
+const MISMATCH_MARGIN = 0.3;
+const MISMATCH_HOLD_MS = 2000;
+
+const BODY_HEIGHT_POINTS = ['nose', ['left_ankle', 'right_ankle']];
+
+const EMPTY_RECOGNITION = { scores: [], bestMatch: null, selectedScore: null, isMismatch: false, isStill: false };
+
+// Generic names ('elbow') get the side prefix, full names ('left_elbow') are kept
+const resolveLandmarkName = (name, side) => (
+  name.startsWith('left_') || name.startsWith('right_') || name === 'nose' ? name : `${side || 'left'}_${name}`
+);
+
+const mirrorJoint = (joint) => (joint.startsWith('left_') ? joint.replace('left_', 'right_') : joint.replace('right_', 'left_'));
+
+const angleKey = (names) => names.join('|');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Derives the recognition signature of an exercise from its config.
+ * @param {Object} exercise Exercise config.
+ * @returns {Object|null} Signature, or null for exercises left out of recognition.
+ */
+function buildSignature(exercise) {
+  const logicConfig = exercise?.logicConfig;
+  if (!logicConfig || exercise.recognition === false) return null;
+
+  const resolveAngle = (angleConfig) => angleConfig.points.map(name => resolveLandmarkName(name, angleConfig.side));
+  const anglesToTrack = (logicConfig.anglesToTrack || []).map(angleConfig => ({ ...angleConfig, names: resolveAngle(angleConfig) }));
+  // Configs that only track the side facing the camera move the other side's joint as well
+  const trackedJoints = logicConfig.type === 'hold' ? [] : anglesToTrack.map(angleConfig => angleConfig.names[1]);
+  const movingJoints = new Set([
+    ...trackedJoints.flatMap(joint => [joint, mirrorJoint(joint)]),
+    ...(exercise.recognition?.movingJoints || []),
+  ].filter(joint => JOINT_ANGLES[joint]));
+  const postureAngles = (exercise.startPosition?.requiredAngles || [])
+    .map(requirement => ({ ...requirement, names: resolveAngle(requirement) }))
+    .filter(requirement => !movingJoints.has(requirement.names[1]));
+
+  return {
+    exercise,
+    type: logicConfig.type,
+    movingJoints: [...movingJoints],
+    repAngles: anglesToTrack.filter(angleConfig => angleConfig.isRepCounter &&
+      typeof angleConfig.minThreshold === 'number' && typeof angleConfig.maxThreshold === 'number'),
+    holdAngles: logicConfig.type === 'hold' ? anglesToTrack : [],
+    postureAngles,
+    positions: (logicConfig.positionsToTrack || []).filter(position => logicConfig.type !== 'position' || position.isRepCounter),
+    trajectory: logicConfig.type === 'trajectory' ? logicConfig.trajectory : null,
+  };
+}
+
+// Every angle the signatures need, by key
+function collectAngleNames(signatures) {
+  const names = { ...Object.fromEntries(Object.values(JOINT_ANGLES).map(points => [angleKey(points), points])) };
+  for (const signature of signatures) {
+    for (const angleConfig of [...signature.repAngles, ...signature.holdAngles, ...signature.postureAngles]) {
+      names[angleKey(angleConfig.names)] = angleConfig.names;
+    }
+  }
+  return names;
+}
+
+function measureAngle(landmarks, names) {
+  const points = names.map(name => landmarks[LANDMARK_MAP[name]]);
+  if (points.some(point => !point || (point.visibility ?? 1) < MIN_VISIBILITY)) return null;
+  const angle = calculateAngle(...points);
+  return angle === null ? null : Math.round(angle);
+}
+
+// Min / max of a value over the window, or null while it was visible in less than half the frames
+function getRange(frames, getValue) {
+  const values = frames.map(getValue).filter(value => value != null);
+  if (values.length < frames.length / 2) return null;
+  return { min: Math.min(...values), max: Math.max(...values), values };
+}
+
+/**
+ * Creates an exercise recognizer.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createExerciseRecognizer() {
+  let exerciseList = null;
+  let signatures = [];
+  let angleNames = {};
+  let frames = []; // { timestamp, angles: { [key]: angle }, positions: { [id]: isMet }, points: { [exerciseId]: {x, y} }, bodyHeight }
+  let lastEvaluation = null;
+  let recognition = EMPTY_RECOGNITION;
+  let mismatch = null; // { exerciseId, since }
+
+  const reset = () => {
+    frames = [];
+    lastEvaluation = null;
+    recognition = EMPTY_RECOGNITION;
+    mismatch = null;
+  };
+
+  const setExercises = (exercises) => {
+    if (exercises === exerciseList) return;
+    exerciseList = exercises;
+    signatures = exercises.map(buildSignature).filter(Boolean);
+    angleNames = collectAngleNames(signatures);
+    reset();
+  };
+
+  const recordFrame = (landmarks, timestamp) => {
+    const angles = Object.fromEntries(Object.entries(angleNames).map(([key, names]) => [key, measureAngle(landmarks, names)]));
+    const positions = {};
+    const points = {};
+    for (const signature of signatures) {
+      for (const position of signature.positions) {
+        positions[`${signature.exercise.id}:${position.id}`] = evaluatePosition(position, landmarks).isMet;
+      }
+      if (signature.trajectory) {
+        points[signature.exercise.id] = resolveTrajectoryPoint(signature.trajectory.point, landmarks);
+      }
+    }
+    const [top, bottom] = BODY_HEIGHT_POINTS.map(point => resolveTrajectoryPoint(point, landmarks));
+    const bodyHeight = top && bottom ? getDistance2D(top, bottom) : null;
+    frames.push({ timestamp, angles, positions, points, bodyHeight });
+    while (frames.length > 0 && timestamp - frames[0].timestamp > RECOGNITION_WINDOW_MS) {
+      frames.shift();
+    }
+  };
+
+  const scoreSignature = (signature, { jointMotion, totalMotion, isStill }) => {
+    const { type } = signature;
+    if (type === 'hold') {
+      if (!isStill) return 0;
+      const met = frames.filter(frame => {
+        const angles = Object.fromEntries(signature.holdAngles.map(angleConfig => [angleConfig.id, frame.angles[angleKey(angleConfig.names)]]));
+        const positions = Object.fromEntries(signature.positions.map(position => [
+          position.id, { isMet: frame.positions[`${signature.exercise.id}:${position.id}`] },
+        ]));
+        return evaluateCriterion(signature.exercise.logicConfig.holdCriteria, { angles, positions }, {}, frame.timestamp);
+      });
+      return met.length / frames.length;
+    }
+    if (isStill) return 0;
+
+    // Share of the body's joint motion in the exercise's own joints (1 when it names none)
+    const ownMotion = signature.movingJoints.reduce((sum, joint) => sum + (jointMotion[joint] || 0), 0);
+    const specificity = signature.movingJoints.length > 0 ? Math.min(ownMotion / totalMotion / SPECIFIC_MOTION_SHARE, 1) : 1;
+    // Share of the moving joints (either side, one-armed sets move one) that actually moved
+    const jointNames = [...new Set(signature.movingJoints.map(joint => joint.replace(/^(left|right)_/, '')))];
+    const participation = jointNames.length > 0
+      ? jointNames.filter(name => Math.max(jointMotion[`left_${name}`], jointMotion[`right_${name}`]) >= MIN_JOINT_MOTION_DEGREES).length / jointNames.length
+      : 1;
+
+    // Posture: joints that don't move in the exercise stay where its start position puts them
+    const postureScores = signature.postureAngles.map(requirement => {
+      const range = getRange(frames, frame => frame.angles[angleKey(requirement.names)]);
+      if (!range) return 1;
+      const limit = (requirement.tolerance ?? 0) + POSTURE_SLACK_DEGREES;
+      return range.values.filter(angle => Math.abs(angle - requirement.targetAngle) <= limit).length / range.values.length;
+    });
+    const posture = postureScores.length > 0 ? postureScores.reduce((sum, value) => sum + value, 0) / postureScores.length : 1;
+
+    let coverage = 0;
+    if (type === 'angle') {
+      // The best side: one-sided and alternating sets only move one arm at a time
+      coverage = Math.max(0, ...signature.repAngles.map(angleConfig => {
+        const range = getRange(frames, frame => frame.angles[angleKey(angleConfig.names)]);
+        if (!range) return 0;
+        const overlap = Math.min(range.max, angleConfig.maxThreshold) - Math.max(range.min, angleConfig.minThreshold);
+        return Math.max(overlap, 0) / (angleConfig.maxThreshold - angleConfig.minThreshold);
+      }));
+    } else if (type === 'position') {
+      const isMet = frames.map(frame => signature.positions.every(position => frame.positions[`${signature.exercise.id}:${position.id}`]));
+      coverage = isMet.some(Boolean) && !isMet.every(Boolean) ? 1 : 0;
+    } else if (type === 'trajectory' && signature.trajectory?.minExcursion) {
+      const { axis = 'y' } = signature.trajectory;
+      const points = frames.map(frame => frame.points[signature.exercise.id]).filter(Boolean);
+      const heights = frames.map(frame => frame.bodyHeight).filter(Boolean);
+      const scale = signature.trajectory.scale === 'none' ? 1 : (heights.length > 0 ? median(heights) : null);
+      if (points.length >= frames.length / 2 && scale) {
+        const spread = (key) => Math.max(...points.map(point => point[key])) - Math.min(...points.map(point => point[key]));
+        const travel = axis === 'xy' ? Math.hypot(spread('x'), spread('y')) : spread(axis);
+        coverage = Math.min(travel / scale / signature.trajectory.minExcursion, 1);
+      }
+    }
+    return coverage * specificity * participation * posture;
+  };
+
+  const evaluate = (selectedExercise, timestamp) => {
+    const jointMotion = {};
+    for (const [joint, points] of Object.entries(JOINT_ANGLES)) {
+      const range = getRange(frames, frame => frame.angles[angleKey(points)]);
+      jointMotion[joint] = range ? range.max - range.min : 0;
+    }
+    const totalMotion = Object.values(jointMotion).reduce((sum, value) => sum + value, 0);
+    const isStill = totalMotion < STILL_MOTION_DEGREES;
+
+    const scores = signatures
+      .map(signature => ({
+        exerciseId: signature.exercise.id,
+        score: Math.round(scoreSignature(signature, { jointMotion, totalMotion, isStill }) * 100) / 100,
+      }))
+      .sort((a, b) => b.score - a.score);
+    const selectedScore = scores.find(entry => entry.exerciseId === selectedExercise?.id)?.score ?? null;
+    // The selected exercise wins a tie
+    const top = scores[0];
+    const best = top && selectedScore !== null && selectedScore >= top.score
+      ? { exerciseId: selectedExercise.id, score: selectedScore }
+      : top;
+    const bestMatch = best && best.score >= MATCH_SCORE ? best : null;
+
+    const isCandidate = bestMatch && selectedScore !== null && bestMatch.exerciseId !== selectedExercise.id &&
+      bestMatch.score - selectedScore >= MISMATCH_MARGIN;
+    if (!isCandidate) {
+      mismatch = null;
+    } else if (mismatch?.exerciseId !== bestMatch.exerciseId) {
+      mismatch = { exerciseId: bestMatch.exerciseId, since: timestamp };
+    }
+    const isMismatch = !!mismatch && timestamp - mismatch.since >= MISMATCH_HOLD_MS;
+    return { scores, bestMatch, selectedScore, isMismatch, isStill };
+  };
+
+  /**
+   * Adds a frame and, every EVALUATION_INTERVAL_MS, scores the exercises.
+   * @param {Object} input
+   * @param {Array<Object>} input.exercises Registered exercise configs.
+   * @param {Object|null} input.selectedExercise Exercise the user selected.
+   * @param {Array<Object>|null} input.landmarks Filtered pose landmarks (null when nobody is in view).
+   * @param {number} input.timestamp Frame time in milliseconds.
+   * @returns {import('../types/poseTypes.js').ExerciseRecognition} The latest evaluation (the same object between evaluations).
+   */
+  const update = ({ exercises, selectedExercise, landmarks, timestamp }) => {
+    setExercises(exercises);
+    if (!landmarks) {
+      // A new person or a new position: start over
+      if (frames.length > 0) reset();
+      return recognition;
+    }
+    recordFrame(landmarks, timestamp);
+
+    const windowMs = timestamp - frames[0].timestamp;
+    if (windowMs >= MIN_WINDOW_MS && (lastEvaluation === null || timestamp - lastEvaluation >= EVALUATION_INTERVAL_MS)) {
+      lastEvaluation = timestamp;
+      recognition = evaluate(selectedExercise, timestamp);
+    }
+    return recognition;
+  };
+
+  return { update, reset };
+}
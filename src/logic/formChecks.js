@@ -0,0 +1,216 @@
+/**
+ * Form checks: declarative rules from an exercise's formChecks section, evaluated every frame.
+ *
+ * Rule types:
+ * - 'angle': the angle at points[1] must stay within min / max degrees (mode '3d' uses worldLandmarks).
+ *   Instead of points a rule can name a tracked angle (angle: '<anglesToTrack id>'), including angles
+ *   that don't count reps; the processor's value is used, in that angle's mode.
+ * - 'position': two landmarks related like a positionsToTrack entry (minDistance, maxDistance,
+ *   minVertical, maxVertical, see logic/positionMetrics); the rule is violated while not all are met.
+ * - 'drift': a landmark may move at most maxDrift (normalized image units, optionally only along
+ *   axis 'x' or 'y') from where it was when the side's rep began, e.g. an elbow that should stay tucked.
+ *
+ * Every rule has an id, a severity ('info' | 'warning' | 'error') and a message. Optional: side
+ * (prefixes generic landmark names and ties the rule to that side's reps; rules without a side apply
+ * to every side), phases (only checked in these phases of the side) and minDurationMs (how long a
+ * violation has to last before it is reported, default 200).
+ *
+ * Violations are collected per side from the moment the side leaves its rest phase (the first
+ * of its phases, e.g. 'relaxed') until it returns to it, and attached to that rep attempt.
+ * Run by the pose processor, one engine per tracked person.
+ */
+
+import { calculateAngle, calculateAngle3D, LANDMARK_MAP } from './landmarkUtils.js';
+import { evaluatePosition } from './positionMetrics.js';
+
+export const FORM_CHECK_SEVERITIES = ['info', 'warning', 'error'];
+
+const DEFAULT_MIN_DURATION_MS = 200;
+
+const EMPTY_FORM_STATE = { violations: [], sides: {} };
+
+// Generic names ('elbow') get the rule's side prefix, full names ('left_elbow') are kept
+const resolveLandmarkName = (name, side) => (
+  !side || name.startsWith('left_') || name.startsWith('right_') ? name : `${side}_${name}`
+);
+
+const bySeverity = (a, b) => FORM_CHECK_SEVERITIES.indexOf(b.severity) - FORM_CHECK_SEVERITIES.indexOf(a.severity);
+
+/**
+ * Lists the landmarks a rule looks at (the joints to highlight when it is violated).
+ * @param {Object} rule Form check rule.
+ * @param {Object} [exercise] Exercise config (resolves rules on a tracked angle).
+ * @returns {Array<string>}
+ */
+export function getFormCheckLandmarks(rule, exercise = null) {
+  if (rule.type === 'angle' && rule.angle !== undefined) {
+    const angleConfig = exercise?.logicConfig?.anglesToTrack?.find(config => config.id === rule.angle);
+    return angleConfig ? angleConfig.points.map(name => resolveLandmarkName(name, angleConfig.side)) : [];
+  }
+  const names = rule.type === 'drift' ? [rule.landmark] : rule.points || [];
+  return names.map(name => resolveLandmarkName(name, rule.side));
+}
+
+/**
+ * Creates a form check engine.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createFormCheckEngine() {
+  let exerciseId = null;
+  let driftReferences = {}; // Rule id -> { x, y } where the landmark was when the rep began
+  let violatingSince = {}; // Rule id -> timestamp the current violation started
+  let sides = {}; // Side -> { inRep, repCountAtStart, repViolations, lastRep }
+
+  const reset = () => {
+    driftReferences = {};
+    violatingSince = {};
+    sides = {};
+  };
+
+  // Returns { value, landmarks } when the rule is violated on this frame, null otherwise
+  const checkRule = (rule, { exercise, landmarks, worldLandmarks, angles }) => {
+    const names = getFormCheckLandmarks(rule, exercise);
+    const points = names.map(name => landmarks[LANDMARK_MAP[name]]);
+    if (points.length === 0 || points.some(point => !point)) return null;
+
+    if (rule.type === 'angle' && rule.angle !== undefined) {
+      const angle = angles?.[rule.angle];
+      if (angle == null) return null;
+      const isViolated = (typeof rule.min === 'number' && angle < rule.min) || (typeof rule.max === 'number' && angle > rule.max);
+      return isViolated ? { value: angle, landmarks: names } : null;
+    }
+
+    if (rule.type === 'angle') {
+      const use3D = rule.mode === '3d' && worldLandmarks;
+      const angle = use3D
+        ? calculateAngle3D(...names.map(name => worldLandmarks[LANDMARK_MAP[name]]))
+        : calculateAngle(...points);
+      if (angle === null) return null;
+      const isViolated = (typeof rule.min === 'number' && angle < rule.min) || (typeof rule.max === 'number' && angle > rule.max);
+      return isViolated ? { value: Math.round(angle), landmarks: names } : null;
+    }
+
+    if (rule.type === 'position') {
+      const metric = evaluatePosition({ ...rule, points: names }, landmarks);
+      return metric.isMet ? null : { value: metric.distance, landmarks: names };
+    }
+
+    if (rule.type === 'drift') {
+      const reference = driftReferences[rule.id];
+      if (!reference) return null;
+      const [point] = points;
+      const dx = rule.axis === 'y' ? 0 : point.x - reference.x;
+      const dy = rule.axis === 'x' ? 0 : point.y - reference.y;
+      const drift = Math.sqrt(dx * dx + dy * dy);
+      return drift > rule.maxDrift ? { value: Math.round(drift * 1000) / 1000, landmarks: names } : null;
+    }
+
+    console.warn(`[formChecks] Unknown rule type "${rule.type}" (${rule.id})`);
+    return null;
+  };
+
+  /**
+   * Evaluates the exercise's form checks on one frame.
+   * @param {Object} input
+   * @param {Object} input.exercise Exercise config (with formChecks).
+   * @param {Array<Object>|null} input.landmarks Filtered pose landmarks.
+   * @param {Array<Object>|null} [input.worldLandmarks] Filtered world landmarks (for mode '3d' angle rules).
+   * @param {Object} [input.angles] Tracked angles by angle id (for rules on a tracked angle).
+   * @param {import('../types/poseTypes.js').RepState} [input.repState] This frame's rep state (phases per side).
+   * @param {boolean} [input.isActive=true] Whether the person is exercising (nothing is checked otherwise).
+   * @param {number} input.timestamp Frame time in milliseconds.
+   * @returns {import('../types/poseTypes.js').FormCheckState}
+   */
+  const update = ({ exercise, landmarks, worldLandmarks = null, angles = {}, repState = null, isActive = true, timestamp }) => {
+    if ((exercise?.id ?? null) !== exerciseId) {
+      exerciseId = exercise?.id ?? null;
+      reset();
+    }
+    const rules = Array.isArray(exercise?.formChecks) ? exercise.formChecks : [];
+    if (rules.length === 0) return EMPTY_FORM_STATE;
+
+    const repSides = repState?.sides || {};
+    const isResting = (side) => {
+      const sideState = repSides[side];
+      return !sideState || sideState.phase === sideState.phases?.[0];
+    };
+
+    // Drift is measured from where the landmark was while the side was still at rest
+    if (landmarks) {
+      for (const rule of rules.filter(r => r.type === 'drift')) {
+        const point = landmarks[LANDMARK_MAP[getFormCheckLandmarks(rule)[0]]];
+        if (point && (!driftReferences[rule.id] || isResting(rule.side || 'left'))) {
+          driftReferences[rule.id] = { x: point.x, y: point.y };
+        }
+      }
+    }
+
+    const violations = [];
+    if (landmarks && isActive) {
+      for (const rule of rules) {
+        const phase = repSides[rule.side || 'left']?.phase;
+        const result = !rule.phases || rule.phases.includes(phase)
+          ? checkRule(rule, { exercise, landmarks, worldLandmarks, angles })
+          : null;
+        if (!result) {
+          delete violatingSince[rule.id];
+          continue;
+        }
+        violatingSince[rule.id] = violatingSince[rule.id] ?? timestamp;
+        if (timestamp - violatingSince[rule.id] >= (rule.minDurationMs ?? DEFAULT_MIN_DURATION_MS)) {
+          violations.push({
+            id: rule.id,
+            side: rule.side || null,
+            severity: rule.severity || 'warning',
+            message: rule.message,
+            ...result,
+          });
+        }
+      }
+    } else {
+      violatingSince = {};
+    }
+    violations.sort(bySeverity);
+
+    // Attach the violations to the rep attempt of each side they apply to
+    for (const [side, sideState] of Object.entries(repSides)) {
+      const sideForm = sides[side] || { inRep: false, repCountAtStart: 0, repViolations: {}, lastRep: null };
+      const resting = isResting(side);
+      if (!sideForm.inRep && !resting) {
+        sideForm.inRep = true;
+        sideForm.repCountAtStart = sideState.repCount || 0;
+        sideForm.repViolations = {};
+      }
+      if (sideForm.inRep) {
+        for (const violation of violations.filter(v => !v.side || v.side === side)) {
+          const entry = sideForm.repViolations[violation.id];
+          sideForm.repViolations[violation.id] = entry
+            ? { ...entry, frames: entry.frames + 1 }
+            : { id: violation.id, severity: violation.severity, message: violation.message, frames: 1, firstTimestamp: timestamp };
+        }
+      }
+      if (sideForm.inRep && resting) {
+        const repViolations = Object.values(sideForm.repViolations).sort(bySeverity);
+        sideForm.lastRep = {
+          repCount: sideState.repCount || 0,
+          counted: (sideState.repCount || 0) > sideForm.repCountAtStart,
+          violations: repViolations,
+          timestamp,
+        };
+        sideForm.inRep = false;
+        sideForm.repViolations = {};
+      }
+      sides[side] = sideForm;
+    }
+
+    return {
+      violations,
+      sides: Object.fromEntries(Object.entries(sides).map(([side, sideForm]) => [side, {
+        currentRepViolations: Object.values(sideForm.repViolations).sort(bySeverity),
+        lastRep: sideForm.lastRep,
+      }])),
+    };
+  };
+
+  return { update, reset };
+}
@@ -0,0 +1,110 @@
+/**
+ * Hold logic function for pipeline architecture (run by logic/repStateEngine), for isometric
+ * exercises (logicConfig.type === 'hold': plank, wall sit, dead hang).
+ * Reports its single hold on the 'left' side of state.sides.
+ *
+ * The user is in position while logicConfig.holdCriteria (see logic/repCriteria, usually
+ * { angle, target, tolerance } leaves combined with all) is met. Time in position accumulates in
+ * holdMs and pauses as soon as the position is lost. A loss that lasts holdBreakToleranceMs
+ * (default 300) ends the current hold ('holding' -> 'idle') and counts as a break; shorter losses
+ * only pause the timer. Time only accumulates between two frames that were both in position, so
+ * pauses of the counting gate or dropped frames never add time.
+ * @param {Object} params
+ * @param {Object} [params.angles] - Angles computed by the pose processor, by angle id
+ * @param {Object} [params.positions] - Position metrics by position id
+ * @param {Object} params.config - Exercise config
+ * @param {Object} params.prevState - Previous state
+ * @param {Object} params.state - The evolving state object (from previous pipeline step)
+ * @param {number} [params.timestamp] - Frame time in ms
+ * @param {Function} [params.isCountingAllowed] - (side) => boolean; the timer is paused while false
+ * @returns {Object} Updated state object
+ */
+
+import { evaluateCriterion } from './repCriteria.js';
+
+export const HOLD_PHASES = ['idle', 'holding'];
+
+// Goal of a hold exercise when neither the session nor the workout set gives one
+export const DEFAULT_HOLD_GOAL_SECONDS = 30;
+
+const DEFAULT_BREAK_TOLERANCE_MS = 300;
+
+// Longest gap between two frames that still counts as held time (longer gaps are dropped frames)
+const MAX_FRAME_GAP_MS = 500;
+
+const INITIAL_HOLD_STATE = {
+  phase: 'idle',
+  isInPosition: false,
+  lastFrameTime: null,
+  lostSince: null,
+  holdMs: 0,
+  currentHoldMs: 0,
+  longestHoldMs: 0,
+  holdBreakCount: 0,
+  criteriaProgress: {},
+};
+
+const toSideState = (holdState) => ({
+  phase: holdState.phase,
+  phases: HOLD_PHASES,
+  repCount: 0,
+  isInPosition: holdState.isInPosition,
+  holdMs: holdState.holdMs,
+  currentHoldMs: holdState.currentHoldMs,
+  longestHoldMs: holdState.longestHoldMs,
+  holdBreakCount: holdState.holdBreakCount,
+});
+
+export function holdLogic({ angles = {}, positions = {}, config, prevState, state, timestamp = Date.now(), isCountingAllowed = () => true }) {
+  const logicConfig = config?.logicConfig || {};
+  const prev = prevState?.holdLogic || INITIAL_HOLD_STATE;
+  const now = timestamp;
+
+  if (!isCountingAllowed('left')) {
+    // Nothing accumulates across the pause: the next frame starts a new interval
+    const holdState = { ...prev, isInPosition: false, lastFrameTime: null };
+    return { ...state, holdLogic: holdState, sides: { ...state?.sides, left: toSideState(holdState) } };
+  }
+
+  let criteriaProgress = { ...prev.criteriaProgress };
+  const isInPosition = evaluateCriterion(logicConfig.holdCriteria, { angles, positions }, criteriaProgress, now, 'hold');
+  const breakToleranceMs = logicConfig.holdBreakToleranceMs ?? DEFAULT_BREAK_TOLERANCE_MS;
+  let { phase, lostSince, holdMs, currentHoldMs, longestHoldMs, holdBreakCount } = prev;
+
+  if (isInPosition) {
+    const elapsed = prev.lastFrameTime !== null ? now - prev.lastFrameTime : null;
+    if (prev.isInPosition && elapsed !== null && elapsed <= MAX_FRAME_GAP_MS) {
+      holdMs += elapsed;
+      currentHoldMs += elapsed;
+      longestHoldMs = Math.max(longestHoldMs, currentHoldMs);
+    }
+    phase = 'holding';
+    lostSince = null;
+  } else if (phase === 'holding') {
+    lostSince = lostSince ?? now;
+    if (now - lostSince >= breakToleranceMs) {
+      phase = 'idle';
+      holdBreakCount += 1;
+      currentHoldMs = 0;
+      lostSince = null;
+      criteriaProgress = {}; // Sequences start over with the next hold
+    }
+  }
+
+  const holdState = {
+    phase,
+    isInPosition,
+    lastFrameTime: now,
+    lostSince,
+    holdMs,
+    currentHoldMs,
+    longestHoldMs,
+    holdBreakCount,
+    criteriaProgress,
+  };
+  return {
+    ...state,
+    holdLogic: holdState,
+    sides: { ...state?.sides, left: toSideState(holdState) },
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Landmark-level filters.
+ *
+ * Raw landmark coordinates are filtered before anything is derived from them, so rendering,
+ * angles and rep logic all see the same filtered pose. Every coordinate (x, y, z of each
+ * landmark) gets its own scalar filter; visibility and presence are passed through untouched.
+ *
+ * Filters:
+ *   none          - raw landmarks
+ *   movingAverage - mean of the last N frames (simple, but lags by about N/2 frames)
+ *   oneEuro       - One Euro filter (Casiez et al. 2012): heavy smoothing when still,
+ *                   little lag when moving fast
+ *   kalman        - constant-velocity Kalman filter
+ */
+
+// Parameter descriptions double as the settings UI definition (see SettingsOverlay)
+export const LANDMARK_FILTERS = {
+  none: {
+    label: 'None',
+    params: {},
+  },
+  movingAverage: {
+    label: 'Moving Average',
+    params: {
+      windowSize: { label: 'Window (frames)', description: 'Frames averaged; more is smoother but lags more', default: 5, min: 2, max: 30, step: 1 },
+    },
+  },
+  oneEuro: {
+    label: 'One Euro',
+    params: {
+      minCutoff: { label: 'Min cutoff (Hz)', description: 'Lower removes more jitter when holding still', default: 1, min: 0.1, max: 10, step: 0.1 },
+      beta: { label: 'Speed coefficient', description: 'Higher reduces lag during fast movement', default: 10, min: 0, max: 100, step: 1 },
+      dCutoff: { label: 'Derivative cutoff (Hz)', description: 'Smoothing of the speed estimate', default: 1, min: 0.1, max: 10, step: 0.1 },
+    },
+  },
+  kalman: {
+    label: 'Kalman',
+    params: {
+      measurementNoise: { label: 'Measurement noise', description: 'Expected landmark jitter; higher trusts the model less', default: 0.01, min: 0.001, max: 0.1, step: 0.001 },
+      processNoise: { label: 'Process noise', description: 'Expected acceleration; higher follows fast movement more closely', default: 5, min: 0.1, max: 50, step: 0.1 },
+    },
+  },
+};
+
+export const DEFAULT_LANDMARK_FILTER = 'none';
+
+/**
+ * Returns the parameters for a filter: defaults overridden by the given values.
+ * @param {string} type Key of LANDMARK_FILTERS.
+ * @param {Object} [overrides] Parameter values (e.g. from app settings).
+ * @returns {Object} Parameter values by name.
+ */
+export function resolveFilterParams(type, overrides = {}) {
+  const definition = LANDMARK_FILTERS[type] || LANDMARK_FILTERS[DEFAULT_LANDMARK_FILTER];
+  const params = {};
+  for (const [name, param] of Object.entries(definition.params)) {
+    const value = Number(overrides?.[name]);
+    params[name] = Number.isFinite(value) ? value : param.default;
+  }
+  return params;
+}
+
+const createMovingAverageFilter = ({ windowSize }) => {
+  let history = [];
+  return (value) => {
+    history.push(value);
+    if (history.length > windowSize) {
+      history.shift();
+    }
+    return history.reduce((sum, entry) => sum + entry, 0) / history.length;
+  };
+};
+
+const smoothingFactor = (cutoff, dtSeconds) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dtSeconds);
+};
+
+const createOneEuroFilter = ({ minCutoff, beta, dCutoff }) => {
+  let previousValue = null;
+  let previousDerivative = 0;
+  let previousTime = null;
+  return (value, timestamp) => {
+    if (previousValue === null) {
+      previousValue = value;
+      previousTime = timestamp;
+      return value;
+    }
+    const dtSeconds = (timestamp - previousTime) / 1000;
+    if (dtSeconds <= 0) return previousValue;
+
+    const derivative = (value - previousValue) / dtSeconds;
+    const alphaDerivative = smoothingFactor(dCutoff, dtSeconds);
+    const smoothedDerivative = alphaDerivative * derivative + (1 - alphaDerivative) * previousDerivative;
+    const cutoff = minCutoff + beta * Math.abs(smoothedDerivative);
+    const alpha = smoothingFactor(cutoff, dtSeconds);
+    const filtered = alpha * value + (1 - alpha) * previousValue;
+
+    previousValue = filtered;
+    previousDerivative = smoothedDerivative;
+    previousTime = timestamp;
+    return filtered;
+  };
+};
+
+// State is [position, velocity]; measurementNoise and processNoise are standard deviations
+// (position units and position units / s^2)
+const createKalmanFilter = ({ measurementNoise, processNoise }) => {
+  const r = measurementNoise ** 2;
+  const q = processNoise ** 2;
+  let position = null;
+  let velocity = 0;
+  // Covariance matrix [[p00, p01], [p01, p11]]
+  let p00 = r;
+  let p01 = 0;
+  let p11 = 1;
+  let previousTime = null;
+  return (value, timestamp) => {
+    if (position === null) {
+      position = value;
+      previousTime = timestamp;
+      return value;
+    }
+    const dt = (timestamp - previousTime) / 1000;
+    if (dt <= 0) return position;
+    previousTime = timestamp;
+
+    // Predict
+    position += velocity * dt;
+    const n00 = p00 + 2 * dt * p01 + dt * dt * p11 + q * dt ** 4 / 4;
+    const n01 = p01 + dt * p11 + q * dt ** 3 / 2;
+    const n11 = p11 + q * dt * dt;
+
+    // Update
+    const innovation = value - position;
+    const s = n00 + r;
+    const k0 = n00 / s;
+    const k1 = n01 / s;
+    position += k0 * innovation;
+    velocity += k1 * innovation;
+    p00 = (1 - k0) * n00;
+    p01 = (1 - k0) * n01;
+    p11 = n11 - k1 * n01;
+    return position;
+  };
+};
+
+const SCALAR_FILTER_FACTORIES = {
+  movingAverage: createMovingAverageFilter,
+  oneEuro: createOneEuroFilter,
+  kalman: createKalmanFilter,
+};
+
+/**
+ * Creates a filter for a landmark array (one set of scalar filters per landmark coordinate).
+ * @param {string} type Key of LANDMARK_FILTERS.
+ * @param {Object} [params] Parameter overrides (see resolveFilterParams).
+ * @returns {{ apply: Function, reset: Function }} apply(landmarks, timestamp) returns filtered
+ *   landmarks (or the input unchanged for 'none' / null input); reset() forgets all history.
+ */
+export function createLandmarkFilter(type, params = {}) {
+  const factory = SCALAR_FILTER_FACTORIES[type];
+  const resolvedParams = resolveFilterParams(type, params);
+  let coordinateFilters = [];
+
+  const apply = (landmarks, timestamp) => {
+    if (!factory || !landmarks) return landmarks;
+    return landmarks.map((landmark, index) => {
+      if (!landmark) return landmark;
+      if (!coordinateFilters[index]) {
+        coordinateFilters[index] = { x: factory(resolvedParams), y: factory(resolvedParams), z: factory(resolvedParams) };
+      }
+      const filters = coordinateFilters[index];
+      return {
+        ...landmark,
+        x: filters.x(landmark.x, timestamp),
+        y: filters.y(landmark.y, timestamp),
+        z: filters.z(landmark.z ?? 0, timestamp),
+      };
+    });
+  };
+
+  const reset = () => {
+    coordinateFilters = [];
+  };
+
+  return { apply, reset };
+}
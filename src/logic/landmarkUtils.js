@@ -27,6 +27,30 @@ export function calculateAngle(p1, p2, p3) {
     return angleDeg; // Always in [0, 180]
 }
 
+/**
+ * Calculates the true 3D angle between three points.
+ * Meant for MediaPipe worldLandmarks (meters, origin between the hips), where x, y and z share
+ * a scale, so the result does not depend on where the camera sits. Normalized image landmarks
+ * use a different scale for z and should go through calculateAngle instead.
+ * @param {object} p1 - First point {x, y, z}
+ * @param {object} p2 - Second point (vertex) {x, y, z}
+ * @param {object} p3 - Third point {x, y, z}
+ * @returns {number | null} Angle in degrees, or null if calculation is not possible.
+ */
+export function calculateAngle3D(p1, p2, p3) {
+    if (!p1 || !p2 || !p3) {
+        return null;
+    }
+    const v1 = { x: p1.x - p2.x, y: p1.y - p2.y, z: (p1.z || 0) - (p2.z || 0) };
+    const v2 = { x: p3.x - p2.x, y: p3.y - p2.y, z: (p3.z || 0) - (p2.z || 0) };
+    const dot = v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
+    const mag1 = Math.sqrt(v1.x ** 2 + v1.y ** 2 + v1.z ** 2);
+    const mag2 = Math.sqrt(v2.x ** 2 + v2.y ** 2 + v2.z ** 2);
+    if (mag1 === 0 || mag2 === 0) return null; // Avoid division by zero
+    const angleRad = Math.acos(Math.max(-1, Math.min(1, dot / (mag1 * mag2)))); // Clamp for safety
+    return angleRad * (180 / Math.PI); // Always in [0, 180]
+}
+
 /**
  * Calculates the 2D Euclidean distance between two points (ignores z).
  * @param {object} p1 - First point {x, y, z, visibility}
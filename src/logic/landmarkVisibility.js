@@ -0,0 +1,139 @@
+/**
+ * Landmark visibility checks for rep counting.
+ *
+ * With "require primary landmarks" on, a side only counts reps while the landmarks it depends on
+ * are visible enough. Shared by the pose processor (which gates counting) and PhaseTrackerDisplay
+ * (which shows why counting is paused).
+ */
+
+import { LANDMARK_MAP } from './landmarkUtils.js';
+import { getCriterionAngleIds, getCriterionPositionIds } from './repCriteria.js';
+import { getTrajectoryLandmarkNames } from './trajectoryBasedRepLogic.js';
+
+// Fallback secondary landmarks for exercises that don't define their own
+const getDefaultSecondaryLandmarks = (side) => {
+  if (side === 'left') {
+    return ['left_shoulder', 'left_elbow', 'left_wrist', 'left_hip', 'left_knee', 'left_ankle'];
+  }
+  if (side === 'right') {
+    return ['right_shoulder', 'right_elbow', 'right_wrist', 'right_hip', 'right_knee', 'right_ankle'];
+  }
+  return ['nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear', 'left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'];
+};
+
+/**
+ * Finds the angle that drives rep counting for a side (the first isRepCounter angle of that side).
+ * Angles without a side belong to 'left', as in angleBasedRepLogic.
+ * @param {Object} exercise Exercise config.
+ * @param {string} side 'left' or 'right'.
+ * @returns {Object|null} Angle config.
+ */
+export function getRepCounterAngle(exercise, side) {
+  const anglesToTrack = exercise?.logicConfig?.anglesToTrack || [];
+  return anglesToTrack.find(angleConfig => angleConfig.isRepCounter && (angleConfig.side || 'left') === side) || null;
+}
+
+/**
+ * Lists the landmarks a side's rep counting depends on.
+ * @param {Object} exercise Exercise config.
+ * @param {string} side 'left' or 'right'.
+ * @param {Object} [options]
+ * @param {Object} [options.angleConfig] Angle to check (defaults to the side's rep counter angle).
+ * @param {boolean} [options.includeSecondary=false] Also list the secondary landmarks.
+ * @returns {{ primary: Array<string>, secondary: Array<string> }}
+ */
+export function getRequiredLandmarkNames(exercise, side, { angleConfig = getRepCounterAngle(exercise, side), includeSecondary = false } = {}) {
+  if (!exercise) {
+    return { primary: [], secondary: [] };
+  }
+
+  let pointNames = [];
+  if (exercise.logicConfig?.type === 'position') {
+    pointNames = (exercise.logicConfig.positionsToTrack || [])
+      .filter(position => position.isRepCounter)
+      .flatMap(position => position.points);
+  } else if (exercise.logicConfig?.type === 'trajectory') {
+    pointNames = getTrajectoryLandmarkNames(exercise.logicConfig.trajectory);
+  } else if (exercise.logicConfig?.type === 'hold') {
+    // Every angle and position the hold criteria refer to
+    const { holdCriteria, anglesToTrack = [], positionsToTrack = [] } = exercise.logicConfig;
+    const angleIds = getCriterionAngleIds(holdCriteria);
+    const positionIds = getCriterionPositionIds(holdCriteria);
+    pointNames = [
+      ...anglesToTrack.filter(config => angleIds.includes(config.id))
+        .flatMap(config => config.points.map(pt => (config.side ? `${config.side}_${pt}` : pt))),
+      ...positionsToTrack.filter(position => positionIds.includes(position.id)).flatMap(position => position.points),
+    ];
+  } else if (angleConfig) {
+    // With compound rep criteria every angle the criteria refer to counts as well
+    const criteriaAngleIds = [
+      ...getCriterionAngleIds(angleConfig.repCriteria?.relaxed),
+      ...getCriterionAngleIds(angleConfig.repCriteria?.peak),
+    ];
+    const criteriaAngles = (exercise.logicConfig?.anglesToTrack || [])
+      .filter(config => config !== angleConfig && criteriaAngleIds.includes(config.id));
+    pointNames = [angleConfig, ...criteriaAngles]
+      .flatMap(config => config.points.map(pt => (config.side ? `${config.side}_${pt}` : pt)));
+  } else {
+    return { primary: [], secondary: [] };
+  }
+
+  const sideLandmarks = exercise.landmarks?.[side];
+  const primary = exercise.landmarks?.primary || sideLandmarks?.primary || [];
+  const secondary = exercise.landmarks?.secondary || sideLandmarks?.secondary || getDefaultSecondaryLandmarks(side);
+  return {
+    primary: [...new Set([...pointNames, ...primary])],
+    secondary: includeSecondary ? [...new Set(secondary)] : [],
+  };
+}
+
+/**
+ * Measures the visibility of a set of landmarks.
+ * @param {Array<Object>|null} landmarks Pose landmarks.
+ * @param {Array<string>} names Landmark names (keys of LANDMARK_MAP).
+ * @returns {{ allVisible: boolean, minVisibility: number }} minVisibility in percent.
+ */
+export function measureLandmarkVisibility(landmarks, names) {
+  let minVisibility = 100;
+  for (const name of names) {
+    const index = LANDMARK_MAP[name];
+    if (index === undefined || !landmarks?.[index]) {
+      return { allVisible: false, minVisibility: 0 };
+    }
+    minVisibility = Math.min(minVisibility, Number(landmarks[index].visibility || 0) * 100);
+  }
+  return { allVisible: true, minVisibility };
+}
+
+/**
+ * Checks whether the landmarks are visible enough to count reps.
+ * @param {Array<Object>|null} landmarks Pose landmarks.
+ * @param {{ primary: Array<string>, secondary: Array<string> }} names From getRequiredLandmarkNames.
+ * @param {Object} settings { requireAllLandmarks, requireSecondaryLandmarks, minimumVisibilityThreshold }.
+ * @returns {{ primaryLandmarks: Object, secondaryLandmarks: Object, isSufficient: boolean, failureReason: 'primary'|'secondary'|null }}
+ */
+export function evaluateLandmarkVisibility(landmarks, names, settings) {
+  const allVisible = { allVisible: true, minVisibility: 100 };
+  let primaryLandmarks = allVisible;
+  if (names.primary.length > 0) {
+    primaryLandmarks = measureLandmarkVisibility(landmarks, names.primary);
+  } else if (settings.requireAllLandmarks) {
+    // Nothing to check for this side, so there is nothing that could be visible
+    primaryLandmarks = { allVisible: false, minVisibility: 0 };
+  }
+  const secondaryLandmarks = settings.requireSecondaryLandmarks && names.secondary.length > 0
+    ? measureLandmarkVisibility(landmarks, names.secondary)
+    : allVisible;
+
+  let failureReason = null;
+  if (settings.requireAllLandmarks) {
+    const threshold = Number(settings.minimumVisibilityThreshold);
+    if (!primaryLandmarks.allVisible || primaryLandmarks.minVisibility < threshold) {
+      failureReason = 'primary';
+    } else if (settings.requireSecondaryLandmarks && (!secondaryLandmarks.allVisible || secondaryLandmarks.minVisibility < threshold)) {
+      failureReason = 'secondary';
+    }
+  }
+
+  return { primaryLandmarks, secondaryLandmarks, isSufficient: failureReason === null, failureReason };
+}
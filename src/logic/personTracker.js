@@ -0,0 +1,98 @@
+/**
+ * Keeps a stable identity for each detected person across frames.
+ *
+ * MediaPipe returns poses in no particular order, so each frame's poses are matched to the
+ * people seen before by torso position (mean of shoulders and hips). A person who is not
+ * matched for a while is dropped; ids are never reused, so a new person never inherits
+ * someone else's rep counts.
+ */
+
+import { LANDMARK_MAP } from './landmarkUtils.js';
+
+const TORSO_LANDMARKS = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'].map(name => LANDMARK_MAP[name]);
+
+export const DEFAULT_PERSON_TRACKER_OPTIONS = {
+  maxMatchDistance: 0.2, // Max torso movement between frames (normalized image units)
+  maxMissingMs: 1500, // How long a person can go undetected before their identity is dropped
+};
+
+/**
+ * Returns the torso center of a pose.
+ * @param {Array<Object>} landmarks The 33 pose landmarks.
+ * @returns {{x: number, y: number}|null} Torso center, or null if no torso landmark is present.
+ */
+export function getTorsoCenter(landmarks) {
+  const points = TORSO_LANDMARKS.map(index => landmarks?.[index]).filter(Boolean);
+  if (points.length === 0) return null;
+  return {
+    x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+    y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+  };
+}
+
+/**
+ * Creates a person tracker.
+ * @param {Object} [options] See DEFAULT_PERSON_TRACKER_OPTIONS.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createPersonTracker(options = {}) {
+  const { maxMatchDistance, maxMissingMs } = { ...DEFAULT_PERSON_TRACKER_OPTIONS, ...options };
+  let tracks = []; // { id, center, landmarks, lastSeen }
+  let nextId = 1;
+
+  /**
+   * Matches the poses of one frame to known people.
+   * @param {Array<Array<Object>>} poses All poses detected in the frame.
+   * @param {number} timestamp Frame time in milliseconds.
+   * @returns {Array<{ id: number, landmarks: Array<Object>|null }>} Known people sorted by id.
+   *   landmarks is null for a person who is briefly out of view.
+   */
+  const update = (poses = [], timestamp) => {
+    const detections = poses
+      .map(landmarks => ({ landmarks, center: getTorsoCenter(landmarks) }))
+      .filter(detection => detection.center);
+
+    // Greedy nearest-first matching of known tracks to detections
+    const candidates = [];
+    tracks.forEach((track, trackIndex) => {
+      detections.forEach((detection, detectionIndex) => {
+        const distance = Math.hypot(track.center.x - detection.center.x, track.center.y - detection.center.y);
+        if (distance <= maxMatchDistance) {
+          candidates.push({ trackIndex, detectionIndex, distance });
+        }
+      });
+    });
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+    for (const { trackIndex, detectionIndex } of candidates) {
+      if (matchedTracks.has(trackIndex) || matchedDetections.has(detectionIndex)) continue;
+      matchedTracks.add(trackIndex);
+      matchedDetections.add(detectionIndex);
+      const detection = detections[detectionIndex];
+      tracks[trackIndex] = { ...tracks[trackIndex], center: detection.center, landmarks: detection.landmarks, lastSeen: timestamp };
+    }
+
+    tracks = tracks
+      .map((track, trackIndex) => (matchedTracks.has(trackIndex) ? track : { ...track, landmarks: null }))
+      .filter(track => timestamp - track.lastSeen <= maxMissingMs);
+
+    detections.forEach((detection, detectionIndex) => {
+      if (!matchedDetections.has(detectionIndex)) {
+        tracks.push({ id: nextId++, center: detection.center, landmarks: detection.landmarks, lastSeen: timestamp });
+      }
+    });
+
+    return tracks
+      .map(({ id, landmarks }) => ({ id, landmarks }))
+      .sort((a, b) => a.id - b.id);
+  };
+
+  const reset = () => {
+    tracks = [];
+    nextId = 1;
+  };
+
+  return { update, reset };
+}
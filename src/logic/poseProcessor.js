@@ -0,0 +1,360 @@
+/**
+ * Framework-free pose processing core.
+ *
+ * Consumes PoseFrames from any PoseSource (webcam, video file, recorded landmark stream),
+ * filters the landmarks (logic/landmarkFilters) and turns them into tracked angles, position metrics,
+ * stationary-landmark stability, the tracking state (start position / paused, logic/trackingStateMachine), rep state (the exercise's pipeline, run by logic/repStateEngine)
+ * form check violations (the exercise's formChecks, logic/formChecks), a quality score per rep attempt
+ * (logic/repQuality), the left/right comparison of two-sided exercises (logic/sideAsymmetry) and,
+ * when enabled, which exercise the movement looks like (logic/exerciseRecognition).
+ * It has no React, DOM or MediaPipe dependency, so the same logic that runs
+ * in usePoseTracker can run in Node against recorded streams (scripts/process-recording.mjs).
+ *
+ * Imports use explicit .js extensions so this module loads in Node as well as in Parcel.
+ */
+
+import { calculateAngle, calculateAngle3D, LANDMARK_MAP } from './landmarkUtils.js';
+import { createLandmarkFilter, resolveFilterParams, DEFAULT_LANDMARK_FILTER } from './landmarkFilters.js';
+import { createRepStateEngine } from './repStateEngine.js';
+import { getRequiredLandmarkNames, evaluateLandmarkVisibility } from './landmarkVisibility.js';
+import { evaluatePositions } from './positionMetrics.js';
+import { createTrackingStateMachine, isCountingState } from './trackingStateMachine.js';
+import { createFormCheckEngine } from './formChecks.js';
+import { createExerciseRecognizer } from './exerciseRecognition.js';
+import { createRepQualityEngine } from './repQuality.js';
+import { createAsymmetryEngine, DEFAULT_ASYMMETRY_WARNING_PERCENT } from './sideAsymmetry.js';
+
+// Settings the processor reads (same names and defaults as useAppSettings)
+export const DEFAULT_PROCESSOR_SETTINGS = {
+  landmarkFilter: DEFAULT_LANDMARK_FILTER,
+  landmarkFilterParams: {}, // Per filter type parameter overrides, e.g. { oneEuro: { beta: 20 } }
+  requireAllLandmarks: false, // Only count reps while a side's primary landmarks are visible
+  minimumVisibilityThreshold: 25,
+  requireSecondaryLandmarks: false,
+  requireStartPosition: true, // Hold the exercise's start position before reps count (IDLE -> READY)
+  enableStationaryTracking: false,
+  stationaryDeviationThreshold: 0.05,
+  stationaryAveragingWindowMs: 1000,
+  stationaryHoldDurationMs: 1000,
+  enableExerciseRecognition: false, // Compare the movement against every recognizable exercise
+  asymmetryWarningPercent: DEFAULT_ASYMMETRY_WARNING_PERCENT, // Warn when one side falls this far behind the other
+};
+
+/**
+ * Creates a pose processor.
+ * @param {Object} options
+ * @param {Function} options.getExercise - () => exercise config currently being tracked (or null)
+ * @param {Function} [options.getSettings] - () => settings object (see DEFAULT_PROCESSOR_SETTINGS)
+ * @param {Function} [options.isCountingAllowed] - () => boolean. Extra gate on rep counting on top of
+ *   stationary tracking and landmark visibility (e.g. false during a rest period)
+ * @param {Function} [options.getRecognizableExercises] - () => exercise configs the movement is compared
+ *   against when settings.enableExerciseRecognition is on (return the same array while it doesn't change)
+ * @param {Function} [options.getExpectedExercise] - () => exercise the movement should match (defaults to
+ *   the tracked one; e.g. the current exercise of a timed session with random exercises)
+ * @returns {{ processFrame: Function, reset: Function, resetRepState: Function }}
+ */
+export function createPoseProcessor({
+  getExercise,
+  getSettings = () => DEFAULT_PROCESSOR_SETTINGS,
+  isCountingAllowed = () => true,
+  getRecognizableExercises = () => [],
+  getExpectedExercise = getExercise,
+}) {
+  // Stationary tracking state
+  let landmarkHistory = {};
+  let averagePositions = {};
+  let stableStartTime = null;
+  let stabilityState = 'idle';
+  // IDLE / READY / ACTIVE / PAUSED
+  const trackingStateMachine = createTrackingStateMachine();
+  let trackingState = null;
+  // Rep counting: the exercise's pipeline keeps its own state per exercise
+  const repStateEngine = createRepStateEngine();
+  // Form checks, attached to the rep attempt they occur in
+  const formCheckEngine = createFormCheckEngine();
+  // Quality score and no-rep reasons of every rep attempt
+  const repQualityEngine = createRepQualityEngine();
+  // Left/right comparison of two-sided exercises
+  const asymmetryEngine = createAsymmetryEngine();
+  // Which exercise the movement looks like (only while enabled)
+  const exerciseRecognizer = createExerciseRecognizer();
+  // Landmark filters (image and world landmarks), rebuilt when the filter settings change
+  let filterKey = null;
+  let imageFilter = null;
+  let worldFilter = null;
+
+  const updateFilters = (settings) => {
+    const type = settings.landmarkFilter;
+    const params = resolveFilterParams(type, settings.landmarkFilterParams?.[type]);
+    const key = `${type}:${JSON.stringify(params)}`;
+    if (key !== filterKey) {
+      filterKey = key;
+      imageFilter = createLandmarkFilter(type, params);
+      worldFilter = createLandmarkFilter(type, params);
+    }
+  };
+
+  const resetFilters = () => {
+    imageFilter?.reset();
+    worldFilter?.reset();
+  };
+
+  // Stationary Landmark Tracking Logic
+  const updateStability = (landmarks, exercise, settings, now) => {
+    if (!settings.enableStationaryTracking) {
+      stabilityState = 'stable'; // 'stable' implies no restrictions
+      stableStartTime = null;
+      averagePositions = {};
+      landmarkHistory = {};
+      return;
+    }
+
+    if (!exercise || !exercise.stationaryLandmarks || exercise.stationaryLandmarks.length === 0 || !landmarks) {
+      // Tracking enabled, but no stationary landmarks for current exercise or no landmarks detected.
+      // Keep history in case landmarks reappear for this exercise.
+      stabilityState = 'idle';
+      stableStartTime = null;
+      averagePositions = {};
+      return;
+    }
+
+    let allLandmarksCurrentlyStable = true;
+    const newAveragePositions = { ...averagePositions };
+
+    for (const landmarkName of exercise.stationaryLandmarks) {
+      const landmarkIndex = LANDMARK_MAP[landmarkName];
+      if (landmarkIndex === undefined || !landmarks[landmarkIndex]) {
+        allLandmarksCurrentlyStable = false; // Landmark not visible or not in map
+        delete newAveragePositions[landmarkName]; // Clear average if landmark lost
+        landmarkHistory[landmarkName] = []; // Clear history
+        continue;
+      }
+
+      const currentPos = { x: landmarks[landmarkIndex].x, y: landmarks[landmarkIndex].y, timestamp: now };
+
+      // Add to history, then prune entries outside the averaging window
+      const history = [...(landmarkHistory[landmarkName] || []), currentPos].filter(
+        entry => now - entry.timestamp <= settings.stationaryAveragingWindowMs
+      );
+      landmarkHistory[landmarkName] = history;
+
+      if (history.length === 0) {
+        allLandmarksCurrentlyStable = false; // Not enough data to determine stability
+        delete newAveragePositions[landmarkName];
+        continue;
+      }
+
+      // Calculate average position
+      const sumPos = history.reduce((acc, entry) => ({ x: acc.x + entry.x, y: acc.y + entry.y }), { x: 0, y: 0 });
+      const avgPos = { x: sumPos.x / history.length, y: sumPos.y / history.length };
+      newAveragePositions[landmarkName] = avgPos;
+
+      // Calculate deviation (Euclidean distance)
+      // Note: landmarks are normalized (0-1). Threshold is also normalized.
+      const deviation = Math.sqrt(Math.pow(currentPos.x - avgPos.x, 2) + Math.pow(currentPos.y - avgPos.y, 2));
+      if (deviation > settings.stationaryDeviationThreshold) {
+        allLandmarksCurrentlyStable = false;
+      }
+    }
+    averagePositions = newAveragePositions;
+
+    if (!allLandmarksCurrentlyStable) {
+      stableStartTime = null;
+      stabilityState = 'unstable';
+    } else if (stabilityState === 'unstable' || stabilityState === 'idle') {
+      stableStartTime = now;
+      stabilityState = 'stabilizing';
+    } else if (stabilityState === 'stabilizing') {
+      if (stableStartTime !== null && (now - stableStartTime) >= settings.stationaryHoldDurationMs) {
+        stabilityState = 'stable';
+      }
+    }
+  };
+
+  // Angles use the 2D image landmarks unless the angle config asks for mode: '3d', which uses
+  // worldLandmarks (falling back to 2D for sources without them, e.g. older recordings).
+  // Both variants are always returned so they can be compared; rawAngles come from the unfiltered landmarks.
+  const computeAngles = (pose, rawPose, exercise) => {
+    const { landmarks, worldLandmarks } = pose;
+    const angles = {};
+    const rawAngles = {};
+    const angles2D = {};
+    const angles3D = {};
+    const usesAngles = ['angle', 'hold'].includes(exercise?.logicConfig?.type);
+    if (!landmarks || !usesAngles || !Array.isArray(exercise.logicConfig.anglesToTrack)) {
+      return { angles, rawAngles, angles2D, angles3D };
+    }
+
+    const round = (angle) => (angle !== null ? Math.round(angle) : null);
+    for (const angleConfig of exercise.logicConfig.anglesToTrack) {
+      const { side, points, id, mode = '2d' } = angleConfig;
+      const pointNames = points.map(pt => (side ? `${side}_${pt}` : pt));
+      const indices = pointNames.map(name => LANDMARK_MAP[name]);
+
+      if (indices.every(idx => idx !== undefined)) {
+        const use3D = mode === '3d' && worldLandmarks;
+        const angle2D = calculateAngle(...indices.map(idx => landmarks[idx]));
+        const angle3D = worldLandmarks ? calculateAngle3D(...indices.map(idx => worldLandmarks[idx])) : null;
+        angles2D[id] = round(angle2D);
+        angles3D[id] = round(angle3D);
+        angles[id] = use3D ? angles3D[id] : angles2D[id];
+        rawAngles[id] = round(use3D
+          ? calculateAngle3D(...indices.map(idx => rawPose.worldLandmarks[idx]))
+          : calculateAngle(...indices.map(idx => rawPose.landmarks[idx])));
+      } else {
+        angles[id] = null;
+        rawAngles[id] = null;
+        angles2D[id] = null;
+        angles3D[id] = null;
+      }
+    }
+    return { angles, rawAngles, angles2D, angles3D };
+  };
+
+  // Reps only count while tracking is READY or ACTIVE, the stationary landmarks are stable (when
+  // enabled), the side's landmarks are visible enough (when required) and the caller's gate is open
+  const createCountingGate = (landmarks, exercise, settings) => (side) => {
+    if (!isCountingAllowed()) return false;
+    if (!isCountingState(trackingState?.state)) return false;
+    if (settings.enableStationaryTracking && stabilityState !== 'stable') return false;
+    if (!settings.requireAllLandmarks) return true;
+    const names = getRequiredLandmarkNames(exercise, side, { includeSecondary: settings.requireSecondaryLandmarks });
+    return evaluateLandmarkVisibility(landmarks, names, settings).isSufficient;
+  };
+
+  /**
+   * Resets everything. With keepRepState the rep counts, phases and tracking state survive
+   * (e.g. when only the camera changed).
+   * @param {Object} [options]
+   * @param {boolean} [options.keepRepState=false]
+   */
+  const reset = ({ keepRepState = false } = {}) => {
+    landmarkHistory = {};
+    averagePositions = {};
+    stableStartTime = null;
+    stabilityState = 'idle';
+    exerciseRecognizer.reset();
+    if (!keepRepState) {
+      repStateEngine.reset();
+      trackingStateMachine.reset();
+      formCheckEngine.reset();
+      repQualityEngine.reset();
+      asymmetryEngine.reset();
+    }
+    resetFilters();
+  };
+
+  // New set: counts go back to zero and the start position has to be held again
+  const resetRepState = () => {
+    repStateEngine.reset();
+    trackingStateMachine.reset();
+    formCheckEngine.reset();
+    repQualityEngine.reset();
+    asymmetryEngine.reset();
+  };
+
+  /**
+   * Processes one frame.
+   * @param {import('../types/poseTypes.js').PoseFrame} frame
+   * @returns {import('../types/poseTypes.js').ProcessedFrame}
+   */
+  const processFrame = (frame) => {
+    const exercise = getExercise();
+    const settings = { ...DEFAULT_PROCESSOR_SETTINGS, ...getSettings() };
+    const rawLandmarks = frame.landmarks && frame.landmarks.length > 0 ? frame.landmarks : null;
+    const rawWorldLandmarks = rawLandmarks && frame.worldLandmarks && frame.worldLandmarks.length > 0 ? frame.worldLandmarks : null;
+
+    // Filter the landmarks once; rendering, angles, stability and reps all use the filtered pose.
+    // Losing the person resets the filters so a re-entry isn't blended with the old position.
+    updateFilters(settings);
+    if (!rawLandmarks) {
+      resetFilters();
+    }
+    const landmarks = imageFilter.apply(rawLandmarks, frame.timestamp);
+    const worldLandmarks = worldFilter.apply(rawWorldLandmarks, frame.timestamp);
+
+    updateStability(landmarks, exercise, settings, frame.timestamp);
+    const { angles, rawAngles, angles2D, angles3D } = computeAngles(
+      { landmarks, worldLandmarks },
+      { landmarks: rawLandmarks, worldLandmarks: rawWorldLandmarks },
+      exercise
+    );
+    const positions = evaluatePositions(exercise, landmarks, exercise?.logicConfig?.utilityFunctions?.getDistance2D);
+    trackingState = trackingStateMachine.update({ exercise, landmarks, timestamp: frame.timestamp, settings });
+
+    const pipelineRepState = repStateEngine.update({
+      exercise,
+      landmarks,
+      worldLandmarks,
+      angles,
+      positions,
+      timestamp: frame.timestamp,
+      isCountingAllowed: createCountingGate(landmarks, exercise, settings),
+    });
+    const formCheckState = formCheckEngine.update({
+      exercise,
+      landmarks,
+      worldLandmarks,
+      angles,
+      repState: pipelineRepState,
+      isActive: isCountingState(trackingState.state),
+      timestamp: frame.timestamp,
+    });
+    const repQuality = repQualityEngine.update({
+      exercise,
+      landmarks,
+      repState: pipelineRepState,
+      formCheckState,
+      settings,
+      timestamp: frame.timestamp,
+    });
+    const asymmetry = asymmetryEngine.update({
+      exercise,
+      angles,
+      repState: pipelineRepState,
+      settings,
+      timestamp: frame.timestamp,
+    });
+    // Each rep event carries the form violations of the attempt it completed; attempts that ended
+    // in this frame (counted or not) are reported with their quality score
+    const repState = {
+      ...pipelineRepState,
+      repEvents: pipelineRepState.repEvents.map(event => {
+        const sideForm = formCheckState.sides[event.side];
+        const formViolations = sideForm?.lastRep?.timestamp === frame.timestamp
+          ? sideForm.lastRep.violations
+          : sideForm?.currentRepViolations || [];
+        return { ...event, formViolations };
+      }),
+      quality: repQuality,
+      attemptEvents: Object.values(repQuality)
+        .map(sideQuality => sideQuality.lastAttempt)
+        .filter(attempt => attempt?.timestamp === frame.timestamp),
+      asymmetry,
+    };
+    const exercises = settings.enableExerciseRecognition ? getRecognizableExercises() : [];
+    const recognition = exercises.length > 0
+      ? exerciseRecognizer.update({ exercises, selectedExercise: getExpectedExercise(), landmarks, timestamp: frame.timestamp })
+      : null;
+
+    return {
+      timestamp: frame.timestamp,
+      landmarks,
+      rawLandmarks,
+      worldLandmarks,
+      angles,
+      rawAngles,
+      angles2D,
+      angles3D,
+      positions,
+      stabilityState,
+      trackingState,
+      averageStationaryLandmarks: averagePositions,
+      repState,
+      formCheckState,
+      recognition,
+    };
+  };
+
+  return { processFrame, reset, resetRepState };
+}
@@ -1,93 +1,68 @@
+import { evaluatePositions } from './positionMetrics.js';
+
 /**
- * Position-based rep logic function for pipeline architecture.
+ * Position-based rep logic function for pipeline architecture (run by logic/repStateEngine).
  * Processes position-based logic and updates the state accordingly.
+ * Reports its single rep counter on the 'left' side of state.sides.
+ *
+ * A rep is counted once per cycle: all isRepCounter positions have to be met for
+ * repDebounceDuration ms ('idle' -> 'active', rep counted), and at least one of them has to be
+ * lost again ('active' -> 'idle') before the next rep can count.
  * @param {Object} params
  * @param {Array} params.landmarks - Current pose landmarks
+ * @param {Object} [params.positions] - Position metrics by id, as computed by the pose processor
+ *   (logic/positionMetrics); evaluated here when missing
  * @param {Object} params.config - Exercise config
  * @param {Object} params.prevState - Previous state
  * @param {Object} params.utils - Utility functions (e.g., getDistance)
  * @param {Object} params.state - The evolving state object (from previous pipeline step)
+ * @param {number} [params.timestamp] - Frame time in ms
+ * @param {Function} [params.isCountingAllowed] - (side) => boolean; nothing changes while false
  * @returns {Object} Updated state object
  */
-export function positionBasedRepLogic({ landmarks, config, prevState, utils, state }) {
+export const POSITION_REP_PHASES = ['idle', 'active'];
+
+export function positionBasedRepLogic({ landmarks, positions, config, prevState, utils, state, timestamp = Date.now(), isCountingAllowed = () => true }) {
     const positionsToTrack = config?.logicConfig?.positionsToTrack || [];
     const DEBOUNCE_DURATION_MS = (config?.logicConfig?.repDebounceDuration ?? 200);
-    const now = Date.now();
+    const now = timestamp;
   
     // Only track one rep counter group (all repCounter positions must be satisfied)
     // For more complex logic, this could be extended
     let prevPositionLogic = prevState?.positionLogic || { phase: 'idle', repCount: 0, debounceStart: null };
+    if (!isCountingAllowed('left')) {
+      return {
+        ...state,
+        positionLogic: prevPositionLogic,
+        sides: { ...state?.sides, left: { phase: prevPositionLogic.phase, phases: POSITION_REP_PHASES, repCount: prevPositionLogic.repCount } },
+      };
+    }
     let phase = prevPositionLogic.phase;
     let repCount = prevPositionLogic.repCount;
     let debounceStart = prevPositionLogic.debounceStart || null;
   
-    // Helper to get a landmark by name
-    function getLandmark(name) {
-      const idx = utils.LANDMARK_MAP ? utils.LANDMARK_MAP[name] : undefined;
-      return idx !== undefined ? landmarks[idx] : undefined;
-    }
-  
     // Evaluate all repCounter positions
-    let allConditionsMet = true;
-    for (const posConfig of positionsToTrack.filter(p => p.isRepCounter)) {
-      const [nameA, nameB] = posConfig.points;
-      const a = getLandmark(nameA);
-      const b = getLandmark(nameB);
-      if (!a || !b) {
-        allConditionsMet = false;
-        break;
-      }
-      // Distance checks
-      if (typeof posConfig.minDistance === 'number' || typeof posConfig.maxDistance === 'number') {
-        const dist = utils.getDistance2D ? utils.getDistance2D(a, b) : null;
-        if (dist == null) {
-          allConditionsMet = false;
-          break;
-        }
-        if (typeof posConfig.minDistance === 'number' && dist < posConfig.minDistance) {
-          allConditionsMet = false;
-          break;
-        }
-        if (typeof posConfig.maxDistance === 'number' && dist > posConfig.maxDistance) {
-          allConditionsMet = false;
-          break;
-        }
-      }
-      // Vertical checks (y axis: lower value is higher on screen)
-      if (typeof posConfig.minVertical === 'number') {
-        if ((b.y - a.y) > posConfig.minVertical) { // b above a by at least minVertical
-          allConditionsMet = false;
-          break;
-        }
-      }
-      if (typeof posConfig.maxVertical === 'number') {
-        if ((b.y - a.y) < posConfig.maxVertical) {
-          allConditionsMet = false;
-          break;
-        }
-      }
-    }
+    const metrics = positions && Object.keys(positions).length > 0
+      ? positions
+      : evaluatePositions(config, landmarks, utils.getDistance2D);
+    const repCounterPositions = positionsToTrack.filter(p => p.isRepCounter);
+    const allConditionsMet = repCounterPositions.length > 0 &&
+      repCounterPositions.every(p => metrics[p.id]?.isMet);
   
     // Phase logic with debounce
     if (phase === 'idle') {
-      if (allConditionsMet) {
-        phase = 'active';
-        debounceStart = now;
-      } else {
+      if (!allConditionsMet) {
         debounceStart = null;
+      } else if (debounceStart === null) {
+        debounceStart = now;
       }
-    } else if (phase === 'active') {
-      if (allConditionsMet) {
-        if (!debounceStart) {
-          debounceStart = now;
-        } else if (now - debounceStart >= DEBOUNCE_DURATION_MS) {
-          repCount += 1;
-          debounceStart = now; // reset debounce for next rep
-        }
-      } else {
-        phase = 'idle';
+      if (allConditionsMet && now - debounceStart >= DEBOUNCE_DURATION_MS) {
+        phase = 'active';
+        repCount += 1;
         debounceStart = null;
       }
+    } else if (phase === 'active' && !allConditionsMet) {
+      phase = 'idle';
     }
   
     const updatedState = {
@@ -97,7 +72,8 @@ export function positionBasedRepLogic({ landmarks, config, prevState, utils, sta
         repCount,
         debounceStart,
         allConditionsMet,
-      }
+      },
+      sides: { ...state?.sides, left: { phase, phases: POSITION_REP_PHASES, repCount } },
     };
     return updatedState;
-  } 
\ No newline at end of file
+  }
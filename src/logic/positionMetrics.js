@@ -0,0 +1,74 @@
+/**
+ * Position metrics for position-based exercises (logicConfig.type === 'position').
+ *
+ * Each positionsToTrack entry relates two landmarks by their 2D distance and their vertical
+ * offset. The pose processor evaluates them once per frame; positionBasedRepLogic counts reps from
+ * the result and the UI shows the live values and which conditions are met. Angle exercises can
+ * track positions too, for their compound rep criteria (logic/repCriteria).
+ */
+
+import { getDistance2D, LANDMARK_MAP } from './landmarkUtils.js';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Evaluates one positionsToTrack entry.
+ *
+ * vertical is points[1].y - points[0].y in normalized image units (y grows downwards, so a
+ * negative value means the second point is above the first). minVertical is met while vertical is
+ * at most minVertical, maxVertical while it is at least maxVertical.
+ * @param {Object} positionConfig { id, points: [a, b], minDistance?, maxDistance?, minVertical?, maxVertical? }
+ * @param {Array<Object>|null} landmarks Pose landmarks.
+ * @param {Function} [getDistance=getDistance2D] Distance function (pipelines may override it).
+ * @returns {import('../types/poseTypes.js').PositionMetric}
+ */
+export function evaluatePosition(positionConfig, landmarks, getDistance = getDistance2D) {
+  const [nameA, nameB] = positionConfig.points;
+  const a = landmarks?.[LANDMARK_MAP[nameA]];
+  const b = landmarks?.[LANDMARK_MAP[nameB]];
+  if (!a || !b) {
+    return { id: positionConfig.id, distance: null, vertical: null, checks: {}, isMet: false };
+  }
+
+  const distance = round(getDistance(a, b));
+  const vertical = round(b.y - a.y);
+  const checks = {};
+  if (typeof positionConfig.minDistance === 'number') {
+    checks.minDistance = distance >= positionConfig.minDistance;
+  }
+  if (typeof positionConfig.maxDistance === 'number') {
+    checks.maxDistance = distance <= positionConfig.maxDistance;
+  }
+  if (typeof positionConfig.minVertical === 'number') {
+    checks.minVertical = vertical <= positionConfig.minVertical;
+  }
+  if (typeof positionConfig.maxVertical === 'number') {
+    checks.maxVertical = vertical >= positionConfig.maxVertical;
+  }
+
+  return {
+    id: positionConfig.id,
+    distance,
+    vertical,
+    checks,
+    isMet: Object.values(checks).every(Boolean),
+  };
+}
+
+/**
+ * Evaluates all positionsToTrack entries of a position-based exercise.
+ * @param {Object} exercise Exercise config.
+ * @param {Array<Object>|null} landmarks Pose landmarks.
+ * @param {Function} [getDistance] Distance function.
+ * @returns {Object<string, import('../types/poseTypes.js').PositionMetric>} Metrics by position id
+ *   (empty without positionsToTrack or when nobody is in view).
+ */
+export function evaluatePositions(exercise, landmarks, getDistance) {
+  const logicConfig = exercise?.logicConfig;
+  if (!landmarks || !Array.isArray(logicConfig?.positionsToTrack)) {
+    return {};
+  }
+  return Object.fromEntries(
+    logicConfig.positionsToTrack.map(positionConfig => [positionConfig.id, evaluatePosition(positionConfig, landmarks, getDistance)])
+  );
+}
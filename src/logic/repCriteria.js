@@ -0,0 +1,136 @@
+/**
+ * Compound rep criteria: conditions on several tracked angles and positions that decide when a rep
+ * counter angle's side is in its relaxed or peak zone (angleConfig.repCriteria, used by
+ * logic/angleBasedRepLogic instead of the angle's own thresholds).
+ *
+ * A criterion is one of:
+ * - { angle: '<angle id>', min?: number, max?: number } - a tracked angle (any anglesToTrack entry,
+ *   rep counter or not) is within min..max degrees. min / max can also be 'minThreshold' or
+ *   'maxThreshold': that threshold of the angle itself, from values.thresholds, so personal
+ *   thresholds from calibration move the bound
+ * - { angle: '<angle id>', target: number, tolerance?: number } - a tracked angle is within
+ *   tolerance degrees (default 0) of target, e.g. the hip and knee of a wall sit (logic/holdLogic)
+ * - { position: '<position id>' } - a positionsToTrack entry has all of its conditions met
+ * - { all: [criteria] } - every criterion is met (AND)
+ * - { any: [criteria] } - at least one criterion is met (OR)
+ * - { sequence: [criteria], maxGapMs?: number } - the criteria were met one after the other, in
+ *   order (each on a later frame than the previous one, at most maxGapMs apart). The sequence is
+ *   met once its last step is reached and for as long as that step stays met.
+ *
+ * Sequences are stateful: their progress is kept in a plain object owned by the caller, so it can
+ * live in the pipeline state and be cleared when a new rep begins.
+ *
+ * values.margin (hysteresis) widens every min / max bound by that many degrees: the rep logic passes
+ * hysteresisDegrees while the side is in the zone the criterion defines, so noise around a bound
+ * doesn't flip the phase back and forth.
+ */
+
+/**
+ * Evaluates a criterion.
+ * @param {Object} criterion See above.
+ * @param {Object} values { angles, positions, thresholds?, margin? } for the current frame
+ *   (thresholds: { minThreshold, maxThreshold } by angle id, calibration applied).
+ * @param {Object} progress Sequence progress by criterion path; updated in place.
+ * @param {number} timestamp Frame time in milliseconds.
+ * @param {string} [path='root'] Key of this criterion in progress (nested criteria extend it).
+ * @returns {boolean}
+ */
+// A min / max bound: a number, or the named threshold of the leaf's angle (undefined if it has none)
+function resolveBound(bound, criterion, values) {
+  if (typeof bound !== 'string') return bound;
+  return values.thresholds?.[criterion.angle]?.[bound];
+}
+
+export function evaluateCriterion(criterion, values, progress, timestamp, path = 'root') {
+  if (!criterion) return false;
+
+  if (Array.isArray(criterion.all)) {
+    // Every child is evaluated (no short-circuit) so nested sequences keep advancing
+    return criterion.all
+      .map((child, index) => evaluateCriterion(child, values, progress, timestamp, `${path}.${index}`))
+      .every(Boolean);
+  }
+
+  if (Array.isArray(criterion.any)) {
+    return criterion.any
+      .map((child, index) => evaluateCriterion(child, values, progress, timestamp, `${path}.${index}`))
+      .some(Boolean);
+  }
+
+  if (Array.isArray(criterion.sequence)) {
+    const steps = criterion.sequence;
+    let { step = 0, lastAdvance = null } = progress[path] || {};
+    if (step < steps.length && lastAdvance !== null && criterion.maxGapMs != null && timestamp - lastAdvance > criterion.maxGapMs) {
+      step = 0;
+      lastAdvance = null;
+    }
+    let isMet = false;
+    if (step < steps.length) {
+      // At most one step per frame, so "followed by" means a later frame
+      if (evaluateCriterion(steps[step], values, progress, timestamp, `${path}.${step}`)) {
+        step += 1;
+        lastAdvance = timestamp;
+        isMet = step === steps.length;
+      }
+    } else {
+      isMet = evaluateCriterion(steps[steps.length - 1], values, progress, timestamp, `${path}.${steps.length - 1}`);
+      if (!isMet) {
+        step = 0;
+        lastAdvance = null;
+      }
+    }
+    progress[path] = { step, lastAdvance };
+    return isMet;
+  }
+
+  if (criterion.angle !== undefined) {
+    const angle = values.angles?.[criterion.angle];
+    if (angle == null) return false;
+    if (criterion.target !== undefined) {
+      return Math.abs(angle - criterion.target) <= (criterion.tolerance ?? 0);
+    }
+    const min = resolveBound(criterion.min, criterion, values);
+    const max = resolveBound(criterion.max, criterion, values);
+    if ((criterion.min !== undefined && typeof min !== 'number') || (criterion.max !== undefined && typeof max !== 'number')) {
+      console.warn('[repCriteria] Angle has no threshold for criterion:', criterion);
+      return false;
+    }
+    const margin = values.margin ?? 0;
+    return (min === undefined || angle >= min - margin) && (max === undefined || angle <= max + margin);
+  }
+
+  if (criterion.position !== undefined) {
+    return !!values.positions?.[criterion.position]?.isMet;
+  }
+
+  console.warn('[repCriteria] Unknown criterion:', criterion);
+  return false;
+}
+
+// Ids of the leaves of one kind ('angle' or 'position') a criterion refers to
+function getCriterionIds(criterion, key) {
+  if (!criterion) return [];
+  const children = criterion.all || criterion.any || criterion.sequence;
+  if (Array.isArray(children)) {
+    return [...new Set(children.flatMap(child => getCriterionIds(child, key)))];
+  }
+  return criterion[key] !== undefined ? [criterion[key]] : [];
+}
+
+/**
+ * Lists the angle ids a criterion refers to.
+ * @param {Object} criterion
+ * @returns {Array<string>}
+ */
+export function getCriterionAngleIds(criterion) {
+  return getCriterionIds(criterion, 'angle');
+}
+
+/**
+ * Lists the position ids a criterion refers to.
+ * @param {Object} criterion
+ * @returns {Array<string>}
+ */
+export function getCriterionPositionIds(criterion) {
+  return getCriterionIds(criterion, 'position');
+}
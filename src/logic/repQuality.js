@@ -0,0 +1,278 @@
+/**
+ * Rep quality: scores every rep attempt 0-100 and says what was wrong with it.
+ *
+ * An attempt runs from the moment a side leaves its rest phase (the first of its phases, e.g.
+ * 'relaxed') until it returns to it, like a form check attempt (logic/formChecks). Its outcome is
+ * 'counted', 'partial' or 'rejected' by the rep pipeline, or 'incomplete' for smaller movements
+ * (only reported when something else went wrong, e.g. the person left the frame).
+ *
+ * Score components (each 0-100, weighted by REP_QUALITY_WEIGHTS; components without a value are
+ * left out and the others reweighted):
+ * - rom: range of motion reached (lastRepRom of angle exercises, peak / minExcursion of trajectories)
+ * - tempo: phase durations against the tempo prescription or, without one, the attempt's duration
+ *   against the median of the side's previous counted reps (none for the first rep)
+ * - visibility: share of the attempt's frames where the side's primary landmarks were at least
+ *   settings.minimumVisibilityThreshold visible
+ * - form: 100 minus a penalty per form check violated during the attempt, by severity (moving the
+ *   feet costs as much as a warning)
+ * Attempts that didn't count get half the score of their components.
+ *
+ * Reasons ({ reason, message }): 'not_at_peak', 'too_fast' / 'too_slow' (rejections),
+ * 'lost_visibility', 'moved_feet' (angle exercises: the ankles moved more than FEET_DRIFT_FRACTION of
+ * the body height from where they stood when the attempt began), 'form' (a warning or error form
+ * check) and 'out_of_order' (alternating exercises).
+ *
+ * Hold exercises have no reps and are not scored. Run by the pose processor, one engine per person.
+ */
+
+import { LANDMARK_MAP, getDistance2D } from './landmarkUtils.js';
+import { getRequiredLandmarkNames, measureLandmarkVisibility } from './landmarkVisibility.js';
+import { parseTempo, TEMPO_PHASES } from './tempo.js';
+import { resolveTrajectoryPoint } from './trajectoryBasedRepLogic.js';
+
+export const REP_QUALITY_WEIGHTS = {
+  rom: 0.4,
+  tempo: 0.2,
+  visibility: 0.15,
+  form: 0.25,
+};
+
+// Points taken off the form component per violation
+const FORM_PENALTIES = { info: 5, warning: 15, error: 30 };
+
+// Share of the score an attempt that didn't count keeps
+const NO_REP_SCORE_FACTOR = 0.5;
+
+// Landmarks out of view (or below the visibility threshold) for this long make 'lost_visibility'
+const LOST_VISIBILITY_MS = 300;
+
+// Ankle movement, as a fraction of the body height, that counts as moving the feet
+const FEET_DRIFT_FRACTION = 0.08;
+// Ankles less visible than this at the start of an attempt are not checked
+const MIN_ANKLE_VISIBILITY = 0.5;
+
+// Counted reps the tempo of the next one is compared with (without a prescription)
+const TEMPO_HISTORY_LENGTH = 5;
+
+const ANKLES = ['left_ankle', 'right_ankle'];
+
+const getAttemptCounts = (sideState) => ({
+  repCount: sideState.repCount || 0,
+  partialRepCount: sideState.partialRepCount || 0,
+  rejectedRepCount: sideState.rejectedRepCount || 0,
+});
+
+const clampScore = (value) => Math.round(Math.min(Math.max(value, 0), 100));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Combines the components into the attempt's score.
+ * @param {Object<string, number|null>} components 0-100 by component (null = not measured).
+ * @returns {number} 0-100.
+ */
+export function combineQualityScore(components) {
+  const measured = Object.entries(REP_QUALITY_WEIGHTS).filter(([key]) => components[key] != null);
+  const totalWeight = measured.reduce((sum, [, weight]) => sum + weight, 0);
+  if (totalWeight === 0) return 0;
+  return clampScore(measured.reduce((sum, [key, weight]) => sum + components[key] * weight, 0) / totalWeight);
+}
+
+// Range of motion of the attempt that just ended
+function getRomScore(exercise, sideState, timestamp) {
+  if (sideState.lastRepRom?.timestamp === timestamp) {
+    return sideState.lastRepRom.romPercent;
+  }
+  const minExcursion = exercise.logicConfig?.trajectory?.minExcursion;
+  if (sideState.lastRepTrajectory?.timestamp === timestamp && minExcursion) {
+    return clampScore((sideState.lastRepTrajectory.peak / minExcursion) * 100);
+  }
+  // Position reps are counted the moment every condition is met
+  return exercise.logicConfig?.type === 'position' ? 100 : null;
+}
+
+// Tempo: against the prescription when the rep has one, otherwise against the side's earlier reps
+function getTempoScore(sideState, timestamp, durationMs, history) {
+  const tempo = sideState.lastRepTempo;
+  if (tempo?.timestamp === timestamp && tempo.target) {
+    const target = parseTempo(tempo.target);
+    const checked = TEMPO_PHASES.filter(phase => target?.[phase] != null);
+    if (checked.length > 0) {
+      const deviation = checked.reduce((sum, phase) => (
+        sum + Math.min(Math.abs(tempo[phase] - target[phase]) / Math.max(target[phase], 1000), 1)
+      ), 0) / checked.length;
+      return clampScore((1 - deviation) * 100);
+    }
+  }
+  if (history.length === 0) return null;
+  const typical = median(history);
+  return clampScore((1 - Math.min(Math.abs(durationMs - typical) / typical, 1)) * 100);
+}
+
+function getFormScore(violations, movedFeet) {
+  const penalty = violations.reduce((sum, violation) => sum + (FORM_PENALTIES[violation.severity] ?? 0), 0);
+  return clampScore(100 - penalty - (movedFeet ? FORM_PENALTIES.warning : 0));
+}
+
+// Midpoint of the ankles and the body height, when the ankles are visible enough to check
+function measureFeet(landmarks) {
+  const ankles = ANKLES.map(name => landmarks?.[LANDMARK_MAP[name]]);
+  if (ankles.some(ankle => !ankle || (ankle.visibility ?? 1) < MIN_ANKLE_VISIBILITY)) return null;
+  const nose = resolveTrajectoryPoint('nose', landmarks);
+  const feet = resolveTrajectoryPoint(ANKLES, landmarks);
+  const bodyHeight = nose ? getDistance2D(nose, feet) : 0;
+  return bodyHeight > 0 ? { feet, bodyHeight } : null;
+}
+
+/**
+ * Creates a rep quality engine.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createRepQualityEngine() {
+  let exerciseId = null;
+  let sides = {}; // Side -> { attempt, lastCounts, lastAttempt, attemptCount, durations }
+
+  const reset = () => {
+    sides = {};
+  };
+
+  const startAttempt = (landmarks, counts, timestamp) => ({
+    startedAt: timestamp,
+    startCounts: counts,
+    frames: 0,
+    lostFrames: 0,
+    lostMs: 0,
+    lastTimestamp: timestamp,
+    feetStart: measureFeet(landmarks),
+    feetDrift: 0,
+  });
+
+  const trackFrame = (attempt, { exercise, side, landmarks, settings, timestamp }) => {
+    const elapsed = timestamp - attempt.lastTimestamp;
+    attempt.lastTimestamp = timestamp;
+    attempt.frames += 1;
+    const { primary } = getRequiredLandmarkNames(exercise, side);
+    const visibility = measureLandmarkVisibility(landmarks, primary);
+    const isVisible = !!landmarks && visibility.allVisible && visibility.minVisibility >= Number(settings.minimumVisibilityThreshold ?? 0);
+    if (!isVisible) {
+      attempt.lostMs += elapsed;
+      attempt.lostFrames += 1;
+    }
+    const feet = attempt.feetStart && landmarks ? measureFeet(landmarks) : null;
+    if (feet) {
+      attempt.feetDrift = Math.max(attempt.feetDrift, getDistance2D(feet.feet, attempt.feetStart.feet) / attempt.feetStart.bodyHeight);
+    }
+  };
+
+  const finishAttempt = (sideQuality, { exercise, side, sideState, formCheckState, timestamp }) => {
+    const { attempt } = sideQuality;
+    const counts = getAttemptCounts(sideState);
+    let outcome = 'incomplete';
+    if (counts.repCount > attempt.startCounts.repCount) outcome = 'counted';
+    else if (counts.partialRepCount > attempt.startCounts.partialRepCount) outcome = 'partial';
+    else if (counts.rejectedRepCount > attempt.startCounts.rejectedRepCount) outcome = 'rejected';
+
+    const durationMs = timestamp - attempt.startedAt;
+    const sideForm = formCheckState?.sides?.[side];
+    const violations = sideForm?.lastRep?.timestamp === timestamp ? sideForm.lastRep.violations : sideForm?.currentRepViolations || [];
+    const visibility = attempt.frames > 0 ? clampScore((1 - attempt.lostFrames / attempt.frames) * 100) : null;
+    const rom = getRomScore(exercise, sideState, timestamp);
+
+    const reasons = [];
+    if (outcome === 'partial' || outcome === 'incomplete') {
+      reasons.push({ reason: 'not_at_peak', message: rom !== null ? `didn't reach peak (${rom}% ROM)` : "didn't reach peak" });
+    }
+    if (outcome === 'rejected' && sideState.lastRejectedRep) {
+      reasons.push({ reason: sideState.lastRejectedRep.reason, message: sideState.lastRejectedRep.message });
+    }
+    if (attempt.lostMs >= LOST_VISIBILITY_MS) {
+      reasons.push({ reason: 'lost_visibility', message: 'lost visibility' });
+    }
+    const movedFeet = exercise.logicConfig?.type === 'angle' && attempt.feetDrift > FEET_DRIFT_FRACTION;
+    if (movedFeet) {
+      reasons.push({ reason: 'moved_feet', message: 'moved feet' });
+    }
+    for (const violation of violations.filter(v => v.severity !== 'info')) {
+      reasons.push({ reason: 'form', message: violation.message });
+    }
+    if (outcome === 'counted' && sideState.lastOutOfOrderRep?.timestamp === timestamp) {
+      reasons.push({ reason: 'out_of_order', message: 'out of order' });
+    }
+
+    sideQuality.attempt = null;
+    // Small movements that didn't get halfway are only attempts when something else went wrong
+    if (outcome === 'incomplete' && reasons.length === 1) return;
+
+    const components = {
+      rom,
+      tempo: getTempoScore(sideState, timestamp, durationMs, sideQuality.durations),
+      visibility,
+      form: getFormScore(violations, movedFeet),
+    };
+    sideQuality.attemptCount += 1;
+    sideQuality.lastAttempt = {
+      side,
+      outcome,
+      repCount: counts.repCount,
+      score: Math.round(combineQualityScore(components) * (outcome === 'counted' ? 1 : NO_REP_SCORE_FACTOR)),
+      components,
+      reasons,
+      durationMs,
+      timestamp,
+    };
+    if (outcome === 'counted') {
+      sideQuality.durations = [...sideQuality.durations, durationMs].slice(-TEMPO_HISTORY_LENGTH);
+    }
+  };
+
+  /**
+   * Follows the rep attempts of every side on one frame.
+   * @param {Object} input
+   * @param {Object} input.exercise Exercise config.
+   * @param {Array<Object>|null} input.landmarks Filtered pose landmarks.
+   * @param {import('../types/poseTypes.js').RepState} input.repState This frame's rep state.
+   * @param {import('../types/poseTypes.js').FormCheckState} [input.formCheckState] This frame's form check state.
+   * @param {Object} input.settings Processor settings (minimumVisibilityThreshold).
+   * @param {number} input.timestamp Frame time in milliseconds.
+   * @returns {Object<string, import('../types/poseTypes.js').RepQualitySide>} By side.
+   */
+  const update = ({ exercise, landmarks, repState, formCheckState = null, settings, timestamp }) => {
+    if ((exercise?.id ?? null) !== exerciseId) {
+      exerciseId = exercise?.id ?? null;
+      reset();
+    }
+    if (!exercise || exercise.logicConfig?.type === 'hold') return {};
+
+    for (const [side, sideState] of Object.entries(repState?.sides || {})) {
+      const sideQuality = sides[side] || { attempt: null, lastCounts: null, lastAttempt: null, attemptCount: 0, durations: [] };
+      const counts = getAttemptCounts(sideState);
+      const isResting = sideState.phase === sideState.phases?.[0];
+      // Counts before this frame: position reps count on the frame the attempt begins
+      const startCounts = sideQuality.lastCounts || counts;
+
+      if (!sideQuality.attempt && !isResting) {
+        sideQuality.attempt = startAttempt(landmarks, startCounts, timestamp);
+      }
+      if (sideQuality.attempt) {
+        trackFrame(sideQuality.attempt, { exercise, side, landmarks, settings, timestamp });
+        if (isResting) {
+          finishAttempt(sideQuality, { exercise, side, sideState, formCheckState, timestamp });
+        }
+      }
+      sideQuality.lastCounts = counts;
+      sides[side] = sideQuality;
+    }
+
+    return Object.fromEntries(Object.entries(sides).map(([side, sideQuality]) => [side, {
+      lastAttempt: sideQuality.lastAttempt,
+      attemptCount: sideQuality.attemptCount,
+      inAttempt: !!sideQuality.attempt,
+    }]));
+  };
+
+  return { update, reset };
+}
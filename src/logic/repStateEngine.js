@@ -0,0 +1,149 @@
+/**
+ * Rep state engine: runs an exercise's logicConfig.pipeline on every frame.
+ *
+ * Each pipeline step is a function
+ *   ({ landmarks, worldLandmarks, angles, positions, config, prevState, utils, state, timestamp, isCountingAllowed }) => state
+ * where prevState is what the whole pipeline returned on the previous frame of the same exercise
+ * and state is the output of the previous step in this frame. Steps report their result per side
+ * in state.sides ({ [side]: { phase, phases, repCount, ... } }); the engine turns that into rep
+ * counts and rep events. Single-sided exercises report on 'left', like RepCounterContext.
+ * A step that rejects a completed rep reports it as sides[side].lastRejectedRep
+ * ({ reason, message, timestamp, ... }), which becomes a rejection event. Steps that detect partial
+ * reps (attempts that didn't reach the full range) report them as sides[side].partialRepCount.
+ * Steps that time isometric holds (logic/holdLogic) report the valid hold time as sides[side].holdMs.
+ *
+ * Exercises with alternating: true (one side at a time, L-R-L-R) get logic/alternatingSides as an
+ * extra last step: the output then has a combined count and rep events flag out-of-order reps.
+ *
+ * Steps must leave a side untouched while isCountingAllowed(side) is false (stationary tracking,
+ * landmark visibility or a rest period), so the phase doesn't advance and no rep is counted.
+ */
+
+import { calculateAngle, calculateAngle3D, getDistance2D, getDistance3D, LANDMARK_MAP } from './landmarkUtils.js';
+import { alternatingSidesLogic } from './alternatingSides.js';
+
+// Always available to pipeline steps; logicConfig.utilityFunctions can add or override entries
+const DEFAULT_UTILS = {
+  calculateAngle,
+  calculateAngle3D,
+  getDistance2D,
+  getDistance3D,
+  LANDMARK_MAP,
+};
+
+const EMPTY_REP_STATE = {
+  exerciseId: null,
+  sides: {},
+  repCounts: {},
+  partialRepCounts: {},
+  holdTimes: {},
+  repEvents: [],
+  partialRepEvents: [],
+  rejectionEvents: [],
+  alternating: null,
+  pipelineState: null,
+};
+
+const getCounts = (state, key) => Object.fromEntries(
+  Object.entries(state?.sides || {}).map(([side, sideState]) => [side, sideState[key] || 0])
+);
+
+// Events for the sides whose count went up since the previous frame
+const getCountEvents = (previousCounts, counts, countKey, timestamp) => Object.entries(counts)
+  .filter(([side, count]) => count > (previousCounts[side] || 0))
+  .map(([side, count]) => ({ side, [countKey]: count, timestamp }));
+
+/**
+ * Creates a rep state engine.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createRepStateEngine() {
+  // Pipeline state per exercise id, fed back as prevState on the next frame
+  let pipelineStates = {};
+
+  /**
+   * Runs the pipeline for one frame.
+   * @param {Object} input
+   * @param {Object} input.exercise Exercise config (with logicConfig.pipeline).
+   * @param {Array<Object>|null} input.landmarks Filtered image landmarks (null when nobody is in view).
+   * @param {Array<Object>|null} [input.worldLandmarks] Filtered world landmarks.
+   * @param {Object} [input.angles] Tracked angles by angle id, as computed by the pose processor.
+   * @param {Object} [input.positions] Position metrics by position id (position-based exercises).
+   * @param {number} input.timestamp Frame time in milliseconds.
+   * @param {Function} [input.isCountingAllowed] (side) => boolean.
+   * @returns {import('../types/poseTypes.js').RepState}
+   */
+  const update = ({ exercise, landmarks, worldLandmarks = null, angles = {}, positions = {}, timestamp, isCountingAllowed = () => true }) => {
+    const pipeline = exercise?.logicConfig?.pipeline;
+    if (!exercise || !Array.isArray(pipeline) || pipeline.length === 0) {
+      return EMPTY_REP_STATE;
+    }
+
+    const steps = exercise.alternating ? [...pipeline, alternatingSidesLogic] : pipeline;
+    const prevState = pipelineStates[exercise.id] || null;
+    let state = prevState;
+    // Nothing to run on while nobody is in view; the phase stays where it was
+    if (landmarks) {
+      const utils = { ...DEFAULT_UTILS, ...exercise.logicConfig.utilityFunctions };
+      try {
+        state = steps.reduce((currentState, step) => step({
+          landmarks,
+          worldLandmarks,
+          angles,
+          positions,
+          config: exercise,
+          prevState,
+          utils,
+          state: currentState,
+          timestamp,
+          isCountingAllowed,
+        }), {});
+      } catch (error) {
+        console.error(`[repStateEngine] Pipeline for ${exercise.id} failed, keeping the previous state:`, error);
+        state = prevState;
+      }
+      pipelineStates[exercise.id] = state;
+    }
+
+    const repCounts = getCounts(state, 'repCount');
+    const partialRepCounts = getCounts(state, 'partialRepCount');
+    const holdTimes = getCounts(state, 'holdMs');
+    const repEvents = getCountEvents(getCounts(prevState, 'repCount'), repCounts, 'repCount', timestamp)
+      .map(event => (exercise.alternating
+        ? { ...event, outOfOrder: state.sides[event.side].lastOutOfOrderRep?.timestamp === timestamp }
+        : event));
+    const partialRepEvents = getCountEvents(getCounts(prevState, 'partialRepCount'), partialRepCounts, 'partialRepCount', timestamp);
+    const rejectionEvents = Object.entries(state?.sides || {})
+      .filter(([side, sideState]) => sideState.lastRejectedRep &&
+        sideState.lastRejectedRep.timestamp !== prevState?.sides?.[side]?.lastRejectedRep?.timestamp)
+      .map(([side, sideState]) => ({ side, ...sideState.lastRejectedRep }));
+
+    return {
+      exerciseId: exercise.id,
+      sides: state?.sides || {},
+      repCounts,
+      partialRepCounts,
+      holdTimes,
+      repEvents,
+      partialRepEvents,
+      rejectionEvents,
+      alternating: state?.alternating
+        ? {
+          combinedRepCount: state.alternating.combinedRepCount,
+          outOfOrderRepCount: state.alternating.outOfOrderRepCount,
+          nextSide: state.alternating.nextSide,
+        }
+        : null,
+      pipelineState: state,
+    };
+  };
+
+  /**
+   * Forgets all pipeline state (all rep counts go back to zero).
+   */
+  const reset = () => {
+    pipelineStates = {};
+  };
+
+  return { update, reset };
+}
@@ -0,0 +1,203 @@
+/**
+ * Left/right asymmetry: compares the two sides of a two-sided exercise rep by rep.
+ *
+ * Applies to exercises with a rep counter angle on each side (bicep curls, tricep kickbacks,
+ * dumbbell and renegade rows). Every rep attempt records its side's:
+ * - rom: degrees the rep counter angle travelled since the side's previous attempt ended
+ * - peakAngle: the angle closest to the peak (lastRepRom.extremeAngle)
+ * - tempo: the rep's duration (lastRepTempo.totalMs), counted reps only
+ * Range and peak angle include attempts that didn't count (partial, rejected or smaller), so a side
+ * that never gets to the peak is still compared. Each of these and the rep counts are compared with an asymmetry index:
+ *   index = |left - right| / max(left, right) * 100
+ * 0 is symmetric, 100 means one side did nothing. The side behind is the one with fewer reps, less
+ * range of motion, a peak angle further from the peak or slower reps.
+ *
+ * 'live' compares the last LIVE_REP_WINDOW attempts (reps for tempo) of each side, 'set' every one
+ * since the set began (the post-set comparison). Rep counts only count once a side is
+ * MIN_REP_COUNT_GAP reps behind (bilateral reps don't end on the same frame), the other metrics
+ * once both sides have MIN_REPS_PER_SIDE attempts (reps for tempo) to compare. The overall index is
+ * the mean of the metric indices that count, and a warning is raised for each live metric whose
+ * index exceeds settings.asymmetryWarningPercent.
+ *
+ * Run by the pose processor, one engine per person.
+ */
+
+export const DEFAULT_ASYMMETRY_WARNING_PERCENT = 20;
+
+// Attempts of each side the live comparison covers
+const LIVE_REP_WINDOW = 5;
+
+// Attempts (reps for tempo) each side needs before rom, peak angle and tempo are compared
+const MIN_REPS_PER_SIDE = 2;
+
+// Reps one side has to be behind before the rep counts are compared
+const MIN_REP_COUNT_GAP = 2;
+
+const SIDES = ['left', 'right'];
+
+const METRIC_LABELS = {
+  repCount: 'reps',
+  rom: 'range of motion',
+  peakAngle: 'peak angle',
+  tempo: 'tempo',
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Asymmetry index of two values.
+ * @param {number} left
+ * @param {number} right
+ * @returns {number} 0-100 (0 when both are 0).
+ */
+export function getAsymmetryIndex(left, right) {
+  const larger = Math.max(Math.abs(left), Math.abs(right));
+  return larger > 0 ? Math.round((Math.abs(left - right) / larger) * 100) : 0;
+}
+
+// The first rep counter angle of each side, when the exercise has one on both
+function getRepCounterAngles(exercise) {
+  if (exercise?.logicConfig?.type !== 'angle') return null;
+  const angles = {};
+  for (const angleConfig of exercise.logicConfig.anglesToTrack || []) {
+    const side = angleConfig.side || 'left';
+    if (angleConfig.isRepCounter && !angles[side]) angles[side] = angleConfig;
+  }
+  return SIDES.every(side => angles[side]) ? angles : null;
+}
+
+// One metric of both sides; isBehind(value, other) says whether value is the lagging one
+function compareMetric(values, isBehind) {
+  const index = getAsymmetryIndex(values.left, values.right);
+  const laggingSide = index === 0 ? null : SIDES.find(side => isBehind(values[side], values[side === 'left' ? 'right' : 'left']));
+  return { left: values.left, right: values.right, index, laggingSide: laggingSide ?? null };
+}
+
+// Compares the attempts of both sides (the last `window` of each). Metrics without enough
+// attempts are null.
+function compareSides(attempts, repCounts, relaxedIsHigh, window = Infinity) {
+  const averaged = (key, countedOnly, isBehind) => {
+    const values = {};
+    for (const side of SIDES) {
+      const sideValues = attempts[side]
+        .filter(attempt => !countedOnly || attempt.counted)
+        .slice(-window)
+        .map(attempt => attempt[key])
+        .filter(value => value != null);
+      if (sideValues.length < MIN_REPS_PER_SIDE) return null;
+      values[side] = Math.round(mean(sideValues));
+    }
+    return compareMetric(values, isBehind);
+  };
+
+  const metrics = {
+    repCount: compareMetric(repCounts, (value, other) => value < other),
+    rom: averaged('rom', false, (value, other) => value < other),
+    peakAngle: averaged('peakAngle', false, (value, other) => (relaxedIsHigh ? value > other : value < other)),
+    tempo: averaged('tempo', true, (value, other) => value > other),
+  };
+  const counted = Object.entries(metrics).filter(([metric, comparison]) => comparison && (
+    metric !== 'repCount' || Math.abs(comparison.left - comparison.right) >= MIN_REP_COUNT_GAP
+  ));
+  const indices = counted.map(([, comparison]) => comparison.index);
+  return { ...metrics, index: indices.length > 0 ? Math.round(mean(indices)) : 0 };
+}
+
+function getWarnings(live, warningPercent) {
+  const warnings = [];
+  for (const [metric, label] of Object.entries(METRIC_LABELS)) {
+    const comparison = live[metric];
+    if (!comparison?.laggingSide || comparison.index <= warningPercent) continue;
+    if (metric === 'repCount' && Math.abs(comparison.left - comparison.right) < MIN_REP_COUNT_GAP) continue;
+    warnings.push({
+      metric,
+      laggingSide: comparison.laggingSide,
+      index: comparison.index,
+      message: `${comparison.laggingSide === 'left' ? 'Left' : 'Right'} side is ${comparison.index}% behind on ${label}`,
+    });
+  }
+  return warnings.sort((a, b) => b.index - a.index);
+}
+
+/**
+ * Creates a side asymmetry engine.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createAsymmetryEngine() {
+  let exerciseId = null;
+  let sides = {}; // Side -> { attempts, minAngle, maxAngle } (range of the current attempt)
+  let result = null;
+  let resultKey = null;
+
+  const reset = () => {
+    sides = {};
+    result = null;
+    resultKey = null;
+  };
+
+  /**
+   * Records the rep attempts of both sides on one frame and compares them.
+   * @param {Object} input
+   * @param {Object} input.exercise Exercise config.
+   * @param {Object<string, number|null>} input.angles Tracked angles by id.
+   * @param {import('../types/poseTypes.js').RepState} input.repState This frame's rep state.
+   * @param {Object} input.settings Processor settings (asymmetryWarningPercent).
+   * @param {number} input.timestamp Frame time in milliseconds.
+   * @returns {import('../types/poseTypes.js').SideAsymmetry|null} The same object until a side's
+   *   attempts change; null for exercises without a rep counter angle on both sides.
+   */
+  const update = ({ exercise, angles, repState, settings, timestamp }) => {
+    if ((exercise?.id ?? null) !== exerciseId) {
+      exerciseId = exercise?.id ?? null;
+      reset();
+    }
+    const repCounterAngles = getRepCounterAngles(exercise);
+    if (!repCounterAngles) return null;
+
+    for (const side of SIDES) {
+      const sideState = repState?.sides?.[side];
+      const tracked = sides[side] || (sides[side] = { attempts: [], minAngle: null, maxAngle: null });
+      const angle = angles?.[repCounterAngles[side].id];
+      if (angle != null) {
+        tracked.minAngle = tracked.minAngle === null ? angle : Math.min(tracked.minAngle, angle);
+        tracked.maxAngle = tracked.maxAngle === null ? angle : Math.max(tracked.maxAngle, angle);
+      }
+      const rom = sideState?.lastRepRom;
+      if (rom?.timestamp !== timestamp) continue;
+      // The attempt ended (counted or not): it is recorded, and the next attempt's range starts here
+      const counted = rom.outcome === 'counted';
+      const tempo = counted && sideState.lastRepTempo?.timestamp === timestamp ? sideState.lastRepTempo : null;
+      tracked.attempts = [...tracked.attempts, {
+        counted,
+        rom: tracked.minAngle !== null ? Math.round(tracked.maxAngle - tracked.minAngle) : null,
+        peakAngle: rom.extremeAngle,
+        tempo: tempo?.totalMs ?? null,
+        timestamp,
+      }];
+      tracked.minAngle = angle ?? null;
+      tracked.maxAngle = angle ?? null;
+    }
+
+    const repCounts = Object.fromEntries(SIDES.map(side => [side, repState?.sides?.[side]?.repCount || 0]));
+    const warningPercent = Number(settings?.asymmetryWarningPercent ?? DEFAULT_ASYMMETRY_WARNING_PERCENT);
+    const key = `${SIDES.map(side => `${repCounts[side]}:${sides[side].attempts.length}`).join('|')}|${warningPercent}`;
+    if (key === resultKey) return result;
+
+    const relaxedIsHigh = repCounterAngles.left.relaxedIsHigh ?? true;
+    const attempts = Object.fromEntries(SIDES.map(side => [side, sides[side].attempts]));
+    const live = compareSides(attempts, repCounts, relaxedIsHigh, LIVE_REP_WINDOW);
+    const warnings = getWarnings(live, warningPercent);
+    result = {
+      exerciseId,
+      live,
+      set: compareSides(attempts, repCounts, relaxedIsHigh),
+      warnings,
+      laggingSide: warnings[0]?.laggingSide ?? null,
+      timestamp,
+    };
+    resultKey = key;
+    return result;
+  };
+
+  return { update, reset };
+}
@@ -0,0 +1,68 @@
+/**
+ * Rep tempo: how long each rep spends in its concentric, peak and eccentric phases, and checks
+ * against a tempo prescription.
+ *
+ * A prescription is written in the order the phases are tracked (relaxed → concentric → peak →
+ * eccentric), in seconds: "3-1-2" means 3 s concentric, 1 s hold at the peak and 2 s eccentric.
+ * An "x" leaves that phase unchecked ("x-2-3" only checks the hold and the eccentric).
+ */
+
+export const TEMPO_PHASES = ['concentric', 'peak', 'eccentric'];
+
+// How far a phase may be off its prescribed duration before the rep is flagged
+export const DEFAULT_TEMPO_TOLERANCE_MS = 500;
+
+/**
+ * Parses a tempo prescription.
+ * @param {string|null|undefined} tempo E.g. "3-1-2", "2-0-4" or "x-1-3" (decimals allowed).
+ * @returns {{ concentric: number|null, peak: number|null, eccentric: number|null }|null} Target
+ *   milliseconds per phase (null = unchecked), or null when tempo is empty or invalid.
+ */
+export function parseTempo(tempo) {
+  if (typeof tempo !== 'string' || tempo.trim() === '') return null;
+  const parts = tempo.trim().split(/\s*-\s*/);
+  if (parts.length !== TEMPO_PHASES.length) return null;
+
+  const target = {};
+  for (const [index, part] of parts.entries()) {
+    if (/^x$/i.test(part)) {
+      target[TEMPO_PHASES[index]] = null;
+    } else if (/^\d+(\.\d+)?$/.test(part)) {
+      target[TEMPO_PHASES[index]] = Number(part) * 1000;
+    } else {
+      return null;
+    }
+  }
+  return target;
+}
+
+/**
+ * Checks a rep's phase durations against a parsed prescription.
+ * @param {{ concentric: number, peak: number, eccentric: number }} durations Milliseconds per phase.
+ * @param {Object|null} target From parseTempo.
+ * @param {number} [toleranceMs=DEFAULT_TEMPO_TOLERANCE_MS]
+ * @returns {{ isOnTempo: boolean|null, misses: Array<{ phase: string, actualMs: number, targetMs: number, direction: 'fast'|'slow' }> }}
+ *   isOnTempo is null without a prescription.
+ */
+export function evaluateTempo(durations, target, toleranceMs = DEFAULT_TEMPO_TOLERANCE_MS) {
+  if (!target) return { isOnTempo: null, misses: [] };
+
+  const misses = TEMPO_PHASES
+    .filter(phase => target[phase] !== null && Math.abs(durations[phase] - target[phase]) > toleranceMs)
+    .map(phase => ({
+      phase,
+      actualMs: durations[phase],
+      targetMs: target[phase],
+      direction: durations[phase] < target[phase] ? 'fast' : 'slow',
+    }));
+  return { isOnTempo: misses.length === 0, misses };
+}
+
+/**
+ * Formats phase durations like a prescription, e.g. "2.8-1.0-2.1".
+ * @param {{ concentric: number, peak: number, eccentric: number }} durations Milliseconds per phase.
+ * @returns {string}
+ */
+export function formatTempo(durations) {
+  return TEMPO_PHASES.map(phase => ((durations[phase] || 0) / 1000).toFixed(1)).join('-');
+}
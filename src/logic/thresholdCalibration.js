@@ -0,0 +1,177 @@
+/**
+ * Threshold calibration: personal minThreshold / maxThreshold for the rep counter angles of an
+ * exercise (and the angles their repCriteria bound by threshold), from a few slow reps the user
+ * performs (3-5).
+ *
+ * The angle of every rep counter angle is sampled while calibrating. Its turning points (the angle
+ * reverses by at least MIN_SWING_DEGREES) split the samples into reps: the extremes at the peak end
+ * (low angles for curls, high ones with relaxedIsHigh: false) and at the relaxed end. The proposed
+ * thresholds sit CALIBRATION_MARGIN_FRACTION of the user's range inside the median extremes, so
+ * every rep that goes as far as the calibration reps reaches them.
+ *
+ * The result is stored as overrides ({ [angleId]: { minThreshold, maxThreshold } }, see
+ * services/calibrationStorage) and set on the exercise as thresholdOverrides; logic/angleBasedRepLogic
+ * and the angle display read the thresholds through resolveAngleThresholds.
+ */
+
+import { getCriterionAngleIds } from './repCriteria.js';
+
+export const MIN_CALIBRATION_REPS = 3;
+export const MAX_CALIBRATION_REPS = 5;
+
+// How far the angle has to reverse for a turning point (smaller movements are noise)
+const MIN_SWING_DEGREES = 20;
+
+// Share of the calibrated range the thresholds are moved inwards from the median extremes
+const CALIBRATION_MARGIN_FRACTION = 0.15;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Angle config with the exercise's threshold overrides (calibration) applied.
+ * @param {Object} config Exercise config (with optional thresholdOverrides by angle id).
+ * @param {Object} angleConfig Angle config.
+ * @returns {Object} The angle config itself, or a copy with the overridden thresholds and calibrated: true.
+ */
+export function resolveAngleThresholds(config, angleConfig) {
+  const override = angleConfig && config?.thresholdOverrides?.[angleConfig.id];
+  if (!override) return angleConfig;
+  return {
+    ...angleConfig,
+    minThreshold: override.minThreshold,
+    maxThreshold: override.maxThreshold,
+    calibrated: true,
+  };
+}
+
+/**
+ * Exercise with personal threshold overrides attached (or the exercise itself without any).
+ * @param {Object|null} exercise Exercise config.
+ * @param {Object|null} overrides Thresholds by angle id.
+ * @returns {Object|null}
+ */
+export function withThresholdOverrides(exercise, overrides) {
+  if (!exercise || !overrides || Object.keys(overrides).length === 0) return exercise;
+  return { ...exercise, thresholdOverrides: overrides };
+}
+
+/**
+ * Lists the angles calibration can set thresholds for: the angles with thresholds that are rep
+ * counters or that a rep counter's repCriteria refer to.
+ * @param {Object|null} exercise Exercise config.
+ * @returns {Array<Object>} Angle configs.
+ */
+export function getCalibrationAngles(exercise) {
+  if (exercise?.logicConfig?.type !== 'angle') return [];
+  const anglesToTrack = exercise.logicConfig.anglesToTrack || [];
+  const criteriaAngleIds = new Set(anglesToTrack
+    .filter(angleConfig => angleConfig.isRepCounter && angleConfig.repCriteria)
+    .flatMap(({ repCriteria }) => [...getCriterionAngleIds(repCriteria.peak), ...getCriterionAngleIds(repCriteria.relaxed)]));
+  return anglesToTrack.filter(angleConfig => (angleConfig.isRepCounter || criteriaAngleIds.has(angleConfig.id)) &&
+    typeof angleConfig.minThreshold === 'number' && typeof angleConfig.maxThreshold === 'number');
+}
+
+/**
+ * Splits an angle's samples into reps at its turning points.
+ * @param {Array<number>} samples Angle values in frame order.
+ * @param {boolean} [relaxedIsHigh=true] Whether the relaxed end of the movement is the high angle.
+ * @returns {{ repCount: number, peakAngles: Array<number>, relaxedAngles: Array<number> }}
+ *   Extreme angle of every rep at the peak end and every turn at the relaxed end.
+ */
+export function findRepExtremes(samples, relaxedIsHigh = true) {
+  const turns = []; // { isHigh, angle }
+  let trend = null; // 'up' | 'down' once the first swing is found
+  let high = samples[0];
+  let low = samples[0];
+  let extreme = samples[0];
+
+  for (const angle of samples) {
+    if (trend === null) {
+      high = Math.max(high, angle);
+      low = Math.min(low, angle);
+      if (high - angle >= MIN_SWING_DEGREES) {
+        turns.push({ isHigh: true, angle: high });
+        trend = 'down';
+        extreme = angle;
+      } else if (angle - low >= MIN_SWING_DEGREES) {
+        turns.push({ isHigh: false, angle: low });
+        trend = 'up';
+        extreme = angle;
+      }
+    } else if (trend === 'up') {
+      if (angle > extreme) {
+        extreme = angle;
+      } else if (extreme - angle >= MIN_SWING_DEGREES) {
+        turns.push({ isHigh: true, angle: extreme });
+        trend = 'down';
+        extreme = angle;
+      }
+    } else if (angle < extreme) {
+      extreme = angle;
+    } else if (angle - extreme >= MIN_SWING_DEGREES) {
+      turns.push({ isHigh: false, angle: extreme });
+      trend = 'up';
+      extreme = angle;
+    }
+  }
+  // The movement since the last turn already went MIN_SWING_DEGREES: it ends at the latest extreme
+  if (trend !== null) {
+    turns.push({ isHigh: trend === 'up', angle: extreme });
+  }
+
+  const isPeak = (turn) => turn.isHigh !== relaxedIsHigh;
+  // A rep is a peak that the angle came back from
+  const repCount = turns.filter((turn, index) => isPeak(turn) && index < turns.length - 1).length;
+  return {
+    repCount,
+    peakAngles: turns.filter(turn => isPeak(turn)).map(turn => turn.angle).slice(0, repCount),
+    relaxedAngles: turns.filter(turn => !isPeak(turn)).map(turn => turn.angle),
+  };
+}
+
+/**
+ * Proposes personal thresholds from the calibration samples.
+ * @param {Object} exercise Exercise config.
+ * @param {Object<string, Array<number>>} samplesByAngle Angle values by angle id.
+ * @returns {Object<string, {minThreshold: number|null, maxThreshold: number|null, repCount: number, peakAngle: number|null, relaxedAngle: number|null, error: string|null}>}
+ *   Proposal by angle id; error is set (and the thresholds are null) when the reps were not usable.
+ */
+export function proposeThresholds(exercise, samplesByAngle) {
+  return Object.fromEntries(getCalibrationAngles(exercise).map(angleConfig => {
+    const relaxedIsHigh = angleConfig.relaxedIsHigh !== undefined ? angleConfig.relaxedIsHigh : true;
+    const { repCount, peakAngles, relaxedAngles } = findRepExtremes(samplesByAngle[angleConfig.id] || [], relaxedIsHigh);
+    const proposal = { minThreshold: null, maxThreshold: null, repCount, peakAngle: null, relaxedAngle: null, error: null };
+    if (repCount < MIN_CALIBRATION_REPS || relaxedAngles.length === 0) {
+      return [angleConfig.id, { ...proposal, error: `${repCount} of ${MIN_CALIBRATION_REPS} reps recorded` }];
+    }
+
+    const peakAngle = Math.round(median(peakAngles));
+    const relaxedAngle = Math.round(median(relaxedAngles));
+    const margin = Math.abs(relaxedAngle - peakAngle) * CALIBRATION_MARGIN_FRACTION;
+    const [low, high] = relaxedIsHigh ? [peakAngle, relaxedAngle] : [relaxedAngle, peakAngle];
+    return [angleConfig.id, {
+      ...proposal,
+      minThreshold: Math.round(low + margin),
+      maxThreshold: Math.round(high - margin),
+      peakAngle,
+      relaxedAngle,
+    }];
+  }));
+}
+
+/**
+ * Reps recorded so far per angle, for live progress while calibrating.
+ * @param {Object} exercise Exercise config.
+ * @param {Object<string, Array<number>>} samplesByAngle Angle values by angle id.
+ * @returns {Object<string, number>} Rep count by angle id.
+ */
+export function countCalibrationReps(exercise, samplesByAngle) {
+  return Object.fromEntries(getCalibrationAngles(exercise).map(angleConfig => [
+    angleConfig.id,
+    findRepExtremes(samplesByAngle[angleConfig.id] || [], angleConfig.relaxedIsHigh !== false).repCount,
+  ]));
+}
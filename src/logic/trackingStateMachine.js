@@ -0,0 +1,183 @@
+/**
+ * Tracking state machine: IDLE → READY → ACTIVE, with PAUSED while the person can't be tracked.
+ *
+ * - IDLE: waiting for the start position (startPosition.requiredAngles / requiredPositions) to be
+ *   held for startPosition.readyPositionHoldTime seconds.
+ * - READY: the start position was held; the first movement out of it switches to ACTIVE.
+ * - ACTIVE: exercising.
+ * - PAUSED: the landmarks the exercise depends on were lost (not detected or below the visibility
+ *   threshold) for longer than PAUSE_GRACE_MS; tracking resumes where it was once they are back.
+ *
+ * Reps only count in READY and ACTIVE. Run by the pose processor, one machine per tracked person.
+ */
+
+import { calculateAngle, LANDMARK_MAP } from './landmarkUtils.js';
+import { evaluatePosition } from './positionMetrics.js';
+import { getRepCounterAngle, getRequiredLandmarkNames } from './landmarkVisibility.js';
+
+export const TRACKING_STATES = {
+  IDLE: 'IDLE',
+  READY: 'READY',
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+};
+
+// Short dropouts (a hand passing in front of the body, a missed detection) don't pause tracking
+const PAUSE_GRACE_MS = 500;
+
+/**
+ * Whether reps may be counted in a tracking state.
+ * @param {string} state One of TRACKING_STATES.
+ * @returns {boolean}
+ */
+export const isCountingState = (state) => state === TRACKING_STATES.READY || state === TRACKING_STATES.ACTIVE;
+
+/**
+ * Checks the exercise's start position requirements against the current pose.
+ * @param {Object} exercise Exercise config.
+ * @param {Array<Object>|null} landmarks Pose landmarks.
+ * @returns {Array<import('../types/poseTypes.js').StartRequirement>}
+ */
+export function evaluateStartPosition(exercise, landmarks) {
+  const startPosition = exercise?.startPosition;
+  if (!startPosition) return [];
+
+  const angleRequirements = (startPosition.requiredAngles || []).map(angleConfig => {
+    const { id, side, points, targetAngle, tolerance = 0 } = angleConfig;
+    const pointNames = points.map(pt => (side ? `${side}_${pt}` : pt));
+    const angle = landmarks ? calculateAngle(...pointNames.map(name => landmarks[LANDMARK_MAP[name]])) : null;
+    const value = angle !== null ? Math.round(angle) : null;
+    return {
+      id,
+      type: 'angle',
+      value,
+      target: `${targetAngle}° ± ${tolerance}°`,
+      isMet: value !== null && Math.abs(value - targetAngle) <= tolerance,
+    };
+  });
+
+  const positionRequirements = (startPosition.requiredPositions || []).map(positionConfig => {
+    const metric = evaluatePosition(positionConfig, landmarks);
+    const bounds = [
+      typeof positionConfig.minDistance === 'number' && `distance ≥ ${positionConfig.minDistance}`,
+      typeof positionConfig.maxDistance === 'number' && `distance ≤ ${positionConfig.maxDistance}`,
+      typeof positionConfig.minVertical === 'number' && `vertical ≤ ${positionConfig.minVertical}`,
+      typeof positionConfig.maxVertical === 'number' && `vertical ≥ ${positionConfig.maxVertical}`,
+    ].filter(Boolean);
+    return {
+      id: positionConfig.id,
+      type: 'position',
+      value: metric.distance,
+      target: bounds.join(', '),
+      isMet: metric.isMet,
+    };
+  });
+
+  return [...angleRequirements, ...positionRequirements];
+}
+
+/**
+ * Lists the landmarks tracking depends on: those of every side that counts reps.
+ * @param {Object} exercise Exercise config.
+ * @returns {Array<string>}
+ */
+export function getTrackedLandmarkNames(exercise) {
+  if (!exercise) return [];
+  const sides = ['position', 'hold', 'trajectory'].includes(exercise.logicConfig?.type)
+    ? ['left']
+    : ['left', 'right'].filter(side => getRepCounterAngle(exercise, side));
+  return [...new Set(sides.flatMap(side => getRequiredLandmarkNames(exercise, side).primary))];
+}
+
+/**
+ * Creates a tracking state machine.
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createTrackingStateMachine() {
+  let exerciseId = null;
+  let state = TRACKING_STATES.IDLE;
+  let holdStart = null; // When the start position was first met (IDLE)
+  let lostSince = null; // When the tracked landmarks were first missing (READY / ACTIVE)
+  let resumeState = null; // State to return to from PAUSED
+
+  const reset = () => {
+    state = TRACKING_STATES.IDLE;
+    holdStart = null;
+    lostSince = null;
+    resumeState = null;
+  };
+
+  /**
+   * Advances the state machine by one frame.
+   * @param {Object} input
+   * @param {Object} input.exercise Exercise config.
+   * @param {Array<Object>|null} input.landmarks Filtered pose landmarks.
+   * @param {number} input.timestamp Frame time in milliseconds.
+   * @param {Object} input.settings { requireStartPosition, minimumVisibilityThreshold }.
+   * @returns {import('../types/poseTypes.js').TrackingState}
+   */
+  const update = ({ exercise, landmarks, timestamp, settings }) => {
+    // A different exercise has a different start position
+    if ((exercise?.id ?? null) !== exerciseId) {
+      exerciseId = exercise?.id ?? null;
+      reset();
+    }
+    // Without the start position requirement tracking starts right away
+    if (!settings.requireStartPosition && state === TRACKING_STATES.IDLE) {
+      state = TRACKING_STATES.ACTIVE;
+    }
+
+    const threshold = Number(settings.minimumVisibilityThreshold) / 100;
+    const missingLandmarks = getTrackedLandmarkNames(exercise).filter(name => {
+      const landmark = landmarks?.[LANDMARK_MAP[name]];
+      return !landmark || Number(landmark.visibility ?? 1) < threshold;
+    });
+    const isTrackable = !!landmarks && missingLandmarks.length === 0;
+    const requirements = settings.requireStartPosition ? evaluateStartPosition(exercise, landmarks) : [];
+    const isInStartPosition = isTrackable && requirements.every(requirement => requirement.isMet);
+    const holdTimeMs = (exercise?.startPosition?.readyPositionHoldTime ?? 0) * 1000;
+
+    if (!isTrackable) {
+      holdStart = null;
+      if (state === TRACKING_STATES.READY || state === TRACKING_STATES.ACTIVE) {
+        lostSince = lostSince ?? timestamp;
+        if (timestamp - lostSince >= PAUSE_GRACE_MS) {
+          resumeState = state;
+          state = TRACKING_STATES.PAUSED;
+        }
+      }
+    } else {
+      lostSince = null;
+      if (state === TRACKING_STATES.PAUSED) {
+        state = resumeState || TRACKING_STATES.ACTIVE;
+        resumeState = null;
+      } else if (state === TRACKING_STATES.IDLE) {
+        if (!isInStartPosition) {
+          holdStart = null;
+        } else {
+          holdStart = holdStart ?? timestamp;
+          if (timestamp - holdStart >= holdTimeMs) {
+            state = TRACKING_STATES.READY;
+            holdStart = null;
+          }
+        }
+      } else if (state === TRACKING_STATES.READY && !isInStartPosition) {
+        state = TRACKING_STATES.ACTIVE;
+      }
+    }
+
+    const holdProgress = state === TRACKING_STATES.IDLE && holdStart !== null
+      ? Math.min((timestamp - holdStart) / Math.max(holdTimeMs, 1), 1)
+      : 0;
+
+    return {
+      state,
+      requirements,
+      isInStartPosition,
+      holdProgress,
+      missingLandmarks: landmarks ? missingLandmarks : getTrackedLandmarkNames(exercise),
+    };
+  };
+
+  return { update, reset };
+}
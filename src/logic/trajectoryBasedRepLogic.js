@@ -0,0 +1,206 @@
+/**
+ * Trajectory-based rep logic function for pipeline architecture (run by logic/repStateEngine), for
+ * movements without a clean joint angle (logicConfig.type === 'trajectory': burpees, box step-ups).
+ * Reports its single rep counter on the 'left' side of state.sides.
+ *
+ * logicConfig.trajectory follows one point over time:
+ *   point - a landmark name, or several whose midpoint is used (e.g. ['left_hip', 'right_hip'])
+ *   axis ('y', default) / direction ('up', default) - displacement is measured along the image's
+ *     y axis ('up' or 'down'), x axis ('right' or 'left'), or as the distance in any direction ('xy')
+ *   minExcursion - how far the point has to travel from where it rested for a rep, in body heights
+ *     (nose to the midpoint of the ankles, measured while resting) or, with scale: 'none', in
+ *     normalized image units
+ *   returnTolerance (default 0.25) - the rep ends once the point is back within this fraction of
+ *     minExcursion of its rest position; leaving rest starts at the same distance
+ *   minRepDurationMs / maxRepDurationMs (optional) - completed reps outside these limits are rejected
+ *     like angle reps; an excursion that doesn't return within maxRepDurationMs (10 s without it) is
+ *     dropped and the rest position taken again
+ * Phases: 'rest' (the rest position follows the point while it stays close) → 'outbound' → 'inbound' (once the point has
+ * gone minExcursion and turned back) → 'rest'. A rep counts on the return to rest after reaching
+ * minExcursion; an attempt that got halfway is a partial rep. Every attempt reports its peak
+ * displacement and the distance the point travelled (lastRepTrajectory).
+ * @param {Object} params
+ * @param {Array} params.landmarks - Current pose landmarks
+ * @param {Object} params.config - Exercise config
+ * @param {Object} params.prevState - Previous state
+ * @param {Object} params.utils - Utility functions (getDistance2D)
+ * @param {Object} params.state - The evolving state object (from previous pipeline step)
+ * @param {number} [params.timestamp] - Frame time in ms
+ * @param {Function} [params.isCountingAllowed] - (side) => boolean; nothing changes while false
+ * @returns {Object} Updated state object
+ */
+
+import { LANDMARK_MAP } from './landmarkUtils.js';
+
+export const TRAJECTORY_REP_PHASES = ['rest', 'outbound', 'inbound'];
+
+// Body height: nose to the midpoint of the ankles
+const BODY_HEIGHT_POINTS = ['nose', ['left_ankle', 'right_ankle']];
+
+const DEFAULT_RETURN_TOLERANCE = 0.25;
+const DEFAULT_MAX_EXCURSION_MS = 10000;
+
+// Weight of the current frame when the rest position and body height follow the pose at rest
+const REST_SMOOTHING = 0.2;
+
+// Attempts that get at least this share of minExcursion but not all of it are partial reps
+const PARTIAL_REP_MIN_FRACTION = 0.5;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Resolves a trajectory point: a landmark, or the midpoint of several.
+ * @param {string|Array<string>} point Landmark name(s).
+ * @param {Array<Object>|null} landmarks Pose landmarks.
+ * @returns {{ x: number, y: number }|null} Null when a landmark is missing.
+ */
+export function resolveTrajectoryPoint(point, landmarks) {
+  const names = Array.isArray(point) ? point : [point];
+  const points = names.map(name => landmarks?.[LANDMARK_MAP[name]]);
+  if (points.length === 0 || points.some(p => !p)) return null;
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+  };
+}
+
+/**
+ * Lists the landmarks a trajectory depends on (the point and, unless scale is 'none', the body height).
+ * @param {Object} trajectory logicConfig.trajectory.
+ * @returns {Array<string>}
+ */
+export function getTrajectoryLandmarkNames(trajectory) {
+  if (!trajectory?.point) return [];
+  const points = trajectory.scale === 'none' ? [trajectory.point] : [trajectory.point, ...BODY_HEIGHT_POINTS];
+  return [...new Set(points.flat())];
+}
+
+// Signed displacement from the rest position along the configured axis, in image units
+function getDisplacement(position, rest, { axis = 'y', direction }) {
+  if (axis === 'xy') {
+    return Math.hypot(position.x - rest.x, position.y - rest.y);
+  }
+  if (axis === 'x') {
+    return (position.x - rest.x) * (direction === 'left' ? -1 : 1);
+  }
+  return (rest.y - position.y) * (direction === 'down' ? -1 : 1);
+}
+
+const smooth = (previous, current) => (previous === null ? current : previous + (current - previous) * REST_SMOOTHING);
+
+const INITIAL_TRAJECTORY_STATE = {
+  phase: 'rest',
+  rest: null,
+  scale: null,
+  lastPosition: null,
+  repStartTime: null,
+  peak: 0,
+  travel: 0,
+  repCount: 0,
+  partialRepCount: 0,
+  rejectedRepCount: 0,
+  lastRejectedRep: null,
+  lastRepTrajectory: null,
+  displacement: 0,
+};
+
+const toSideState = (trajectoryState) => ({
+  phase: trajectoryState.phase,
+  phases: TRAJECTORY_REP_PHASES,
+  repCount: trajectoryState.repCount,
+  partialRepCount: trajectoryState.partialRepCount,
+  rejectedRepCount: trajectoryState.rejectedRepCount,
+  lastRejectedRep: trajectoryState.lastRejectedRep,
+  displacement: trajectoryState.displacement,
+  lastRepTrajectory: trajectoryState.lastRepTrajectory,
+});
+
+export function trajectoryBasedRepLogic({ landmarks, config, prevState, utils, state, timestamp = Date.now(), isCountingAllowed = () => true }) {
+  const trajectory = config?.logicConfig?.trajectory || {};
+  const prev = prevState?.trajectoryLogic || INITIAL_TRAJECTORY_STATE;
+  const unchanged = () => ({
+    ...state,
+    trajectoryLogic: prev,
+    sides: { ...state?.sides, left: toSideState(prev) },
+  });
+
+  const position = resolveTrajectoryPoint(trajectory.point, landmarks);
+  if (!isCountingAllowed('left') || !position || !trajectory.minExcursion) {
+    return unchanged();
+  }
+
+  const now = timestamp;
+  const returnTolerance = trajectory.returnTolerance ?? DEFAULT_RETURN_TOLERANCE;
+  const restDistance = trajectory.minExcursion * returnTolerance;
+  let next = { ...prev };
+
+  if (prev.phase === 'rest') {
+    // The rest position and the body height follow the pose while resting
+    let measuredScale = 1;
+    if (trajectory.scale !== 'none') {
+      const [top, bottom] = BODY_HEIGHT_POINTS.map(point => resolveTrajectoryPoint(point, landmarks));
+      measuredScale = top && bottom ? utils.getDistance2D(top, bottom) : null;
+    }
+    const scale = measuredScale ? smooth(prev.scale, measuredScale) : prev.scale;
+    if (!scale) return unchanged();
+
+    const displacement = prev.rest ? getDisplacement(position, prev.rest, trajectory) / scale : 0;
+    if (prev.rest && displacement >= restDistance) {
+      next = { ...next, phase: 'outbound', repStartTime: now, peak: displacement, travel: 0, lastPosition: position, displacement };
+    } else if (prev.rest && displacement >= restDistance / 2) {
+      // Held in place while the point moves off, so a slow start can't drag the rest position along
+      next = { ...next, scale, displacement };
+    } else {
+      next = {
+        ...next,
+        rest: { x: smooth(prev.rest?.x ?? null, position.x), y: smooth(prev.rest?.y ?? null, position.y) },
+        scale,
+        displacement,
+      };
+    }
+  } else {
+    const displacement = getDisplacement(position, prev.rest, trajectory) / prev.scale;
+    const travel = prev.travel + utils.getDistance2D(prev.lastPosition, position) / prev.scale;
+    const peak = Math.max(prev.peak, displacement);
+    const durationMs = now - prev.repStartTime;
+    next = { ...next, peak, travel, lastPosition: position, displacement };
+
+    if (displacement < restDistance) {
+      // Back at rest: the attempt is over
+      const { minRepDurationMs = null, maxRepDurationMs = null } = trajectory;
+      let outcome = 'incomplete';
+      if (peak >= trajectory.minExcursion) {
+        if (minRepDurationMs !== null && durationMs < minRepDurationMs) {
+          outcome = 'rejected';
+          next.lastRejectedRep = { reason: 'too_fast', message: `too fast (${Math.round(durationMs)} ms < ${minRepDurationMs} ms)`, durationMs, timestamp: now };
+        } else if (maxRepDurationMs !== null && durationMs > maxRepDurationMs) {
+          outcome = 'rejected';
+          next.lastRejectedRep = { reason: 'too_slow', message: `too slow (${Math.round(durationMs)} ms > ${maxRepDurationMs} ms)`, durationMs, timestamp: now };
+        } else {
+          outcome = 'counted';
+          next.repCount += 1;
+          next.lastRejectedRep = null;
+        }
+        if (outcome === 'rejected') {
+          next.rejectedRepCount += 1;
+        }
+      } else if (peak >= trajectory.minExcursion * PARTIAL_REP_MIN_FRACTION) {
+        outcome = 'partial';
+        next.partialRepCount += 1;
+      }
+      next.lastRepTrajectory = { peak: round(peak), travel: round(travel), durationMs, outcome, timestamp: now };
+      next = { ...next, phase: 'rest', repStartTime: null, peak: 0, travel: 0, lastPosition: null };
+    } else if (durationMs > (trajectory.maxRepDurationMs ?? DEFAULT_MAX_EXCURSION_MS)) {
+      // Never came back (e.g. the person moved to a new spot): start over from here
+      next = { ...next, phase: 'rest', rest: position, repStartTime: null, peak: 0, travel: 0, lastPosition: null, displacement: 0 };
+    } else if (prev.phase === 'outbound' && peak >= trajectory.minExcursion && displacement <= peak - restDistance) {
+      next.phase = 'inbound';
+    }
+  }
+
+  return {
+    ...state,
+    trajectoryLogic: next,
+    sides: { ...state?.sides, left: toSideState(next) },
+  };
+}
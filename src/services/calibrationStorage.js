@@ -0,0 +1,67 @@
+const CALIBRATIONS_KEY = 'exerciseThresholdCalibrations';
+
+export const DEFAULT_CALIBRATION_PROFILE = 'Default';
+
+/**
+ * Loads all saved calibrations from localStorage.
+ * Shape: { [profile]: { [exerciseId]: { thresholds: { [angleId]: { minThreshold, maxThreshold } }, calibratedAt } } }
+ * @returns {object} Calibrations keyed by profile (empty object if none are stored).
+ */
+export function loadCalibrations() {
+  try {
+    const serializedCalibrations = localStorage.getItem(CALIBRATIONS_KEY);
+    return serializedCalibrations ? JSON.parse(serializedCalibrations) : {};
+  } catch (error) {
+    console.error('[calibrationStorage] Error loading calibrations from localStorage:', error);
+    return {};
+  }
+}
+
+function saveCalibrations(calibrations) {
+  try {
+    localStorage.setItem(CALIBRATIONS_KEY, JSON.stringify(calibrations));
+  } catch (error) {
+    console.error('[calibrationStorage] Error saving calibrations to localStorage:', error);
+  }
+}
+
+/**
+ * Loads one profile's calibrations.
+ * @param {string} profile Profile name.
+ * @returns {object} Calibrations keyed by exercise id.
+ */
+export function loadProfileCalibrations(profile) {
+  return loadCalibrations()[profile || DEFAULT_CALIBRATION_PROFILE] || {};
+}
+
+/**
+ * Saves an exercise's personal thresholds for a profile, replacing earlier ones.
+ * @param {string} profile Profile name.
+ * @param {string} exerciseId Exercise id.
+ * @param {object} thresholds { [angleId]: { minThreshold, maxThreshold } }.
+ * @returns {object} The profile's calibrations after saving, keyed by exercise id.
+ */
+export function saveExerciseCalibration(profile, exerciseId, thresholds) {
+  const calibrations = loadCalibrations();
+  const key = profile || DEFAULT_CALIBRATION_PROFILE;
+  const profileCalibrations = {
+    ...calibrations[key],
+    [exerciseId]: { thresholds, calibratedAt: Date.now() },
+  };
+  saveCalibrations({ ...calibrations, [key]: profileCalibrations });
+  return profileCalibrations;
+}
+
+/**
+ * Removes an exercise's personal thresholds for a profile (back to the exercise's own).
+ * @param {string} profile Profile name.
+ * @param {string} exerciseId Exercise id.
+ * @returns {object} The profile's calibrations after removing, keyed by exercise id.
+ */
+export function clearExerciseCalibration(profile, exerciseId) {
+  const calibrations = loadCalibrations();
+  const key = profile || DEFAULT_CALIBRATION_PROFILE;
+  const { [exerciseId]: removed, ...profileCalibrations } = calibrations[key] || {};
+  saveCalibrations({ ...calibrations, [key]: profileCalibrations });
+  return profileCalibrations;
+}
@@ -0,0 +1,65 @@
+/**
+ * Camera device discovery and the capture presets offered in the settings.
+ */
+
+// Requested as "ideal" constraints, so a camera that can't match them picks the closest mode
+export const CAMERA_RESOLUTIONS = {
+  '480p': { label: '480p', width: 640, height: 480 },
+  '720p': { label: '720p', width: 1280, height: 720 },
+  '1080p': { label: '1080p', width: 1920, height: 1080 },
+};
+
+export const CAMERA_FRAME_RATES = [15, 30, 60];
+
+export const DEFAULT_CAMERA_RESOLUTION = '720p';
+export const DEFAULT_CAMERA_FRAME_RATE = 30;
+
+/**
+ * Lists the available cameras. Labels are only filled in once the page has camera permission,
+ * so unlabeled cameras get a numbered placeholder.
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export const listCameras = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`,
+      }));
+  } catch (error) {
+    console.warn('[cameraDevices] Could not list cameras:', error);
+    return [];
+  }
+};
+
+/**
+ * Turns the camera settings into setupCamera options.
+ * @param {Object} settings App settings ({ cameraDeviceId, cameraResolution, cameraFrameRate }).
+ * @returns {{ deviceId: string|null, width: number, height: number, frameRate: number }}
+ */
+export const resolveCameraOptions = ({ cameraDeviceId = null, cameraResolution, cameraFrameRate }) => {
+  const resolution = CAMERA_RESOLUTIONS[cameraResolution] || CAMERA_RESOLUTIONS[DEFAULT_CAMERA_RESOLUTION];
+  return {
+    deviceId: cameraDeviceId || null,
+    width: resolution.width,
+    height: resolution.height,
+    frameRate: Number(cameraFrameRate) || DEFAULT_CAMERA_FRAME_RATE,
+  };
+};
+
+/**
+ * Describes what a camera stream actually delivers (may differ from what was requested).
+ * @param {MediaStream} stream The camera stream.
+ * @returns {{ deviceId: string|null, label: string, width: number, height: number, frameRate: number }|null}
+ */
+export const describeCameraStream = (stream) => {
+  const track = stream?.getVideoTracks()[0];
+  if (!track) return null;
+  const { deviceId = null, width, height, frameRate } = track.getSettings();
+  return { deviceId, label: track.label, width, height, frameRate: frameRate ? Math.round(frameRate) : null };
+};
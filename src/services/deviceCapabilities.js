@@ -0,0 +1,44 @@
+import { FilesetResolver } from '@mediapipe/tasks-vision';
+
+/**
+ * Checks whether a WebGL2 context can be created.
+ * The GPU delegate needs WebGL2, so a missing context usually explains a CPU fallback.
+ * @returns {boolean} True if WebGL2 is available.
+ */
+export const isWebGL2Supported = () => {
+  try {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return !!new OffscreenCanvas(1, 1).getContext('webgl2');
+    }
+    if (typeof document !== 'undefined') {
+      return !!document.createElement('canvas').getContext('webgl2');
+    }
+  } catch (error) {
+    console.warn('[deviceCapabilities] WebGL2 check failed:', error);
+  }
+  return false;
+};
+
+/**
+ * Checks whether the browser supports WebAssembly SIMD.
+ * Without SIMD MediaPipe loads its slower "nosimd" WASM build.
+ * @returns {Promise<boolean>} True if WASM SIMD is available.
+ */
+export const isWasmSimdSupported = async () => {
+  try {
+    return await FilesetResolver.isSimdSupported();
+  } catch (error) {
+    console.warn('[deviceCapabilities] WASM SIMD check failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Collects the device capabilities relevant to pose tracking performance.
+ * @returns {Promise<{ webgl2: boolean, wasmSimd: boolean, hardwareConcurrency: number|null }>}
+ */
+export const detectCapabilities = async () => ({
+  webgl2: isWebGL2Supported(),
+  wasmSimd: await isWasmSimdSupported(),
+  hardwareConcurrency: typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || null : null,
+});
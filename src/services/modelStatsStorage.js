@@ -0,0 +1,53 @@
+const MODEL_STATS_KEY = 'mediapipeWebModelStats';
+
+/**
+ * Loads the per-model performance stats from localStorage.
+ * Shape: { [modelVariant]: { samples, avgFps, avgInferenceTime, delegate, updatedAt } }
+ * @returns {object} Stats keyed by model variant (empty object if none are stored).
+ */
+export function loadModelStats() {
+  try {
+    const serializedStats = localStorage.getItem(MODEL_STATS_KEY);
+    return serializedStats ? JSON.parse(serializedStats) : {};
+  } catch (error) {
+    console.error('[modelStatsStorage] Error loading model stats from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Saves the per-model performance stats to localStorage.
+ * @param {object} stats Stats keyed by model variant.
+ */
+export function saveModelStats(stats) {
+  try {
+    localStorage.setItem(MODEL_STATS_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.error('[modelStatsStorage] Error saving model stats to localStorage:', error);
+  }
+}
+
+/**
+ * Folds one FPS / inference measurement into a model's running averages.
+ * @param {object|undefined} entry Existing stats for the model.
+ * @param {number} fps Averaged FPS reported by updateStats.
+ * @param {number} inferenceTime Averaged inference time (ms) reported by updateStats.
+ * @param {string|null} delegate Delegate the model is running on.
+ * @returns {object} The updated stats entry.
+ */
+export function accumulateModelStats(entry, fps, inferenceTime, delegate) {
+  // A model measured on a different delegate is effectively a different setup, so start over
+  const previous = entry && entry.delegate === delegate ? entry : null;
+  if (!previous) {
+    return { samples: 1, avgFps: fps, avgInferenceTime: inferenceTime, delegate, updatedAt: Date.now() };
+  }
+
+  const samples = previous.samples + 1;
+  return {
+    samples,
+    avgFps: previous.avgFps + (fps - previous.avgFps) / samples,
+    avgInferenceTime: previous.avgInferenceTime + (inferenceTime - previous.avgInferenceTime) / samples,
+    delegate,
+    updatedAt: Date.now(),
+  };
+}
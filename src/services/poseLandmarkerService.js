@@ -0,0 +1,146 @@
+import { FilesetResolver, PoseLandmarker } from '@mediapipe/tasks-vision';
+import config from '../config';
+import { detectCapabilities } from './deviceCapabilities';
+
+/**
+ * Checks whether a static asset is actually being served.
+ * The dev server answers unknown paths with index.html, so an HTML response
+ * is treated as "missing" rather than trusting the status code alone.
+ * @param {string} url The asset URL to probe.
+ * @returns {Promise<boolean>} True if the asset exists.
+ */
+const assetExists = async (url) => {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    const contentType = response.headers.get('content-type') || '';
+    return response.ok && !contentType.includes('text/html');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Picks the local copy of an asset if it is available, otherwise the remote copy
+ * (only when remote fallback is allowed).
+ * @param {object} asset Asset entry from config.mediapipe ({ localPath, remotePath }).
+ * @param {string} probeUrl URL used to check whether the local copy exists.
+ * @param {string} label Human readable asset name for logs and errors.
+ * @returns {Promise<{ path: string, source: 'local'|'remote' }>}
+ */
+export const resolveAsset = async (asset, probeUrl, label) => {
+  if (asset.localPath && await assetExists(probeUrl)) {
+    return { path: asset.localPath, source: 'local' };
+  }
+  if (config.mediapipe.allowRemoteFallback && asset.remotePath) {
+    console.warn(`[poseLandmarkerService] Local ${label} not found, falling back to ${asset.remotePath}`);
+    return { path: asset.remotePath, source: 'remote' };
+  }
+  throw new Error(`Local ${label} not found at ${asset.localPath} and remote fallback is disabled. Run "npm run setup:assets" to bundle it.`);
+};
+
+/**
+ * Builds the PoseLandmarker options from config.pose.
+ * @param {string} modelAssetPath Resolved model path.
+ * @param {string} delegate 'GPU' or 'CPU'.
+ * @param {number} [numPoses] Maximum number of people to detect.
+ * @returns {object} Options for PoseLandmarker.createFromOptions.
+ */
+export const buildLandmarkerOptions = (modelAssetPath, delegate, numPoses = config.pose.numPoses) => {
+  const { pose } = config;
+  return {
+    baseOptions: {
+      modelAssetPath,
+      delegate,
+    },
+    runningMode: pose.runningMode,
+    numPoses,
+    minPoseDetectionConfidence: pose.minPoseDetectionConfidence,
+    minPosePresenceConfidence: pose.minPosePresenceConfidence,
+    minTrackingConfidence: pose.minTrackingConfidence,
+    outputSegmentationMasks: pose.outputSegmentationMasks,
+  };
+};
+
+/**
+ * Returns the delegates to try, in order. A GPU request always falls back to CPU
+ * because GPU initialisation fails on machines without usable WebGL2.
+ * @param {string} delegate The preferred delegate.
+ * @returns {Array<string>} Delegates to try.
+ */
+export const getDelegateCandidates = (delegate) => (delegate === 'GPU' ? ['GPU', 'CPU'] : [delegate]);
+
+/**
+ * Resolves the WASM fileset and model file for a model variant (local copy first, CDN as fallback).
+ * @param {string} modelVariant Key of config.mediapipe.models ('lite', 'full' or 'heavy').
+ * @returns {Promise<{ wasmAsset: object, modelAsset: object }>} Resolved { path, source } for each.
+ */
+export const resolvePoseAssets = async (modelVariant) => {
+  const { wasm, models } = config.mediapipe;
+  const model = models[modelVariant];
+  if (!model) {
+    throw new Error(`Unknown pose model "${modelVariant}". Expected one of: ${Object.keys(models).join(', ')}`);
+  }
+  const wasmAsset = await resolveAsset(wasm, `${wasm.localPath}/vision_wasm_internal.wasm`, 'MediaPipe WASM');
+  const modelAsset = await resolveAsset(model, model.localPath, `${modelVariant} pose model`);
+  return { wasmAsset, modelAsset };
+};
+
+/**
+ * Creates a PoseLandmarker using the settings in src/config.js.
+ * WASM and model files are loaded from the app's own /public folder first;
+ * the pinned CDN URLs are only used as a fallback. If the GPU delegate fails
+ * the landmarker is created again on the CPU delegate.
+ * @param {string} [modelVariant] Key of config.mediapipe.models ('lite', 'full' or 'heavy').
+ * @param {Object} [options]
+ * @param {number} [options.numPoses] Maximum number of people to detect (defaults to config.pose.numPoses).
+ * @returns {Promise<{ poseLandmarker: PoseLandmarker, info: object }>}
+ * The landmarker plus diagnostics: active delegate, asset sources, device
+ * capabilities and model load time.
+ */
+export const createPoseLandmarker = async (modelVariant = config.mediapipe.defaultModel, { numPoses = config.pose.numPoses } = {}) => {
+  const { delegate } = config.mediapipe;
+  const capabilities = await detectCapabilities();
+  const { wasmAsset, modelAsset } = await resolvePoseAssets(modelVariant);
+
+  const vision = await FilesetResolver.forVisionTasks(wasmAsset.path);
+  if (!vision) {
+    throw new Error('Failed to initialize FilesetResolver');
+  }
+  console.log(`[poseLandmarkerService] FilesetResolver initialized from ${wasmAsset.source} WASM`);
+
+  let lastError = null;
+  let fallbackReason = null;
+  for (const candidate of getDelegateCandidates(delegate)) {
+    const loadStart = performance.now();
+    try {
+      const poseLandmarker = await PoseLandmarker.createFromOptions(
+        vision,
+        buildLandmarkerOptions(modelAsset.path, candidate, numPoses)
+      );
+      const modelLoadTimeMs = performance.now() - loadStart;
+      console.log(`[poseLandmarkerService] PoseLandmarker created (${modelAsset.source} ${modelVariant} model, ${candidate} delegate) in ${Math.round(modelLoadTimeMs)}ms`);
+
+      return {
+        poseLandmarker,
+        info: {
+          modelVariant,
+          numPoses,
+          delegate: candidate,
+          requestedDelegate: delegate,
+          fallbackReason,
+          wasmSource: wasmAsset.source,
+          modelSource: modelAsset.source,
+          version: config.mediapipe.version,
+          modelLoadTimeMs,
+          ...capabilities,
+        },
+      };
+    } catch (error) {
+      console.warn(`[poseLandmarkerService] ${candidate} delegate failed:`, error);
+      lastError = error;
+      fallbackReason = `${candidate} delegate failed: ${error.message}`;
+    }
+  }
+
+  throw lastError;
+};
@@ -0,0 +1,4 @@
+// Export all PoseSource implementations (see src/types/poseTypes.js for the interface)
+
+export { createWebcamPoseSource, createVideoFilePoseSource } from './videoPoseSources';
+export { createRecordedPoseSource } from './recordedPoseSource';
@@ -0,0 +1,52 @@
+/**
+ * PoseSource that replays a recorded landmark stream.
+ * Has no browser dependencies, so it is also used by the headless runner
+ * (scripts/process-recording.mjs).
+ */
+
+/**
+ * Creates a PoseSource from a recording.
+ * readFrame() without a timestamp returns the next frame immediately (as fast as possible,
+ * for headless runs). With a timestamp the recording is replayed in real time relative to
+ * the first call, returning the latest frame that is due.
+ * @param {import('../../types/poseTypes.js').PoseRecording|Array<import('../../types/poseTypes.js').PoseFrame>} recording
+ * @returns {import('../../types/poseTypes.js').PoseSource}
+ */
+export const createRecordedPoseSource = (recording) => {
+  const frames = Array.isArray(recording) ? recording : recording?.frames;
+  if (!Array.isArray(frames)) {
+    throw new Error('Recording must be an array of frames or an object with a "frames" array');
+  }
+
+  let index = 0;
+  let playbackOffset = null;
+
+  return {
+    type: 'recorded',
+
+    start: async () => {
+      index = 0;
+      playbackOffset = null;
+    },
+
+    readFrame: (timestamp) => {
+      if (index >= frames.length) return null;
+      if (timestamp === undefined) return frames[index++];
+
+      if (playbackOffset === null) {
+        playbackOffset = timestamp - frames[0].timestamp;
+      }
+      let frame = null;
+      while (index < frames.length && frames[index].timestamp + playbackOffset <= timestamp) {
+        frame = frames[index++];
+      }
+      return frame;
+    },
+
+    stop: () => {
+      index = frames.length;
+    },
+
+    isFinished: () => index >= frames.length,
+  };
+};
@@ -0,0 +1,174 @@
+import { setupCamera, waitForVideoReady } from '../../components/VideoCanvas';
+import { describeCameraStream } from '../cameraDevices';
+
+/**
+ * Converts a PoseLandmarker / worker result into a PoseFrame.
+ * @param {Object} results Detection results.
+ * @param {number} timestamp Frame timestamp in ms.
+ * @param {Object} timing { inferenceTime, roundTripTime }.
+ * @returns {import('../../types/poseTypes').PoseFrame}
+ */
+const toPoseFrame = (results, timestamp, timing) => ({
+  timestamp,
+  landmarks: results.landmarks && results.landmarks.length > 0 ? results.landmarks[0] : null,
+  worldLandmarks: results.worldLandmarks && results.worldLandmarks.length > 0 ? results.worldLandmarks[0] : null,
+  poses: results.landmarks || [],
+  worldPoses: results.worldLandmarks || [],
+  ...timing,
+});
+
+/**
+ * Shared PoseSource implementation for anything played through a <video> element.
+ * Frames are produced by running the current PoseLandmarker on the element. The landmarker may
+ * also be the asynchronous worker client (services/poseWorkerClient), in which case frames are
+ * submitted to the worker and its results returned on a later readFrame call.
+ * @param {Object} options
+ * @param {'webcam'|'file'} options.type Source kind.
+ * @param {HTMLVideoElement} options.videoElement Element the input is attached to.
+ * @param {Function} options.getLandmarker () => PoseLandmarker|worker client|null. Read every frame so the model can be hot-swapped.
+ * @param {Function} options.attach async () => void. Attaches the input to the element.
+ * @param {Function} options.release () => void. Detaches and releases the input.
+ * @param {boolean} [options.skipRepeatedFrames=false] Only run detection when the video shows a new frame.
+ * @returns {import('../../types/poseTypes').PoseSource}
+ */
+const createVideoPoseSource = ({ type, videoElement, getLandmarker, attach, release, skipRepeatedFrames = false }) => {
+  let lastVideoTime = -1;
+
+  return {
+    type,
+
+    start: async () => {
+      lastVideoTime = -1;
+      await attach();
+    },
+
+    readFrame: (timestamp) => {
+      const landmarker = getLandmarker();
+      if (!landmarker || videoElement.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+        return null;
+      }
+      // A paused or ended video keeps its last result instead of re-processing the same frame
+      const isNewVideoFrame = !skipRepeatedFrames || videoElement.currentTime !== lastVideoTime;
+
+      if (landmarker.isAsync) {
+        // Worker inference: keep one frame in flight and hand back whatever has completed
+        if (isNewVideoFrame && landmarker.isIdle()) {
+          lastVideoTime = videoElement.currentTime;
+          landmarker.submit(videoElement, timestamp);
+        }
+        const result = landmarker.takeResult();
+        return result
+          ? toPoseFrame(result, result.timestamp, { inferenceTime: result.inferenceTime, roundTripTime: result.roundTripTime })
+          : null;
+      }
+
+      if (!isNewVideoFrame) return null;
+      lastVideoTime = videoElement.currentTime;
+
+      const startTime = performance.now();
+      const results = landmarker.detectForVideo(videoElement, timestamp);
+      return toPoseFrame(results, timestamp, { inferenceTime: performance.now() - startTime });
+    },
+
+    stop: release,
+  };
+};
+
+/**
+ * Opens the requested camera. A saved camera that is no longer connected falls back to the
+ * default camera instead of failing.
+ * @param {Object} cameraOptions setupCamera options.
+ * @returns {Promise<MediaStream>}
+ */
+const openCamera = async (cameraOptions) => {
+  try {
+    return await setupCamera(cameraOptions);
+  } catch (error) {
+    if (!cameraOptions.deviceId || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+      throw error;
+    }
+    console.warn(`[poseSources] Camera ${cameraOptions.deviceId} is not available, using the default camera`);
+    return setupCamera({ ...cameraOptions, deviceId: null });
+  }
+};
+
+/**
+ * Creates a PoseSource for the live webcam.
+ * @param {Object} options
+ * @param {HTMLVideoElement} options.videoElement Element the camera stream is attached to.
+ * @param {Function} options.getLandmarker () => PoseLandmarker|null.
+ * @param {Object} [options.cameraOptions] setupCamera options ({ deviceId, width, height, frameRate }).
+ * @param {Function} [options.onEnded] Called when the camera stops delivering (e.g. it was unplugged).
+ * @returns {import('../../types/poseTypes').PoseSource} With an extra getCameraInfo() describing
+ *   the camera and the resolution / frame rate it actually delivers.
+ */
+export const createWebcamPoseSource = ({ videoElement, getLandmarker, cameraOptions = {}, onEnded = null }) => {
+  let stream = null;
+
+  const source = createVideoPoseSource({
+    type: 'webcam',
+    videoElement,
+    getLandmarker,
+    attach: async () => {
+      const ready = waitForVideoReady(videoElement);
+      stream = await openCamera(cameraOptions);
+      videoElement.srcObject = stream;
+      const [track] = stream.getVideoTracks();
+      if (track && onEnded) {
+        track.onended = onEnded;
+      }
+      console.log('[poseSources] Webcam access successful', describeCameraStream(stream));
+      await ready;
+    },
+    release: () => {
+      if (stream) {
+        // Detach onended first so a deliberate stop isn't reported as the camera going away
+        stream.getTracks().forEach(track => {
+          track.onended = null;
+          track.stop();
+        });
+        stream = null;
+      }
+      if (videoElement.srcObject) {
+        videoElement.srcObject = null;
+      }
+    },
+  });
+
+  return { ...source, getCameraInfo: () => describeCameraStream(stream) };
+};
+
+/**
+ * Creates a PoseSource for a recorded mp4/webm file picked from disk.
+ * @param {Object} options
+ * @param {HTMLVideoElement} options.videoElement Element the file is played through.
+ * @param {File} options.file The video file.
+ * @param {Function} options.getLandmarker () => PoseLandmarker|null.
+ * @returns {import('../../types/poseTypes').PoseSource}
+ */
+export const createVideoFilePoseSource = ({ videoElement, file, getLandmarker }) => {
+  let objectUrl = null;
+
+  return createVideoPoseSource({
+    type: 'file',
+    videoElement,
+    getLandmarker,
+    skipRepeatedFrames: true,
+    attach: async () => {
+      const ready = waitForVideoReady(videoElement);
+      objectUrl = URL.createObjectURL(file);
+      videoElement.loop = false;
+      videoElement.src = objectUrl;
+      console.log(`[poseSources] Loading video file ${file.name}`);
+      await ready;
+    },
+    release: () => {
+      if (!objectUrl) return;
+      videoElement.pause();
+      videoElement.removeAttribute('src');
+      videoElement.load();
+      URL.revokeObjectURL(objectUrl);
+      objectUrl = null;
+    },
+  });
+};
@@ -0,0 +1,162 @@
+import config from '../config';
+import { resolveAsset, resolvePoseAssets, buildLandmarkerOptions, getDelegateCandidates } from './poseLandmarkerService';
+import { detectCapabilities } from './deviceCapabilities';
+
+/**
+ * Main-thread side of the pose inference worker (src/workers/poseWorker.js).
+ *
+ * The client is asynchronous: submit() sends a frame and the result is collected later with
+ * takeResult(). Only one frame is in flight at a time, so a slow model drops frames instead of
+ * building up a queue.
+ */
+
+/**
+ * Checks whether inference can run in a worker: Worker for the thread, OffscreenCanvas for the
+ * GPU delegate and createImageBitmap to transfer video frames.
+ * @returns {boolean} True if worker inference is supported.
+ */
+export const isWorkerInferenceSupported = () => (
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function'
+);
+
+// The worker resolves relative URLs against its own script location, so send absolute ones
+const toAbsoluteUrl = (path) => new URL(path, window.location.href).href;
+
+/**
+ * Starts the pose worker and loads a model in it. Assets and options are resolved here, on the
+ * main thread, with the same rules as createPoseLandmarker.
+ * @param {string} modelVariant Key of config.mediapipe.models.
+ * @param {Object} [options]
+ * @param {number} [options.numPoses] Maximum number of people to detect (defaults to config.pose.numPoses).
+ * @returns {Promise<{ poseLandmarker: Object, info: object }>} The worker client (used in place of a
+ * PoseLandmarker by the pose sources) plus the same diagnostics createPoseLandmarker returns.
+ */
+export const createWorkerPoseLandmarker = async (modelVariant, { numPoses = config.pose.numPoses } = {}) => {
+  const { delegate, workerBundle } = config.mediapipe;
+  const capabilities = await detectCapabilities();
+  const { wasmAsset, modelAsset } = await resolvePoseAssets(modelVariant);
+  const bundleAsset = await resolveAsset(workerBundle, workerBundle.localPath, 'worker bundle');
+  const modelPath = toAbsoluteUrl(modelAsset.path);
+
+  const ready = await startWorker({
+    type: 'init',
+    bundlePath: toAbsoluteUrl(bundleAsset.path),
+    wasmPath: toAbsoluteUrl(wasmAsset.path),
+    candidates: getDelegateCandidates(delegate).map(candidate => ({
+      delegate: candidate,
+      options: buildLandmarkerOptions(modelPath, candidate, numPoses),
+    })),
+  });
+  console.log(`[poseWorkerClient] PoseLandmarker created in worker (${modelAsset.source} ${modelVariant} model, ${ready.delegate} delegate) in ${Math.round(ready.modelLoadTimeMs)}ms`);
+
+  return {
+    poseLandmarker: ready.client,
+    info: {
+      modelVariant,
+      numPoses,
+      delegate: ready.delegate,
+      requestedDelegate: delegate,
+      fallbackReason: ready.fallbackReason,
+      wasmSource: wasmAsset.source,
+      modelSource: modelAsset.source,
+      version: config.mediapipe.version,
+      modelLoadTimeMs: ready.modelLoadTimeMs,
+      inferenceThread: 'worker',
+      ...capabilities,
+    },
+  };
+};
+
+/**
+ * Spawns the worker and sends the init message.
+ * @param {object} initMessage The 'init' message for the worker.
+ * @returns {Promise<{ client: Object, delegate: string, fallbackReason: string|null, modelLoadTimeMs: number }>}
+ */
+const startWorker = (initMessage) => new Promise((resolve, reject) => {
+  // Classic worker on purpose: MediaPipe loads its WASM glue with importScripts
+  const worker = new Worker(new URL('../workers/poseWorker.js', import.meta.url));
+  let isReady = false;
+  let pending = false;
+  let submittedAt = 0;
+  let latestResult = null;
+
+  const client = {
+    isAsync: true,
+
+    isIdle: () => !pending,
+
+    /**
+     * Grabs the current video frame as an ImageBitmap and transfers it to the worker.
+     * @param {HTMLVideoElement} video Video element to read the frame from.
+     * @param {number} timestamp Frame timestamp in ms (must increase monotonically).
+     */
+    submit: async (video, timestamp) => {
+      pending = true;
+      submittedAt = performance.now();
+      try {
+        const frame = await createImageBitmap(video);
+        worker.postMessage({ type: 'detect', frame, timestamp }, [frame]);
+      } catch (error) {
+        console.warn('[poseWorkerClient] Could not capture video frame:', error);
+        pending = false;
+      }
+    },
+
+    /**
+     * Returns the newest completed result (once), or null if none arrived since the last call.
+     * @returns {{ timestamp: number, landmarks: Array, worldLandmarks: Array, inferenceTime: number, roundTripTime: number }|null}
+     */
+    takeResult: () => {
+      const result = latestResult;
+      latestResult = null;
+      return result;
+    },
+
+    close: () => {
+      worker.terminate();
+    },
+  };
+
+  worker.onmessage = ({ data }) => {
+    switch (data.type) {
+      case 'ready':
+        isReady = true;
+        resolve({ client, delegate: data.delegate, fallbackReason: data.fallbackReason, modelLoadTimeMs: data.modelLoadTimeMs });
+        break;
+      case 'result': {
+        pending = false;
+        const roundTripTime = performance.now() - submittedAt;
+        latestResult = { ...data, roundTripTime };
+        // Reported as a measure so FpsCounter's PerformanceObserver sees the worker's own inference time
+        performance.measure?.('detectForVideo (worker)', { start: submittedAt, duration: data.inferenceTime });
+        break;
+      }
+      case 'error':
+        if (data.stage === 'init') {
+          worker.terminate();
+          reject(new Error(data.message));
+        } else {
+          pending = false;
+          console.warn('[poseWorkerClient] Detection failed in worker:', data.message);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  worker.onerror = (event) => {
+    console.error('[poseWorkerClient] Pose worker error:', event.message || event);
+    if (!isReady) {
+      worker.terminate();
+      reject(new Error(event.message || 'Pose worker failed to start'));
+    } else {
+      // The frame in flight won't get a result; without this isIdle() would never be true again
+      pending = false;
+    }
+  };
+
+  worker.postMessage(initMessage);
+});
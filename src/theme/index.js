@@ -4,6 +4,10 @@ import { createTheme } from '@mantine/core';
 export const LIGHT_TEXT_COLOR = '#ffffff';
 export const DARK_TEXT_COLOR = '#212529'; // Mantine default dark text
 
+// Skeleton / race view colors for tracked people (multi-person mode), picked by person id
+export const PERSON_COLORS = ['#45a29e', '#ff9f1c', '#c77dff', '#4cc9f0', '#f15bb5', '#9ef01a'];
+export const getPersonColor = (personId) => PERSON_COLORS[(personId - 1) % PERSON_COLORS.length];
+
 // Create 10-shade palettes for primary and secondary colors
 const themeColors = {
   primary: [
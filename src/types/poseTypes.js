@@ -0,0 +1,294 @@
+/**
+ * Pose Pipeline Type Definitions
+ *
+ * This file contains type definitions for pose sources and the framework-free
+ * processing core (src/logic/poseProcessor.js).
+ */
+
+/**
+ * @typedef {Object} Landmark
+ * @property {number} x - Normalized horizontal position (0-1)
+ * @property {number} y - Normalized vertical position (0-1)
+ * @property {number} z - Depth relative to the hips
+ * @property {number} [visibility] - Likelihood the landmark is visible (0-1)
+ */
+
+/**
+ * @typedef {Object} PoseFrame
+ * @property {number} timestamp - Frame time in milliseconds (monotonic within a source)
+ * @property {Array<Landmark>|null} landmarks - The 33 pose landmarks, or null when no person was detected
+ * @property {Array<Landmark>|null} [worldLandmarks] - 3D landmarks in meters (origin between the hips) for the
+ *   same person as landmarks. Needed for angles with mode: '3d'
+ * @property {Array<Array<Landmark>>} [poses] - Every detected pose when more than one person is tracked
+ *   (landmarks is the first of them). Recordings without it are treated as single-person.
+ * @property {Array<Array<Landmark>>} [worldPoses] - worldLandmarks of every detected pose, in the same order as poses
+ * @property {number} [inferenceTime] - Time spent in the model for this frame (ms), live sources only
+ * @property {number} [roundTripTime] - Frame capture to result time (ms) when inference runs in the worker
+ */
+
+/**
+ * @typedef {Object} PoseSource
+ * Anything that can produce pose frames: the live webcam, a video file, or a recorded landmark stream.
+ * @property {'webcam'|'file'|'recorded'} type - Source kind
+ * @property {Function} start - async () => void. Acquires the underlying input (camera, file, recording)
+ * @property {Function} readFrame - (timestamp: number) => PoseFrame|null. Returns a new frame, or null
+ *   when nothing new is available yet (e.g. a paused video or a model that is still loading)
+ * @property {Function} stop - () => void. Releases the underlying input
+ * @property {Function} [isFinished] - () => boolean. True once a finite source has no frames left
+ */
+
+/**
+ * @typedef {Object} PoseRecording
+ * A recorded landmark stream that can be replayed with createRecordedPoseSource.
+ * @property {number} [version] - Format version (currently 1)
+ * @property {string} [exerciseId] - Exercise the recording was made for
+ * @property {Array<PoseFrame>} frames - Frames in timestamp order
+ */
+
+/**
+ * @typedef {Object} ProcessedFrame
+ * Output of poseProcessor.processFrame.
+ * @property {number} timestamp - Frame time in milliseconds
+ * @property {Array<Landmark>|null} landmarks - Filtered landmarks of the frame (see logic/landmarkFilters)
+ * @property {Array<Landmark>|null} rawLandmarks - Landmarks as received from the source
+ * @property {Array<Landmark>|null} worldLandmarks - Filtered world landmarks of the frame, if the source provides them
+ * @property {Object<string, number|null>} angles - Tracked angles by angle id from the filtered landmarks, in each angle's mode
+ * @property {Object<string, number|null>} rawAngles - Tracked angles by angle id from the unfiltered landmarks
+ * @property {Object<string, number|null>} angles2D - 2D (image plane) angles by angle id
+ * @property {Object<string, number|null>} angles3D - 3D angles from worldLandmarks by angle id (null without them)
+ * @property {Object<string, PositionMetric>} positions - Position metrics by position id (position-based exercises only)
+ * @property {'idle'|'stabilizing'|'stable'|'unstable'} stabilityState - Stationary landmark state
+ * @property {TrackingState} trackingState - Start position / pause state (logic/trackingStateMachine)
+ * @property {Object<string, {x: number, y: number}>} averageStationaryLandmarks - Averaged stationary landmark positions
+ * @property {RepState} repState - Output of the exercise's rep pipeline (logic/repStateEngine); each repEvent also carries
+ *   formViolations, the form checks violated during that rep (Array<RepFormViolation>)
+ * @property {FormCheckState} formCheckState - Form check violations (logic/formChecks)
+ * @property {ExerciseRecognition|null} recognition - Which exercise the movement looks like (null unless
+ *   settings.enableExerciseRecognition is on)
+ */
+
+/**
+ * @typedef {Object} ExerciseRecognition
+ * Output of logic/exerciseRecognition, re-evaluated every 500 ms over the last 5 seconds of movement.
+ * @property {Array<{exerciseId: string, score: number}>} scores - Every recognizable exercise, best match first (0..1)
+ * @property {{exerciseId: string, score: number}|null} bestMatch - The exercise the movement looks like (null below the match score)
+ * @property {number|null} selectedScore - Score of the selected exercise (null when it isn't recognizable)
+ * @property {boolean} isMismatch - The movement has looked like another exercise than the selected one for 2 seconds
+ * @property {boolean} isStill - Hardly any joint motion (only hold exercises can match)
+ */
+
+/**
+ * @typedef {Object} StartRequirement
+ * One startPosition.requiredAngles / requiredPositions entry checked against the current pose.
+ * @property {string} id - Requirement id from the exercise config
+ * @property {'angle'|'position'} type - Which list it comes from
+ * @property {number|null} value - Current angle in degrees or distance (null when landmarks are missing)
+ * @property {string} target - Human-readable target, e.g. "170° ± 15°"
+ * @property {boolean} isMet - The requirement is currently met
+ */
+
+/**
+ * @typedef {Object} TrackingState
+ * Output of trackingStateMachine.update for one frame.
+ * @property {'IDLE'|'READY'|'ACTIVE'|'PAUSED'} state - Reps only count in READY and ACTIVE
+ * @property {Array<StartRequirement>} requirements - Start position requirements (empty when not required)
+ * @property {boolean} isInStartPosition - All requirements are met
+ * @property {number} holdProgress - 0..1 progress of holding the start position (IDLE only)
+ * @property {Array<string>} missingLandmarks - Tracked landmarks that are not detected or not visible enough
+ */
+
+/**
+ * @typedef {Object} PositionMetric
+ * A positionsToTrack entry evaluated on one frame (logic/positionMetrics).
+ * @property {string} id - Position id
+ * @property {number|null} distance - 2D distance between the two points (null when a point is missing)
+ * @property {number|null} vertical - points[1].y - points[0].y (negative: second point is higher)
+ * @property {Object<string, boolean>} checks - Result per configured condition (minDistance, maxDistance, minVertical, maxVertical)
+ * @property {boolean} isMet - All configured conditions are met
+ */
+
+/**
+ * @typedef {Object} RepSideState
+ * What a pipeline step reports for one side in state.sides.
+ * @property {string} phase - Current phase (e.g. 'relaxed', 'concentric', 'peak', 'eccentric')
+ * @property {Array<string>} phases - All phases of the logic, in order (for display)
+ * @property {number} repCount - Reps counted on this side
+ * @property {number} [rejectedRepCount] - Completed reps that were not counted (e.g. outside the rep duration limits)
+ * @property {RejectedRep|null} [lastRejectedRep] - Most recent rejection, cleared by the next counted rep
+ * @property {RepTempo|null} [lastRepTempo] - Phase durations of the last counted rep
+ * @property {number} [offTempoRepCount] - Counted reps that missed the prescribed tempo
+ * @property {number} [partialRepCount] - Attempts that crossed the midpoint of the range but not the peak (not counted as reps)
+ * @property {RepRom|null} [lastRepRom] - Range of motion of the last rep attempt
+ * @property {number} [outOfOrderRepCount] - Alternating exercises: reps counted on this side out of turn
+ * @property {{expectedSide: string, bilateral?: boolean, timestamp: number}|null} [lastOutOfOrderRep] - Alternating exercises: the side's last rep was out of turn,
+ *   or done together with the other side's (bilateral) (cleared by its next in-order rep)
+ * @property {boolean} [isInPosition] - Hold exercises: the hold criteria are met on this frame
+ * @property {number} [holdMs] - Hold exercises: valid hold time so far (pauses while out of position)
+ * @property {number} [currentHoldMs] - Hold exercises: length of the current unbroken hold
+ * @property {number} [longestHoldMs] - Hold exercises: longest unbroken hold
+ * @property {number} [holdBreakCount] - Hold exercises: times the position was lost for longer than the break tolerance
+ * @property {number} [displacement] - Trajectory exercises: how far the tracked point is from its rest position, in body heights (or image units)
+ * @property {RepTrajectory|null} [lastRepTrajectory] - Trajectory exercises: path of the last rep attempt
+ */
+
+/**
+ * @typedef {Object} RepTrajectory
+ * Path of a rep attempt of a trajectory exercise (logic/trajectoryBasedRepLogic), from leaving rest to returning to it.
+ * @property {number} peak - Farthest displacement from the rest position, in body heights (or image units with scale 'none')
+ * @property {number} travel - Length of the path the point travelled, in the same unit
+ * @property {number} durationMs - Time from leaving rest to returning to it
+ * @property {'counted'|'rejected'|'partial'|'incomplete'} outcome - Counted rep, rejected rep, partial rep, or an attempt short of half the excursion
+ * @property {number} timestamp - Frame time the attempt ended
+ */
+
+/**
+ * @typedef {Object} RepRom
+ * How far a rep attempt got, from leaving relaxed to returning to it (logic/angleBasedRepLogic).
+ * @property {number|null} extremeAngle - Angle closest to the peak reached, in degrees
+ * @property {number} romPercent - 0..100, of the range between the relaxed and the peak threshold
+ * @property {'counted'|'rejected'|'partial'|'incomplete'} outcome - Counted rep, rejected rep, partial rep, or an attempt short of the midpoint
+ * @property {number} timestamp - Frame time the attempt ended
+ */
+
+/**
+ * @typedef {Object} RepTempo
+ * How long a counted rep spent in each phase (logic/tempo).
+ * @property {number} concentric - Milliseconds in the concentric phase
+ * @property {number} peak - Milliseconds at the peak
+ * @property {number} eccentric - Milliseconds in the eccentric phase
+ * @property {number} totalMs - Whole rep, from leaving relaxed to returning to it
+ * @property {string|null} target - Prescribed tempo (e.g. "3-1-2"), or null without one
+ * @property {boolean|null} isOnTempo - Every prescribed phase was within tolerance (null without a prescription)
+ * @property {Array<{phase: string, actualMs: number, targetMs: number, direction: 'fast'|'slow'}>} misses - Phases off tempo
+ * @property {number} timestamp - Frame time the rep was counted
+ */
+
+/**
+ * @typedef {Object} RejectedRep
+ * A completed rep that a pipeline step did not count.
+ * @property {string} reason - Machine-readable reason (e.g. 'too_fast', 'too_slow')
+ * @property {string} message - Human-readable reason, e.g. "too fast (320 ms < 500 ms)"
+ * @property {number|null} [durationMs] - Duration of the rejected rep
+ * @property {number} timestamp - Frame time of the rejection in milliseconds
+ */
+
+/**
+ * @typedef {Object} RepState
+ * Output of repStateEngine.update for one frame.
+ * @property {string|null} exerciseId - Exercise the pipeline ran for
+ * @property {Object<string, RepSideState>} sides - Per side ('left', 'right') phase and rep count
+ * @property {Object<string, number>} repCounts - Reps per side
+ * @property {Object<string, number>} partialRepCounts - Partial reps per side
+ * @property {Object<string, number>} holdTimes - Valid hold time per side in milliseconds (hold exercises, 0 otherwise)
+ * @property {Array<{side: string, repCount: number, timestamp: number, outOfOrder?: boolean}>} repEvents - Reps completed in this frame
+ *   (outOfOrder only for alternating exercises)
+ * @property {Array<{side: string, partialRepCount: number, timestamp: number}>} partialRepEvents - Partial reps detected in this frame
+ * @property {Array<RejectedRep & {side: string}>} rejectionEvents - Reps rejected in this frame
+ * @property {{combinedRepCount: number, outOfOrderRepCount: number, nextSide: string|null}|null} alternating - Alternating
+ *   exercises (logic/alternatingSides): reps of both sides together, reps out of turn and the side expected next
+ * @property {Object|null} pipelineState - Full pipeline state (fed back as prevState on the next frame)
+ * @property {Object<string, RepQualitySide>} [quality] - Rep attempt quality per side (logic/repQuality, added by the pose processor)
+ * @property {Array<RepAttemptQuality>} [attemptEvents] - Rep attempts that ended in this frame, with their quality
+ * @property {SideAsymmetry|null} [asymmetry] - Left/right comparison (logic/sideAsymmetry, added by the pose processor;
+ *   null unless the exercise has a rep counter angle on both sides)
+ */
+
+/**
+ * @typedef {Object} RepAttemptQuality
+ * One rep attempt scored by logic/repQuality.
+ * @property {string} side - 'left' or 'right'
+ * @property {'counted'|'partial'|'rejected'|'incomplete'} outcome - What the rep pipeline made of it
+ * @property {number} repCount - The side's rep count after the attempt
+ * @property {number} score - Quality 0-100
+ * @property {{rom: number|null, tempo: number|null, visibility: number|null, form: number|null}} components - Component scores 0-100
+ *   (null when not measured, e.g. tempo on the first rep)
+ * @property {Array<{reason: string, message: string}>} reasons - What went wrong ('not_at_peak', 'too_fast', 'too_slow',
+ *   'lost_visibility', 'moved_feet', 'form', 'out_of_order'); why the attempt didn't count when outcome isn't 'counted'
+ * @property {number} durationMs - From leaving the rest phase to returning to it
+ * @property {number} timestamp - Frame time the attempt ended
+ */
+
+/**
+ * @typedef {Object} RepQualitySide
+ * @property {RepAttemptQuality|null} lastAttempt - The side's most recent scored attempt
+ * @property {number} attemptCount - Attempts scored since the last reset
+ * @property {boolean} inAttempt - An attempt is in progress
+ */
+
+/**
+ * @typedef {Object} SideComparison
+ * One metric of both sides (logic/sideAsymmetry).
+ * @property {number} left - The left side's value (rep count, or the average of its attempts)
+ * @property {number} right - The right side's value
+ * @property {number} index - Asymmetry index 0-100: |left - right| / max(left, right) * 100
+ * @property {'left'|'right'|null} laggingSide - The side behind (null when equal)
+ */
+
+/**
+ * @typedef {Object} SideAsymmetryMetrics
+ * @property {SideComparison} repCount - Counted reps
+ * @property {SideComparison|null} rom - Range of motion in degrees, over every attempt including partial and
+ *   rejected ones (null until both sides have 2 attempts)
+ * @property {SideComparison|null} peakAngle - Angle closest to the peak in degrees, over every attempt
+ * @property {SideComparison|null} tempo - Rep duration in ms, counted reps only (null until both sides have 2)
+ * @property {number} index - Overall asymmetry index: mean of the metric indices that count
+ */
+
+/**
+ * @typedef {Object} SideAsymmetry
+ * Left/right comparison of a two-sided exercise (logic/sideAsymmetry).
+ * @property {string} exerciseId - Exercise compared
+ * @property {SideAsymmetryMetrics} live - The last 5 attempts (counted reps for tempo) of each side
+ * @property {SideAsymmetryMetrics} set - Every rep since the set began (the post-set comparison)
+ * @property {Array<{metric: string, laggingSide: string, index: number, message: string}>} warnings - Live metrics
+ *   whose index exceeds settings.asymmetryWarningPercent, largest first
+ * @property {'left'|'right'|null} laggingSide - The side behind on the largest warning
+ * @property {number} timestamp - Frame time of the last change
+ */
+
+/**
+ * @typedef {Object} TrackedPerson
+ * A person with a stable identity (src/logic/personTracker.js) and their own processing results.
+ * @property {number} id - Identity kept across frames (1, 2, ...; never reused within a session)
+ * @property {Array<Landmark>|null} landmarks - Landmarks in this frame, or null while briefly out of view
+ * @property {Array<Landmark>|null} worldLandmarks - World landmarks in this frame, if available
+ * @property {Object<string, number|null>} angles - Tracked angles by angle id
+ * @property {Object<string, number|null>} rawAngles - Unsmoothed tracked angles by angle id
+ * @property {Object<string, PositionMetric>} positions - Position metrics by position id
+ * @property {'idle'|'stabilizing'|'stable'|'unstable'} stabilityState - Stationary landmark state
+ * @property {TrackingState} trackingState - This person's start position / pause state
+ * @property {RepState} repState - This person's rep pipeline output
+ * @property {FormCheckState} formCheckState - This person's form check violations
+ */
+
+/**
+ * @typedef {Object} FormViolation
+ * A formChecks rule violated on the current frame (logic/formChecks).
+ * @property {string} id - Rule id
+ * @property {string|null} side - Side the rule belongs to (null: every side)
+ * @property {'info'|'warning'|'error'} severity
+ * @property {string} message - Cue shown to the user, e.g. "Keep your left elbow tucked in"
+ * @property {number|null} value - Measured angle (degrees), distance or drift (normalized units)
+ * @property {Array<string>} landmarks - Landmark names of the rule (highlighted on the canvas)
+ */
+
+/**
+ * @typedef {Object} RepFormViolation
+ * A formChecks rule violated at some point during a rep attempt.
+ * @property {string} id - Rule id
+ * @property {'info'|'warning'|'error'} severity
+ * @property {string} message
+ * @property {number} frames - Frames the rule was violated on
+ * @property {number} firstTimestamp - Frame time of the first violation in the attempt
+ */
+
+/**
+ * @typedef {Object} FormCheckState
+ * Output of the form check engine for one frame.
+ * @property {Array<FormViolation>} violations - Rules violated on this frame, most severe first
+ * @property {Object<string, {currentRepViolations: Array<RepFormViolation>, lastRep: {repCount: number, counted: boolean, violations: Array<RepFormViolation>, timestamp: number}|null}>} sides
+ *   Per side: violations of the rep attempt in progress and of the last finished attempt
+ */
+
+// Export empty object for module compatibility
+export {};
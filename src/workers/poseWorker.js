@@ -0,0 +1,94 @@
+/**
+ * Pose inference worker.
+ *
+ * Runs the PoseLandmarker off the main thread so React / Mantine re-renders don't stall tracking.
+ * This is a classic worker with no imports: MediaPipe loads its WASM glue with importScripts,
+ * which module workers don't support. tasks-vision itself is loaded at runtime from the
+ * classic bundle in config.mediapipe.workerBundle. Asset resolution and landmarker options
+ * are prepared on the main thread (services/poseWorkerClient) and sent with 'init'.
+ *
+ * Messages in:
+ *   { type: 'init', bundlePath, wasmPath, candidates }  candidates: [{ delegate, options }] in order of preference
+ *   { type: 'detect', frame, timestamp }                Run detection on a transferred ImageBitmap
+ * Messages out:
+ *   { type: 'ready', delegate, fallbackReason, modelLoadTimeMs }
+ *   { type: 'result', timestamp, landmarks, worldLandmarks, inferenceTime }
+ *   { type: 'error', stage, message }                   stage is 'init' or 'detect'
+ */
+
+let poseLandmarker = null;
+
+const loadVision = (bundlePath) => {
+  if (!self.exports) {
+    // The CommonJS bundle only needs an `exports` object to attach to
+    self.exports = {};
+    importScripts(bundlePath);
+  }
+  return self.exports;
+};
+
+const handleInit = async ({ bundlePath, wasmPath, candidates }) => {
+  try {
+    if (poseLandmarker) {
+      poseLandmarker.close();
+      poseLandmarker = null;
+    }
+
+    const { FilesetResolver, PoseLandmarker } = loadVision(bundlePath);
+    const vision = await FilesetResolver.forVisionTasks(wasmPath);
+
+    let lastError = null;
+    let fallbackReason = null;
+    for (const { delegate, options } of candidates) {
+      const loadStart = performance.now();
+      try {
+        // The GPU delegate needs a canvas; inside a worker that has to be an OffscreenCanvas
+        poseLandmarker = await PoseLandmarker.createFromOptions(vision, { ...options, canvas: new OffscreenCanvas(1, 1) });
+        self.postMessage({ type: 'ready', delegate, fallbackReason, modelLoadTimeMs: performance.now() - loadStart });
+        return;
+      } catch (error) {
+        console.warn(`[poseWorker] ${delegate} delegate failed:`, error);
+        lastError = error;
+        fallbackReason = `${delegate} delegate failed: ${error.message}`;
+      }
+    }
+    throw lastError || new Error('No delegate candidates given');
+  } catch (error) {
+    console.error('[poseWorker] Error initializing PoseLandmarker:', error);
+    self.postMessage({ type: 'error', stage: 'init', message: error.message });
+  }
+};
+
+const handleDetect = ({ frame, timestamp }) => {
+  try {
+    if (!poseLandmarker) {
+      throw new Error('PoseLandmarker is not initialized');
+    }
+    const startTime = performance.now();
+    const results = poseLandmarker.detectForVideo(frame, timestamp);
+    self.postMessage({
+      type: 'result',
+      timestamp,
+      landmarks: results.landmarks,
+      worldLandmarks: results.worldLandmarks,
+      inferenceTime: performance.now() - startTime,
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', stage: 'detect', message: error.message });
+  } finally {
+    frame.close();
+  }
+};
+
+self.onmessage = (event) => {
+  switch (event.data.type) {
+    case 'init':
+      handleInit(event.data);
+      break;
+    case 'detect':
+      handleDetect(event.data);
+      break;
+    default:
+      console.warn('[poseWorker] Unknown message type:', event.data.type);
+  }
+};